@@ -144,6 +144,7 @@ if (!empty($body['scheduled_at'])) {
 // DB
 require_once __DIR__ . '/../db_config.php';
 require_once __DIR__ . '/../whatsapp_official_api.php';
+require_once __DIR__ . '/../whatsapp_optout.php';
 
 $pdo = get_db_connection();
 
@@ -166,6 +167,15 @@ if (!$normalized) {
     respond(['ok' => false, 'error' => 'Nenhum telefone válido encontrado em recipients.'], 400);
 }
 
+// Opt-out: quem pediu para sair não entra na fila (ver /api/suppression.php)
+$optout = whatsapp_optout_filter($pdo, $userId, $normalized);
+$normalized = $optout['allowed'];
+$suppressed = $optout['suppressed'];
+
+if (!$normalized) {
+    respond(['ok' => false, 'error' => 'Todos os destinatários estão na lista de opt-out.', 'suppressed' => $suppressed], 400);
+}
+
 $maxRecipients = (int)(getenv('ALABAMA_MAX_CAMPAIGN_RECIPIENTS') ?: 1000);
 if (count($normalized) > $maxRecipients) {
     respond([
@@ -222,6 +232,7 @@ try {
         'jobId' => $jobId,
         'name' => $name,
         'totalRecipients' => count($normalized),
+        'suppressed' => $suppressed,
         'batchSize' => $batchSize,
         'intervalSeconds' => $intervalSeconds,
         'dryRun' => $dryRun,
@@ -0,0 +1,118 @@
+<?php
+declare(strict_types=1);
+
+// /api/extension_selectors.php
+// Registro de seletores do WhatsApp Web para a extensão (content/selectorRegistry.js).
+//
+// GET  -> { payload: "<json>", signature: "<base64 DER>", alg: "ES256" }
+//         payload = config/extension_selectors.json (revision, version, selectors, heuristics).
+//         Assinado com a chave privada ECDSA P-256 de ALABAMA_SELECTORS_PRIVATE_KEY (PEM ou caminho);
+//         a extensão só aplica pacotes que verificam com a chave pública configurada no popup.
+// POST ?action=drift -> registra que um seletor falhou e a extensão achou o elemento por heurística.
+//
+// Para publicar seletores novos: edite o JSON e incremente "revision".
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-store');
+
+$origin = $_SERVER['HTTP_ORIGIN'] ?? '';
+$allowedOrigin = '';
+
+if ($origin !== '') {
+    if (str_starts_with($origin, 'chrome-extension://')) {
+        $allowedOrigin = $origin;
+    } elseif (str_starts_with($origin, 'moz-extension://')) {
+        $allowedOrigin = $origin;
+    } elseif (str_starts_with($origin, 'edge-extension://')) {
+        $allowedOrigin = $origin;
+    } elseif (preg_match('/^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/', $origin)) {
+        $allowedOrigin = $origin;
+    }
+}
+
+if ($allowedOrigin !== '') {
+    header('Access-Control-Allow-Origin: ' . $allowedOrigin);
+}
+header('Vary: Origin');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Alabama-Proxy-Key');
+
+$method = $_SERVER['REQUEST_METHOD'] ?? 'GET';
+if ($method === 'OPTIONS') {
+    http_response_code(204);
+    exit;
+}
+
+function respond(array $data, int $status = 200): void
+{
+    http_response_code($status);
+    echo json_encode($data, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    exit;
+}
+
+require_once __DIR__ . '/../logger.php';
+
+if ($method === 'GET') {
+    $file = __DIR__ . '/../config/extension_selectors.json';
+    $registry = is_file($file) ? json_decode((string)file_get_contents($file), true) : null;
+    if (!is_array($registry) || !isset($registry['revision'], $registry['selectors']) || !is_array($registry['selectors'])) {
+        respond(['ok' => false, 'error' => 'Registro de seletores ausente ou inválido'], 500);
+    }
+
+    $keySource = trim((string)(getenv('ALABAMA_SELECTORS_PRIVATE_KEY') ?: ''));
+    if ($keySource !== '' && !str_starts_with($keySource, '-----BEGIN') && is_file($keySource)) {
+        $keySource = (string)file_get_contents($keySource);
+    }
+    $privateKey = $keySource !== '' ? openssl_pkey_get_private($keySource) : false;
+    if ($privateKey === false) {
+        respond(['ok' => false, 'error' => 'Assinatura de seletores não configurada'], 503);
+    }
+
+    $payload = json_encode($registry, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    $signature = '';
+    if (!openssl_sign($payload, $signature, $privateKey, OPENSSL_ALGO_SHA256)) {
+        log_app_event('extension_selectors', 'erro_assinatura', ['openssl' => openssl_error_string()]);
+        respond(['ok' => false, 'error' => 'Falha ao assinar registro'], 500);
+    }
+
+    respond([
+        'payload' => $payload,
+        'signature' => base64_encode($signature),
+        'alg' => 'ES256',
+    ]);
+}
+
+if ($method !== 'POST' || ($_GET['action'] ?? '') !== 'drift') {
+    respond(['ok' => false, 'error' => 'Method not allowed'], 405);
+}
+
+$body = json_decode(file_get_contents('php://input') ?: '', true);
+if (!is_array($body) || trim((string)($body['key'] ?? '')) === '') {
+    respond(['ok' => false, 'error' => 'Invalid JSON body'], 400);
+}
+
+// Mesmo esquema do /api/campaigns.php: segredo compartilhado ou sessão
+$requiredSecret = trim((string)(getenv('OPENAI_PROXY_SECRET') ?: (getenv('ALABAMA_EXTENSION_SECRET') ?: '')));
+$given = trim((string)($_SERVER['HTTP_X_ALABAMA_PROXY_KEY'] ?? ''));
+
+$userId = 0;
+if (!($requiredSecret !== '' && $given !== '' && hash_equals($requiredSecret, $given))) {
+    require_once __DIR__ . '/../session_bootstrap.php';
+    require_once __DIR__ . '/../rbac.php';
+    $user = current_user();
+    if (!$user) {
+        respond(['ok' => false, 'error' => 'Não autenticado. Forneça X-Alabama-Proxy-Key ou faça login.'], 401);
+    }
+    $userId = (int)$user['id'];
+}
+
+log_app_event('extension_selectors', 'drift', [
+    'user_id' => $userId,
+    'key' => mb_substr((string)$body['key'], 0, 64),
+    'kind' => mb_substr((string)($body['kind'] ?? ''), 0, 32),
+    'suggestion' => mb_substr((string)($body['suggestion'] ?? ''), 0, 300),
+    'sample' => mb_substr((string)($body['sample'] ?? ''), 0, 300),
+    'registry_version' => mb_substr((string)($body['registryVersion'] ?? ''), 0, 32),
+]);
+
+respond(['ok' => true]);
@@ -0,0 +1,198 @@
+<?php
+declare(strict_types=1);
+
+// /api/suppression.php
+// Lista de supressão (opt-out) sincronizada com a extensão (background/suppressionList.js).
+//
+// GET  ?after=<seq>[&limit=<n>] -> { ok, entries: [...], cursor, more }  (alterações depois do cursor, inclui liberações)
+// POST { entries: [...] }        -> { ok, saved }                         (upsert por telefone; removed=true libera)
+//
+// Cada entrada: { number, name, reason, keyword, text, source, addedAt, updatedAt, removed }
+// (addedAt/updatedAt em ms). A alteração mais recente (updatedAt) ganha.
+//
+// O cursor é o sync_seq que o servidor grava a cada upsert, não o updatedAt do cliente: um
+// opt-out registrado offline e enviado dias depois (updatedAt antigo) ainda chega às outras
+// máquinas. Com more=true o cliente pede a próxima página a partir do cursor devolvido.
+// O backend também consulta a lista ao criar campanhas (/api/campaigns.php).
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-store');
+
+$origin = $_SERVER['HTTP_ORIGIN'] ?? '';
+$allowedOrigin = '';
+
+if ($origin !== '') {
+    if (str_starts_with($origin, 'chrome-extension://')) {
+        $allowedOrigin = $origin;
+    } elseif (str_starts_with($origin, 'moz-extension://')) {
+        $allowedOrigin = $origin;
+    } elseif (str_starts_with($origin, 'edge-extension://')) {
+        $allowedOrigin = $origin;
+    } elseif (preg_match('/^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/', $origin)) {
+        $allowedOrigin = $origin;
+    }
+}
+
+if ($allowedOrigin !== '') {
+    header('Access-Control-Allow-Origin: ' . $allowedOrigin);
+    header('Access-Control-Allow-Credentials: true');
+}
+header('Vary: Origin');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Alabama-Proxy-Key');
+
+$method = $_SERVER['REQUEST_METHOD'] ?? 'GET';
+if ($method === 'OPTIONS') {
+    http_response_code(204);
+    exit;
+}
+
+function respond(array $data, int $status = 200): void
+{
+    http_response_code($status);
+    echo json_encode($data, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    exit;
+}
+
+if ($method !== 'GET' && $method !== 'POST') {
+    respond(['ok' => false, 'error' => 'Method not allowed'], 405);
+}
+
+$body = [];
+if ($method === 'POST') {
+    $body = json_decode(file_get_contents('php://input') ?: '', true);
+    if (!is_array($body)) {
+        respond(['ok' => false, 'error' => 'Invalid JSON body'], 400);
+    }
+}
+
+// Mesmo esquema de /api/campaigns.php: segredo da extensão ou sessão do painel
+$requiredSecret = trim((string)(getenv('OPENAI_PROXY_SECRET') ?: (getenv('ALABAMA_EXTENSION_SECRET') ?: '')));
+$given = trim((string)($_SERVER['HTTP_X_ALABAMA_PROXY_KEY'] ?? ''));
+
+$userId = 0;
+if ($requiredSecret !== '' && $given !== '' && hash_equals($requiredSecret, $given)) {
+    $userId = (int)(getenv('EXTENSION_USER_ID') ?: 1);
+} else {
+    require_once __DIR__ . '/../session_bootstrap.php';
+    require_once __DIR__ . '/../rbac.php';
+    $user = current_user();
+    if (!$user) {
+        respond(['ok' => false, 'error' => 'Não autenticado. Forneça X-Alabama-Proxy-Key ou faça login.'], 401);
+    }
+    $userId = (int)$user['id'];
+}
+
+require_once __DIR__ . '/../db_config.php';
+require_once __DIR__ . '/../whatsapp_optout.php';
+
+$pdo = get_db_connection();
+
+if ($method === 'GET') {
+    $after = max(0, (int)($_GET['after'] ?? 0));
+    $limit = min(5000, max(1, (int)($_GET['limit'] ?? 5000)));
+    try {
+        // Uma linha a mais só para saber se há próxima página
+        $stmt = $pdo->prepare("
+            SELECT phone_e164, nome, motivo, palavra_chave, mensagem, origem, removido, added_at_ms, updated_at_ms, sync_seq
+            FROM whatsapp_optout
+            WHERE user_id = :user_id AND sync_seq > :after
+            ORDER BY sync_seq ASC
+            LIMIT " . ($limit + 1) . "
+        ");
+        $stmt->execute([':user_id' => $userId, ':after' => $after]);
+        $rows = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    } catch (Throwable $e) {
+        respond(['ok' => false, 'error' => 'Falha ao ler lista de opt-out: ' . $e->getMessage()], 500);
+    }
+
+    $more = count($rows) > $limit;
+    $cursor = $after;
+    $entries = [];
+    foreach (array_slice($rows, 0, $limit) as $row) {
+        $cursor = (int)$row['sync_seq'];
+        $entries[] = [
+            'number' => $row['phone_e164'],
+            'name' => $row['nome'],
+            'reason' => $row['motivo'],
+            'keyword' => $row['palavra_chave'],
+            'text' => $row['mensagem'],
+            'source' => $row['origem'],
+            'removed' => (bool)$row['removido'],
+            'addedAt' => (int)$row['added_at_ms'],
+            'updatedAt' => (int)$row['updated_at_ms'],
+        ];
+    }
+    respond(['ok' => true, 'entries' => $entries, 'cursor' => $cursor, 'more' => $more]);
+}
+
+$entries = $body['entries'] ?? null;
+if (!is_array($entries)) {
+    respond(['ok' => false, 'error' => 'Campo "entries" deve ser um array.'], 400);
+}
+if (count($entries) > 5000) {
+    respond(['ok' => false, 'error' => 'Máximo de 5000 entradas por envio.'], 400);
+}
+
+$nowMs = (int)floor(microtime(true) * 1000);
+$saved = 0;
+
+try {
+    $pdo->beginTransaction();
+
+    // Próximos sync_seq do usuário. O FOR UPDATE serializa envios concorrentes do mesmo
+    // usuário, então os números são gravados (e vistos pelo GET) em ordem crescente.
+    $seqStmt = $pdo->prepare("SELECT COALESCE(MAX(sync_seq), 0) FROM whatsapp_optout WHERE user_id = :user_id FOR UPDATE");
+    $seqStmt->execute([':user_id' => $userId]);
+    $seq = (int)$seqStmt->fetchColumn();
+
+    // Só sobrescreve se a alteração recebida for mais nova que a gravada
+    $stmt = $pdo->prepare("
+        INSERT INTO whatsapp_optout
+            (user_id, phone_key, phone_e164, nome, motivo, palavra_chave, mensagem, origem, removido, added_at_ms, updated_at_ms, sync_seq)
+        VALUES
+            (:user_id, :phone_key, :phone_e164, :nome, :motivo, :palavra_chave, :mensagem, :origem, :removido, :added_at_ms, :updated_at_ms, :sync_seq)
+        ON DUPLICATE KEY UPDATE
+            phone_e164    = IF(VALUES(updated_at_ms) > updated_at_ms, VALUES(phone_e164), phone_e164),
+            nome          = IF(VALUES(updated_at_ms) > updated_at_ms, VALUES(nome), nome),
+            motivo        = IF(VALUES(updated_at_ms) > updated_at_ms, VALUES(motivo), motivo),
+            palavra_chave = IF(VALUES(updated_at_ms) > updated_at_ms, VALUES(palavra_chave), palavra_chave),
+            mensagem      = IF(VALUES(updated_at_ms) > updated_at_ms, VALUES(mensagem), mensagem),
+            origem        = IF(VALUES(updated_at_ms) > updated_at_ms, VALUES(origem), origem),
+            removido      = IF(VALUES(updated_at_ms) > updated_at_ms, VALUES(removido), removido),
+            added_at_ms   = LEAST(added_at_ms, VALUES(added_at_ms)),
+            updated_at_ms = GREATEST(updated_at_ms, VALUES(updated_at_ms)),
+            sync_seq      = VALUES(sync_seq)
+    ");
+
+    foreach ($entries as $entry) {
+        if (!is_array($entry)) continue;
+        $key = whatsapp_optout_key((string)($entry['number'] ?? ''));
+        if ($key === '') continue;
+
+        // Relógio do navegador pode estar adiantado: nunca aceitar alteração "no futuro"
+        $updatedAt = min($nowMs, (int)($entry['updatedAt'] ?? $nowMs));
+        $stmt->execute([
+            ':user_id' => $userId,
+            ':phone_key' => $key,
+            ':phone_e164' => '+' . preg_replace('/\D+/', '', (string)$entry['number']),
+            ':nome' => mb_substr(trim((string)($entry['name'] ?? '')), 0, 120),
+            ':motivo' => mb_substr((string)($entry['reason'] ?? 'opt_out'), 0, 60),
+            ':palavra_chave' => isset($entry['keyword']) ? mb_substr((string)$entry['keyword'], 0, 60) : null,
+            ':mensagem' => isset($entry['text']) ? mb_substr((string)$entry['text'], 0, 200) : null,
+            ':origem' => mb_substr((string)($entry['source'] ?? 'manual'), 0, 20),
+            ':removido' => !empty($entry['removed']) ? 1 : 0,
+            ':added_at_ms' => (int)($entry['addedAt'] ?? $updatedAt),
+            ':updated_at_ms' => $updatedAt,
+            ':sync_seq' => ++$seq,
+        ]);
+        $saved++;
+    }
+
+    $pdo->commit();
+} catch (Throwable $e) {
+    try { $pdo->rollBack(); } catch (Throwable $e2) {}
+    respond(['ok' => false, 'error' => 'Falha ao gravar lista de opt-out: ' . $e->getMessage()], 500);
+}
+
+respond(['ok' => true, 'saved' => $saved]);
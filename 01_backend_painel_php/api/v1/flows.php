@@ -41,14 +41,27 @@ if ($method === 'GET') {
         exit;
     }
 
+    // Definições publicadas (consumidas pela extensão para montar os diálogos)
+    if ($action === 'definitions') {
+        $flowId = isset($_GET['flow_id']) ? (int) $_GET['flow_id'] : 0;
+        try {
+            $definitions = $repo->publishedDefinitions($flowId > 0 ? $flowId : null);
+        } catch (\Throwable $e) {
+            // Esquema antigo sem definition_json
+            $definitions = [];
+        }
+        ApiResponse::jsonSuccess($definitions);
+        exit;
+    }
+
     // Lista fluxos ativos
     $flows = $repo->allActive();
     $data = [];
     foreach ($flows as $flow) {
         $data[] = [
             'id'    => $flow->id,
-            'nome'  => $flow->nome,
-            'ativo' => $flow->ativo,
+            'nome'  => $flow->name,
+            'ativo' => $flow->active,
         ];
     }
     ApiResponse::jsonSuccess($data);
@@ -58,5 +58,46 @@ final class FlowRepository extends BaseRepository
 
         return $result;
     }
+
+    /**
+     * Definições publicadas (grafo do builder visual) dos fluxos ativos.
+     *
+     * A versão é derivada do conteúdo de definition_json: muda a cada publicação
+     * e permite ao cliente (extensão) fixar/comparar versões sem depender de snapshots.
+     * Sem cache: quem consome faz polling para hot-swap.
+     *
+     * @return array<int,array{id:int,nome:string,version:string,updated_at:?string,definition:array}>
+     */
+    public function publishedDefinitions(?int $flowId = null): array
+    {
+        $sql = 'SELECT * FROM whatsapp_flows WHERE ativo = 1';
+        if ($flowId !== null) {
+            $sql .= ' AND id = :id';
+        }
+        $sql .= ' ORDER BY id ASC';
+
+        $stmt = $this->pdo->prepare($sql);
+        $stmt->execute($flowId !== null ? [':id' => $flowId] : []);
+        $rows = $stmt->fetchAll(PDO::FETCH_ASSOC) ?: [];
+
+        $result = [];
+        foreach ($rows as $row) {
+            $raw = (string) ($row['definition_json'] ?? '');
+            $definition = $raw !== '' ? json_decode($raw, true) : null;
+            if (!is_array($definition) || !isset($definition['steps']) || !is_array($definition['steps'])) {
+                continue; // fluxo ainda não montado no builder
+            }
+
+            $result[] = [
+                'id'         => (int) $row['id'],
+                'nome'       => (string) ($row['nome'] ?? ''),
+                'version'    => substr(sha1(json_encode($definition, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES)), 0, 12),
+                'updated_at' => $row['updated_at'] ?? $row['atualizado_em'] ?? null,
+                'definition' => $definition,
+            ];
+        }
+
+        return $result;
+    }
 }
 
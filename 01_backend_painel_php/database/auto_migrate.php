@@ -175,6 +175,47 @@ function auto_migrate_run(PDO $pdo): array {
         $results[] = ['table' => 'ai_confidence_log', 'status' => 'exists'];
     }
     
+    // Migration: whatsapp_optout (lista de supressão da extensão)
+    if (!auto_migrate_table_exists($pdo, 'whatsapp_optout')) {
+        $sql = "CREATE TABLE IF NOT EXISTS whatsapp_optout (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            phone_key VARCHAR(20) NOT NULL,
+            phone_e164 VARCHAR(20) NOT NULL,
+            nome VARCHAR(120) NULL,
+            motivo VARCHAR(60) NOT NULL DEFAULT 'opt_out',
+            palavra_chave VARCHAR(60) NULL,
+            mensagem VARCHAR(200) NULL,
+            origem VARCHAR(20) NOT NULL DEFAULT 'manual',
+            removido TINYINT(1) NOT NULL DEFAULT 0,
+            added_at_ms BIGINT NOT NULL,
+            updated_at_ms BIGINT NOT NULL,
+            sync_seq BIGINT NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_user_phone (user_id, phone_key),
+            INDEX idx_user_updated (user_id, updated_at_ms),
+            INDEX idx_user_seq (user_id, sync_seq)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci";
+        
+        try {
+            $pdo->exec($sql);
+            $results[] = ['table' => 'whatsapp_optout', 'status' => 'created'];
+        } catch (Throwable $e) {
+            $results[] = ['table' => 'whatsapp_optout', 'status' => 'error', 'message' => $e->getMessage()];
+        }
+    } elseif (!auto_migrate_column_exists($pdo, 'whatsapp_optout', 'sync_seq')) {
+        // Cursor do pull da extensão (/api/suppression.php ?after=<seq>)
+        try {
+            $pdo->exec("ALTER TABLE whatsapp_optout ADD COLUMN sync_seq BIGINT NOT NULL DEFAULT 0 AFTER updated_at_ms, ADD INDEX idx_user_seq (user_id, sync_seq)");
+            $pdo->exec("UPDATE whatsapp_optout SET sync_seq = id WHERE sync_seq = 0");
+            $results[] = ['table' => 'whatsapp_optout', 'status' => 'altered'];
+        } catch (Throwable $e) {
+            $results[] = ['table' => 'whatsapp_optout', 'status' => 'error', 'message' => $e->getMessage()];
+        }
+    } else {
+        $results[] = ['table' => 'whatsapp_optout', 'status' => 'exists'];
+    }
+    
     return $results;
 }
 
@@ -194,3 +235,21 @@ function auto_migrate_table_exists(PDO $pdo, string $table): bool {
         return false;
     }
 }
+
+/**
+ * Verifica se uma coluna existe na tabela.
+ * 
+ * @param PDO $pdo Conexão PDO com o banco de dados
+ * @param string $table Nome da tabela
+ * @param string $column Nome da coluna
+ * @return bool True se a coluna existe, false caso contrário
+ */
+function auto_migrate_column_exists(PDO $pdo, string $table, string $column): bool {
+    try {
+        $stmt = $pdo->prepare("SHOW COLUMNS FROM `{$table}` LIKE :column");
+        $stmt->execute([':column' => $column]);
+        return $stmt->rowCount() > 0;
+    } catch (Throwable $e) {
+        return false;
+    }
+}
@@ -0,0 +1,21 @@
+-- Migration: Create whatsapp_optout table
+-- Purpose: Suppression list (opt-out) synced with the Chrome extension (/api/suppression.php)
+-- Date: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS whatsapp_optout (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    phone_key VARCHAR(20) NOT NULL,
+    phone_e164 VARCHAR(20) NOT NULL,
+    nome VARCHAR(120) NULL,
+    motivo VARCHAR(60) NOT NULL DEFAULT 'opt_out',
+    palavra_chave VARCHAR(60) NULL,
+    mensagem VARCHAR(200) NULL,
+    origem VARCHAR(20) NOT NULL DEFAULT 'manual',
+    removido TINYINT(1) NOT NULL DEFAULT 0,
+    added_at_ms BIGINT NOT NULL,
+    updated_at_ms BIGINT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_user_phone (user_id, phone_key),
+    INDEX idx_user_updated (user_id, updated_at_ms)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
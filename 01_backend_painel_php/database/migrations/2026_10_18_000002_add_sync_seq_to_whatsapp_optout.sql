@@ -0,0 +1,23 @@
+-- Migration: Add sync_seq to whatsapp_optout
+-- Purpose: Server-assigned change sequence for the extension's incremental pull
+--          (/api/suppression.php ?after=<seq>). The client's updatedAt is not a usable
+--          cursor: an opt-out pushed late with an old timestamp was never pulled.
+-- Date: 2026-10-18
+--
+-- Evita "ADD COLUMN IF NOT EXISTS" (MySQL/MariaDB antigos): checagem via INFORMATION_SCHEMA + PREPARE.
+
+SET @db := DATABASE();
+
+SET @col := (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
+             WHERE TABLE_SCHEMA=@db AND TABLE_NAME='whatsapp_optout' AND COLUMN_NAME='sync_seq');
+SET @sql := IF(@col=0, 'ALTER TABLE whatsapp_optout ADD COLUMN sync_seq BIGINT NOT NULL DEFAULT 0 AFTER updated_at_ms', 'DO 0');
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+SET @idx := (SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS
+             WHERE TABLE_SCHEMA=@db AND TABLE_NAME='whatsapp_optout' AND INDEX_NAME='idx_user_seq');
+SET @sql := IF(@idx=0, 'ALTER TABLE whatsapp_optout ADD INDEX idx_user_seq (user_id, sync_seq)', 'DO 0');
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Backfill: linhas existentes recebem o id (único e crescente); os clientes começam o
+-- cursor novo do zero, então a ordem entre elas não importa
+UPDATE whatsapp_optout SET sync_seq = id WHERE sync_seq = 0;
@@ -27,4 +27,26 @@ final class FlowRepositoryTest extends TestCase
         $this->assertCount(2, $flows);
         $this->assertInstanceOf(Flow::class, $flows[0]);
     }
+
+    public function testPublishedDefinitionsSkipsFlowsWithoutGraph(): void
+    {
+        $pdo = $this->createMock(PDO::class);
+
+        $stmt = $this->createMock(PDOStatement::class);
+        $stmt->method('execute')->willReturn(true);
+        $stmt->method('fetchAll')->willReturn([
+            ['id' => 1, 'nome' => 'Checkout', 'ativo' => 1, 'definition_json' => '{"steps":[{"id":"step_1","type":"mensagem"}]}'],
+            ['id' => 2, 'nome' => 'Rascunho', 'ativo' => 1, 'definition_json' => ''],
+        ]);
+
+        $pdo->method('prepare')->willReturn($stmt);
+
+        $repo = new FlowRepository($pdo);
+        $defs = $repo->publishedDefinitions();
+
+        $this->assertCount(1, $defs);
+        $this->assertSame(1, $defs[0]['id']);
+        $this->assertSame(12, strlen($defs[0]['version']));
+        $this->assertSame('step_1', $defs[0]['definition']['steps'][0]['id']);
+    }
 }
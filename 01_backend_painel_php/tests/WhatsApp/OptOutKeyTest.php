@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+use PHPUnit\Framework\TestCase;
+
+final class OptOutKeyTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        require_once __DIR__ . '/../../whatsapp_optout.php';
+    }
+
+    public function testNinthDigitIsIgnoredForBrazilianMobiles(): void
+    {
+        $this->assertSame('551188887777', whatsapp_optout_key('+55 11 98888-7777'));
+        $this->assertSame('551188887777', whatsapp_optout_key('551188887777'));
+    }
+
+    public function testNationalNumberGetsBrazilianCountryCode(): void
+    {
+        $this->assertSame('551188887777', whatsapp_optout_key('(11) 98888-7777'));
+        $this->assertSame('552133334444', whatsapp_optout_key('21 3333-4444'));
+    }
+
+    public function testForeignNumbersAreKeptAsIs(): void
+    {
+        $this->assertSame('14155552671', whatsapp_optout_key('+1 415 555 2671'));
+        $this->assertSame('351912345678', whatsapp_optout_key('+351 912 345 678'));
+    }
+
+    public function testShortNumbersHaveNoKey(): void
+    {
+        $this->assertSame('', whatsapp_optout_key('1234'));
+        $this->assertSame('', whatsapp_optout_key(''));
+    }
+
+    public function testFilterSkipsSuppressedNumbers(): void
+    {
+        $pdo = new PDO('sqlite::memory:');
+        $pdo->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+        $pdo->exec("CREATE TABLE whatsapp_optout (user_id INTEGER, phone_key TEXT, removido INTEGER)");
+        $pdo->exec("INSERT INTO whatsapp_optout VALUES (1, '551188887777', 0), (1, '552133334444', 1), (2, '551177776666', 0)");
+
+        $result = whatsapp_optout_filter($pdo, 1, ['+5511988887777', '+552133334444', '+5511977776666']);
+
+        $this->assertSame(['+552133334444', '+5511977776666'], $result['allowed']);
+        $this->assertSame(['+5511988887777'], $result['suppressed']);
+    }
+
+    public function testFilterWithoutTableAllowsEverything(): void
+    {
+        $pdo = new PDO('sqlite::memory:');
+        $pdo->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+
+        $result = whatsapp_optout_filter($pdo, 1, ['+5511988887777']);
+
+        $this->assertSame(['+5511988887777'], $result['allowed']);
+        $this->assertSame([], $result['suppressed']);
+    }
+}
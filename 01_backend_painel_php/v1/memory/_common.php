@@ -82,7 +82,7 @@ function mem_append_jsonl(string $file, array $row): void
 {
     $line = json_encode($row, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
     if ($line === false) return;
-    @file_put_contents($file, $line . "\n", FILE_APPEND);
+    @file_put_contents($file, $line . "\n", FILE_APPEND | LOCK_EX);
 }
 
 function mem_tail_jsonl(string $file, int $maxLines = 5000): array
@@ -25,18 +25,40 @@ if (!is_array($events)) {
 
 $now = (new DateTimeImmutable('now', new DateTimeZone('UTC')))->format(DateTimeInterface::ATOM);
 $accepted = 0;
+$acks = [];
+
+// Ids já gravados (a extensão reenvia o lote quando não recebe resposta): repetido vira "duplicate"
+$seen = [];
+foreach (mem_tail_jsonl($file, 20000) as $r) {
+    $id = (string)($r['event']['id'] ?? '');
+    if ($id !== '') $seen[$id] = true;
+}
 
 foreach ($events as $ev) {
     if (!is_array($ev)) continue;
+    $id = trim((string)($ev['id'] ?? ''));
+    if ($id !== '' && isset($seen[$id])) {
+        $acks[] = ['id' => $id, 'status' => 'duplicate'];
+        continue;
+    }
+    if (trim((string)($ev['type'] ?? '')) === '' || (($ev['type'] ?? '') === 'chat_memory' && !is_array($ev['memory'] ?? null))) {
+        if ($id !== '') $acks[] = ['id' => $id, 'status' => 'rejected', 'error' => 'Evento sem type ou memory'];
+        continue;
+    }
     $row = [
         'ts' => $now,
         'event' => $ev,
     ];
     mem_append_jsonl($file, $row);
     $accepted++;
+    if ($id !== '') {
+        $seen[$id] = true;
+        $acks[] = ['id' => $id, 'status' => 'accepted'];
+    }
 }
 
 mem_respond([
     'ok' => true,
     'accepted' => $accepted,
+    'acks' => $acks,
 ]);
@@ -0,0 +1,88 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/_common.php';
+
+// Pull incremental de memórias (sync bidirecional da extensão).
+// Body: { cursor, limit, origin }
+//   cursor = linhas do log de eventos já lidas por este navegador (0 = desde o início)
+//   origin = deviceId da extensão; eventos enviados por ela mesma não voltam
+// Resposta: { ok, changes: [{ seq, contactId, chatTitle, memory, origin, ts }], cursor, more }
+// Só a memória mais nova (memory.updatedAt) de cada contato dentro da página.
+
+if (($_SERVER['REQUEST_METHOD'] ?? 'GET') !== 'POST') {
+    mem_respond(['ok' => false, 'error' => 'Method not allowed'], 405);
+}
+
+$key = mem_require_workspace();
+$workspace = mem_workspace_id($key);
+$dir = mem_store_dir();
+$file = $dir . '/' . $workspace . '.events.jsonl';
+
+$raw = file_get_contents('php://input');
+$body = json_decode($raw ?: '', true);
+if (!is_array($body)) {
+    mem_respond(['ok' => false, 'error' => 'Invalid JSON body'], 400);
+}
+
+$cursor = max(0, (int)($body['cursor'] ?? 0));
+$limit = max(1, min(500, (int)($body['limit'] ?? 100)));
+$origin = trim((string)($body['origin'] ?? ''));
+
+if (!is_file($file)) {
+    mem_respond(['ok' => true, 'changes' => [], 'cursor' => 0, 'more' => false]);
+}
+
+$fh = @fopen($file, 'rb');
+if ($fh === false) {
+    mem_respond(['ok' => false, 'error' => 'Falha ao ler eventos'], 500);
+}
+flock($fh, LOCK_SH);
+
+$line = 0;
+$changes = [];
+$more = false;
+
+while (($ln = fgets($fh)) !== false) {
+    if ($line < $cursor) {
+        $line++;
+        continue;
+    }
+    if (count($changes) >= $limit) {
+        $more = true;
+        break;
+    }
+    $line++;
+
+    $r = json_decode($ln, true);
+    $ev = is_array($r) ? ($r['event'] ?? null) : null;
+    if (!is_array($ev) || ($ev['type'] ?? '') !== 'chat_memory') continue;
+    $contactId = trim((string)($ev['contactId'] ?? ''));
+    $memory = $ev['memory'] ?? null;
+    if ($contactId === '' || !is_array($memory)) continue;
+    if ($origin !== '' && (string)($ev['origin'] ?? '') === $origin) continue;
+
+    $prev = $changes[$contactId] ?? null;
+    $at = (int)(strtotime((string)($memory['updatedAt'] ?? '')) ?: 0);
+    $prevAt = $prev ? (int)(strtotime((string)($prev['memory']['updatedAt'] ?? '')) ?: 0) : 0;
+    if ($prev && $at < $prevAt) continue;
+
+    $changes[$contactId] = [
+        'seq' => $line,
+        'contactId' => $contactId,
+        'chatTitle' => (string)($ev['chatTitle'] ?? ''),
+        'memory' => $memory,
+        'origin' => (string)($ev['origin'] ?? ''),
+        'ts' => (string)($r['ts'] ?? ''),
+    ];
+}
+
+flock($fh, LOCK_UN);
+fclose($fh);
+
+mem_respond([
+    'ok' => true,
+    'changes' => array_values($changes),
+    'cursor' => $line,
+    'more' => $more,
+]);
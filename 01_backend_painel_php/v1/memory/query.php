@@ -20,13 +20,16 @@ if (!is_array($body)) {
 }
 
 $chatTitle = trim((string)($body['chatTitle'] ?? ''));
+// ID canônico do contato (wa:5511..., group:...). Eventos antigos, sem contactId, casam pelo título.
+$contactId = trim((string)($body['contactId'] ?? ''));
 $topK = (int)($body['topK'] ?? 4);
 $topK = max(1, min(20, $topK));
 
 $rows = mem_tail_jsonl($eventsFile, 20000);
 
-// Extract latest memory for this chat (last write wins)
+// Extract latest memory for this chat (newest memory.updatedAt wins; same time: last write)
 $memory = null;
+$memoryAt = 0;
 $examples = [];
 
 foreach ($rows as $r) {
@@ -36,8 +39,18 @@ foreach ($rows as $r) {
 
     if ($type === 'chat_memory') {
         $ct = (string)($ev['chatTitle'] ?? '');
-        if ($chatTitle !== '' && $ct !== $chatTitle) continue;
-        $memory = $ev['memory'] ?? null;
+        $cid = (string)($ev['contactId'] ?? '');
+        if ($contactId !== '') {
+            if ($cid !== '' ? $cid !== $contactId : $ct !== $chatTitle) continue;
+        } elseif ($chatTitle !== '' && $ct !== $chatTitle) {
+            continue;
+        }
+        $mem = $ev['memory'] ?? null;
+        $at = is_array($mem) ? (int)(strtotime((string)($mem['updatedAt'] ?? '')) ?: 0) : 0;
+        if ($memory === null || $at >= $memoryAt) {
+            $memory = $mem;
+            $memoryAt = $at;
+        }
         continue;
     }
 
@@ -0,0 +1,84 @@
+<?php
+/**
+ * whatsapp_optout.php
+ *
+ * Lista de supressão (opt-out) do WhatsApp: contatos que pediram para não receber
+ * mais mensagens ("SAIR", "parar", "stop"...). Alimentada pela extensão
+ * (/api/suppression.php) e consultada antes de criar campanhas (/api/campaigns.php).
+ *
+ * A chave de comparação ignora o 9º dígito de celulares brasileiros, igual à extensão
+ * (background/suppressionList.js): +55 11 98888-7777 e +55 11 8888-7777 são o mesmo contato.
+ */
+
+declare(strict_types=1);
+
+/**
+ * Chave de comparação de um telefone (só dígitos, com DDI, sem o 9º dígito BR).
+ * Números com "+" já trazem o DDI; sem "+" e com 10/11 dígitos são tratados como nacionais.
+ * Retorna '' para números curtos demais.
+ */
+function whatsapp_optout_key(string $phone): string
+{
+    $digits = preg_replace('/\D+/', '', $phone) ?? '';
+    if (strlen($digits) < 8) {
+        return '';
+    }
+    // Sem "+" e com tamanho de número nacional: assumir Brasil
+    $international = str_starts_with(ltrim($phone), '+');
+    if (!$international && (strlen($digits) === 10 || strlen($digits) === 11) && !str_starts_with($digits, '55')) {
+        $digits = '55' . $digits;
+    }
+    if (strlen($digits) === 13 && str_starts_with($digits, '55') && $digits[4] === '9') {
+        $digits = substr($digits, 0, 4) . substr($digits, 5);
+    }
+    return $digits;
+}
+
+/**
+ * Separa os telefones liberados dos que estão na lista de supressão do usuário.
+ * Sem a tabela (migration não aplicada) nada é filtrado.
+ *
+ * @param string[] $phones
+ * @return array{allowed: string[], suppressed: string[]}
+ */
+function whatsapp_optout_filter(PDO $pdo, int $userId, array $phones): array
+{
+    $keys = [];
+    foreach ($phones as $phone) {
+        $key = whatsapp_optout_key((string)$phone);
+        if ($key !== '') {
+            $keys[$key] = true;
+        }
+    }
+    if (!$keys) {
+        return ['allowed' => array_values($phones), 'suppressed' => []];
+    }
+
+    $blocked = [];
+    try {
+        foreach (array_chunk(array_keys($keys), 500) as $chunk) {
+            $placeholders = implode(',', array_fill(0, count($chunk), '?'));
+            $stmt = $pdo->prepare("
+                SELECT phone_key FROM whatsapp_optout
+                WHERE user_id = ? AND removido = 0 AND phone_key IN ({$placeholders})
+            ");
+            $stmt->execute(array_merge([$userId], $chunk));
+            foreach ($stmt->fetchAll(PDO::FETCH_COLUMN) as $key) {
+                $blocked[(string)$key] = true;
+            }
+        }
+    } catch (Throwable $e) {
+        return ['allowed' => array_values($phones), 'suppressed' => []];
+    }
+
+    $allowed = [];
+    $suppressed = [];
+    foreach ($phones as $phone) {
+        if (isset($blocked[whatsapp_optout_key((string)$phone)])) {
+            $suppressed[] = $phone;
+        } else {
+            $allowed[] = $phone;
+        }
+    }
+    return ['allowed' => $allowed, 'suppressed' => $suppressed];
+}
@@ -0,0 +1,295 @@
+// background/aiTools.js
+// Function-calling tools the assistant can use while drafting a reply (AI_CHAT / AI_STREAM).
+//
+// Each tool declares:
+// - description / parameters (JSON Schema subset understood by OpenAI, Anthropic, Gemini and Ollama)
+// - run(args, ctx) -> plain JSON result sent back to the model
+//
+// ctx = { settings, meta }. Results are truncated before going back to the model and every call
+// is appended to whl_ai_tool_log so the operator can audit what the assistant looked up.
+// Catalog and log are per workspace (settings.workspaceId, see workspaces.js).
+
+import { keyFor, DEFAULT_WORKSPACE_ID } from "./workspaces.js";
+
+const TOOL_LOG_KEY = "whl_ai_tool_log";
+const MAX_TOOL_LOG = 200;
+const MAX_RESULT_CHARS = 4000;
+
+export const DEFAULT_FREIGHT_RULES = {
+  originCep: "",
+  freeAbove: 0, // pedido (R$) a partir do qual o frete é grátis; 0 = nunca
+  // `prefix`: quantos dígitos iniciais do CEP precisam bater com a origem
+  zones: [
+    { name: "local", prefix: 5, base: 10, perKg: 1, days: 1 },
+    { name: "estadual", prefix: 2, base: 18, perKg: 2, days: 3 },
+    { name: "regional", prefix: 1, base: 25, perKg: 3, days: 5 },
+    { name: "nacional", prefix: 0, base: 35, perKg: 4, days: 8 }
+  ]
+};
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .trim();
+}
+
+function onlyDigits(v) {
+  return String(v || "").replace(/\D/g, "");
+}
+
+class ToolError extends Error {
+  constructor(message, code = "tool_error") {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+  }
+}
+
+// api/v2 usa a sessão do painel (cookie) + envelope { ok, data, error }
+async function callBackendApi(settings, { method = "GET", path, query, form, timeoutMs = 15000 }) {
+  const base = String(settings?.backendUrl || "").trim().replace(/\/+$/, "");
+  if (!base) throw new ToolError("Backend URL não configurado.", "not_configured");
+
+  const url = new URL(base + path);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const headers = settings.backendSecret ? { "X-Alabama-Proxy-Key": settings.backendSecret } : {};
+    const init = { method, headers, credentials: "include", signal: controller.signal };
+    if (form) init.body = new URLSearchParams(form);
+
+    const resp = await fetch(url.toString(), init);
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data?.ok === false) {
+      const msg = data?.error?.message || data?.message || (typeof data?.error === "string" ? data.error : "") || `HTTP ${resp.status}`;
+      throw new ToolError(`Backend: ${msg}`, resp.status === 401 || resp.status === 403 ? "auth" : resp.status === 404 ? "not_found" : "backend_error");
+    }
+    return data && "data" in data ? data.data : data;
+  } catch (e) {
+    if (e.name === "AbortError") throw new ToolError(`Backend: timeout após ${timeoutMs / 1000}s`, "timeout");
+    throw e;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+export const TOOLS = {
+  buscar_produto: {
+    description: "Busca produtos no catálogo da loja (nome, preço, estoque). Use antes de afirmar preço ou disponibilidade.",
+    parameters: {
+      type: "object",
+      properties: {
+        consulta: { type: "string", description: "Nome ou parte do nome do produto" }
+      },
+      required: ["consulta"]
+    },
+    async run({ consulta }, { settings }) {
+      const key = keyFor("whl_knowledge", settings?.workspaceId);
+      const res = await chrome.storage.local.get([key]);
+      const products = Array.isArray(res?.[key]?.products) ? res[key].products : [];
+      const terms = normalize(consulta).split(/\s+/).filter(t => t.length >= 2);
+      if (!terms.length) throw new ToolError("Informe o nome do produto.", "bad_args");
+
+      const scored = products
+        .map(p => {
+          const name = normalize(`${p?.name || ""} ${p?.description || ""}`);
+          const hits = terms.filter(t => name.includes(t)).length;
+          return { p, score: hits / terms.length };
+        })
+        .filter(x => x.score >= 0.5)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5);
+
+      return {
+        encontrados: scored.length,
+        produtos: scored.map(({ p }) => ({
+          nome: p.name,
+          preco: Number(p.price) || 0,
+          estoque: Number(p.stock) || 0,
+          disponivel: Number(p.stock) > 0,
+          descricao: p.description || ""
+        }))
+      };
+    }
+  },
+
+  consultar_lead: {
+    description: "Consulta o cadastro do cliente (lead) no painel pelo telefone: status, origem, observações e pedidos.",
+    parameters: {
+      type: "object",
+      properties: {
+        telefone: { type: "string", description: "Telefone com DDD (padrão: o do chat atual)" }
+      }
+    },
+    async run({ telefone }, { settings, meta }) {
+      const phone = onlyDigits(telefone || meta?.contactPhone);
+      if (phone.length < 10) throw new ToolError("Telefone do cliente não identificado.", "bad_args");
+      const data = await callBackendApi(settings, { path: "/api/v2/leads.php", query: { telefone: phone } });
+      return { lead: data?.lead ?? data };
+    }
+  },
+
+  gerar_oferta: {
+    description: "Gera uma oferta de venda personalizada (IA do painel) para o cliente, com base no histórico dele.",
+    parameters: {
+      type: "object",
+      properties: {
+        cliente_id: { type: "number", description: "ID do cliente/lead no painel (veja consultar_lead)" }
+      },
+      required: ["cliente_id"]
+    },
+    async run({ cliente_id }, { settings, meta }) {
+      const id = Math.trunc(Number(cliente_id));
+      if (!(id > 0)) throw new ToolError("cliente_id inválido.", "bad_args");
+      return callBackendApi(settings, {
+        method: "POST",
+        path: "/api/v2/sales_ia_offers.php",
+        query: { action: "generate" },
+        form: { cliente_id: String(id), thread_id: onlyDigits(meta?.contactPhone) || String(meta?.chatTitle || "") }
+      });
+    }
+  },
+
+  listar_entregadores: {
+    description: "Lista entregadores disponíveis no painel (nome, região, status) para combinar uma entrega.",
+    parameters: {
+      type: "object",
+      properties: {
+        cidade: { type: "string", description: "Filtrar por cidade/região (opcional)" }
+      }
+    },
+    async run({ cidade }, { settings }) {
+      const data = await callBackendApi(settings, { path: "/api/v2/entregadores", query: { cidade } });
+      const list = Array.isArray(data) ? data : (data?.entregadores || data?.items || []);
+      return { total: list.length, entregadores: list.slice(0, 20) };
+    }
+  },
+
+  calcular_frete: {
+    description: "Calcula o frete e o prazo de entrega até um CEP pela tabela da loja.",
+    parameters: {
+      type: "object",
+      properties: {
+        cep: { type: "string", description: "CEP de destino (8 dígitos)" },
+        peso_kg: { type: "number", description: "Peso total em kg (padrão 1)" },
+        valor_pedido: { type: "number", description: "Valor do pedido em R$ (para frete grátis)" }
+      },
+      required: ["cep"]
+    },
+    async run({ cep, peso_kg, valor_pedido }, { settings }) {
+      return calculateFreight(settings?.freightRules, { cep, weightKg: peso_kg, orderValue: valor_pedido });
+    }
+  }
+};
+
+/**
+ * Freight by CEP proximity: the zone whose `prefix` (shared leading digits with the
+ * origin CEP) is the largest one still matched wins.
+ */
+export function calculateFreight(rules, { cep, weightKg, orderValue }) {
+  const r = { ...DEFAULT_FREIGHT_RULES, ...(rules || {}) };
+  const origin = onlyDigits(r.originCep);
+  const dest = onlyDigits(cep);
+  if (origin.length !== 8) throw new ToolError("CEP de origem não configurado na tabela de frete.", "not_configured");
+  if (dest.length !== 8) throw new ToolError("CEP de destino inválido (use 8 dígitos).", "bad_args");
+
+  let shared = 0;
+  while (shared < 8 && origin[shared] === dest[shared]) shared++;
+
+  const zones = (Array.isArray(r.zones) ? r.zones : DEFAULT_FREIGHT_RULES.zones)
+    .filter(z => Number(z?.prefix) <= shared)
+    .sort((a, b) => Number(b.prefix) - Number(a.prefix));
+  const zone = zones[0];
+  if (!zone) throw new ToolError("Nenhuma faixa de frete cobre esse CEP.", "not_found");
+
+  const weight = Math.max(0, Number(weightKg) || 1);
+  const value = Number(orderValue) || 0;
+  const free = Number(r.freeAbove) > 0 && value >= Number(r.freeAbove);
+  const price = free ? 0 : Number(zone.base || 0) + Math.max(0, Math.ceil(weight) - 1) * Number(zone.perKg || 0);
+
+  return {
+    cep: `${dest.slice(0, 5)}-${dest.slice(5)}`,
+    faixa: zone.name,
+    valor: Math.round(price * 100) / 100,
+    prazo_dias: Number(zone.days) || null,
+    frete_gratis: free
+  };
+}
+
+/**
+ * Tool declarations for the provider adapters ({ name, description, parameters }).
+ */
+export function listToolSchemas() {
+  return Object.entries(TOOLS).map(([name, t]) => ({ name, description: t.description, parameters: t.parameters }));
+}
+
+function truncateResult(result) {
+  const json = JSON.stringify(result ?? null);
+  if (json.length <= MAX_RESULT_CHARS) return json;
+  return JSON.stringify({ truncado: true, parcial: json.slice(0, MAX_RESULT_CHARS) });
+}
+
+/**
+ * Run one tool call. Never throws: errors are returned to the model as { erro } so it can
+ * tell the customer it couldn't check, instead of inventing data.
+ * @returns {Promise<{ id, name, args, ok, result, error, content, ms }>}
+ */
+export async function runToolCall(call, ctx) {
+  const started = Date.now();
+  const tool = TOOLS[call?.name];
+  const args = call?.args && typeof call.args === "object" ? call.args : {};
+  let out;
+  try {
+    if (!tool) throw new ToolError(`Ferramenta desconhecida: ${call?.name}`, "unknown_tool");
+    const result = await tool.run(args, ctx);
+    out = { ok: true, result, error: null };
+  } catch (e) {
+    out = { ok: false, result: null, error: e?.message || String(e), code: e?.code || "tool_error" };
+  }
+  const entry = {
+    id: call?.id || "",
+    name: call?.name || "",
+    args,
+    ...out,
+    content: out.ok ? truncateResult(out.result) : JSON.stringify({ erro: out.error }),
+    ms: Date.now() - started
+  };
+  await appendToolLog(entry, ctx?.meta, ctx?.settings?.workspaceId);
+  return entry;
+}
+
+async function appendToolLog(entry, meta = {}, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const logKey = keyFor(TOOL_LOG_KEY, workspaceId);
+  try {
+    const res = await chrome.storage.local.get([logKey]);
+    const log = Array.isArray(res?.[logKey]) ? res[logKey] : [];
+    log.push({
+      at: Date.now(),
+      chatTitle: meta.chatTitle || "",
+      origin: meta.origin || "manual",
+      name: entry.name,
+      args: entry.args,
+      ok: entry.ok,
+      error: entry.error,
+      result: entry.ok ? entry.content.slice(0, 1000) : null,
+      ms: entry.ms
+    });
+    await chrome.storage.local.set({ [logKey]: log.slice(-MAX_TOOL_LOG) });
+  } catch (e) {
+    console.warn('[WhatsHybrid Lite] Failed to log tool call:', e);
+  }
+}
+
+export async function getToolLog(limit = 50, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const logKey = keyFor(TOOL_LOG_KEY, workspaceId);
+  const res = await chrome.storage.local.get([logKey]);
+  const log = Array.isArray(res?.[logKey]) ? res[logKey] : [];
+  return log.slice(-limit).reverse();
+}
@@ -0,0 +1,203 @@
+// background/campaignSchedule.js
+// Campanhas recorrentes: expressão cron (5 campos) + fuso horário, disparadas por chrome.alarms.
+//
+// Ficam na mesma lista das campanhas únicas (chrome.storage.local, whl_scheduled_campaigns):
+// {
+//   id, entries, message, media, createdAt,
+//   recurring: true, cron: "0 9 * * 1-5", timezone: "America/Sao_Paulo",
+//   nextRunAt,                 // próximo disparo (ms), também espelhado em scheduledTime (ISO)
+//   lastRunAt,
+//   runs: [{ at, scheduledFor, status, error, journalId }]   // últimas MAX_RUNS execuções
+// }
+// status: dispatched (entregue à aba do WhatsApp) | no_tab | error | missed | inactive_workspace
+//
+// O alarme tem o mesmo nome do id. Depois de cada disparo o próximo horário é calculado
+// aqui e o alarme é recriado com { when }; a campanha só sai da lista quando o operador cancela.
+//
+// A lista é por workspace (keyFor). As abas do WhatsApp Web só rodam o workspace ativo, então
+// campanha de outro workspace não é entregue no horário: vira inactive_workspace e espera o próximo.
+
+import { parseCron, nextCronTime, nextCronTimes, isValidTimeZone } from "../js/smartbot/infrastructure/cron-expression.js";
+import { keyFor, DEFAULT_WORKSPACE_ID, getActiveWorkspaceId } from "./workspaces.js";
+
+const SCHEDULED_KEY = "whl_scheduled_campaigns";
+const MAX_RUNS = 50;
+// Alarme que dispara com mais atraso que isso (PC suspenso, Chrome fechado) não envia: vira "missed"
+const MISSED_GRACE_MS = 10 * 60 * 1000;
+
+export async function loadScheduled(workspaceId = DEFAULT_WORKSPACE_ID) {
+  const key = keyFor(SCHEDULED_KEY, workspaceId);
+  const res = await chrome.storage.local.get([key]);
+  return Array.isArray(res?.[key]) ? res[key] : [];
+}
+
+export async function saveScheduled(campaigns, workspaceId = DEFAULT_WORKSPACE_ID) {
+  await chrome.storage.local.set({ [keyFor(SCHEDULED_KEY, workspaceId)]: campaigns });
+}
+
+/**
+ * Campanha de um alarme, procurada em todos os workspaces
+ * @returns {Promise<{ campaign, workspaceId } | null>}
+ */
+export async function findScheduledCampaign(id, workspaceIds) {
+  for (const workspaceId of workspaceIds) {
+    const campaign = (await loadScheduled(workspaceId)).find(c => c.id === id);
+    if (campaign) return { campaign, workspaceId };
+  }
+  return null;
+}
+
+function checkRecurrence(cron, timezone) {
+  parseCron(cron);
+  if (!isValidTimeZone(timezone)) throw new Error(`Fuso horário inválido: ${timezone}`);
+}
+
+/**
+ * Próximas execuções de uma expressão (pré-visualização no painel). Lança se for inválida.
+ */
+export function previewCron(cron, timezone, count = 5) {
+  checkRecurrence(cron, timezone);
+  return nextCronTimes(cron, count, { timeZone: timezone || undefined });
+}
+
+async function arm(campaign) {
+  if (campaign.nextRunAt) {
+    await chrome.alarms.create(campaign.id, { when: campaign.nextRunAt });
+  } else {
+    await chrome.alarms.clear(campaign.id);
+  }
+}
+
+function setNextRun(campaign, from) {
+  campaign.nextRunAt = nextCronTime(campaign.cron, { from, timeZone: campaign.timezone || undefined });
+  campaign.scheduledTime = campaign.nextRunAt ? new Date(campaign.nextRunAt).toISOString() : null;
+}
+
+/**
+ * Registrar (ou atualizar) uma campanha recorrente e armar o primeiro alarme.
+ * @param {{ id, cron, timezone?, entries, message, media? }} campaign
+ */
+export async function scheduleRecurringCampaign(campaign, workspaceId = DEFAULT_WORKSPACE_ID) {
+  if (!campaign?.id || !campaign.cron) throw new Error("Invalid campaign data");
+  const timezone = String(campaign.timezone || "").trim() || null;
+  checkRecurrence(campaign.cron, timezone);
+
+  const campaigns = await loadScheduled(workspaceId);
+  const index = campaigns.findIndex(c => c.id === campaign.id);
+  const record = {
+    ...(index >= 0 ? campaigns[index] : {}),
+    ...campaign,
+    cron: String(campaign.cron).trim(),
+    timezone,
+    recurring: true,
+    runs: index >= 0 && Array.isArray(campaigns[index].runs) ? campaigns[index].runs : []
+  };
+  setNextRun(record, Date.now());
+  if (!record.nextRunAt) throw new Error(`Cron "${record.cron}" não tem execução nos próximos 5 anos.`);
+
+  if (index >= 0) campaigns[index] = record;
+  else campaigns.push(record);
+  await saveScheduled(campaigns, workspaceId);
+  await arm(record);
+
+  return {
+    scheduled: true,
+    alarmName: record.id,
+    nextRunAt: record.nextRunAt,
+    upcoming: nextCronTimes(record.cron, 5, { timeZone: timezone || undefined })
+  };
+}
+
+async function recordRun(id, run, workspaceId) {
+  // Recarrega: a campanha pode ter sido cancelada enquanto a aba processava
+  const campaigns = await loadScheduled(workspaceId);
+  const campaign = campaigns.find(c => c.id === id);
+  if (!campaign) return null;
+
+  campaign.runs = [...(Array.isArray(campaign.runs) ? campaign.runs : []), run].slice(-MAX_RUNS);
+  if (run.status !== "missed") campaign.lastRunAt = run.at;
+  setNextRun(campaign, Math.max(run.at, run.scheduledFor || 0));
+  await saveScheduled(campaigns, workspaceId);
+  await arm(campaign);
+  return campaign;
+}
+
+/**
+ * Disparo do alarme de uma campanha recorrente: entrega à aba do WhatsApp Web,
+ * registra a execução e rearma para o próximo horário do cron.
+ */
+export async function runRecurringCampaign(campaign, firedAt = Date.now(), workspaceId = DEFAULT_WORKSPACE_ID) {
+  const run = { at: firedAt, scheduledFor: campaign.nextRunAt || null, status: "dispatched", error: null, journalId: null };
+
+  if (run.scheduledFor && firedAt - run.scheduledFor > MISSED_GRACE_MS) {
+    run.status = "missed";
+    run.error = `Alarme disparou ${Math.round((firedAt - run.scheduledFor) / 60000)} min atrasado`;
+    return recordRun(campaign.id, run, workspaceId);
+  }
+
+  if (await getActiveWorkspaceId() !== workspaceId) {
+    run.status = "inactive_workspace";
+    run.error = "O WhatsApp Web estava em outro workspace no horário";
+    return recordRun(campaign.id, run, workspaceId);
+  }
+
+  try {
+    const tabs = await chrome.tabs.query({ url: "https://web.whatsapp.com/*" });
+    if (tabs.length === 0) {
+      run.status = "no_tab";
+      run.error = "Nenhuma aba do WhatsApp Web aberta";
+    } else {
+      const { runs, ...payload } = campaign;
+      const resp = await chrome.tabs.sendMessage(tabs[0].id, { type: "EXECUTE_SCHEDULED_CAMPAIGN", campaign: payload, workspaceId });
+      if (resp?.ok === false) {
+        run.status = "error";
+        run.error = resp.error || "Falha ao iniciar a campanha";
+      }
+      run.journalId = resp?.journalId || null;
+    }
+  } catch (e) {
+    run.status = "error";
+    run.error = e?.message || String(e);
+  }
+  return recordRun(campaign.id, run, workspaceId);
+}
+
+/**
+ * Na inicialização/atualização: alarmes podem ter sido perdidos (atualização da extensão limpa
+ * todos). Execuções que já passaram viram "missed" e cada recorrente volta a ter seu alarme.
+ */
+export async function rearmScheduledCampaigns(workspaceId = DEFAULT_WORKSPACE_ID) {
+  const campaigns = await loadScheduled(workspaceId);
+  const alarms = new Set((await chrome.alarms.getAll()).map(a => a.name));
+  const now = Date.now();
+  let changed = false;
+
+  for (const campaign of campaigns) {
+    if (alarms.has(campaign.id)) continue;
+
+    if (!campaign.recurring) {
+      const when = new Date(campaign.scheduledTime).getTime();
+      if (when > now) await chrome.alarms.create(campaign.id, { when });
+      continue;
+    }
+
+    try {
+      if (campaign.nextRunAt && campaign.nextRunAt <= now - MISSED_GRACE_MS) {
+        campaign.runs = [...(Array.isArray(campaign.runs) ? campaign.runs : []), {
+          at: now,
+          scheduledFor: campaign.nextRunAt,
+          status: "missed",
+          error: "Navegador fechado ou extensão reiniciada no horário",
+          journalId: null
+        }].slice(-MAX_RUNS);
+      }
+      if (!campaign.nextRunAt || campaign.nextRunAt <= now - MISSED_GRACE_MS) setNextRun(campaign, now);
+      changed = true;
+      await arm(campaign);
+    } catch (e) {
+      console.warn("[WhatsHybrid Lite] Recurring campaign not re-armed:", campaign.id, e?.message || e);
+    }
+  }
+
+  if (changed) await saveScheduled(campaigns, workspaceId);
+}
@@ -0,0 +1,99 @@
+// background/circuitBreaker.js
+// Per-provider circuit breaker for AI_CHAT failover.
+//
+// State lives in chrome.storage.session so it survives service worker restarts
+// but is dropped when the browser closes (no stale "open" circuits forever).
+//
+// closed    -> requests flow normally
+// open      -> provider skipped until openUntil
+// half-open -> after openUntil, one request is let through; success closes, failure re-opens
+//
+// Cooldown grows exponentially with consecutive failures: base * 2^(failures - threshold).
+
+const STORAGE_KEY = "whl_ai_breakers";
+
+export const BREAKER_DEFAULTS = {
+  failureThreshold: 2,     // falhas seguidas até abrir
+  baseCooldownMs: 30000,   // 30s
+  maxCooldownMs: 600000    // 10 min
+};
+
+// chrome.storage.session is MV3-only; fall back to memory if unavailable
+let memoryState = {};
+const sessionArea = chrome.storage?.session || null;
+
+async function readAll() {
+  if (!sessionArea) return memoryState;
+  const res = await sessionArea.get([STORAGE_KEY]);
+  return res?.[STORAGE_KEY] || {};
+}
+
+async function writeAll(state) {
+  if (!sessionArea) {
+    memoryState = state;
+    return;
+  }
+  await sessionArea.set({ [STORAGE_KEY]: state });
+}
+
+function blank() {
+  return { failures: 0, openUntil: 0, lastError: "", lastCode: "", lastFailureAt: 0, lastSuccessAt: 0 };
+}
+
+export function cooldownFor(failures, opts = BREAKER_DEFAULTS) {
+  const over = Math.max(0, failures - opts.failureThreshold);
+  return Math.min(opts.maxCooldownMs, opts.baseCooldownMs * Math.pow(2, over));
+}
+
+/**
+ * Returns { state: 'closed'|'open'|'half-open', ...entry } for a provider.
+ */
+export async function getBreaker(provider) {
+  const all = await readAll();
+  const entry = { ...blank(), ...(all[provider] || {}) };
+  let state = "closed";
+  if (entry.openUntil) state = Date.now() < entry.openUntil ? "open" : "half-open";
+  return { provider, state, ...entry };
+}
+
+export async function getAllBreakers() {
+  const all = await readAll();
+  const out = {};
+  for (const id of Object.keys(all)) out[id] = await getBreaker(id);
+  return out;
+}
+
+export async function recordSuccess(provider) {
+  const all = await readAll();
+  all[provider] = { ...blank(), lastSuccessAt: Date.now() };
+  await writeAll(all);
+}
+
+/**
+ * Register a failure. Only retryable errors (timeout, 429, 5xx, network) trip the breaker;
+ * auth/config errors are recorded but don't open the circuit (retrying would not help).
+ */
+export async function recordFailure(provider, error, opts = BREAKER_DEFAULTS) {
+  const all = await readAll();
+  const entry = { ...blank(), ...(all[provider] || {}) };
+  const now = Date.now();
+
+  entry.lastError = String(error?.message || error || "");
+  entry.lastCode = String(error?.code || "unknown");
+  entry.lastFailureAt = now;
+
+  if (error?.retryable) {
+    entry.failures += 1;
+    if (entry.failures >= opts.failureThreshold) {
+      entry.openUntil = now + cooldownFor(entry.failures, opts);
+    }
+  }
+
+  all[provider] = entry;
+  await writeAll(all);
+  return entry;
+}
+
+export async function resetBreakers() {
+  await writeAll({});
+}
@@ -0,0 +1,168 @@
+// background/embedders.js
+// Pluggable text embedders for the knowledge index (RAG).
+//
+// Each embedder declares:
+// - label / defaultModel
+// - semantic: false for the lexical fallback (shown as a warning in the popup)
+// - embed(texts, settings) -> Promise<number[][]> (one vector per text)
+//
+// "local" is not an embedding model: it hashes words and char trigrams into a fixed-size
+// vector, so it only matches texts that share words or spellings ("frete" ~ "fretes"), never
+// synonyms or paraphrases ("entrega" vs "frete"). It is the lexical fallback that needs no key
+// and keeps working offline. For semantic retrieval pick one of the model-backed embedders,
+// which reuse the API keys (or the Ollama URL) already configured for the chat providers.
+
+import { ProviderError, codeFromStatus, isRetryableCode } from "./providers.js";
+
+const LOCAL_DIMS = 512;
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ");
+}
+
+// FNV-1a 32-bit
+function hash32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function l2normalize(vec) {
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  return vec.map(v => v / norm);
+}
+
+function localEmbed(text) {
+  const vec = new Array(LOCAL_DIMS).fill(0);
+  const words = normalize(text).split(/\s+/).filter(w => w.length >= 2);
+  for (const w of words) {
+    // palavra inteira pesa mais que trigramas
+    const h = hash32(w);
+    vec[h % LOCAL_DIMS] += (h & 0x80000000) ? -2 : 2;
+    const padded = ` ${w} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const g = hash32(padded.slice(i, i + 3));
+      vec[g % LOCAL_DIMS] += (g & 0x80000000) ? -1 : 1;
+    }
+  }
+  return l2normalize(vec);
+}
+
+async function postJson(id, url, headers, body, timeoutMs = 30000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      const code = codeFromStatus(resp.status);
+      const msg = data?.error?.message || data?.error || `HTTP ${resp.status}`;
+      throw new ProviderError(`Embeddings (${id}): ${msg}`, { provider: id, status: resp.status, code, retryable: isRetryableCode(code) });
+    }
+    return data;
+  } catch (e) {
+    if (e.name === "AbortError") {
+      throw new ProviderError(`Embeddings (${id}): timeout após ${timeoutMs / 1000}s`, { provider: id, code: "timeout", retryable: true });
+    }
+    throw e;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function trimBase(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
+}
+
+export const EMBEDDERS = {
+  local: {
+    label: "Lexical local (sem modelo, fallback offline)",
+    defaultModel: `hash-${LOCAL_DIMS}`,
+    semantic: false,
+    async embed(texts) {
+      return texts.map(localEmbed);
+    }
+  },
+
+  openai: {
+    label: "OpenAI embeddings",
+    defaultModel: "text-embedding-3-small",
+    async embed(texts, settings, model) {
+      const apiKey = String(settings.openaiApiKey || "").trim();
+      if (!apiKey) throw new ProviderError("Embeddings (openai): API Key não configurada.", { provider: "openai", code: "auth" });
+      const data = await postJson("openai", "https://api.openai.com/v1/embeddings",
+        { "Authorization": `Bearer ${apiKey}` },
+        { model, input: texts });
+      return (data?.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+    }
+  },
+
+  gemini: {
+    label: "Gemini embeddings",
+    defaultModel: "text-embedding-004",
+    async embed(texts, settings, model) {
+      const apiKey = String(settings.geminiApiKey || "").trim();
+      if (!apiKey) throw new ProviderError("Embeddings (gemini): API Key não configurada.", { provider: "gemini", code: "auth" });
+      const data = await postJson("gemini",
+        `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:batchEmbedContents`,
+        { "x-goog-api-key": apiKey },
+        { requests: texts.map(t => ({ model: `models/${model}`, content: { parts: [{ text: t }] } })) });
+      return (data?.embeddings || []).map(e => e.values);
+    }
+  },
+
+  ollama: {
+    label: "Ollama embeddings (local)",
+    defaultModel: "nomic-embed-text",
+    async embed(texts, settings, model) {
+      const base = trimBase(settings.ollamaBaseUrl || "http://localhost:11434");
+      const data = await postJson("ollama", `${base}/api/embed`, {}, { model, input: texts }, 120000);
+      return data?.embeddings || [];
+    }
+  }
+};
+
+/**
+ * Resolve the configured embedder. Returns { id, model, signature, embed(texts) }.
+ * The signature changes when embedder/model change, which invalidates stored vectors.
+ */
+export function getEmbedder(settings) {
+  const id = EMBEDDERS[settings?.embedder] ? settings.embedder : "local";
+  const e = EMBEDDERS[id];
+  const model = String(settings?.embeddingModel || "").trim() || e.defaultModel;
+  return {
+    id,
+    model,
+    signature: `${id}:${model}`,
+    embed: (texts) => e.embed(texts, settings || {}, model)
+  };
+}
+
+export function listEmbedders() {
+  return Object.entries(EMBEDDERS).map(([id, e]) => ({ id, label: e.label, defaultModel: e.defaultModel, semantic: e.semantic !== false }));
+}
+
+export function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
@@ -0,0 +1,312 @@
+// background/knowledgeIndex.js
+// Retrieval index (RAG) over the training tab knowledge.
+//
+// Sources (read straight from chrome.storage.local, same keys the content script writes):
+// - whl_knowledge.products   -> 1 chunk per product
+// - whl_knowledge.faq        -> 1 chunk per Q/A
+// - whl_knowledge.documents  -> each extracted section (page / heading) split into overlapping
+//                               chunks, with meta.section/page for citations
+// - whl_examples             -> 1 chunk per few-shot example (user/assistant kept in meta)
+//
+// Chunks + vectors live in IndexedDB (extension origin, not WhatsApp's), keyed by a content
+// hash so re-syncing only embeds what changed. Changing the embedder wipes the vectors.
+//
+// One database per workspace (whl_rag, whl_rag@<id>) fed by that workspace's whl_knowledge /
+// whl_examples; every entry point takes settings.workspaceId (see workspaces.js).
+
+import { getEmbedder, cosine } from "./embedders.js";
+import { keyFor, DEFAULT_WORKSPACE_ID } from "./workspaces.js";
+
+const DB_NAME = "whl_rag";
+const DB_VERSION = 1;
+const EMBED_BATCH = 64;
+
+export const CHUNK_SIZE = 900;    // caracteres
+export const CHUNK_OVERLAP = 150;
+
+const dbPromises = new Map(); // workspaceId -> IDBDatabase (promise)
+const synced = new Set();     // workspaces sem mudança no storage desde o último sync
+const syncing = new Map();    // workspaceId -> sync em andamento (promise)
+
+function workspaceOf(settings) {
+  return settings?.workspaceId || DEFAULT_WORKSPACE_ID;
+}
+
+function openDb(workspaceId) {
+  if (dbPromises.has(workspaceId)) return dbPromises.get(workspaceId);
+  const dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(keyFor(DB_NAME, workspaceId), DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("chunks")) {
+        const store = db.createObjectStore("chunks", { keyPath: "id" });
+        store.createIndex("type", "type", { unique: false });
+      }
+      if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta", { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromises.delete(workspaceId);
+      reject(req.error);
+    };
+  });
+  dbPromises.set(workspaceId, dbPromise);
+  return dbPromise;
+}
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function tx(workspaceId, storeNames, mode, fn) {
+  const db = await openDb(workspaceId);
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(fn(t)).then(r => { result = r; }, reject);
+    t.oncomplete = () => resolve(result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+async function getAllChunks(workspaceId) {
+  return tx(workspaceId, ["chunks"], "readonly", (t) => reqToPromise(t.objectStore("chunks").getAll()));
+}
+
+async function getMeta(workspaceId, key) {
+  const row = await tx(workspaceId, ["meta"], "readonly", (t) => reqToPromise(t.objectStore("meta").get(key)));
+  return row ? row.value : null;
+}
+
+async function setMeta(workspaceId, key, value) {
+  return tx(workspaceId, ["meta"], "readwrite", (t) => { t.objectStore("meta").put({ key, value }); });
+}
+
+function hashText(str) {
+  // FNV-1a, suficiente para detectar mudança de conteúdo
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+/**
+ * Split text into overlapping chunks, preferring paragraph / sentence boundaries.
+ */
+export function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  const clean = String(text || "").replace(/\r/g, "").replace(/[ \t]+/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+  if (!clean) return [];
+  if (clean.length <= size) return [clean];
+
+  const chunks = [];
+  let start = 0;
+  while (start < clean.length) {
+    let end = Math.min(clean.length, start + size);
+    if (end < clean.length) {
+      const window = clean.slice(start, end);
+      const cut = Math.max(window.lastIndexOf("\n\n"), window.lastIndexOf(". "), window.lastIndexOf("\n"));
+      if (cut > size * 0.5) end = start + cut + 1;
+    }
+    chunks.push(clean.slice(start, end).trim());
+    if (end >= clean.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return chunks.filter(Boolean);
+}
+
+function money(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? `R$${n.toFixed(2)}` : "";
+}
+
+/**
+ * Build the list of chunks (without vectors) from knowledge + examples.
+ */
+export function buildChunks(knowledge, examples) {
+  const out = [];
+  const push = (type, sourceId, idx, text, meta = {}) => {
+    const t = String(text || "").trim();
+    if (!t) return;
+    out.push({ id: `${type}:${sourceId}:${idx}:${hashText(t)}`, type, sourceId: String(sourceId), text: t, meta });
+  };
+
+  const k = knowledge || {};
+  (Array.isArray(k.products) ? k.products : []).forEach((p, i) => {
+    const stock = Number(p?.stock) > 0 ? `${p.stock} em estoque` : "ESGOTADO";
+    push("product", p?.id ?? i, 0,
+      `Produto: ${p?.name || ""} — ${money(p?.price)} (${stock})${p?.description ? ` — ${p.description}` : ""}`,
+      { name: p?.name || "" });
+  });
+
+  (Array.isArray(k.faq) ? k.faq : []).forEach((f, i) => {
+    push("faq", i, 0, `P: ${f?.question || ""}\nR: ${f?.answer || ""}`, { question: f?.question || "" });
+  });
+
+  (Array.isArray(k.documents) ? k.documents : []).forEach((d, i) => {
+    const docId = d?.id || d?.name || i;
+    // Extracted docs carry sections (page / heading / row block); legacy ones only text
+    const sections = Array.isArray(d?.sections) && d.sections.length
+      ? d.sections
+      : [{ label: "", text: d?.text }];
+    let idx = 0;
+    for (const s of sections) {
+      for (const c of chunkText(s?.text)) {
+        push("document", docId, idx++, c, {
+          docName: d?.name || "",
+          section: s?.label || "",
+          ...(s?.page ? { page: s.page } : {})
+        });
+      }
+    }
+  });
+
+  (Array.isArray(examples) ? examples : []).forEach((ex, i) => {
+    if (!ex?.user || !ex?.assistant) return;
+    push("example", ex.at || i, 0, `Cliente: ${ex.user}\nResposta: ${ex.assistant}`, { user: ex.user, assistant: ex.assistant });
+  });
+
+  return out;
+}
+
+/**
+ * Incremental sync: embed new chunks, drop stale ones. Safe to call often.
+ * @returns {Promise<{ total, added, removed, embedder }>}
+ */
+export async function syncIndex(settings) {
+  const workspaceId = workspaceOf(settings);
+  if (syncing.has(workspaceId)) return syncing.get(workspaceId);
+  const run = (async () => {
+    synced.add(workspaceId);
+    const embedder = getEmbedder(settings);
+    const knowledgeKey = keyFor("whl_knowledge", workspaceId);
+    const examplesKey = keyFor("whl_examples", workspaceId);
+    const res = await chrome.storage.local.get([knowledgeKey, examplesKey]);
+    const wanted = buildChunks(res?.[knowledgeKey], res?.[examplesKey]);
+
+    // Troca de embedder invalida todos os vetores
+    const signature = await getMeta(workspaceId, "embedder");
+    if (signature !== embedder.signature) {
+      await tx(workspaceId, ["chunks"], "readwrite", (t) => { t.objectStore("chunks").clear(); });
+      await setMeta(workspaceId, "embedder", embedder.signature);
+    }
+
+    const existing = await getAllChunks(workspaceId);
+    const existingIds = new Set(existing.map(c => c.id));
+    const wantedIds = new Set(wanted.map(c => c.id));
+    const toAdd = wanted.filter(c => !existingIds.has(c.id));
+    const toRemove = existing.filter(c => !wantedIds.has(c.id)).map(c => c.id);
+
+    for (let i = 0; i < toAdd.length; i += EMBED_BATCH) {
+      const batch = toAdd.slice(i, i + EMBED_BATCH);
+      const vectors = await embedder.embed(batch.map(c => c.text));
+      await tx(workspaceId, ["chunks"], "readwrite", (t) => {
+        const store = t.objectStore("chunks");
+        batch.forEach((c, j) => {
+          if (Array.isArray(vectors[j])) store.put({ ...c, vector: vectors[j], indexedAt: Date.now() });
+        });
+      });
+    }
+
+    if (toRemove.length) {
+      await tx(workspaceId, ["chunks"], "readwrite", (t) => {
+        const store = t.objectStore("chunks");
+        toRemove.forEach(id => store.delete(id));
+      });
+    }
+
+    await setMeta(workspaceId, "lastSync", Date.now());
+    return { total: wanted.length, added: toAdd.length, removed: toRemove.length, embedder: embedder.signature };
+  })();
+  syncing.set(workspaceId, run);
+
+  try {
+    return await run;
+  } catch (e) {
+    synced.delete(workspaceId);
+    throw e;
+  } finally {
+    syncing.delete(workspaceId);
+  }
+}
+
+/**
+ * Top-k chunks for a query. Syncs first if knowledge/examples changed.
+ * @param {Object} opts - { k, types: ['product','faq','document','example'], minScore }
+ */
+export async function queryIndex(settings, query, { k = 6, types = null, minScore = 0.15 } = {}) {
+  const q = String(query || "").trim();
+  if (!q) return [];
+  const workspaceId = workspaceOf(settings);
+  if (!synced.has(workspaceId)) await syncIndex(settings);
+
+  const embedder = getEmbedder(settings);
+  const [qVec] = await embedder.embed([q.slice(-4000)]);
+  if (!Array.isArray(qVec)) return [];
+
+  const all = await getAllChunks(workspaceId);
+  return all
+    .filter(c => !types || types.includes(c.type))
+    .map(c => ({ id: c.id, type: c.type, text: c.text, meta: c.meta, score: cosine(qVec, c.vector || []) }))
+    .filter(r => r.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+/**
+ * Counts per type and per document (for the training tab stats).
+ */
+export async function getIndexStats(workspaceId = DEFAULT_WORKSPACE_ID) {
+  const all = await getAllChunks(workspaceId);
+  const byType = {};
+  const byDocument = {};
+  for (const c of all) {
+    byType[c.type] = (byType[c.type] || 0) + 1;
+    if (c.type === "document") {
+      const d = byDocument[c.sourceId] || { chunks: 0, chars: 0 };
+      d.chunks += 1;
+      d.chars += c.text.length;
+      byDocument[c.sourceId] = d;
+    }
+  }
+  return {
+    total: all.length,
+    byType,
+    byDocument,
+    embedder: await getMeta(workspaceId, "embedder"),
+    lastSync: await getMeta(workspaceId, "lastSync"),
+    dirty: !synced.has(workspaceId)
+  };
+}
+
+/**
+ * Apagar o índice de um workspace removido
+ */
+export async function dropIndex(workspaceId) {
+  const pending = dbPromises.get(workspaceId);
+  dbPromises.delete(workspaceId);
+  synced.delete(workspaceId);
+  if (pending) (await pending.catch(() => null))?.close();
+  await new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(keyFor(DB_NAME, workspaceId));
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+// Knowledge/examples changed (content script saved) -> re-sync lazily on next query
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if (changes.embedder || changes.embeddingModel) {
+    synced.clear();
+    return;
+  }
+  for (const key of Object.keys(changes)) {
+    const [name, workspaceId = DEFAULT_WORKSPACE_ID] = key.split("@");
+    if (name === "whl_knowledge" || name === "whl_examples") synced.delete(workspaceId);
+  }
+});
@@ -0,0 +1,368 @@
+// background/memorySync.js
+// Sync bidirecional com o memory server: outbox durável com ack por evento + pull por cursor.
+//
+// Outbox (chrome.storage.local, whl_sync_outbox): um registro por evento
+// {
+//   id,                  // UUID, também vai no evento (o servidor descarta repetidos)
+//   event,               // { type: chat_memory | example | ..., origin, ... }
+//   createdAt, attempts, nextAttemptAt, lastError,
+//   status               // pending | failed (falhou MAX_ATTEMPTS vezes ou o servidor recusou)
+// }
+// Nada sai da outbox sem ack do servidor (accepted | duplicate). Um chat_memory novo substitui
+// o pendente do mesmo contato: o evento leva a memória inteira, só o mais novo importa.
+//
+// Estado (whl_sync_state): { deviceId, cursor, lastPushAt, lastPullAt, lastError, dropped }
+// deviceId vai como "origin" em cada evento para o pull não devolver o que este navegador enviou.
+//
+// Pull: a memória fica no IndexedDB do content script (origem web.whatsapp.com), então o service
+// worker só busca as mudanças; o content script aplica (WHL_MemoryStore.applyRemote) e confirma
+// o cursor com ackMemoryPull. Conflito: vence o updatedAt mais novo; com alteração local ainda
+// na outbox, os campos são mesclados e o resultado é reenviado.
+//
+// Backend:
+//   POST /v1/memory/batch.php { events: [{ id, ... }] }   -> { ok, accepted, acks: [{ id, status, error? }] }
+//   POST /v1/memory/pull.php  { cursor, limit, origin }   -> { ok, changes: [...], cursor, more }
+//
+// Outbox e estado são por workspace (keyFor, ver background/workspaces.js): cada loja envia
+// para o seu memory server com a sua chave, e o alarme esvazia a outbox de todas.
+
+import { keyFor, DEFAULT_WORKSPACE_ID } from "./workspaces.js";
+
+const OUTBOX_KEY = "whl_sync_outbox";
+const STATE_KEY = "whl_sync_state";
+const LEGACY_QUEUE_KEY = "whl_sync_queue";
+const MAX_OUTBOX = 5000;
+const BATCH_SIZE = 50;
+const MAX_BATCHES_PER_FLUSH = 20;
+const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 30000;
+const BACKOFF_MAX_MS = 3600000;
+
+export const MEMORY_SYNC_ALARM = "whl_memory_sync";
+export const MEMORY_SYNC_MINUTES = 5;
+
+// -------------------------
+// HTTP
+// -------------------------
+export async function callMemoryJson({ settings, path, method = "POST", body, timeoutMs = 30000 }) {
+  const base = String(settings?.memoryServerUrl || "").trim();
+  const key = String(settings?.memoryWorkspaceKey || "").trim();
+  if (!base || !key) throw new Error("Memory server não configurado (URL/chave).");
+
+  const url = base.replace(/\/+$/, "") + path;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const resp = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Workspace-Key": key
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    clearTimeout(timeoutId);
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      const msg = data?.error || data?.message || `HTTP ${resp.status}`;
+      throw new Error(`Memory server: ${msg}`);
+    }
+    return data;
+  } catch (e) {
+    clearTimeout(timeoutId);
+    if (e.name === 'AbortError') {
+      throw new Error('Memory server timeout após ' + (timeoutMs/1000) + 's');
+    }
+    throw e;
+  }
+}
+
+export function isMemorySyncConfigured(settings) {
+  return Boolean(settings?.memorySyncEnabled && settings.memoryServerUrl && settings.memoryWorkspaceKey);
+}
+
+// -------------------------
+// Storage (serializado: enqueue e ack não podem se atropelar no read-modify-write)
+// -------------------------
+let lock = Promise.resolve();
+
+function withLock(fn) {
+  const run = lock.then(fn, fn);
+  lock = run.catch(() => {});
+  return run;
+}
+
+async function loadState(workspaceId) {
+  const stateKey = keyFor(STATE_KEY, workspaceId);
+  const res = await chrome.storage.local.get([stateKey]);
+  const state = res?.[stateKey] || {};
+  return {
+    deviceId: state.deviceId || crypto.randomUUID(),
+    cursor: Number(state.cursor) || 0,
+    lastPushAt: state.lastPushAt || null,
+    lastPullAt: state.lastPullAt || null,
+    lastError: state.lastError || null,
+    dropped: Number(state.dropped) || 0
+  };
+}
+
+async function updateState(patch, workspaceId) {
+  return withLock(async () => {
+    const state = { ...(await loadState(workspaceId)), ...patch };
+    await chrome.storage.local.set({ [keyFor(STATE_KEY, workspaceId)]: state });
+    return state;
+  });
+}
+
+function newEntry(event, createdAt = Date.now()) {
+  const id = event.id || crypto.randomUUID();
+  return { id, event: { ...event, id }, createdAt, attempts: 0, nextAttemptAt: 0, lastError: null, status: "pending" };
+}
+
+// Fila antiga (whl_sync_queue, sem ids, só existe no workspace principal): entra na outbox uma vez e some
+async function loadOutbox(workspaceId) {
+  const outboxKey = keyFor(OUTBOX_KEY, workspaceId);
+  const legacyKey = outboxKey === OUTBOX_KEY ? LEGACY_QUEUE_KEY : null;
+  const res = await chrome.storage.local.get(legacyKey ? [outboxKey, legacyKey] : [outboxKey]);
+  const outbox = Array.isArray(res?.[outboxKey]) ? res[outboxKey] : [];
+  const legacy = legacyKey && Array.isArray(res?.[legacyKey]) ? res[legacyKey] : null;
+  if (!legacy) return outbox;
+
+  const state = await loadState(workspaceId);
+  const migrated = [...legacy.map(({ at, ...ev }) => newEntry({ ...ev, origin: state.deviceId }, at || Date.now())), ...outbox];
+  await chrome.storage.local.set({ [outboxKey]: migrated, [keyFor(STATE_KEY, workspaceId)]: state });
+  await chrome.storage.local.remove(LEGACY_QUEUE_KEY);
+  return migrated;
+}
+
+async function saveOutbox(outbox, workspaceId) {
+  let dropped = 0;
+  if (outbox.length > MAX_OUTBOX) {
+    // Sem espaço: saem primeiro as que já falharam de vez, depois as mais antigas (contadas no status)
+    const order = outbox.slice().sort((a, b) => (Number(a.status !== "failed") - Number(b.status !== "failed")) || a.createdAt - b.createdAt);
+    const drop = new Set(order.slice(0, outbox.length - MAX_OUTBOX).map(e => e.id));
+    outbox = outbox.filter(e => !drop.has(e.id));
+    dropped = drop.size;
+  }
+  await chrome.storage.local.set({ [keyFor(OUTBOX_KEY, workspaceId)]: outbox });
+  if (dropped) {
+    const state = await loadState(workspaceId);
+    await chrome.storage.local.set({ [keyFor(STATE_KEY, workspaceId)]: { ...state, dropped: state.dropped + dropped } });
+  }
+}
+
+// -------------------------
+// Outbox
+// -------------------------
+const inFlight = new Set();
+
+/**
+ * Guardar um evento na outbox (antes de qualquer tentativa de envio)
+ * @returns {Promise<number>} eventos pendentes
+ */
+export async function enqueueMemoryEvent(event, workspaceId = DEFAULT_WORKSPACE_ID) {
+  return withLock(async () => {
+    const state = await loadState(workspaceId);
+    let outbox = await loadOutbox(workspaceId);
+    const entry = newEntry({ ...(event || { type: "unknown" }), origin: state.deviceId });
+
+    if (entry.event.type === "chat_memory" && entry.event.contactId) {
+      outbox = outbox.filter(e => inFlight.has(e.id) || e.event?.type !== "chat_memory" || e.event.contactId !== entry.event.contactId);
+    }
+    outbox.push(entry);
+    await chrome.storage.local.set({ [keyFor(STATE_KEY, workspaceId)]: state });
+    await saveOutbox(outbox, workspaceId);
+    return outbox.filter(e => e.status === "pending").length;
+  });
+}
+
+function backoff(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Resultado de um lote: ids confirmados saem, recusados viram failed, o resto tenta de novo depois
+async function settleBatch(batch, acks, error, workspaceId) {
+  return withLock(async () => {
+    const now = Date.now();
+    const byId = new Map(batch.map(e => [e.id, e]));
+    let sent = 0;
+    let failed = 0;
+    const outbox = [];
+
+    for (const entry of await loadOutbox(workspaceId)) {
+      if (!byId.has(entry.id)) {
+        outbox.push(entry);
+        continue;
+      }
+      const ack = acks?.get(entry.id);
+      if (ack && (ack.status === "accepted" || ack.status === "duplicate")) {
+        sent++;
+        continue;
+      }
+      if (ack?.status === "rejected") {
+        outbox.push({ ...entry, status: "failed", lastError: ack.error || "Recusado pelo servidor" });
+        failed++;
+        continue;
+      }
+      const attempts = entry.attempts + 1;
+      const giveUp = attempts >= MAX_ATTEMPTS;
+      outbox.push({
+        ...entry,
+        attempts,
+        status: giveUp ? "failed" : "pending",
+        nextAttemptAt: now + backoff(attempts),
+        lastError: error || "Sem confirmação do servidor"
+      });
+      if (giveUp) failed++;
+    }
+    await saveOutbox(outbox, workspaceId);
+    return { sent, failed };
+  });
+}
+
+const flushing = new Map(); // workspaceId -> flush em andamento
+
+/**
+ * Enviar o que está pendente (e já passou do backoff) em lotes, removendo só o que teve ack.
+ * Uma chamada por vez por workspace: MEMORY_PUSH seguidos reaproveitam o flush em andamento.
+ * @param {Object} settings getSettings(workspaceId) - URL, chave e workspaceId da outbox
+ * @returns {Promise<{ flushed, failed, pending }>}
+ */
+export function flushMemoryOutbox(settings) {
+  const workspaceId = settings?.workspaceId || DEFAULT_WORKSPACE_ID;
+  if (flushing.has(workspaceId)) return flushing.get(workspaceId);
+  const run = (async () => {
+    let flushed = 0;
+    let failed = 0;
+    let lastError = null;
+
+    for (let i = 0; i < MAX_BATCHES_PER_FLUSH; i++) {
+      const now = Date.now();
+      const batch = await withLock(async () => (await loadOutbox(workspaceId))
+        .filter(e => e.status === "pending" && e.nextAttemptAt <= now && !inFlight.has(e.id))
+        .slice(0, BATCH_SIZE));
+      if (!batch.length) break;
+
+      batch.forEach(e => inFlight.add(e.id));
+      try {
+        const data = await callMemoryJson({
+          settings,
+          path: "/v1/memory/batch.php",
+          body: { events: batch.map(e => e.event) }
+        });
+        let acks = null;
+        if (Array.isArray(data?.acks)) {
+          acks = new Map(data.acks.filter(a => a?.id).map(a => [a.id, a]));
+        } else if (Number(data?.accepted) === batch.length) {
+          // Servidor sem acks por evento: aceitou o lote inteiro
+          acks = new Map(batch.map(e => [e.id, { id: e.id, status: "accepted" }]));
+        }
+        const r = await settleBatch(batch, acks, null, workspaceId);
+        flushed += r.sent;
+        failed += r.failed;
+        if (r.sent < batch.length) break; // o resto ficou para o backoff
+      } catch (e) {
+        lastError = e?.message || String(e);
+        failed += (await settleBatch(batch, null, lastError, workspaceId)).failed;
+        break;
+      } finally {
+        batch.forEach(e => inFlight.delete(e.id));
+      }
+    }
+
+    await updateState(lastError ? { lastError } : { lastError: null, ...(flushed ? { lastPushAt: Date.now() } : {}) }, workspaceId);
+    const status = await getMemorySyncStatus(workspaceId);
+    if (lastError && !flushed) throw new Error(lastError);
+    return { flushed, failed, pending: status.pending };
+  })().finally(() => {
+    flushing.delete(workspaceId);
+  });
+  flushing.set(workspaceId, run);
+  return run;
+}
+
+/**
+ * Devolver os eventos que falharam de vez para a fila (botão "Tentar de novo" do popup)
+ * @returns {Promise<number>} eventos reabertos
+ */
+export async function retryFailedMemoryEvents(workspaceId = DEFAULT_WORKSPACE_ID) {
+  return withLock(async () => {
+    let count = 0;
+    const outbox = (await loadOutbox(workspaceId)).map(e => {
+      if (e.status !== "failed") return e;
+      count++;
+      return { ...e, status: "pending", attempts: 0, nextAttemptAt: 0 };
+    });
+    await saveOutbox(outbox, workspaceId);
+    return count;
+  });
+}
+
+// -------------------------
+// Pull
+// -------------------------
+/**
+ * Buscar memórias alteradas por outros agentes / pelo painel depois do cursor salvo.
+ * O cursor só avança com ackMemoryPull, depois que o content script aplicou as mudanças.
+ * @returns {Promise<{ changes, cursor, more, pendingContacts }>}
+ *   pendingContacts: contatos com alteração local ainda na outbox (aplicar com merge)
+ */
+export async function pullMemoryChanges(settings, { limit = 100 } = {}) {
+  const workspaceId = settings?.workspaceId || DEFAULT_WORKSPACE_ID;
+  const state = await updateState({}, workspaceId);
+  try {
+    const data = await callMemoryJson({
+      settings,
+      path: "/v1/memory/pull.php",
+      body: { cursor: state.cursor, limit, origin: state.deviceId }
+    });
+    const outbox = await withLock(() => loadOutbox(workspaceId));
+    const pendingContacts = [...new Set(outbox
+      .filter(e => e.event?.type === "chat_memory" && e.event.contactId)
+      .map(e => e.event.contactId))];
+    return {
+      changes: (Array.isArray(data?.changes) ? data.changes : []).filter(c => c?.contactId && c.memory),
+      cursor: Number(data?.cursor) || state.cursor,
+      more: Boolean(data?.more),
+      pendingContacts
+    };
+  } catch (e) {
+    await updateState({ lastError: e?.message || String(e) }, workspaceId);
+    throw e;
+  }
+}
+
+export async function ackMemoryPull(cursor, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const state = await loadState(workspaceId);
+  const next = Math.max(state.cursor, Number(cursor) || 0);
+  await updateState({ cursor: next, lastPullAt: Date.now(), lastError: null }, workspaceId);
+  return next;
+}
+
+// -------------------------
+// Status (popup)
+// -------------------------
+export async function getMemorySyncStatus(workspaceId = DEFAULT_WORKSPACE_ID) {
+  const [outbox, state] = await withLock(async () => [await loadOutbox(workspaceId), await loadState(workspaceId)]);
+  const failedEntries = outbox.filter(e => e.status === "failed");
+  return {
+    pending: outbox.length - failedEntries.length,
+    failed: failedEntries.length,
+    oldestPendingAt: outbox.reduce((min, e) => (e.status === "pending" && (!min || e.createdAt < min) ? e.createdAt : min), null),
+    lastPushAt: state.lastPushAt,
+    lastPullAt: state.lastPullAt,
+    lastError: state.lastError,
+    dropped: state.dropped,
+    failures: failedEntries.slice(-5).map(e => ({
+      id: e.id,
+      type: e.event?.type || "unknown",
+      contactId: e.event?.contactId || null,
+      attempts: e.attempts,
+      lastError: e.lastError
+    }))
+  };
+}
@@ -0,0 +1,562 @@
+// background/providers.js
+// LLM provider registry used by the service worker (AI_CHAT).
+//
+// Each adapter declares:
+// - label / models / defaultModel
+// - keys: which settings keys hold apiKey / model / baseUrl for it
+// - buildRequest(): maps our { messages, temperature, maxTokens, tools } to its wire format
+// - parseResponse(): extracts { text, usage, toolCalls } from the provider JSON
+// - streamFormat + parseStreamEvent(): same as parseResponse, per SSE/NDJSON event ({ delta, usage })
+// - normalizeError(): turns HTTP status + body into a ProviderError
+//
+// Messages are always OpenAI-style [{ role, content }]; adapters convert as needed.
+// Function calling uses two extra neutral shapes (see background/aiTools.js):
+//   { role: "assistant", content, toolCalls: [{ id, name, args }] }
+//   { role: "tool", toolCallId, name, content }   // content = JSON string
+// and tools are declared as [{ name, description, parameters }] (JSON Schema).
+
+export class ProviderError extends Error {
+  constructor(message, { provider, status = 0, code = "unknown", retryable = false } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+function clamp(v, min, max) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return min;
+  return Math.max(min, Math.min(max, n));
+}
+
+function trimBase(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
+}
+
+// Maps an HTTP status to a stable error code shared by all adapters
+export function codeFromStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 404) return "not_found";
+  if (status === 408) return "timeout";
+  if (status === 429) return "rate_limit";
+  if (status >= 500) return "server";
+  if (status >= 400) return "bad_request";
+  return "network";
+}
+
+export function isRetryableCode(code) {
+  return code === "rate_limit" || code === "server" || code === "timeout" || code === "network";
+}
+
+function makeError(provider, status, message) {
+  const code = codeFromStatus(status);
+  const label = PROVIDERS[provider]?.label || provider;
+  return new ProviderError(`${label}: ${message || `HTTP ${status}`}`, {
+    provider,
+    status,
+    code,
+    retryable: isRetryableCode(code)
+  });
+}
+
+// Anthropic/Gemini take system separately and require strictly alternating turns starting
+// with "user": collect system text, convert each message to blocks/parts and merge
+// consecutive same-role turns.
+function toAlternatingTurns(messages, { userRole, toBlocks }) {
+  const system = [];
+  const turns = [];
+  for (const m of messages || []) {
+    if (!m) continue;
+    if (m.role === "system") {
+      if (typeof m.content === "string") system.push(m.content);
+      continue;
+    }
+    const role = m.role === "assistant" ? "assistant" : "user";
+    const blocks = toBlocks(m);
+    if (!blocks.length) continue;
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) last.blocks.push(...blocks);
+    else turns.push({ role, blocks });
+  }
+  if (turns.length && turns[0].role !== "user") {
+    turns.unshift({ role: "user", blocks: toBlocks({ role: "user", content: "(início da conversa)" }) });
+  }
+  return { system: system.join("\n\n"), turns: turns.map(t => ({ ...t, role: t.role === "user" ? userRole.user : userRole.assistant })) };
+}
+
+function parseArgs(raw) {
+  if (raw && typeof raw === "object") return raw;
+  try {
+    const parsed = JSON.parse(raw || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// -------------------------
+// OpenAI-style chat/completions (OpenAI, compatible servers, llama.cpp)
+// -------------------------
+function openAiMessages(messages) {
+  return (messages || []).map(m => {
+    if (m.role === "tool") return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+    if (m.role === "assistant" && m.toolCalls?.length) {
+      return {
+        role: "assistant",
+        content: m.content || null,
+        tool_calls: m.toolCalls.map(c => ({
+          id: c.id,
+          type: "function",
+          function: { name: c.name, arguments: JSON.stringify(c.args || {}) }
+        }))
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+function openAiTools(tools) {
+  return tools.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.parameters } }));
+}
+
+function openAiRequest({ baseUrl, apiKey, model, messages, temperature, maxTokens, stream, tools }) {
+  const body = {
+    model,
+    messages: openAiMessages(messages),
+    temperature: clamp(temperature, 0, 2),
+    max_tokens: maxTokens
+  };
+  if (tools?.length) body.tools = openAiTools(tools);
+  if (stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  return {
+    url: `${trimBase(baseUrl)}/chat/completions`,
+    headers: Object.assign(
+      { "Content-Type": "application/json" },
+      apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}
+    ),
+    body
+  };
+}
+
+function openAiResponse(data) {
+  const message = data?.choices?.[0]?.message;
+  return {
+    text: message?.content || "",
+    usage: data?.usage
+      ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+      : null,
+    toolCalls: (message?.tool_calls || [])
+      .filter(c => c?.function?.name)
+      .map(c => ({ id: c.id, name: c.function.name, args: parseArgs(c.function.arguments) }))
+  };
+}
+
+function openAiStreamEvent(data) {
+  return {
+    delta: data?.choices?.[0]?.delta?.content || "",
+    usage: data?.usage
+      ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+      : null
+  };
+}
+
+function openAiError(id) {
+  return (status, data) => makeError(id, status, data?.error?.message || data?.message);
+}
+
+export const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    models: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"],
+    defaultModel: "gpt-4o-mini",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    keys: { apiKey: "openaiApiKey", model: "openaiModel" },
+    requiresKey: true,
+    keyPrefix: "sk-",
+    buildRequest: openAiRequest,
+    parseResponse: openAiResponse,
+    streamFormat: "sse",
+    parseStreamEvent: openAiStreamEvent,
+    normalizeError: openAiError("openai")
+  },
+
+  anthropic: {
+    label: "Anthropic (Claude)",
+    models: ["claude-3-5-haiku-latest", "claude-3-5-sonnet-latest", "claude-3-7-sonnet-latest"],
+    defaultModel: "claude-3-5-haiku-latest",
+    defaultBaseUrl: "https://api.anthropic.com/v1",
+    keys: { apiKey: "anthropicApiKey", model: "anthropicModel" },
+    requiresKey: true,
+    keyPrefix: "sk-ant-",
+    buildRequest({ baseUrl, apiKey, model, messages, temperature, maxTokens, stream, tools }) {
+      const { system, turns } = toAlternatingTurns(messages, {
+        userRole: { user: "user", assistant: "assistant" },
+        toBlocks(m) {
+          if (m.role === "tool") return [{ type: "tool_result", tool_use_id: m.toolCallId, content: m.content }];
+          const blocks = typeof m.content === "string" && m.content ? [{ type: "text", text: m.content }] : [];
+          for (const c of m.toolCalls || []) blocks.push({ type: "tool_use", id: c.id, name: c.name, input: c.args || {} });
+          return blocks;
+        }
+      });
+      const body = {
+        model,
+        messages: turns.map(t => ({ role: t.role, content: t.blocks })),
+        // Anthropic aceita 0..1
+        temperature: clamp(temperature, 0, 1),
+        max_tokens: maxTokens
+      };
+      if (system) body.system = system;
+      if (tools?.length) {
+        body.tools = tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+      }
+      if (stream) body.stream = true;
+      return {
+        url: `${trimBase(baseUrl)}/messages`,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+          "anthropic-dangerous-direct-browser-access": "true"
+        },
+        body
+      };
+    },
+    parseResponse(data) {
+      const blocks = Array.isArray(data?.content) ? data.content : [];
+      const text = blocks
+        .filter(b => b?.type === "text")
+        .map(b => b.text)
+        .join("");
+      return {
+        text,
+        usage: data?.usage
+          ? { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 }
+          : null,
+        toolCalls: blocks
+          .filter(b => b?.type === "tool_use")
+          .map(b => ({ id: b.id, name: b.name, args: b.input || {} }))
+      };
+    },
+    streamFormat: "sse",
+    parseStreamEvent(data) {
+      // message_start traz input_tokens; message_delta traz output_tokens acumulado
+      if (data?.type === "content_block_delta") return { delta: data.delta?.text || "", usage: null };
+      if (data?.type === "message_start" && data.message?.usage) {
+        return { delta: "", usage: { inputTokens: data.message.usage.input_tokens || 0 } };
+      }
+      if (data?.type === "message_delta" && data.usage) {
+        return { delta: "", usage: { outputTokens: data.usage.output_tokens || 0 } };
+      }
+      if (data?.type === "error") {
+        throw makeError("anthropic", data.error?.type === "overloaded_error" ? 529 : 500, data.error?.message);
+      }
+      return { delta: "", usage: null };
+    },
+    normalizeError(status, data) {
+      // Anthropic usa 529 para "overloaded"
+      return makeError("anthropic", status, data?.error?.message);
+    }
+  },
+
+  gemini: {
+    label: "Google Gemini",
+    models: ["gemini-1.5-flash", "gemini-1.5-pro", "gemini-2.0-flash"],
+    defaultModel: "gemini-1.5-flash",
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    keys: { apiKey: "geminiApiKey", model: "geminiModel" },
+    requiresKey: true,
+    keyPrefix: "AIza",
+    buildRequest({ baseUrl, apiKey, model, messages, temperature, maxTokens, stream, tools }) {
+      const { system, turns } = toAlternatingTurns(messages, {
+        userRole: { user: "user", assistant: "model" },
+        toBlocks(m) {
+          if (m.role === "tool") {
+            // Gemini exige um objeto em functionResponse.response
+            const parsed = parseArgs(m.content);
+            return [{ functionResponse: { name: m.name, response: Object.keys(parsed).length ? parsed : { content: m.content } } }];
+          }
+          const parts = typeof m.content === "string" && m.content ? [{ text: m.content }] : [];
+          for (const c of m.toolCalls || []) parts.push({ functionCall: { name: c.name, args: c.args || {} } });
+          return parts;
+        }
+      });
+      const body = {
+        contents: turns.map(t => ({ role: t.role, parts: t.blocks })),
+        generationConfig: {
+          temperature: clamp(temperature, 0, 2),
+          maxOutputTokens: maxTokens
+        }
+      };
+      if (system) body.systemInstruction = { parts: [{ text: system }] };
+      if (tools?.length) {
+        body.tools = [{
+          functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parameters: t.parameters }))
+        }];
+      }
+      return {
+        url: stream
+          ? `${trimBase(baseUrl)}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`
+          : `${trimBase(baseUrl)}/models/${encodeURIComponent(model)}:generateContent`,
+        headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+        body
+      };
+    },
+    parseResponse(data) {
+      const parts = data?.candidates?.[0]?.content?.parts || [];
+      const meta = data?.usageMetadata;
+      return {
+        text: parts.map(p => p?.text || "").join(""),
+        usage: meta
+          ? { inputTokens: meta.promptTokenCount || 0, outputTokens: meta.candidatesTokenCount || 0 }
+          : null,
+        // Gemini não devolve id de chamada; o nome identifica a resposta
+        toolCalls: parts
+          .filter(p => p?.functionCall?.name)
+          .map((p, i) => ({ id: `call_${i}_${p.functionCall.name}`, name: p.functionCall.name, args: p.functionCall.args || {} }))
+      };
+    },
+    streamFormat: "sse",
+    parseStreamEvent(data) {
+      // Cada evento tem o mesmo formato da resposta completa, com o pedaço novo do texto
+      const { text, usage } = PROVIDERS.gemini.parseResponse(data);
+      return { delta: text, usage };
+    },
+    normalizeError(status, data) {
+      return makeError("gemini", status, data?.error?.message);
+    }
+  },
+
+  ollama: {
+    label: "Local (Ollama)",
+    models: ["llama3.1", "llama3.2", "qwen2.5", "mistral", "gemma2"],
+    defaultModel: "llama3.1",
+    defaultBaseUrl: "http://localhost:11434",
+    keys: { model: "ollamaModel", baseUrl: "ollamaBaseUrl" },
+    requiresKey: false,
+    buildRequest({ baseUrl, model, messages, temperature, maxTokens, stream, tools }) {
+      const body = {
+        model,
+        messages: (messages || []).map(m => {
+          if (m.role === "tool") return { role: "tool", content: m.content };
+          if (m.role === "assistant" && m.toolCalls?.length) {
+            return {
+              role: "assistant",
+              content: m.content || "",
+              tool_calls: m.toolCalls.map(c => ({ function: { name: c.name, arguments: c.args || {} } }))
+            };
+          }
+          return { role: m.role, content: m.content };
+        }),
+        stream: Boolean(stream),
+        options: { temperature: clamp(temperature, 0, 2), num_predict: maxTokens }
+      };
+      if (tools?.length) body.tools = openAiTools(tools);
+      return {
+        url: `${trimBase(baseUrl)}/api/chat`,
+        headers: { "Content-Type": "application/json" },
+        body
+      };
+    },
+    parseResponse(data) {
+      return {
+        text: data?.message?.content || "",
+        usage: (data?.prompt_eval_count || data?.eval_count)
+          ? { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+          : null,
+        toolCalls: (data?.message?.tool_calls || [])
+          .filter(c => c?.function?.name)
+          .map((c, i) => ({ id: `call_${i}_${c.function.name}`, name: c.function.name, args: parseArgs(c.function.arguments) }))
+      };
+    },
+    // Ollama faz streaming em NDJSON (uma linha JSON por pedaço), não SSE
+    streamFormat: "ndjson",
+    parseStreamEvent(data) {
+      if (data?.error) throw makeError("ollama", 500, data.error);
+      const { text, usage } = PROVIDERS.ollama.parseResponse(data);
+      return { delta: text, usage: data?.done ? usage : null };
+    },
+    normalizeError(status, data) {
+      // Ollama devolve 403 quando OLLAMA_ORIGINS não libera chrome-extension://
+      if (status === 403) {
+        return makeError("ollama", status, "acesso negado (configure OLLAMA_ORIGINS=chrome-extension://*)");
+      }
+      return makeError("ollama", status, data?.error);
+    }
+  },
+
+  // Qualquer servidor com /chat/completions (llama.cpp server, LM Studio, vLLM, OpenRouter, Groq...)
+  compat: {
+    label: "OpenAI-compatível",
+    models: [],
+    defaultModel: "",
+    defaultBaseUrl: "http://localhost:8080/v1",
+    keys: { apiKey: "compatApiKey", model: "compatModel", baseUrl: "compatBaseUrl" },
+    requiresKey: false,
+    buildRequest: openAiRequest,
+    parseResponse: openAiResponse,
+    streamFormat: "sse",
+    parseStreamEvent: openAiStreamEvent,
+    normalizeError: openAiError("compat")
+  }
+};
+
+/**
+ * Public metadata (no functions) for the popup picker.
+ */
+export function listProviders() {
+  const out = [{ id: "backend", label: "Backend (proxy Alabama)", models: [], keys: {}, requiresKey: false }];
+  for (const [id, p] of Object.entries(PROVIDERS)) {
+    out.push({
+      id,
+      label: p.label,
+      models: p.models,
+      defaultModel: p.defaultModel,
+      defaultBaseUrl: p.defaultBaseUrl,
+      keys: p.keys,
+      requiresKey: p.requiresKey,
+      keyPrefix: p.keyPrefix || ""
+    });
+  }
+  return out;
+}
+
+/**
+ * Resolve apiKey/model/baseUrl for a provider from settings, with per-call overrides.
+ */
+export function resolveProviderConfig(id, settings, overrides = {}) {
+  const p = PROVIDERS[id];
+  if (!p) throw new ProviderError(`Provedor desconhecido: ${id}`, { provider: id, code: "bad_request" });
+  const pick = (k) => (p.keys[k] ? String(settings?.[p.keys[k]] || "").trim() : "");
+  return {
+    apiKey: String(overrides.apiKey || pick("apiKey")).trim(),
+    model: String(overrides.model || pick("model") || p.defaultModel).trim(),
+    baseUrl: String(overrides.baseUrl || pick("baseUrl") || p.defaultBaseUrl).trim()
+  };
+}
+
+/**
+ * Read an SSE or NDJSON body, calling onEvent(json) per event.
+ * `touch` is called on every chunk so the caller can reset its idle timeout.
+ */
+async function readEventStream(body, format, onEvent, touch) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const handleLine = (line) => {
+    let payload = line.trim();
+    if (!payload) return;
+    if (format === "sse") {
+      // ignora "event:", "id:", comentários ":" — só os dados interessam
+      if (!payload.startsWith("data:")) return;
+      payload = payload.slice(5).trim();
+      if (!payload || payload === "[DONE]") return;
+    }
+    let json;
+    try { json = JSON.parse(payload); } catch (_) { return; }
+    onEvent(json);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    touch();
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) handleLine(line);
+  }
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+}
+
+/**
+ * Call a registered provider. Returns { text, usage, toolCalls, model, provider, raw }.
+ *
+ * With `onDelta`, the request is streamed and onDelta(textPiece) is called as tokens arrive;
+ * `timeoutMs` then counts idle time between chunks instead of the whole request.
+ * `signal` lets the caller cancel (throws ProviderError with code "aborted").
+ * `tools` offers function calling; requests with tools are never streamed.
+ */
+export async function callProvider(id, { apiKey, model, baseUrl, messages, temperature, maxTokens, timeoutMs = 30000, onDelta, signal, tools }) {
+  const p = PROVIDERS[id];
+  if (!p) throw new ProviderError(`Provedor desconhecido: ${id}`, { provider: id, code: "bad_request" });
+  if (p.requiresKey && !apiKey) {
+    throw new ProviderError(`${p.label}: API Key não configurada.`, { provider: id, code: "auth" });
+  }
+  if (!model) throw new ProviderError(`${p.label}: modelo não configurado.`, { provider: id, code: "bad_request" });
+  if (!baseUrl) throw new ProviderError(`${p.label}: URL base não configurada.`, { provider: id, code: "bad_request" });
+
+  const stream = typeof onDelta === "function" && Boolean(p.parseStreamEvent) && !tools?.length;
+  const req = p.buildRequest({ baseUrl, apiKey, model, messages: messages || [], temperature, maxTokens, stream, tools });
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeoutId = null;
+  const touch = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  const mapError = (e) => {
+    if (e instanceof ProviderError) return e;
+    if (e?.name === "AbortError") {
+      if (!timedOut) return new ProviderError(`${p.label}: geração cancelada`, { provider: id, code: "aborted" });
+      return new ProviderError(`${p.label}: Request timeout após ${timeoutMs / 1000}s`, {
+        provider: id, code: "timeout", retryable: true
+      });
+    }
+    return new ProviderError(`${p.label}: ${e?.message || "falha de rede"}`, {
+      provider: id, code: "network", retryable: true
+    });
+  };
+
+  touch();
+  try {
+    const resp = await fetch(req.url, {
+      method: "POST",
+      headers: req.headers,
+      body: JSON.stringify(req.body),
+      signal: controller.signal
+    });
+
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      throw p.normalizeError(resp.status, data);
+    }
+
+    if (!stream) {
+      const data = await resp.json().catch(() => ({}));
+      const { text, usage, toolCalls } = p.parseResponse(data);
+      return { text, usage, toolCalls: toolCalls || [], model, provider: id, raw: data };
+    }
+
+    let text = "";
+    let usage = null;
+    await readEventStream(resp.body, p.streamFormat, (event) => {
+      const { delta, usage: u } = p.parseStreamEvent(event);
+      if (u) usage = { inputTokens: 0, outputTokens: 0, ...(usage || {}), ...u };
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    }, touch);
+    return { text, usage, toolCalls: [], model, provider: id, raw: null };
+  } catch (e) {
+    throw mapError(e);
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
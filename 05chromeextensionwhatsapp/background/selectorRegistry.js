@@ -0,0 +1,200 @@
+// background/selectorRegistry.js
+// Remote updates for the WhatsApp Web selector registry (content/selectorRegistry.js) + drift log.
+//
+// The backend serves a signed envelope at /api/extension_selectors.php:
+//   { payload: "<json string>", signature: "<base64 DER ECDSA P-256/SHA-256>", alg: "ES256" }
+// payload = { revision, version, selectors: { key: [...] }, heuristics: { key: {...} } }
+//
+// The signature covers the exact payload string, verified against the public key configured in
+// settings (selectorsPublicKey, PEM/SPKI). Only newer revisions are accepted. The content script
+// reads whl_selector_registry from storage and hot-reloads on change.
+
+const REGISTRY_KEY = "whl_selector_registry";
+const DRIFT_KEY = "whl_selector_drift";
+const MAX_DRIFT = 200;
+const REGISTRY_PATH = "/api/extension_selectors.php";
+
+export const SELECTOR_ALARM = "whl_selector_refresh";
+export const SELECTOR_REFRESH_MINUTES = 360;
+
+function b64ToBytes(b64) {
+  const bin = atob(String(b64 || "").replace(/\s+/g, ""));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function pemToSpki(pem) {
+  const body = String(pem || "")
+    .replace(/-----BEGIN PUBLIC KEY-----/, "")
+    .replace(/-----END PUBLIC KEY-----/, "")
+    .replace(/\s+/g, "");
+  if (!body) throw new Error("Chave pública dos seletores não configurada.");
+  return b64ToBytes(body);
+}
+
+// openssl_sign() (PHP) gera DER; WebCrypto espera r||s com 32 bytes cada
+function derToP1363(der) {
+  if (der.length === 64) return der;
+  if (der[0] !== 0x30) throw new Error("Assinatura em formato inválido.");
+  let offset = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
+  const readInt = () => {
+    if (der[offset] !== 0x02) throw new Error("Assinatura em formato inválido.");
+    const len = der[offset + 1];
+    let bytes = der.slice(offset + 2, offset + 2 + len);
+    offset += 2 + len;
+    while (bytes.length > 32 && bytes[0] === 0) bytes = bytes.slice(1);
+    const out = new Uint8Array(32);
+    out.set(bytes, 32 - bytes.length);
+    return out;
+  };
+  const r = readInt();
+  const s = readInt();
+  const sig = new Uint8Array(64);
+  sig.set(r, 0);
+  sig.set(s, 32);
+  return sig;
+}
+
+/**
+ * Verify a signed envelope and return the parsed payload (throws on bad signature).
+ */
+export async function verifySignedRegistry(envelope, publicKeyPem) {
+  if (!envelope || typeof envelope.payload !== "string" || !envelope.signature) {
+    throw new Error("Resposta de seletores sem assinatura.");
+  }
+  if (envelope.alg && envelope.alg !== "ES256") throw new Error(`Algoritmo não suportado: ${envelope.alg}`);
+
+  const key = await crypto.subtle.importKey(
+    "spki",
+    pemToSpki(publicKeyPem),
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["verify"]
+  );
+  const valid = await crypto.subtle.verify(
+    { name: "ECDSA", hash: "SHA-256" },
+    key,
+    derToP1363(b64ToBytes(envelope.signature)),
+    new TextEncoder().encode(envelope.payload)
+  );
+  if (!valid) throw new Error("Assinatura dos seletores inválida.");
+
+  const payload = JSON.parse(envelope.payload);
+  if (!payload || typeof payload.selectors !== "object" || !Number.isFinite(Number(payload.revision))) {
+    throw new Error("Pacote de seletores malformado.");
+  }
+  return payload;
+}
+
+/**
+ * Fetch + verify + store the remote registry. Keeps the current one unless the
+ * remote revision is newer (force=true accepts the same or an older revision).
+ * @returns {Promise<{ updated, revision, version, reason? }>}
+ */
+export async function refreshSelectorRegistry(settings, { force = false, timeoutMs = 15000 } = {}) {
+  const base = String(settings?.backendUrl || "").trim().replace(/\/+$/, "");
+  if (!base) throw new Error("Backend URL não configurado.");
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  let envelope;
+  try {
+    const resp = await fetch(`${base}${REGISTRY_PATH}`, { cache: "no-store", signal: controller.signal });
+    envelope = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(envelope?.error?.message || envelope?.error || `HTTP ${resp.status}`);
+  } catch (e) {
+    if (e.name === "AbortError") throw new Error(`Seletores: timeout após ${timeoutMs / 1000}s`);
+    throw e;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const payload = await verifySignedRegistry(envelope, settings?.selectorsPublicKey);
+
+  const res = await chrome.storage.local.get([REGISTRY_KEY]);
+  const current = res?.[REGISTRY_KEY];
+  const revision = Number(payload.revision);
+  // force também permite voltar para uma revisão anterior (rollback no backend)
+  if (current && Number(current.revision) > revision && !force) {
+    return { updated: false, revision: current.revision, version: current.version, reason: "older" };
+  }
+  if (current && Number(current.revision) === revision && !force) {
+    return { updated: false, revision, version: current.version, reason: "same" };
+  }
+
+  await chrome.storage.local.set({
+    [REGISTRY_KEY]: {
+      revision,
+      version: String(payload.version || revision),
+      selectors: payload.selectors,
+      heuristics: payload.heuristics || {},
+      fetchedAt: Date.now(),
+      verified: true
+    }
+  });
+  return { updated: true, revision, version: String(payload.version || revision) };
+}
+
+/**
+ * Append a drift report from the content script (deduped by key + suggestion + registry version)
+ * and forward it to the backend, best-effort.
+ */
+export async function recordSelectorDrift(report, settings) {
+  const entry = {
+    key: String(report?.key || ""),
+    kind: String(report?.kind || "heuristic"),
+    suggestion: report?.suggestion ? String(report.suggestion).slice(0, 300) : null,
+    sample: report?.sample ? String(report.sample).slice(0, 300) : null,
+    tried: Number.isFinite(report?.tried) ? report.tried : null,
+    registryVersion: report?.registryVersion || null
+  };
+  if (!entry.key) return null;
+
+  const res = await chrome.storage.local.get([DRIFT_KEY]);
+  const log = Array.isArray(res?.[DRIFT_KEY]) ? res[DRIFT_KEY] : [];
+  const sig = `${entry.key}|${entry.kind}|${entry.suggestion || ""}|${entry.registryVersion}`;
+  const existing = log.find(d => d.sig === sig);
+  if (existing) {
+    existing.count += 1;
+    existing.lastAt = Date.now();
+  } else {
+    log.push({ ...entry, sig, count: 1, firstAt: Date.now(), lastAt: Date.now(), reported: false });
+  }
+  const trimmed = log.slice(-MAX_DRIFT);
+
+  // Só a primeira ocorrência de cada drift vai para o backend
+  const target = existing || trimmed[trimmed.length - 1];
+  if (!target.reported && settings?.backendUrl) {
+    target.reported = await postDrift(settings, entry).catch(() => false);
+  }
+  await chrome.storage.local.set({ [DRIFT_KEY]: trimmed });
+  return target;
+}
+
+async function postDrift(settings, entry) {
+  const base = String(settings.backendUrl || "").trim().replace(/\/+$/, "");
+  const resp = await fetch(`${base}${REGISTRY_PATH}?action=drift`, {
+    method: "POST",
+    headers: Object.assign({ "Content-Type": "application/json" }, settings.backendSecret ? { "X-Alabama-Proxy-Key": settings.backendSecret } : {}),
+    credentials: "include",
+    body: JSON.stringify(entry)
+  });
+  return resp.ok;
+}
+
+export async function getSelectorStatus() {
+  const res = await chrome.storage.local.get([REGISTRY_KEY, DRIFT_KEY, "whl_selector_stats"]);
+  const reg = res?.[REGISTRY_KEY] || null;
+  const drift = Array.isArray(res?.[DRIFT_KEY]) ? res[DRIFT_KEY] : [];
+  return {
+    registry: reg ? { revision: reg.revision, version: reg.version, fetchedAt: reg.fetchedAt, keys: Object.keys(reg.selectors || {}) } : null,
+    drift: drift.slice(-50).reverse(),
+    driftCount: drift.length,
+    stats: res?.whl_selector_stats || null
+  };
+}
+
+export async function clearSelectorDrift() {
+  await chrome.storage.local.set({ [DRIFT_KEY]: [] });
+}
@@ -2,29 +2,142 @@
 // MV3 Service Worker - handlers must be registered at top-level.
 //
 // WhatsHybrid Lite (Alabama) v0.2.x
-// - OpenAI direct calls (chat/completions)
+// - LLM calls via provider registry (OpenAI, Anthropic, Gemini, Ollama, OpenAI-compatible)
+// - Function-calling tools (catálogo, leads, ofertas, entregadores, frete) - ver aiTools.js
 // - Optional backend proxy calls (AI + Campaigns)
-// - Settings stored in chrome.storage.local
+// - Settings stored in chrome.storage.local, per workspace where it matters (ver workspaces.js)
 //
 // NOTE: This service worker is intentionally small and defensive.
 
+import {
+  PROVIDERS,
+  ProviderError,
+  listProviders,
+  resolveProviderConfig,
+  callProvider,
+  codeFromStatus,
+  isRetryableCode
+} from "./providers.js";
+import { getBreaker, getAllBreakers, recordSuccess, recordFailure, resetBreakers } from "./circuitBreaker.js";
+import { recordUsage, assertWithinBudget, getUsageSummary, resetUsage } from "./usageLedger.js";
+import { EMBEDDERS, listEmbedders } from "./embedders.js";
+import { syncIndex, queryIndex, getIndexStats, dropIndex } from "./knowledgeIndex.js";
+import { DEFAULT_FREIGHT_RULES, listToolSchemas, runToolCall, getToolLog } from "./aiTools.js";
+import {
+  SELECTOR_ALARM,
+  SELECTOR_REFRESH_MINUTES,
+  refreshSelectorRegistry,
+  recordSelectorDrift,
+  getSelectorStatus,
+  clearSelectorDrift
+} from "./selectorRegistry.js";
+import {
+  SUPPRESSION_ALARM,
+  SUPPRESSION_SYNC_MINUTES,
+  getSuppressionList,
+  addSuppressed,
+  removeSuppressed,
+  checkSuppressed,
+  exportSuppressionList,
+  syncSuppressionList
+} from "./suppressionList.js";
+import {
+  scheduleRecurringCampaign,
+  runRecurringCampaign,
+  rearmScheduledCampaigns,
+  previewCron,
+  loadScheduled,
+  saveScheduled,
+  findScheduledCampaign
+} from "./campaignSchedule.js";
+import {
+  MEMORY_SYNC_ALARM,
+  MEMORY_SYNC_MINUTES,
+  callMemoryJson,
+  isMemorySyncConfigured,
+  enqueueMemoryEvent,
+  flushMemoryOutbox,
+  retryFailedMemoryEvents,
+  pullMemoryChanges,
+  ackMemoryPull,
+  getMemorySyncStatus
+} from "./memorySync.js";
+import {
+  keyFor,
+  isWorkspaceSetting,
+  listWorkspaces,
+  getActiveWorkspaceId,
+  resolveWorkspaceId,
+  createWorkspace,
+  renameWorkspace,
+  switchWorkspace,
+  deleteWorkspace,
+  markDbCleaned
+} from "./workspaces.js";
+
+// Janelas de envio por dia da semana (0 = domingo), ver content/sendWindow.js
+const DEFAULT_SEND_WINDOWS = {
+  0: "",
+  1: "08:00-20:00",
+  2: "08:00-20:00",
+  3: "08:00-20:00",
+  4: "08:00-20:00",
+  5: "08:00-20:00",
+  6: "09:00-14:00"
+};
+
+// pt / en / es - comparadas sem acento e sem diferenciar maiúsculas
+const DEFAULT_OPT_OUT_KEYWORDS = "sair, parar, pare, stop, cancelar, descadastrar, remover, não quero mais, nao quero, unsubscribe, opt out, baja, no más, darme de baja";
+
 const DEFAULTS = {
   // Conexão - Usuário deve configurar via popup
   provider: "openai",
+  providerFallback: [], // ordem de fallback após o provedor principal, ex: ["backend", "ollama"]
+  aiRetries: 1,         // tentativas extras no mesmo provedor (backoff exponencial) antes de passar adiante
   openaiApiKey: "", // Usuário deve inserir sua própria chave
   openaiModel: "gpt-4o-mini",
 
+  // Outros provedores (ver background/providers.js)
+  anthropicApiKey: "",
+  anthropicModel: "claude-3-5-haiku-latest",
+  geminiApiKey: "",
+  geminiModel: "gemini-1.5-flash",
+  ollamaBaseUrl: "http://localhost:11434",
+  ollamaModel: "llama3.1",
+  compatBaseUrl: "",
+  compatApiKey: "",
+  compatModel: "",
+
   // Backend - PRÉ-CONFIGURADO (não aparece no popup)
   backendUrl: "https://adm.redealabama.com",
   backendAiPath: "/ai/chat.php",
   backendCampaignPath: "/api/campaigns.php",
   backendSecret: "", // Removido por segurança - configurar via popup se necessário
 
+  // Seletores do WhatsApp Web atualizados pelo backend (ver background/selectorRegistry.js)
+  selectorsAutoUpdate: true,
+  selectorsPublicKey: "", // PEM (SPKI, ECDSA P-256) que assina /api/extension_selectors.php
+
   // Generation
   temperature: 0.7,
   maxTokens: 450,
 
+  // Base de conhecimento (RAG) - ver background/knowledgeIndex.js
+  embedder: "local",   // local | openai | gemini | ollama
+  embeddingModel: "",  // vazio = padrão do embedder
+  ragTopK: 6,          // trechos de conhecimento enviados no prompt
+
+  // Ferramentas da IA (function calling) - ver background/aiTools.js
+  aiTools: true,
+  freightRules: DEFAULT_FREIGHT_RULES,
+
+  // Custos de IA (USD) - 0 = sem limite
+  aiDailyBudget: 0,    // aviso no popup
+  aiDailyHardCap: 0,   // bloqueia chamadas automáticas (copilot/SmartBot) ao atingir
+  aiPriceTable: {},    // overrides por modelo: { "gpt-4o-mini": { input: 0.15, output: 0.6 } } (por 1M tokens)
+
   // Memória Híbrida - PRÉ-CONFIGURADO (sempre ativo)
+  // URL e chave são por workspace; workspaces novos ganham uma chave própria (workspaces.js)
   memoryServerUrl: "https://adm.redealabama.com/api/memory",
   memoryWorkspaceKey: "alabama-workspace-default",
   memorySyncEnabled: true, // Sempre true, sem toggle
@@ -54,11 +167,56 @@ const DEFAULTS = {
   // Equipe - NOVO
   teamMembers: [],
   senderName: "", // Nome do remetente (empresa)
+
+  // Opt-out (ver background/suppressionList.js)
+  optOutAutoDetect: true, // respostas com essas palavras entram na lista de supressão
+  optOutKeywords: DEFAULT_OPT_OUT_KEYWORDS,
+
+  // Janela de envio / horário de silêncio (ver content/sendWindow.js)
+  sendWindowEnabled: false, // campanhas pausam fora da janela e retomam na próxima
+  sendWindows: DEFAULT_SEND_WINDOWS,
+  sendWindowHolidays: true, // feriados nacionais do Brasil
+  sendWindowCustomHolidays: "", // "2026-12-24, 12-31" (MM-DD = todo ano)
+  sendWindowTimezone: "America/Sao_Paulo",
+  sendWindowRecipientTz: true, // fuso pelo DDI/DDD do destinatário
 };
 
-async function getSettings() {
-  const data = await chrome.storage.local.get(Object.keys(DEFAULTS));
-  return { ...DEFAULTS, ...data };
+// Globais + as do workspace (WORKSPACE_SETTING_KEYS). Sem workspaceId: o ativo.
+async function getSettings(workspaceId) {
+  const id = await resolveWorkspaceId(workspaceId);
+  const keys = Object.keys(DEFAULTS);
+  const storedKey = (k) => (isWorkspaceSetting(k) ? keyFor(k, id) : k);
+  const data = await chrome.storage.local.get(keys.map(storedKey));
+  const settings = { ...DEFAULTS, workspaceId: id };
+  for (const k of keys) {
+    if (data[storedKey(k)] !== undefined) settings[k] = data[storedKey(k)];
+  }
+  return settings;
+}
+
+async function storeSettings(values, workspaceId) {
+  const out = {};
+  for (const [k, v] of Object.entries(values)) out[isWorkspaceSetting(k) ? keyFor(k, workspaceId) : k] = v;
+  await chrome.storage.local.set(out);
+}
+
+async function workspaceIds() {
+  return (await listWorkspaces()).workspaces.map(w => w.id);
+}
+
+// Cada workspace usa a sua própria chave no memory server: repetir a chave juntaria as memórias
+async function assertUniqueMemoryKey(key, workspaceId) {
+  for (const id of await workspaceIds()) {
+    if (id === workspaceId) continue;
+    const other = (await getSettings(id)).memoryWorkspaceKey;
+    if (other && other === key) throw new Error("Essa chave de memória já é usada por outro workspace.");
+  }
+}
+
+async function rearmAllScheduledCampaigns() {
+  for (const id of await workspaceIds()) {
+    await rearmScheduledCampaigns(id).catch(e => console.warn("[WhatsHybrid Lite] Scheduled campaigns re-arm failed:", id, e?.message || e));
+  }
 }
 
 function ok(sendResponse, payload) {
@@ -77,175 +235,303 @@ function fail(sendResponse, error, extra = {}) {
   }
 }
 
+// { 0..6: "08:00-12:00, 13:00-18:00" } - lança erro com o dia/trecho inválido
+function sanitizeSendWindows(value) {
+  const src = value && typeof value === "object" ? value : DEFAULT_SEND_WINDOWS;
+  const days = ["domingo", "segunda", "terça", "quarta", "quinta", "sexta", "sábado"];
+  const out = {};
+  for (let d = 0; d < 7; d++) {
+    const parts = String(src[d] ?? "").split(",").map(s => s.trim()).filter(Boolean);
+    for (const part of parts) {
+      const m = part.match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+      const start = m ? Number(m[1]) * 60 + Number(m[2] || 0) : NaN;
+      const end = m ? Number(m[3]) * 60 + Number(m[4] || 0) : NaN;
+      if (!m || !(start < end) || end > 1440 || Number(m[2] || 0) > 59 || Number(m[4] || 0) > 59) {
+        throw new Error(`Janela de envio inválida (${days[d]}): "${part}". Use 08:00-18:00.`);
+      }
+    }
+    out[d] = parts.join(", ");
+  }
+  return out;
+}
+
 function clampNumber(v, min, max, fallback) {
   const n = Number(v);
   if (!Number.isFinite(n)) return fallback;
   return Math.max(min, Math.min(max, n));
 }
 
+function normalizePath(p, fallback) {
+  const s = String(p || "").trim();
+  if (!s) return fallback;
+  return s.startsWith("/") ? s : `/${s}`;
+}
 
-async function callMemoryJson({ settings, path, method = "POST", body, timeoutMs = 30000 }) {
-  const base = String(settings?.memoryServerUrl || "").trim();
-  const key = String(settings?.memoryWorkspaceKey || "").trim();
-  if (!base || !key) throw new Error("Memory server não configurado (URL/chave).");
-
-  const url = base.replace(/\/+$/, "") + path;
+async function callBackendJson({ backendUrl, path, payload, secret, timeoutMs = 30000 }) {
+  const base = String(backendUrl || "").trim().replace(/\/$/, "");
+  if (!base) throw new Error("Backend URL não configurado.");
+  const p = normalizePath(path, "/");
   
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
   
   try {
-    const resp = await fetch(url, {
-      method,
-      headers: {
-        "Content-Type": "application/json",
-        "X-Workspace-Key": key
-      },
-      body: body ? JSON.stringify(body) : undefined,
+    const resp = await fetch(`${base}${p}`, {
+      method: "POST",
+      headers: Object.assign({ "Content-Type": "application/json" }, secret ? { "X-Alabama-Proxy-Key": secret } : {}),
+      body: JSON.stringify(payload || {}),
       signal: controller.signal
     });
     clearTimeout(timeoutId);
-
+    
     const data = await resp.json().catch(() => ({}));
     if (!resp.ok) {
-      const msg = data?.error || data?.message || `HTTP ${resp.status}`;
-      throw new Error(`Memory server: ${msg}`);
+      const errMsg = data?.error || data?.message || `HTTP ${resp.status}`;
+      const code = codeFromStatus(resp.status);
+      throw new ProviderError(errMsg, { provider: "backend", status: resp.status, code, retryable: isRetryableCode(code) });
     }
     return data;
   } catch (e) {
     clearTimeout(timeoutId);
     if (e.name === 'AbortError') {
-      throw new Error('Memory server timeout após ' + (timeoutMs/1000) + 's');
+      throw new ProviderError('Request timeout após ' + (timeoutMs/1000) + 's', { provider: "backend", code: "timeout", retryable: true });
+    }
+    if (e instanceof TypeError) {
+      // fetch() network failure
+      throw new ProviderError(e.message || "Falha de rede", { provider: "backend", code: "network", retryable: true });
     }
     throw e;
   }
 }
 
-async function enqueueMemoryEvent(ev) {
-  const res = await chrome.storage.local.get(["whl_sync_queue"]);
-  let q = Array.isArray(res?.whl_sync_queue) ? res.whl_sync_queue : [];
-  
-  // Remover eventos mais antigos que 24 horas
-  const maxAge = 24 * 60 * 60 * 1000; // 24h em ms
-  const now = Date.now();
-  q = q.filter(e => (now - (e.at || 0)) < maxAge);
-  
-  q.push({ ...ev, at: now });
-  
-  // Keep queue bounded
-  const bounded = q.slice(-500);
-  await chrome.storage.local.set({ whl_sync_queue: bounded });
-  return bounded.length;
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function flushMemoryQueue(settings) {
-  const res = await chrome.storage.local.get(["whl_sync_queue"]);
-  const q = Array.isArray(res?.whl_sync_queue) ? res.whl_sync_queue : [];
-  if (!q.length) return { ok: true, flushed: 0 };
-
-  // Try batch endpoint
-  const data = await callMemoryJson({
-    settings,
-    path: "/v1/memory/batch.php",
-    body: { events: q }
-  });
+const MAX_TOOL_ROUNDS = 4;
 
-  // If server accepted, clear queue
-  await chrome.storage.local.set({ whl_sync_queue: [] });
-  return { ok: true, flushed: q.length, server: data };
+function addUsage(total, u) {
+  if (!u) return total;
+  return {
+    inputTokens: (total?.inputTokens || 0) + (u.inputTokens || 0),
+    outputTokens: (total?.outputTokens || 0) + (u.outputTokens || 0)
+  };
 }
 
-function normalizePath(p, fallback) {
-  const s = String(p || "").trim();
-  if (!s) return fallback;
-  return s.startsWith("/") ? s : `/${s}`;
+/**
+ * Function-calling loop: offer the tools, run what the model asks for, feed the results
+ * back and repeat until it answers in text. Tool rounds are not streamed; the final text
+ * is relayed to onDelta in one piece.
+ * Returns { text, model, usage, toolCalls } (toolCalls = what ran, for the chat panel).
+ */
+async function chatWithTools(provider, cfg, msg, settings, { temperature, maxTokens, onDelta, onTool, signal }) {
+  const meta = msg.meta || msg.payload?.meta || {};
+  const tools = listToolSchemas();
+  const messages = [...(msg.messages || [])];
+  const toolCalls = [];
+  let usage = null;
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const res = await callProvider(provider, { ...cfg, messages, temperature, maxTokens, tools, signal });
+    usage = addUsage(usage, res.usage);
+
+    if (!res.toolCalls.length) {
+      if (onDelta && res.text) onDelta(res.text);
+      return { text: res.text, model: res.model, usage, toolCalls };
+    }
+
+    messages.push({ role: "assistant", content: res.text || "", toolCalls: res.toolCalls });
+    for (const call of res.toolCalls) {
+      if (signal?.aborted) throw new ProviderError("Geração cancelada", { provider, code: "aborted" });
+      const entry = await runToolCall(call, { settings, meta });
+      const shown = { name: entry.name, args: entry.args, ok: entry.ok, error: entry.error, result: entry.content, ms: entry.ms };
+      toolCalls.push(shown);
+      if (onTool) onTool(shown);
+      messages.push({ role: "tool", toolCallId: call.id, name: call.name, content: entry.content });
+    }
+  }
+
+  throw new ProviderError(`Limite de ${MAX_TOOL_ROUNDS} rodadas de ferramentas atingido sem resposta final.`, {
+    provider, code: "bad_request"
+  });
 }
 
-async function callOpenAI({ apiKey, model, messages, temperature, maxTokens, timeoutMs = 30000 }) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
-  try {
-    const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model,
-        messages,
+/**
+ * Call one provider (registry or backend proxy) for AI_CHAT.
+ * Returns { text, model, usage }.
+ */
+async function callChatProvider(provider, msg, settings, { temperature, maxTokens, onDelta, onTool, signal }) {
+  if (provider === "backend") {
+    const payload =
+      msg.payload ||
+      {
+        messages: msg.messages || [],
+        model: msg.model || settings.openaiModel,
         temperature,
         max_tokens: maxTokens
-      }),
-      signal: controller.signal
+      };
+
+    const data = await callBackendJson({
+      backendUrl: settings.backendUrl,
+      path: settings.backendAiPath,
+      payload,
+      secret: settings.backendSecret
     });
-    clearTimeout(timeoutId);
 
-    const data = await resp.json().catch(() => ({}));
-    if (!resp.ok) {
-      const errMsg = data?.error?.message || `HTTP ${resp.status}`;
-      throw new Error(errMsg);
-    }
+    const text =
+      data?.text ??
+      data?.message ??
+      data?.choices?.[0]?.message?.content ??
+      "";
 
-    const text = data?.choices?.[0]?.message?.content || "";
-    return { text, raw: data };
-  } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name === 'AbortError') {
-      throw new Error('Request timeout após ' + (timeoutMs/1000) + 's');
+    // Backend proxy não faz streaming nem ferramentas: entrega tudo de uma vez
+    if (onDelta && text) onDelta(text);
+    return { text, model: data?.model || "", usage: null, toolCalls: [] };
+  }
+
+  // Per-call overrides (popup "Testar Conexão") only apply to the provider they were meant for
+  const overrides = provider === msg.provider ? { apiKey: msg.apiKey, model: msg.model, baseUrl: msg.baseUrl } : {};
+  const cfg = resolveProviderConfig(provider, settings, overrides);
+
+  const wantsTools = settings.aiTools !== false && (msg.tools ?? msg.payload?.tools) === true;
+  if (wantsTools) {
+    try {
+      return await chatWithTools(provider, cfg, msg, settings, { temperature, maxTokens, onDelta, onTool, signal });
+    } catch (e) {
+      // Modelo sem suporte a function calling (ex.: alguns modelos do Ollama): segue sem ferramentas
+      if (!(e.code === "bad_request" && /tool|function/i.test(e.message || ""))) throw e;
+      console.warn('[WhatsHybrid Lite] Tools not supported, retrying without:', provider, e.message);
     }
-    throw e;
   }
+
+  const res = await callProvider(provider, {
+    ...cfg,
+    messages: msg.messages || [],
+    temperature,
+    maxTokens,
+    onDelta,
+    signal
+  });
+  return { text: res.text, model: res.model, usage: res.usage, toolCalls: [] };
 }
 
-async function callBackendJson({ backendUrl, path, payload, secret, timeoutMs = 30000 }) {
-  const base = String(backendUrl || "").trim().replace(/\/$/, "");
-  if (!base) throw new Error("Backend URL não configurado.");
-  const p = normalizePath(path, "/");
-  
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
-  try {
-    const resp = await fetch(`${base}${p}`, {
-      method: "POST",
-      headers: Object.assign({ "Content-Type": "application/json" }, secret ? { "X-Alabama-Proxy-Key": secret } : {}),
-      body: JSON.stringify(payload || {}),
-      signal: controller.signal
-    });
-    clearTimeout(timeoutId);
-    
-    const data = await resp.json().catch(() => ({}));
-    if (!resp.ok) {
-      const errMsg = data?.error || data?.message || `HTTP ${resp.status}`;
-      throw new Error(errMsg);
+/**
+ * Walk the fallback chain (primary + settings.providerFallback), skipping providers whose
+ * circuit is open. Retryable errors get `aiRetries` extra attempts with exponential backoff.
+ * Returns { text, model, usage, status } where status tells who answered and what failed.
+ *
+ * When streaming (onDelta), fallback only happens before the first token was relayed,
+ * otherwise the user would see two answers glued together.
+ */
+async function chatWithFallback(msg, settings, { onDelta, onTool, signal } = {}) {
+  const meta = msg.meta || msg.payload?.meta || {};
+  await assertWithinBudget(settings, meta.origin);
+
+  const primary = msg.provider || settings.provider || DEFAULTS.provider;
+  const fallback = msg.noFallback ? [] : (Array.isArray(settings.providerFallback) ? settings.providerFallback : []);
+  const chain = [primary, ...fallback].filter((p, i, arr) => p && arr.indexOf(p) === i);
+
+  const temperature = typeof msg.temperature === "number" ? msg.temperature : settings.temperature;
+  const maxTokens = typeof msg.maxTokens === "number" ? msg.maxTokens : settings.maxTokens;
+  const retries = clampNumber(settings.aiRetries, 0, 3, DEFAULTS.aiRetries);
+
+  const attempts = [];
+  let lastError = null;
+  let emitted = false;
+  const relay = onDelta ? (delta) => { emitted = true; onDelta(delta); } : undefined;
+
+  for (const provider of chain) {
+    const breaker = await getBreaker(provider);
+    // The last provider in the chain is always tried, even with an open circuit
+    if (breaker.state === "open" && provider !== chain[chain.length - 1]) {
+      attempts.push({ provider, ok: false, skipped: true, code: "circuit_open", retryAt: breaker.openUntil });
+      continue;
     }
-    return data;
-  } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name === 'AbortError') {
-      throw new Error('Request timeout após ' + (timeoutMs/1000) + 's');
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const res = await callChatProvider(provider, msg, settings, { temperature, maxTokens, onDelta: relay, onTool, signal });
+        await recordSuccess(provider);
+        attempts.push({ provider, ok: true, attempt });
+        await recordUsage({
+          provider,
+          model: res.model,
+          usage: res.usage,
+          messages: msg.messages || msg.payload?.messages,
+          text: res.text,
+          meta
+        }, settings);
+        return {
+          ...res,
+          status: {
+            provider,
+            model: res.model,
+            fallback: provider !== primary,
+            attempts
+          }
+        };
+      } catch (e) {
+        lastError = e;
+        attempts.push({ provider, ok: false, attempt, code: e.code || "unknown", error: e.message || String(e) });
+        if (e.code === "aborted" || signal?.aborted) {
+          e.attempts = attempts;
+          throw e;
+        }
+        const entry = await recordFailure(provider, e);
+        if (emitted) {
+          e.attempts = attempts;
+          throw e;
+        }
+        // Only retry the same provider for transient errors and while the circuit is still closed
+        if (!e.retryable || entry.openUntil > Date.now() || attempt >= retries) break;
+        await sleep(Math.min(8000, 500 * Math.pow(2, attempt)));
+      }
     }
-    throw e;
   }
+
+  const err = lastError instanceof Error ? lastError : new Error("Nenhum provedor de IA disponível.");
+  err.attempts = attempts;
+  throw err;
 }
 
 // Keep event handlers at top-level (MV3 requirement)
 chrome.runtime.onInstalled.addListener(() => {
   console.log("[WhatsHybrid Lite] instalado/atualizado");
+  scheduleSelectorRefresh();
+  chrome.alarms.create(SUPPRESSION_ALARM, { delayInMinutes: 2, periodInMinutes: SUPPRESSION_SYNC_MINUTES });
+  chrome.alarms.create(MEMORY_SYNC_ALARM, { delayInMinutes: 1, periodInMinutes: MEMORY_SYNC_MINUTES });
+  rearmAllScheduledCampaigns();
 });
 
+chrome.runtime.onStartup.addListener(() => {
+  scheduleSelectorRefresh();
+  chrome.alarms.create(SUPPRESSION_ALARM, { delayInMinutes: 2, periodInMinutes: SUPPRESSION_SYNC_MINUTES });
+  chrome.alarms.create(MEMORY_SYNC_ALARM, { delayInMinutes: 1, periodInMinutes: MEMORY_SYNC_MINUTES });
+  rearmAllScheduledCampaigns();
+});
+
+async function scheduleSelectorRefresh() {
+  const settings = await getSettings();
+  if (!settings.selectorsAutoUpdate || !settings.selectorsPublicKey) {
+    await chrome.alarms.clear(SELECTOR_ALARM);
+    return;
+  }
+  chrome.alarms.create(SELECTOR_ALARM, { delayInMinutes: 1, periodInMinutes: SELECTOR_REFRESH_MINUTES });
+}
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
       if (!msg || !msg.type) return ok(sendResponse, { ignored: true });
 
+      // Abas do WhatsApp Web mandam o workspace que fixaram ao carregar; o popup usa o ativo
+      const workspaceId = await resolveWorkspaceId(msg.workspaceId);
+
       // -------------------------
       // Settings
       // -------------------------
       if (msg.type === "GET_SETTINGS") {
-        const settings = await getSettings();
+        const settings = await getSettings(workspaceId);
         return ok(sendResponse, { settings });
       }
 
@@ -258,11 +544,90 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         }
 
         // small sanity
-        if (typeof clean.provider !== "string") clean.provider = DEFAULTS.provider;
+        if (typeof clean.provider !== "string" || !(clean.provider === "backend" || PROVIDERS[clean.provider])) {
+          clean.provider = DEFAULTS.provider;
+        }
         if (typeof clean.openaiApiKey !== "string") clean.openaiApiKey = "";
         if (typeof clean.openaiModel !== "string") clean.openaiModel = DEFAULTS.openaiModel;
+        for (const p of Object.values(PROVIDERS)) {
+          for (const k of Object.values(p.keys)) {
+            if (k in clean) clean[k] = String(clean[k] ?? "").trim();
+          }
+        }
+        if ("ollamaBaseUrl" in clean && !clean.ollamaBaseUrl) clean.ollamaBaseUrl = DEFAULTS.ollamaBaseUrl;
+        if ("providerFallback" in clean) {
+          clean.providerFallback = (Array.isArray(clean.providerFallback) ? clean.providerFallback : [])
+            .filter(p => p === "backend" || PROVIDERS[p])
+            .filter(p => p !== clean.provider);
+        }
+        if ("embedder" in clean && !EMBEDDERS[clean.embedder]) clean.embedder = DEFAULTS.embedder;
+        if ("embeddingModel" in clean) clean.embeddingModel = String(clean.embeddingModel || "").trim();
+        if ("ragTopK" in clean) clean.ragTopK = clampNumber(clean.ragTopK, 1, 20, DEFAULTS.ragTopK);
+        if ("aiDailyBudget" in clean) clean.aiDailyBudget = clampNumber(clean.aiDailyBudget, 0, 100000, 0);
+        if ("aiDailyHardCap" in clean) clean.aiDailyHardCap = clampNumber(clean.aiDailyHardCap, 0, 100000, 0);
+        if ("aiPriceTable" in clean) {
+          const table = {};
+          const src = clean.aiPriceTable && typeof clean.aiPriceTable === "object" ? clean.aiPriceTable : {};
+          for (const [model, price] of Object.entries(src)) {
+            const input = Number(price?.input);
+            const output = Number(price?.output);
+            if (model && Number.isFinite(input) && Number.isFinite(output)) table[model] = { input, output };
+          }
+          clean.aiPriceTable = table;
+        }
+        if ("aiTools" in clean) clean.aiTools = Boolean(clean.aiTools);
+        if ("freightRules" in clean) {
+          const src = clean.freightRules && typeof clean.freightRules === "object" ? clean.freightRules : {};
+          const zones = (Array.isArray(src.zones) ? src.zones : DEFAULT_FREIGHT_RULES.zones)
+            .filter(z => z && typeof z.name === "string")
+            .map(z => ({
+              name: z.name.trim(),
+              prefix: clampNumber(z.prefix, 0, 8, 0),
+              base: clampNumber(z.base, 0, 100000, 0),
+              perKg: clampNumber(z.perKg, 0, 100000, 0),
+              days: clampNumber(z.days, 0, 365, 0)
+            }));
+          clean.freightRules = {
+            originCep: String(src.originCep || "").replace(/\D/g, "").slice(0, 8),
+            freeAbove: clampNumber(src.freeAbove, 0, 10000000, 0),
+            zones: zones.length ? zones : DEFAULT_FREIGHT_RULES.zones
+          };
+        }
+        if ("aiRetries" in clean) clean.aiRetries = clampNumber(clean.aiRetries, 0, 3, DEFAULTS.aiRetries);
         if (typeof clean.backendUrl !== "string") clean.backendUrl = "";
         if (typeof clean.backendSecret !== "string") clean.backendSecret = "";
+        if ("selectorsAutoUpdate" in clean) clean.selectorsAutoUpdate = Boolean(clean.selectorsAutoUpdate);
+        if ("selectorsPublicKey" in clean) clean.selectorsPublicKey = String(clean.selectorsPublicKey || "").trim();
+        if ("optOutAutoDetect" in clean) clean.optOutAutoDetect = Boolean(clean.optOutAutoDetect);
+        if ("optOutKeywords" in clean) {
+          const words = String(clean.optOutKeywords || "").split(/[,\n]/).map(w => w.trim().toLowerCase()).filter(Boolean);
+          clean.optOutKeywords = words.length ? Array.from(new Set(words)).join(", ").slice(0, 2000) : DEFAULT_OPT_OUT_KEYWORDS;
+        }
+        if ("sendWindowEnabled" in clean) clean.sendWindowEnabled = Boolean(clean.sendWindowEnabled);
+        if ("sendWindowHolidays" in clean) clean.sendWindowHolidays = Boolean(clean.sendWindowHolidays);
+        if ("sendWindowRecipientTz" in clean) clean.sendWindowRecipientTz = Boolean(clean.sendWindowRecipientTz);
+        if ("sendWindows" in clean) clean.sendWindows = sanitizeSendWindows(clean.sendWindows);
+        if ("sendWindowCustomHolidays" in clean) {
+          const dates = String(clean.sendWindowCustomHolidays || "").split(/[,\s]+/).filter(Boolean);
+          const bad = dates.find(d => !/^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(d));
+          if (bad) throw new Error(`Feriado inválido: "${bad}" (use AAAA-MM-DD ou MM-DD)`);
+          clean.sendWindowCustomHolidays = Array.from(new Set(dates)).join(", ");
+        }
+        if ("sendWindowTimezone" in clean) {
+          const tz = String(clean.sendWindowTimezone || "").trim() || DEFAULTS.sendWindowTimezone;
+          try {
+            new Intl.DateTimeFormat("en-US", { timeZone: tz });
+          } catch (_) {
+            throw new Error(`Fuso horário inválido: ${tz}`);
+          }
+          clean.sendWindowTimezone = tz;
+        }
+        if ("memoryServerUrl" in clean) clean.memoryServerUrl = String(clean.memoryServerUrl || "").trim();
+        if ("memoryWorkspaceKey" in clean) {
+          clean.memoryWorkspaceKey = String(clean.memoryWorkspaceKey || "").trim();
+          if (!clean.memoryWorkspaceKey) throw new Error("Informe a chave do memory server deste workspace.");
+          await assertUniqueMemoryKey(clean.memoryWorkspaceKey, workspaceId);
+        }
         clean.backendAiPath = normalizePath(clean.backendAiPath, DEFAULTS.backendAiPath);
         clean.backendCampaignPath = normalizePath(clean.backendCampaignPath, DEFAULTS.backendCampaignPath);
 
@@ -274,12 +639,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         clean.autoSuggest = Boolean(clean.autoSuggest);
         clean.autoMemory = Boolean(clean.autoMemory);
 
-        await chrome.storage.local.set(clean);
+        await storeSettings(clean, workspaceId);
+        if ("selectorsAutoUpdate" in clean || "selectorsPublicKey" in clean) await scheduleSelectorRefresh();
 
         // Push context to memory server (optional)
         try {
-          const settings = await getSettings();
-          if (settings.memorySyncEnabled && settings.memoryServerUrl && settings.memoryWorkspaceKey) {
+          const settings = await getSettings(workspaceId);
+          if (isMemorySyncConfigured(settings)) {
             await callMemoryJson({
               settings,
               path: "/v1/memory/context.php",
@@ -289,8 +655,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
               }
             });
             // also attempt to flush any queued events
-            await flushMemoryQueue(settings).catch((flushErr) => {
-              console.warn('[WhatsHybrid Lite] Failed to flush memory queue:', flushErr);
+            await flushMemoryOutbox(settings).catch((flushErr) => {
+              console.warn('[WhatsHybrid Lite] Failed to flush memory outbox:', flushErr);
             });
           }
         } catch (e) {
@@ -304,53 +670,98 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       // -------------------------
       // AI Chat (used by content script)
       // -------------------------
+      if (msg.type === "GET_PROVIDERS") {
+        return ok(sendResponse, { providers: listProviders() });
+      }
+
       if (msg.type === "AI_CHAT") {
-        const settings = await getSettings();
-        const provider = (msg.provider || settings.provider || DEFAULTS.provider);
-
-        // Backend proxy
-        if (provider === "backend") {
-          const payload =
-            msg.payload ||
-            {
-              messages: msg.messages || [],
-              model: msg.model || settings.openaiModel,
-              temperature: typeof msg.temperature === "number" ? msg.temperature : settings.temperature,
-              max_tokens: typeof msg.maxTokens === "number" ? msg.maxTokens : settings.maxTokens
-            };
-
-          const data = await callBackendJson({
-            backendUrl: settings.backendUrl,
-            path: settings.backendAiPath,
-            payload,
-            secret: settings.backendSecret
+        const settings = await getSettings(workspaceId);
+        try {
+          const res = await chatWithFallback(msg, settings);
+          return ok(sendResponse, {
+            text: res.text,
+            provider: res.status.provider,
+            model: res.model,
+            usage: res.usage,
+            toolCalls: res.toolCalls,
+            status: res.status
+          });
+        } catch (e) {
+          return fail(sendResponse, e, {
+            provider: e.provider || "",
+            code: e.code || "unknown",
+            status: { provider: null, fallback: false, attempts: e.attempts || [] }
           });
+        }
+      }
 
-          const text =
-            data?.text ??
-            data?.message ??
-            data?.choices?.[0]?.message?.content ??
-            "";
+      // -------------------------
+      // Knowledge retrieval (RAG)
+      // -------------------------
+      if (msg.type === "GET_AI_TOOL_LOG") {
+        return ok(sendResponse, { log: await getToolLog(clampNumber(msg.limit, 1, 200, 50), workspaceId) });
+      }
 
-          return ok(sendResponse, { text });
-        }
+      if (msg.type === "RAG_QUERY") {
+        const settings = await getSettings(workspaceId);
+        const k = clampNumber(msg.k, 1, 20, settings.ragTopK);
+        const types = Array.isArray(msg.types) ? msg.types : null;
+        const results = await queryIndex(settings, msg.query, { k, types });
+        return ok(sendResponse, { results });
+      }
 
-        // OpenAI direct
-        const apiKey = String(msg.apiKey || settings.openaiApiKey || "").trim();
-        if (!apiKey) throw new Error("OpenAI API Key não configurada.");
-        const model = String(msg.model || settings.openaiModel || DEFAULTS.openaiModel);
-        const temperature = typeof msg.temperature === "number" ? msg.temperature : settings.temperature;
-        const maxTokens = typeof msg.maxTokens === "number" ? msg.maxTokens : settings.maxTokens;
-
-        const res = await callOpenAI({
-          apiKey,
-          model,
-          messages: msg.messages || [],
-          temperature,
-          maxTokens
-        });
+      if (msg.type === "RAG_SYNC") {
+        const settings = await getSettings(workspaceId);
+        const result = await syncIndex(settings);
+        return ok(sendResponse, { result, stats: await getIndexStats(workspaceId) });
+      }
+
+      if (msg.type === "RAG_STATUS") {
+        return ok(sendResponse, { stats: await getIndexStats(workspaceId), embedders: listEmbedders() });
+      }
+
+      if (msg.type === "GET_USAGE") {
+        const settings = await getSettings(workspaceId);
+        const days = clampNumber(msg.days, 1, 90, 7);
+        return ok(sendResponse, { usage: await getUsageSummary(settings, days) });
+      }
+
+      if (msg.type === "RESET_USAGE") {
+        await resetUsage();
+        return ok(sendResponse, { reset: true });
+      }
+
+      if (msg.type === "GET_AI_BREAKERS") {
+        return ok(sendResponse, { breakers: await getAllBreakers() });
+      }
+
+      if (msg.type === "RESET_AI_BREAKERS") {
+        await resetBreakers();
+        return ok(sendResponse, { reset: true });
+      }
+
+      // -------------------------
+      // Selector registry (WhatsApp Web DOM)
+      // -------------------------
+      if (msg.type === "SELECTOR_DRIFT") {
+        const settings = await getSettings(workspaceId);
+        const entry = await recordSelectorDrift(msg.payload || {}, settings);
+        return ok(sendResponse, { recorded: Boolean(entry) });
+      }
 
-        return ok(sendResponse, { text: res.text });
+      if (msg.type === "SELECTOR_REGISTRY_REFRESH") {
+        const settings = await getSettings(workspaceId);
+        const result = await refreshSelectorRegistry(settings, { force: Boolean(msg.force) });
+        return ok(sendResponse, { result, status: await getSelectorStatus() });
+      }
+
+      if (msg.type === "GET_SELECTOR_STATUS") {
+        return ok(sendResponse, { status: await getSelectorStatus() });
+      }
+
+      if (msg.type === "CLEAR_SELECTOR_DRIFT") {
+        await clearSelectorDrift();
+        return ok(sendResponse, { cleared: true });
       }
 
       
@@ -358,24 +769,53 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       // Hybrid Memory Server (optional)
       // -------------------------
       if (msg.type === "MEMORY_PUSH") {
-        const settings = await getSettings();
-        // Always enqueue first (so we never lose it)
-        await enqueueMemoryEvent(msg.event || { type: "unknown" });
+        const settings = await getSettings(workspaceId);
+        // Always enqueue first (so we never lose it): sai da outbox só com ack do servidor
+        const pending = await enqueueMemoryEvent(msg.event || { type: "unknown" }, workspaceId);
 
-        if (settings.memorySyncEnabled && settings.memoryServerUrl && settings.memoryWorkspaceKey) {
+        if (isMemorySyncConfigured(settings)) {
           try {
-            const r = await flushMemoryQueue(settings);
-            return ok(sendResponse, { flushed: r.flushed || 0 });
+            const r = await flushMemoryOutbox(settings);
+            return ok(sendResponse, { flushed: r.flushed || 0, pending: r.pending });
           } catch (e) {
-            return ok(sendResponse, { queued: true });
+            return ok(sendResponse, { queued: true, pending });
           }
         }
-        return ok(sendResponse, { queued: true });
+        return ok(sendResponse, { queued: true, pending });
+      }
+
+      // Pull por cursor: o content script aplica no IndexedDB e confirma com MEMORY_PULL_ACK
+      if (msg.type === "MEMORY_PULL") {
+        const settings = await getSettings(workspaceId);
+        if (!isMemorySyncConfigured(settings)) return ok(sendResponse, { disabled: true, changes: [] });
+        const r = await pullMemoryChanges(settings, { limit: msg.limit });
+        return ok(sendResponse, r);
+      }
+
+      if (msg.type === "MEMORY_PULL_ACK") {
+        const cursor = await ackMemoryPull(msg.cursor, workspaceId);
+        return ok(sendResponse, { cursor });
+      }
+
+      if (msg.type === "MEMORY_SYNC_STATUS") {
+        const settings = await getSettings(workspaceId);
+        const status = await getMemorySyncStatus(workspaceId);
+        return ok(sendResponse, { status: { ...status, enabled: isMemorySyncConfigured(settings) } });
+      }
+
+      if (msg.type === "MEMORY_SYNC_RETRY") {
+        const settings = await getSettings(workspaceId);
+        const reopened = await retryFailedMemoryEvents(workspaceId);
+        let flushed = 0;
+        if (isMemorySyncConfigured(settings)) {
+          flushed = (await flushMemoryOutbox(settings)).flushed;
+        }
+        return ok(sendResponse, { reopened, flushed, status: await getMemorySyncStatus(workspaceId) });
       }
 
       if (msg.type === "MEMORY_QUERY") {
-        const settings = await getSettings();
-        if (!(settings.memorySyncEnabled && settings.memoryServerUrl && settings.memoryWorkspaceKey)) {
+        const settings = await getSettings(workspaceId);
+        if (!isMemorySyncConfigured(settings)) {
           return ok(sendResponse, { ok: false, disabled: true });
         }
 
@@ -389,8 +829,21 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       // Campaigns via Backend API
       // -------------------------
       if (msg.type === "CAMPAIGN_API_CREATE") {
-        const settings = await getSettings();
-        const payload = msg.payload || {};
+        const settings = await getSettings(workspaceId);
+        const payload = { ...(msg.payload || {}) };
+
+        // Opt-out: quem está na lista de supressão não vai para o backend
+        const messages = Array.isArray(payload.messages) ? payload.messages : [];
+        const recipients = Array.isArray(payload.recipients) ? payload.recipients : [];
+        const { suppressed } = await checkSuppressed([...messages.map(m => m?.phone), ...recipients], workspaceId);
+        const blocked = new Set(suppressed.map(s => s.number));
+        if (blocked.size) {
+          if (messages.length) payload.messages = messages.filter(m => !blocked.has(m?.phone));
+          if (recipients.length) payload.recipients = recipients.filter(r => !blocked.has(r));
+          if (!(payload.messages?.length || payload.recipients?.length)) {
+            return fail(sendResponse, new Error("Todos os destinatários estão na lista de opt-out."), { suppressed });
+          }
+        }
 
         const data = await callBackendJson({
           backendUrl: settings.backendUrl,
@@ -399,7 +852,41 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           secret: settings.backendSecret
         });
 
-        return ok(sendResponse, { data });
+        return ok(sendResponse, { data, suppressed });
+      }
+
+      // -------------------------
+      // Opt-out / lista de supressão
+      // -------------------------
+      if (msg.type === "SUPPRESSION_LIST") {
+        return ok(sendResponse, await getSuppressionList({ includeRemoved: Boolean(msg.includeRemoved) }, workspaceId));
+      }
+
+      if (msg.type === "SUPPRESSION_CHECK") {
+        return ok(sendResponse, await checkSuppressed(msg.numbers, workspaceId));
+      }
+
+      if (msg.type === "SUPPRESSION_ADD") {
+        const res = await addSuppressed(msg.entries || msg.entry, workspaceId);
+        if (res.added.length) {
+          const settings = await getSettings(workspaceId);
+          if (settings.backendUrl) syncSuppressionList(settings).catch(e => console.warn("[WhatsHybrid Lite] Opt-out sync failed:", e?.message || e));
+        }
+        return ok(sendResponse, res);
+      }
+
+      if (msg.type === "SUPPRESSION_REMOVE") {
+        return ok(sendResponse, await removeSuppressed(msg.numbers, workspaceId));
+      }
+
+      if (msg.type === "SUPPRESSION_EXPORT") {
+        const format = msg.format === "json" ? "json" : "csv";
+        return ok(sendResponse, { format, content: await exportSuppressionList(format, workspaceId) });
+      }
+
+      if (msg.type === "SUPPRESSION_SYNC") {
+        const settings = await getSettings(workspaceId);
+        return ok(sendResponse, await syncSuppressionList(settings));
       }
 
       // -------------------------
@@ -407,6 +894,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       // -------------------------
       if (msg.type === "SCHEDULE_CAMPAIGN") {
         const campaign = msg.campaign || {};
+        if (campaign.cron) {
+          return ok(sendResponse, await scheduleRecurringCampaign(campaign, workspaceId));
+        }
         if (!campaign.id || !campaign.scheduledTime) {
           return fail(sendResponse, new Error("Invalid campaign data"));
         }
@@ -427,6 +917,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return ok(sendResponse, { scheduled: true, alarmName: campaign.id, delayMinutes });
       }
 
+      if (msg.type === "CRON_PREVIEW") {
+        const upcoming = previewCron(msg.cron, msg.timezone, clampNumber(msg.count, 1, 20, 5));
+        return ok(sendResponse, { upcoming });
+      }
+
       if (msg.type === "CANCEL_SCHEDULED_CAMPAIGN") {
         const campaignId = msg.campaignId;
         if (campaignId) {
@@ -439,7 +934,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       // Copilot Mode / AI Confidence
       // -------------------------
       if (msg.type === "GET_CONFIDENCE") {
-        const settings = await getSettings();
+        const settings = await getSettings(workspaceId);
         
         // Try to get from backend first
         if (settings.backendUrl) {
@@ -453,12 +948,12 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             
             if (data?.ok) {
               // Update local cache
-              await chrome.storage.local.set({
+              await storeSettings({
                 confidenceScore: data.score || 0,
                 copilotEnabled: data.config?.copilot_enabled || false,
                 copilotThreshold: data.config?.copilot_threshold || 70,
                 confidenceStats: data.metrics || DEFAULTS.confidenceStats
-              });
+              }, workspaceId);
               
               return ok(sendResponse, data);
             }
@@ -488,7 +983,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
 
       if (msg.type === "UPDATE_CONFIDENCE") {
-        const settings = await getSettings();
+        const settings = await getSettings(workspaceId);
         const payload = msg.payload || {};
         
         if (settings.backendUrl) {
@@ -502,9 +997,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             
             if (data?.ok) {
               // Update local cache
-              await chrome.storage.local.set({
+              await storeSettings({
                 confidenceScore: data.score || 0
-              });
+              }, workspaceId);
             }
             
             return ok(sendResponse, data);
@@ -519,7 +1014,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
       if (msg.type === "TOGGLE_COPILOT") {
         const enabled = Boolean(msg.enabled);
-        const settings = await getSettings();
+        const settings = await getSettings(workspaceId);
         
         if (settings.backendUrl) {
           try {
@@ -531,7 +1026,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             });
             
             if (data?.ok) {
-              await chrome.storage.local.set({ copilotEnabled: enabled });
+              await storeSettings({ copilotEnabled: enabled }, workspaceId);
             }
             
             return ok(sendResponse, data);
@@ -541,13 +1036,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         }
         
         // Fallback to local
-        await chrome.storage.local.set({ copilotEnabled: enabled });
+        await storeSettings({ copilotEnabled: enabled }, workspaceId);
         return ok(sendResponse, { ok: true, copilot_enabled: enabled });
       }
 
       if (msg.type === "SET_THRESHOLD") {
         const threshold = Number(msg.threshold || 70);
-        const settings = await getSettings();
+        const settings = await getSettings(workspaceId);
         
         if (settings.backendUrl) {
           try {
@@ -559,7 +1054,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             });
             
             if (data?.ok) {
-              await chrome.storage.local.set({ copilotThreshold: threshold });
+              await storeSettings({ copilotThreshold: threshold }, workspaceId);
             }
             
             return ok(sendResponse, data);
@@ -569,7 +1064,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         }
         
         // Fallback to local
-        await chrome.storage.local.set({ copilotThreshold: threshold });
+        await storeSettings({ copilotThreshold: threshold }, workspaceId);
         return ok(sendResponse, { ok: true, copilot_threshold: threshold });
       }
 
@@ -577,11 +1072,21 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       // Team Messaging (FIX 2)
       // -------------------------
       if (msg.type === "SEND_TO_TEAM") {
-        const { members, message, senderName } = msg.payload;
+        const { message, senderName } = msg.payload;
         
         // Converter para Promise-based para evitar erro de canal assíncrono
         (async () => {
           try {
+            // Opt-out vale também para a equipe
+            const all = Array.isArray(msg.payload.members) ? msg.payload.members : [];
+            const { suppressed } = await checkSuppressed(all.map(m => m?.phone), workspaceId);
+            const blocked = new Set(suppressed.map(s => s.number));
+            const members = all.filter(m => !blocked.has(m?.phone));
+            if (all.length && !members.length) {
+              sendResponse({ ok: false, error: "Todos os membros selecionados estão na lista de opt-out.", suppressed });
+              return;
+            }
+
             const tabs = await chrome.tabs.query({ url: "https://web.whatsapp.com/*" });
             if (tabs.length === 0) {
               sendResponse({ ok: false, error: "WhatsApp Web não está aberto." });
@@ -594,7 +1099,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
               payload: { members, message, senderName }
             });
             
-            sendResponse({ ok: true, ...response });
+            sendResponse({ ok: true, ...response, suppressed });
           } catch (e) {
             console.error('[WHL] SEND_TO_TEAM error:', e);
             sendResponse({ ok: false, error: e.message || String(e) });
@@ -604,6 +1109,42 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return true; // Manter canal aberto
       }
 
+      // -------------------------
+      // Workspaces (ver background/workspaces.js)
+      // -------------------------
+      if (msg.type === "WORKSPACE_LIST") {
+        return ok(sendResponse, await listWorkspaces());
+      }
+
+      if (msg.type === "WORKSPACE_CREATE") {
+        const workspace = await createWorkspace(msg.name, { copyFrom: msg.copySettings ? workspaceId : null });
+        if (msg.activate) await switchWorkspace(workspace.id);
+        return ok(sendResponse, { workspace, ...(await listWorkspaces()) });
+      }
+
+      if (msg.type === "WORKSPACE_RENAME") {
+        const workspace = await renameWorkspace(msg.id, msg.name);
+        return ok(sendResponse, { workspace });
+      }
+
+      if (msg.type === "WORKSPACE_SWITCH") {
+        await switchWorkspace(msg.id);
+        return ok(sendResponse, await listWorkspaces());
+      }
+
+      if (msg.type === "WORKSPACE_DELETE") {
+        const scheduled = await loadScheduled(msg.id);
+        const res = await deleteWorkspace(msg.id);
+        for (const c of scheduled) await chrome.alarms.clear(c.id);
+        await dropIndex(msg.id).catch(e => console.warn("[WhatsHybrid Lite] RAG index not dropped:", e?.message || e));
+        return ok(sendResponse, res);
+      }
+
+      // content/workspace.js apagou os IndexedDB de workspaces removidos
+      if (msg.type === "WORKSPACE_DB_CLEANED") {
+        return ok(sendResponse, { pending: await markDbCleaned(msg.ids) });
+      }
+
       // -------------------------
       // Unknown
       // -------------------------
@@ -617,20 +1158,138 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return true;
 });
 
+// -------------------------
+// AI streaming (long-lived port)
+// -------------------------
+// content script: chrome.runtime.connect({ name: "AI_STREAM" })
+//   -> { type: "start", messages, payload, ... }   (same fields as AI_CHAT)
+//   -> { type: "stop" }
+// service worker:
+//   <- { type: "delta", text }
+//   <- { type: "tool", call: { name, args, ok, error, result, ms } }   (one per tool call)
+//   <- { type: "done", text, provider, model, usage, toolCalls, status }
+//   <- { type: "error", error, code, cancelled, status }
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "AI_STREAM") return;
+
+  const controller = new AbortController();
+  let started = false;
+  let closed = false;
+
+  const post = (m) => {
+    if (closed) return;
+    try { port.postMessage(m); } catch (_) { closed = true; }
+  };
+
+  port.onDisconnect.addListener(() => {
+    closed = true;
+    controller.abort();
+  });
+
+  port.onMessage.addListener(async (m) => {
+    if (m?.type === "stop") {
+      controller.abort();
+      return;
+    }
+    if (m?.type !== "start" || started) return;
+    started = true;
+
+    try {
+      const settings = await getSettings(m.workspaceId);
+      const res = await chatWithFallback(m, settings, {
+        onDelta: (text) => post({ type: "delta", text }),
+        onTool: (call) => post({ type: "tool", call }),
+        signal: controller.signal
+      });
+      post({
+        type: "done",
+        text: res.text,
+        provider: res.status.provider,
+        model: res.model,
+        usage: res.usage,
+        toolCalls: res.toolCalls,
+        status: res.status
+      });
+    } catch (e) {
+      const cancelled = e?.code === "aborted" || controller.signal.aborted;
+      if (!cancelled) console.error('[WhatsHybrid Lite] AI_STREAM error:', e);
+      post({
+        type: "error",
+        error: e?.message || String(e),
+        code: e?.code || "unknown",
+        cancelled,
+        status: { provider: null, fallback: false, attempts: e?.attempts || [] }
+      });
+    } finally {
+      try { port.disconnect(); } catch (_) {}
+      closed = true;
+    }
+  });
+});
+
 // Handle alarms for scheduled campaigns
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   console.log("[WhatsHybrid Lite] Alarm triggered:", alarm.name);
+
+  if (alarm.name === SELECTOR_ALARM) {
+    try {
+      const settings = await getSettings();
+      if (settings.selectorsAutoUpdate) await refreshSelectorRegistry(settings);
+    } catch (e) {
+      console.warn("[WhatsHybrid Lite] Selector registry refresh failed:", e?.message || e);
+    }
+    return;
+  }
+
+  // Outbox de memória e opt-out: todos os workspaces, cada um com o seu servidor
+  if (alarm.name === MEMORY_SYNC_ALARM) {
+    for (const id of await workspaceIds()) {
+      try {
+        const settings = await getSettings(id);
+        if (isMemorySyncConfigured(settings)) await flushMemoryOutbox(settings);
+      } catch (e) {
+        console.warn("[WhatsHybrid Lite] Memory outbox flush failed:", id, e?.message || e);
+      }
+    }
+    return;
+  }
+
+  if (alarm.name === SUPPRESSION_ALARM) {
+    for (const id of await workspaceIds()) {
+      try {
+        const settings = await getSettings(id);
+        if (settings.backendUrl) await syncSuppressionList(settings);
+      } catch (e) {
+        console.warn("[WhatsHybrid Lite] Opt-out sync failed:", id, e?.message || e);
+      }
+    }
+    return;
+  }
   
-  // Get scheduled campaigns
-  const data = await chrome.storage.local.get(['whl_scheduled_campaigns']);
-  const campaigns = Array.isArray(data?.whl_scheduled_campaigns) ? data.whl_scheduled_campaigns : [];
-  
-  // Find the campaign that matches this alarm
-  const campaign = campaigns.find(c => c.id === alarm.name);
-  if (!campaign) {
+  // Find the campaign that matches this alarm (in any workspace)
+  const found = await findScheduledCampaign(alarm.name, await workspaceIds());
+  if (!found) {
     console.log("[WhatsHybrid Lite] Campaign not found for alarm:", alarm.name);
     return;
   }
+  const { campaign, workspaceId } = found;
+
+  if (campaign.recurring) {
+    try {
+      const updated = await runRecurringCampaign(campaign, Date.now(), workspaceId);
+      const last = updated?.runs?.[updated.runs.length - 1];
+      console.log("[WhatsHybrid Lite] Recurring campaign", campaign.id, last?.status, "- next:", updated?.scheduledTime);
+    } catch (e) {
+      console.error("[WhatsHybrid Lite] Error executing recurring campaign:", e);
+    }
+    return;
+  }
+
+  // As abas só rodam o workspace ativo: a campanha fica na lista até o operador voltar a ele
+  if (await getActiveWorkspaceId() !== workspaceId) {
+    console.warn("[WhatsHybrid Lite] Scheduled campaign belongs to an inactive workspace, not sent:", campaign.id, workspaceId);
+    return;
+  }
 
   console.log("[WhatsHybrid Lite] Executing scheduled campaign:", campaign.id);
 
@@ -645,12 +1304,13 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     // Send to the first WhatsApp Web tab found
     await chrome.tabs.sendMessage(tabs[0].id, {
       type: "EXECUTE_SCHEDULED_CAMPAIGN",
-      campaign: campaign
+      campaign: campaign,
+      workspaceId
     });
 
     // Remove campaign from storage after sending
-    const filtered = campaigns.filter(c => c.id !== campaign.id);
-    await chrome.storage.local.set({ whl_scheduled_campaigns: filtered });
+    const filtered = (await loadScheduled(workspaceId)).filter(c => c.id !== campaign.id);
+    await saveScheduled(filtered, workspaceId);
   } catch (e) {
     console.error("[WhatsHybrid Lite] Error executing scheduled campaign:", e);
   }
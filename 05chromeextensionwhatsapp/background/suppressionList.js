@@ -0,0 +1,326 @@
+// background/suppressionList.js
+// Opt-out / suppression list: contatos que pediram para não receber mais mensagens.
+//
+// Stored in chrome.storage.local under whl_suppression:
+// {
+//   entries: {
+//     "<key>": { key, number, name, reason, keyword, text, source, addedAt, updatedAt, removed, synced }
+//   },
+//   seq,           // sync_seq do último item recebido do backend (pull incremental)
+//   lastSyncAt, lastSyncError
+// }
+// key = dígitos com DDI, sem o 9º dígito de celulares brasileiros, para que
+// +55 11 98888-7777 e +55 11 8888-7777 caiam na mesma entrada.
+//
+// Removals are kept as tombstones (removed: true) until the backend has them, so a
+// pull never resurrects a number the operator released. Every sending path checks
+// the list: DOM campaigns (content), CampaignSystem, SEND_TO_TEAM and CAMPAIGN_API_CREATE.
+//
+// Backend: /api/suppression.php
+//   GET  ?after=<seq>          -> { ok, entries: [...], cursor, more }
+//   POST { entries: [...] }    -> { ok, saved }
+// O cursor é a sequência que o backend grava a cada upsert, não o updatedAt: um opt-out
+// enviado com atraso (updatedAt antigo) ainda chega. O pull segue pedindo enquanto more=true.
+// (Instalações com o cursor antigo, em ms, refazem o pull completo uma vez.)
+//
+// Cada workspace tem a sua lista (keyFor, ver background/workspaces.js) e sincroniza com o
+// backend dele: o opt-out de um cliente da loja A não bloqueia envios da loja B.
+
+import { keyFor, DEFAULT_WORKSPACE_ID } from "./workspaces.js";
+
+const SUPPRESSION_KEY = "whl_suppression";
+const SUPPRESSION_PATH = "/api/suppression.php";
+const MAX_ENTRIES = 20000;
+const MAX_PULL_PAGES = 50;
+
+export const SUPPRESSION_ALARM = "whl_suppression_sync";
+export const SUPPRESSION_SYNC_MINUTES = 60;
+
+export const SOURCES = ["auto", "reply", "manual", "import", "backend"];
+
+export function suppressionKey(number) {
+  let digits = String(number || "").replace(/\D/g, "");
+  if (digits.length < 8) return "";
+  // Sem "+" e com tamanho nacional: assumir Brasil (mesma regra do normalizePhoneNumber do content)
+  const international = String(number).trim().startsWith("+");
+  if (!international && (digits.length === 10 || digits.length === 11) && !digits.startsWith("55")) digits = "55" + digits;
+  if (digits.length === 13 && digits.startsWith("55") && digits[4] === "9") digits = digits.slice(0, 4) + digits.slice(5);
+  return digits;
+}
+
+// -------------------------
+// Storage (serializado: opt-out novo e sync não podem se atropelar no read-modify-write)
+// -------------------------
+let lock = Promise.resolve();
+
+function withLock(fn) {
+  const run = lock.then(fn, fn);
+  lock = run.catch(() => {});
+  return run;
+}
+
+async function load(workspaceId) {
+  const key = keyFor(SUPPRESSION_KEY, workspaceId);
+  const res = await chrome.storage.local.get([key]);
+  const state = res?.[key];
+  return {
+    entries: state?.entries && typeof state.entries === "object" ? state.entries : {},
+    seq: Number(state?.seq) || 0,
+    lastSyncAt: state?.lastSyncAt || null,
+    lastSyncError: state?.lastSyncError || null
+  };
+}
+
+async function save(state, workspaceId) {
+  const keys = Object.keys(state.entries);
+  if (keys.length > MAX_ENTRIES) {
+    // Descarta primeiro as tombstones já sincronizadas e depois as mais antigas
+    const order = keys
+      .map(k => state.entries[k])
+      .sort((a, b) => (Number(!(a.removed && a.synced)) - Number(!(b.removed && b.synced))) || a.updatedAt - b.updatedAt);
+    for (const e of order.slice(0, keys.length - MAX_ENTRIES)) delete state.entries[e.key];
+  }
+  await chrome.storage.local.set({ [keyFor(SUPPRESSION_KEY, workspaceId)]: state });
+}
+
+function cleanEntry(input, now) {
+  const key = suppressionKey(input?.number);
+  if (!key) return null;
+  return {
+    key,
+    number: "+" + String(input.number).replace(/\D/g, ""),
+    name: String(input.name || "").slice(0, 120),
+    reason: String(input.reason || "opt_out").slice(0, 60),
+    keyword: input.keyword ? String(input.keyword).slice(0, 60) : null,
+    text: input.text ? String(input.text).slice(0, 200) : null,
+    source: SOURCES.includes(input.source) ? input.source : "manual",
+    addedAt: Number(input.addedAt) || now,
+    updatedAt: now,
+    removed: false,
+    synced: false
+  };
+}
+
+/**
+ * Lista ativa (sem tombstones), mais recentes primeiro.
+ */
+export async function getSuppressionList({ includeRemoved = false } = {}, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const state = await load(workspaceId);
+  const entries = Object.values(state.entries)
+    .filter(e => includeRemoved || !e.removed)
+    .sort((a, b) => b.addedAt - a.addedAt);
+  return {
+    entries,
+    count: entries.filter(e => !e.removed).length,
+    pending: Object.values(state.entries).filter(e => !e.synced).length,
+    lastSyncAt: state.lastSyncAt,
+    lastSyncError: state.lastSyncError
+  };
+}
+
+/**
+ * Adicionar (ou reativar) números. Um número já suprimido mantém o addedAt original.
+ * @param {Array<{ number, name?, reason?, keyword?, text?, source? }>} items
+ * @returns {Promise<{ added: Array, invalid: Array }>}
+ */
+export function addSuppressed(items, workspaceId = DEFAULT_WORKSPACE_ID) {
+  return withLock(() => addLocked(items, workspaceId));
+}
+
+async function addLocked(items, workspaceId) {
+  const state = await load(workspaceId);
+  const now = Date.now();
+  const added = [];
+  const invalid = [];
+  for (const item of Array.isArray(items) ? items : [items]) {
+    const entry = cleanEntry(item, now);
+    if (!entry) {
+      invalid.push(item?.number ?? null);
+      continue;
+    }
+    const existing = state.entries[entry.key];
+    if (existing && !existing.removed) continue;
+    state.entries[entry.key] = existing ? { ...entry, addedAt: now } : entry;
+    added.push(state.entries[entry.key]);
+  }
+  if (added.length) await save(state, workspaceId);
+  return { added, invalid };
+}
+
+/**
+ * Liberar números (vira tombstone até o backend confirmar)
+ */
+export function removeSuppressed(numbers, workspaceId = DEFAULT_WORKSPACE_ID) {
+  return withLock(() => removeLocked(numbers, workspaceId));
+}
+
+async function removeLocked(numbers, workspaceId) {
+  const state = await load(workspaceId);
+  const now = Date.now();
+  let removed = 0;
+  for (const number of Array.isArray(numbers) ? numbers : [numbers]) {
+    const entry = state.entries[suppressionKey(number)];
+    if (!entry || entry.removed) continue;
+    Object.assign(entry, { removed: true, updatedAt: now, synced: false });
+    removed++;
+  }
+  if (removed) await save(state, workspaceId);
+  return { removed };
+}
+
+/**
+ * Separar números liberados dos suprimidos (mantém a forma original de cada número).
+ * @returns {Promise<{ allowed: string[], suppressed: Array<{ number, entry }> }>}
+ */
+export async function checkSuppressed(numbers, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const state = await load(workspaceId);
+  const allowed = [];
+  const suppressed = [];
+  for (const number of Array.isArray(numbers) ? numbers : []) {
+    const entry = state.entries[suppressionKey(number)];
+    if (entry && !entry.removed) {
+      suppressed.push({ number, entry: { number: entry.number, reason: entry.reason, source: entry.source, addedAt: entry.addedAt } });
+    } else {
+      allowed.push(number);
+    }
+  }
+  return { allowed, suppressed };
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Exportar para auditoria (csv | json). Inclui as liberações para mostrar o histórico.
+ */
+export async function exportSuppressionList(format = "csv", workspaceId = DEFAULT_WORKSPACE_ID) {
+  const state = await load(workspaceId);
+  const entries = Object.values(state.entries).sort((a, b) => a.addedAt - b.addedAt);
+  if (format === "json") {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2);
+  }
+  const header = ["numero", "nome", "status", "motivo", "palavra_chave", "mensagem", "origem", "adicionado_em", "atualizado_em"];
+  const rows = entries.map(e => [
+    e.number,
+    e.name,
+    e.removed ? "liberado" : "suprimido",
+    e.reason,
+    e.keyword,
+    e.text,
+    e.source,
+    new Date(e.addedAt).toISOString(),
+    new Date(e.updatedAt).toISOString()
+  ].map(csvCell).join(","));
+  return [header.join(","), ...rows].join("\n");
+}
+
+async function backendFetch(settings, { method = "GET", query = "", body, timeoutMs = 20000 }) {
+  const base = String(settings?.backendUrl || "").trim().replace(/\/+$/, "");
+  if (!base) throw new Error("Backend URL não configurado.");
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(`${base}${SUPPRESSION_PATH}${query}`, {
+      method,
+      headers: Object.assign({ "Content-Type": "application/json" }, settings.backendSecret ? { "X-Alabama-Proxy-Key": settings.backendSecret } : {}),
+      credentials: "include",
+      body: body ? JSON.stringify(body) : undefined,
+      cache: "no-store",
+      signal: controller.signal
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data?.ok === false) throw new Error(data?.error || `HTTP ${resp.status}`);
+    return data;
+  } catch (e) {
+    if (e.name === "AbortError") throw new Error(`Opt-out: timeout após ${timeoutMs / 1000}s`);
+    throw e;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Aplica as alterações puxadas do backend; devolve quantas entraram
+function mergeRemote(state, entries) {
+  let merged = 0;
+  for (const remote of entries) {
+    const key = suppressionKey(remote?.number);
+    if (!key) continue;
+    const local = state.entries[key];
+    const updatedAt = Number(remote.updatedAt) || Date.now();
+    if (local && (!local.synced || local.updatedAt >= updatedAt)) continue;
+    state.entries[key] = {
+      ...(cleanEntry({ ...remote, source: remote.source || "backend" }, updatedAt) || {}),
+      addedAt: Number(remote.addedAt) || updatedAt,
+      removed: Boolean(remote.removed),
+      synced: true
+    };
+    merged++;
+  }
+  return merged;
+}
+
+/**
+ * Sincronizar com o backend: envia o que mudou localmente e puxa o que mudou lá.
+ * Mudança local ainda não enviada ganha da remota (o operador acabou de mexer nela).
+ * As requisições ficam fora do lock; cada gravação relê o estado para não perder
+ * opt-outs registrados durante o POST/GET.
+ */
+export async function syncSuppressionList(settings) {
+  const workspaceId = settings?.workspaceId || DEFAULT_WORKSPACE_ID;
+  const initial = await load(workspaceId);
+  const pending = Object.values(initial.entries).filter(e => !e.synced);
+  let pushed = 0;
+
+  try {
+    if (pending.length) {
+      await backendFetch(settings, {
+        method: "POST",
+        body: {
+          entries: pending.map(({ synced, ...e }) => e)
+        }
+      });
+      await withLock(async () => {
+        const state = await load(workspaceId);
+        for (const sent of pending) {
+          const current = state.entries[sent.key];
+          if (current && current.updatedAt === sent.updatedAt) current.synced = true;
+        }
+        await save(state, workspaceId);
+      });
+      pushed = pending.length;
+    }
+
+    let pulled = 0;
+    let after = initial.seq;
+    for (let page = 0; page < MAX_PULL_PAGES; page++) {
+      const data = await backendFetch(settings, { query: `?after=${after}` });
+      const cursor = Number(data?.cursor) || after;
+      pulled += await withLock(async () => {
+        const state = await load(workspaceId);
+        const merged = mergeRemote(state, Array.isArray(data?.entries) ? data.entries : []);
+        state.seq = Math.max(state.seq, cursor);
+        await save(state, workspaceId);
+        return merged;
+      });
+      if (!data?.more || cursor <= after) break;
+      after = cursor;
+    }
+
+    return await withLock(async () => {
+      const state = await load(workspaceId);
+      state.lastSyncAt = Date.now();
+      state.lastSyncError = null;
+      await save(state, workspaceId);
+      return { pushed, pulled, lastSyncAt: state.lastSyncAt };
+    });
+  } catch (e) {
+    await withLock(async () => {
+      const state = await load(workspaceId);
+      state.lastSyncError = e?.message || String(e);
+      await save(state, workspaceId);
+    });
+    throw e;
+  }
+}
@@ -0,0 +1,237 @@
+// background/usageLedger.js
+// Token / cost ledger for AI calls.
+//
+// Stored in chrome.storage.local under whl_usage_ledger, one bucket per local day:
+// {
+//   "2024-05-01": {
+//     total:       { calls, inputTokens, outputTokens, cost, estimated },   // all workspaces
+//     byWorkspace: {
+//       "<workspace id>": {
+//         total:      {...},
+//         byChat:     { "<chat title>": {...} },
+//         byMode:     { reply|summary|followup|train|memory: {...} },
+//         byOrigin:   { manual|copilot|smartbot: {...} },
+//         byModel:    { "<provider>:<model>": {...} },
+//         byCampaign: { "<campaign id>": {...} }
+//       }
+//     }
+//   }
+// }
+// The budget is global (provider keys are shared), but the breakdown is per workspace so
+// chat titles and campaigns of one store never show up in another. Older buckets without
+// byWorkspace keep the breakdown at the top level and belong to the default workspace.
+// Prices are USD per 1M tokens. When a provider doesn't return `usage` (backend proxy,
+// some local servers) tokens are estimated from text length and flagged as estimated.
+
+import { DEFAULT_WORKSPACE_ID } from "./workspaces.js";
+
+const LEDGER_KEY = "whl_usage_ledger";
+const MAX_DAYS = 90;
+const MAX_CHATS_PER_DAY = 300;
+
+// USD / 1M tokens. Overridable via settings.aiPriceTable (same shape).
+export const DEFAULT_PRICE_TABLE = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 }
+};
+
+// Local models never cost anything
+const FREE_PROVIDERS = new Set(["ollama"]);
+
+export const ORIGINS = ["manual", "copilot", "smartbot"];
+
+export function dayKey(ts = Date.now()) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// ~4 chars per token is good enough for pt-BR/en budgeting
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function estimateMessagesTokens(messages) {
+  return (messages || []).reduce((sum, m) => sum + estimateTokens(m?.content) + 4, 0);
+}
+
+/**
+ * Look up the price for a model: exact key, then longest key the model starts with
+ * (so "claude-3-5-haiku-latest" matches "claude-3-5-haiku").
+ */
+export function priceFor(model, table = {}) {
+  const merged = { ...DEFAULT_PRICE_TABLE, ...(table || {}) };
+  const m = String(model || "");
+  if (merged[m]) return merged[m];
+  const key = Object.keys(merged)
+    .filter(k => m.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? merged[key] : null;
+}
+
+function blankAgg() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: 0 };
+}
+
+function addTo(map, key, entry) {
+  const k = String(key || "(sem nome)").slice(0, 120);
+  const agg = map[k] || blankAgg();
+  agg.calls += 1;
+  agg.inputTokens += entry.inputTokens;
+  agg.outputTokens += entry.outputTokens;
+  agg.cost = Math.round((agg.cost + entry.cost) * 1e6) / 1e6;
+  if (entry.estimated) agg.estimated += 1;
+  map[k] = agg;
+}
+
+function blankSlice() {
+  return { total: blankAgg(), byChat: {}, byMode: {}, byOrigin: {}, byModel: {}, byCampaign: {} };
+}
+
+function blankDay() {
+  return { total: blankAgg(), byWorkspace: {} };
+}
+
+// Breakdown of one workspace in a day bucket
+function sliceOf(bucket, workspaceId) {
+  if (!bucket) return blankSlice();
+  if (bucket.byWorkspace) return bucket.byWorkspace[workspaceId] || blankSlice();
+  return workspaceId === DEFAULT_WORKSPACE_ID ? { ...blankSlice(), ...bucket } : blankSlice();
+}
+
+// Older bucket (breakdown at the top level): move it under the default workspace
+function upgradeDay(bucket) {
+  if (!bucket) return blankDay();
+  if (bucket.byWorkspace) return bucket;
+  const { total, ...breakdown } = bucket;
+  return {
+    total: { ...blankAgg(), ...total },
+    byWorkspace: { [DEFAULT_WORKSPACE_ID]: { ...blankSlice(), ...breakdown, total: { ...blankAgg(), ...total } } }
+  };
+}
+
+// Serialize read-modify-write so concurrent AI calls don't drop entries
+let writeChain = Promise.resolve();
+
+async function readLedger() {
+  const res = await chrome.storage.local.get([LEDGER_KEY]);
+  return res?.[LEDGER_KEY] && typeof res[LEDGER_KEY] === "object" ? res[LEDGER_KEY] : {};
+}
+
+/**
+ * Record one completed AI call.
+ * @param {Object} e - { provider, model, usage, messages, text, meta: { chatTitle, mode, origin, campaignId } }
+ * @param {Object} settings - for aiPriceTable and workspaceId
+ */
+export function recordUsage(e, settings = {}) {
+  writeChain = writeChain.then(async () => {
+    const meta = e.meta || {};
+    const estimated = !e.usage;
+    const inputTokens = e.usage?.inputTokens ?? estimateMessagesTokens(e.messages);
+    const outputTokens = e.usage?.outputTokens ?? estimateTokens(e.text);
+
+    let cost = 0;
+    if (!FREE_PROVIDERS.has(e.provider)) {
+      const price = priceFor(e.model, settings.aiPriceTable);
+      if (price) cost = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+    }
+
+    const entry = { inputTokens, outputTokens, cost, estimated };
+    const ledger = await readLedger();
+    const day = dayKey();
+    const bucket = upgradeDay(ledger[day]);
+    const workspaceId = settings.workspaceId || DEFAULT_WORKSPACE_ID;
+    const slice = bucket.byWorkspace[workspaceId] || blankSlice();
+
+    addTo(bucket, "total", entry); // bucket.total
+    addTo(slice, "total", entry);
+    addTo(slice.byChat, meta.chatTitle, entry);
+    addTo(slice.byMode, meta.mode || "reply", entry);
+    addTo(slice.byOrigin, ORIGINS.includes(meta.origin) ? meta.origin : "manual", entry);
+    addTo(slice.byModel, `${e.provider}:${e.model || "?"}`, entry);
+    if (meta.campaignId) addTo(slice.byCampaign, meta.campaignId, entry);
+
+    // Bound per-day chat map (drop the cheapest ones)
+    const chats = Object.entries(slice.byChat);
+    if (chats.length > MAX_CHATS_PER_DAY) {
+      chats.sort((a, b) => b[1].cost - a[1].cost || b[1].calls - a[1].calls);
+      slice.byChat = Object.fromEntries(chats.slice(0, MAX_CHATS_PER_DAY));
+    }
+    bucket.byWorkspace[workspaceId] = slice;
+
+    ledger[day] = bucket;
+
+    // Keep only the last MAX_DAYS days
+    const days = Object.keys(ledger).sort();
+    for (const d of days.slice(0, Math.max(0, days.length - MAX_DAYS))) delete ledger[d];
+
+    await chrome.storage.local.set({ [LEDGER_KEY]: ledger });
+  }).catch((err) => {
+    console.warn('[WhatsHybrid Lite] Failed to record AI usage:', err);
+  });
+  return writeChain;
+}
+
+export async function getTodayCost() {
+  const ledger = await readLedger();
+  return ledger[dayKey()]?.total?.cost || 0;
+}
+
+/**
+ * Throws when the daily hard cap is reached and the call is not explicitly manual.
+ * Manual calls are never blocked; the operator is always in control. A call without
+ * an origin counts as automatic.
+ */
+export async function assertWithinBudget(settings, origin) {
+  const cap = Number(settings?.aiDailyHardCap || 0);
+  if (!cap || origin === "manual") return;
+  const spent = await getTodayCost();
+  if (spent >= cap) {
+    const err = new Error(`Limite diário de IA atingido (US$ ${spent.toFixed(4)} de US$ ${cap.toFixed(2)}). Chamadas automáticas bloqueadas até amanhã.`);
+    err.code = "budget_exceeded";
+    err.retryable = false;
+    throw err;
+  }
+}
+
+/**
+ * Summary for the popup: today's breakdown and last N days totals of the workspace
+ * (settings.workspaceId), budget status across all workspaces.
+ */
+export async function getUsageSummary(settings, days = 7) {
+  const ledger = await readLedger();
+  const workspaceId = settings?.workspaceId || DEFAULT_WORKSPACE_ID;
+  const today = dayKey();
+  const history = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const d = dayKey(Date.now() - i * 86400000);
+    history.push({ day: d, ...(ledger[d] ? sliceOf(ledger[d], workspaceId).total : blankAgg()) });
+  }
+  const spent = ledger[today]?.total?.cost || 0;
+  const budget = Number(settings?.aiDailyBudget || 0);
+  const cap = Number(settings?.aiDailyHardCap || 0);
+  return {
+    today: { day: today, ...sliceOf(ledger[today], workspaceId) },
+    history,
+    budget: {
+      daily: budget,
+      hardCap: cap,
+      spent,
+      overBudget: budget > 0 && spent >= budget,
+      capReached: cap > 0 && spent >= cap
+    },
+    priceTable: { ...DEFAULT_PRICE_TABLE, ...(settings?.aiPriceTable || {}) }
+  };
+}
+
+export async function resetUsage() {
+  await chrome.storage.local.set({ [LEDGER_KEY]: {} });
+}
@@ -0,0 +1,236 @@
+// background/workspaces.js
+// Workspaces (multi-loja): cada workspace tem persona, base de conhecimento, respostas rápidas,
+// equipe, chave do memory server e backend próprios. Uma agência que atende várias lojas troca
+// de workspace no popup sem que os dados de uma loja apareçam na outra.
+//
+// Registro (chrome.storage.local, whl_workspaces):
+// {
+//   activeId,                              // workspace em uso no popup e nas abas do WhatsApp Web
+//   workspaces: [{ id, name, createdAt }],
+//   pendingDbCleanup: [id, ...]            // removidos cujo IndexedDB do content script ainda existe
+// }
+//
+// Chaves por workspace: o workspace "default" usa as chaves de sempre (instalações antigas não
+// migram nada); os demais usam "<chave>@<id>" (ex.: whl_knowledge@loja-centro-k3f9) - vale para
+// as configurações de WORKSPACE_SETTING_KEYS, para os dados (whl_knowledge, whl_examples,
+// whl_memories, whl_suppression, whl_sync_outbox, whl_scheduled_campaigns, smartbot_dialog_sessions,
+// ...) e para os nomes dos bancos IndexedDB (whl_rag, whl_contact_memory, whl_campaign_journal).
+// Chaves de provedores, seletores e orçamento de IA continuam globais; o ledger de IA é um só,
+// com o detalhamento (chats, campanhas) separado por workspace.
+
+export const DEFAULT_WORKSPACE_ID = "default";
+export const WORKSPACES_KEY = "whl_workspaces";
+const MAX_WORKSPACES = 20;
+
+// Configurações próprias de cada workspace (o resto de DEFAULTS é global)
+export const WORKSPACE_SETTING_KEYS = [
+  // Backend / memory server
+  "backendUrl",
+  "backendAiPath",
+  "backendCampaignPath",
+  "backendSecret",
+  "memoryServerUrl",
+  "memoryWorkspaceKey",
+
+  // Assistente
+  "persona",
+  "businessContext",
+  "autoSuggest",
+  "autoMemory",
+  "freightRules",
+
+  // Copiloto (a confiança é da loja, não do navegador)
+  "copilotEnabled",
+  "copilotThreshold",
+  "confidenceScore",
+  "confidenceStats",
+
+  // Respostas rápidas / equipe
+  "quickReplies",
+  "teamMembers",
+  "senderName",
+
+  // Opt-out e janela de envio
+  "optOutAutoDetect",
+  "optOutKeywords",
+  "sendWindowEnabled",
+  "sendWindows",
+  "sendWindowHolidays",
+  "sendWindowCustomHolidays",
+  "sendWindowTimezone",
+  "sendWindowRecipientTz"
+];
+
+// Não copiados ao criar um workspace a partir de outro
+const NOT_COPIED = ["memoryWorkspaceKey", "confidenceScore", "confidenceStats"];
+
+/**
+ * Nome da chave (ou do banco IndexedDB) de um workspace
+ */
+export function keyFor(key, workspaceId) {
+  return !workspaceId || workspaceId === DEFAULT_WORKSPACE_ID ? key : `${key}@${workspaceId}`;
+}
+
+export function isWorkspaceSetting(key) {
+  return WORKSPACE_SETTING_KEYS.includes(key);
+}
+
+async function loadRegistry() {
+  const res = await chrome.storage.local.get([WORKSPACES_KEY]);
+  const stored = res?.[WORKSPACES_KEY];
+  const workspaces = (Array.isArray(stored?.workspaces) ? stored.workspaces : []).filter(w => w?.id);
+  if (!workspaces.some(w => w.id === DEFAULT_WORKSPACE_ID)) {
+    workspaces.unshift({ id: DEFAULT_WORKSPACE_ID, name: "Principal", createdAt: null });
+  }
+  return {
+    activeId: workspaces.some(w => w.id === stored?.activeId) ? stored.activeId : DEFAULT_WORKSPACE_ID,
+    workspaces,
+    pendingDbCleanup: Array.isArray(stored?.pendingDbCleanup) ? stored.pendingDbCleanup : []
+  };
+}
+
+async function saveRegistry(registry, extra = {}) {
+  await chrome.storage.local.set({ ...extra, [WORKSPACES_KEY]: registry });
+}
+
+function cleanName(name) {
+  const clean = String(name || "").replace(/\s+/g, " ").trim().slice(0, 60);
+  if (!clean) throw new Error("Informe o nome do workspace.");
+  return clean;
+}
+
+function assertUniqueName(registry, name, exceptId = null) {
+  const norm = name.toLowerCase();
+  if (registry.workspaces.some(w => w.id !== exceptId && String(w.name).toLowerCase() === norm)) {
+    throw new Error(`Já existe um workspace "${name}".`);
+  }
+}
+
+function slugify(name) {
+  return name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 24);
+}
+
+function randomSuffix(length) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, b => (b % 36).toString(36)).join("");
+}
+
+/**
+ * @returns {Promise<{ activeId, workspaces: Array<{ id, name, createdAt, active }> }>}
+ */
+export async function listWorkspaces() {
+  const registry = await loadRegistry();
+  return {
+    activeId: registry.activeId,
+    workspaces: registry.workspaces.map(w => ({ ...w, active: w.id === registry.activeId }))
+  };
+}
+
+export async function getActiveWorkspaceId() {
+  return (await loadRegistry()).activeId;
+}
+
+/**
+ * Workspace de uma mensagem: o que a aba fixou ao carregar ou, sem nenhum, o ativo.
+ * Lança se o workspace foi removido (a aba antiga não pode gravar em chaves órfãs).
+ */
+export async function resolveWorkspaceId(workspaceId) {
+  const registry = await loadRegistry();
+  if (!workspaceId) return registry.activeId;
+  if (!registry.workspaces.some(w => w.id === workspaceId)) {
+    throw new Error(`Workspace "${workspaceId}" não existe mais. Recarregue o WhatsApp Web.`);
+  }
+  return workspaceId;
+}
+
+/**
+ * Criar um workspace. Com copyFrom, as configurações (não os dados) do workspace de origem são
+ * copiadas; a chave do memory server é sempre nova para as memórias não se misturarem.
+ */
+export async function createWorkspace(name, { copyFrom = null } = {}) {
+  const registry = await loadRegistry();
+  const clean = cleanName(name);
+  if (registry.workspaces.length >= MAX_WORKSPACES) throw new Error(`Limite de ${MAX_WORKSPACES} workspaces atingido.`);
+  assertUniqueName(registry, clean);
+
+  let id;
+  do {
+    id = `${slugify(clean) || "ws"}-${randomSuffix(4)}`;
+  } while (registry.workspaces.some(w => w.id === id));
+
+  const initial = {};
+  if (copyFrom && registry.workspaces.some(w => w.id === copyFrom)) {
+    const keys = WORKSPACE_SETTING_KEYS.filter(k => !NOT_COPIED.includes(k));
+    const source = await chrome.storage.local.get(keys.map(k => keyFor(k, copyFrom)));
+    for (const k of keys) {
+      const value = source?.[keyFor(k, copyFrom)];
+      if (value !== undefined) initial[keyFor(k, id)] = value;
+    }
+  }
+  initial[keyFor("memoryWorkspaceKey", id)] = `alabama-${id}-${randomSuffix(12)}`;
+
+  const workspace = { id, name: clean, createdAt: new Date().toISOString() };
+  registry.workspaces.push(workspace);
+  await saveRegistry(registry, initial);
+  return workspace;
+}
+
+export async function renameWorkspace(id, name) {
+  const registry = await loadRegistry();
+  const workspace = registry.workspaces.find(w => w.id === id);
+  if (!workspace) throw new Error("Workspace não encontrado.");
+  const clean = cleanName(name);
+  assertUniqueName(registry, clean, id);
+  workspace.name = clean;
+  await saveRegistry(registry);
+  return workspace;
+}
+
+/**
+ * Trocar o workspace ativo. As abas do WhatsApp Web recarregam sozinhas (content/workspace.js).
+ */
+export async function switchWorkspace(id) {
+  const registry = await loadRegistry();
+  if (!registry.workspaces.some(w => w.id === id)) throw new Error("Workspace não encontrado.");
+  if (registry.activeId !== id) {
+    registry.activeId = id;
+    await saveRegistry(registry);
+  }
+  return id;
+}
+
+/**
+ * Remover um workspace e todas as chaves "<chave>@<id>". O principal e o ativo não podem ser
+ * removidos. Os bancos IndexedDB do content script ficam em pendingDbCleanup até a próxima
+ * carga do WhatsApp Web (o service worker não acessa a origem web.whatsapp.com).
+ * @returns {Promise<{ removed: string, keys: number }>}
+ */
+export async function deleteWorkspace(id) {
+  if (id === DEFAULT_WORKSPACE_ID) throw new Error("O workspace principal não pode ser removido.");
+  const registry = await loadRegistry();
+  if (!registry.workspaces.some(w => w.id === id)) throw new Error("Workspace não encontrado.");
+  if (registry.activeId === id) throw new Error("Troque para outro workspace antes de remover este.");
+
+  const suffix = `@${id}`;
+  const keys = Object.keys(await chrome.storage.local.get(null)).filter(k => k.endsWith(suffix));
+  if (keys.length) await chrome.storage.local.remove(keys);
+
+  registry.workspaces = registry.workspaces.filter(w => w.id !== id);
+  registry.pendingDbCleanup = Array.from(new Set([...registry.pendingDbCleanup, id]));
+  await saveRegistry(registry);
+  return { removed: id, keys: keys.length };
+}
+
+/**
+ * O content script apagou os bancos IndexedDB dos workspaces removidos
+ */
+export async function markDbCleaned(ids) {
+  const done = new Set(Array.isArray(ids) ? ids : []);
+  const registry = await loadRegistry();
+  const pending = registry.pendingDbCleanup.filter(id => !done.has(id));
+  if (pending.length === registry.pendingDbCleanup.length) return pending;
+  registry.pendingDbCleanup = pending;
+  await saveRegistry(registry);
+  return pending;
+}
@@ -0,0 +1,374 @@
+// content/campaignJournal.js
+// Per-recipient job journal for DOM campaigns (IndexedDB, survives tab reloads / logouts).
+//
+// Loaded as a content script before content.js; exposes globalThis.WHL_CampaignJournal.
+//
+// Job states:
+//   pending  -> opening (abrindo o chat) -> typed (texto no composer) -> sent (clicou enviar)
+//            -> verified (bolha de saída confirmada no chat)
+//   pending  -> opening -> media_sending (anexando/enviando mídia, com lastOutgoingId) -> sent -> verified
+//   failed   (tentativas esgotadas, com motivo) | skipped (duplicado, opt-out, chat errado, número inválido,
+//            sem janela de envio, unverified = mídia interrompida sem bolha nova no chat)
+//
+// Campaign status: running | paused | waiting (fora da janela de envio, com resumeAt/waitReason)
+//                  | interrupted | halted (parada pela proteção, só volta com confirmação do operador)
+//                  | completed | aborted
+// campaign.safety = estado do WHL_CampaignSafety (sobrevive a reloads);
+// campaign.safetyEvents = [{ at, action: slow | stop | resumed, reason, delayFactor }] (vai para o relatório)
+//
+// sent/verified are terminal: a resumed campaign never sends to those recipients again.
+// A job found in "typed" after a reload is ambiguous (send may or may not have happened);
+// the runner checks the chat for the outgoing bubble before retrying it.
+// A job found in "media_sending" is never retried: it becomes verified if a new outgoing bubble
+// (after lastOutgoingId) is in the chat, otherwise skipped with error "unverified".
+//
+// After sending, jobs also carry the WhatsApp receipt (ticks) and the recipient's reply:
+//   receipt: sent -> delivered -> read (só avança), deliveredAt/readAt/repliedAt gravados uma vez.
+// Replies only count when they arrive within the campaign's replyWindowHours.
+
+(function () {
+  'use strict';
+
+  const DB_NAME = 'whl_campaign_journal';
+  const DB_VERSION = 1;
+  const MAX_HISTORY = 20;
+  const MAX_SAFETY_EVENTS = 50;
+
+  const STATES = ['pending', 'opening', 'typed', 'media_sending', 'sent', 'verified', 'failed', 'skipped'];
+  const DONE_STATES = new Set(['sent', 'verified', 'failed', 'skipped']);
+  const ACTIVE_STATUSES = new Set(['running', 'paused', 'waiting', 'interrupted']);
+  const RECEIPTS = ['sent', 'delivered', 'read'];
+  const DEFAULT_REPLY_WINDOW_HOURS = 48;
+
+  let dbPromise = null;
+
+  // -------------------------
+  // IndexedDB helpers
+  // -------------------------
+  // Non-default workspaces get their own database (whl_campaign_journal@<id>)
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = globalThis.WHL_Workspace.dbName(DB_NAME).then(name => new Promise((resolve, reject) => {
+      const req = indexedDB.open(name, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('campaigns')) {
+          const store = db.createObjectStore('campaigns', { keyPath: 'id' });
+          store.createIndex('status', 'status', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('jobs')) {
+          const store = db.createObjectStore('jobs', { keyPath: ['campaignId', 'idx'] });
+          store.createIndex('campaignId', 'campaignId', { unique: false });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    }));
+    return dbPromise;
+  }
+
+  function reqToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // fn deve só enfileirar requests (sem await de outras promises, senão a transação fecha)
+  async function tx(storeNames, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(storeNames, mode);
+      let result;
+      Promise.resolve(fn(t)).then(r => { result = r; }, reject);
+      t.oncomplete = () => resolve(result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  function digitsOf(number) {
+    return String(number || '').replace(/\D/g, '');
+  }
+
+  // -------------------------
+  // Campaigns
+  // -------------------------
+
+  /**
+   * Criar campanha + um job por destinatário. Números repetidos viram "skipped" (duplicate) e
+   * os da lista de supressão (spec.suppressed, mesma forma de entries[].number) "skipped" (opt_out).
+   * @param {{ source, openVia, message, variants, media, delays: { min, max }, entries: [{ number, name, vars, variant, message }], suppressed, meta }} spec
+   */
+  async function createCampaign(spec) {
+    const now = Date.now();
+    const id = spec.id || `dom_${now}_${Math.random().toString(36).slice(2, 8)}`;
+    const entries = Array.isArray(spec.entries) ? spec.entries : [];
+
+    const campaign = {
+      id,
+      source: spec.source || 'panel',
+      openVia: spec.openVia || 'search', // search (painel) | url (/send?phone=, recarrega a página)
+      message: String(spec.message || ''),
+      // Variantes A/B: [{ id, weight, message }] (cada job guarda a sorteada)
+      variants: Array.isArray(spec.variants) && spec.variants.length > 1 ? spec.variants : null,
+      media: spec.media || null,
+      delays: spec.delays || { min: 8, max: 15 },
+      maxAttempts: spec.maxAttempts || 2,
+      replyWindowHours: Number(spec.replyWindowHours) > 0 ? Number(spec.replyWindowHours) : DEFAULT_REPLY_WINDOW_HOURS,
+      meta: spec.meta || {},
+      status: 'running',
+      total: entries.length,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    const seen = new Set();
+    const suppressed = new Set((Array.isArray(spec.suppressed) ? spec.suppressed : []).map(digitsOf));
+    const jobs = entries.map((e, idx) => {
+      const digits = digitsOf(e.number);
+      const duplicate = digits && seen.has(digits);
+      seen.add(digits);
+      const invalid = digits.length < 8;
+      const optOut = !duplicate && !invalid && suppressed.has(digits);
+      const state = duplicate || invalid || optOut ? 'skipped' : 'pending';
+      const error = duplicate ? 'duplicate' : (invalid ? 'invalid_number' : (optOut ? 'opt_out' : null));
+      return {
+        campaignId: id,
+        idx,
+        number: e.number,
+        digits,
+        name: e.name || '',
+        vars: e.vars || {},
+        variant: e.variant || null,
+        message: typeof e.message === 'string' ? e.message : null, // texto do job (variante + spintax), {{vars}} pendentes
+        state,
+        attempts: 0,
+        error,
+        createdAt: now,
+        updatedAt: now,
+        sentAt: null,
+        history: [{ state, at: now, error }]
+      };
+    });
+
+    await tx(['campaigns', 'jobs'], 'readwrite', (t) => {
+      t.objectStore('campaigns').put(campaign);
+      const store = t.objectStore('jobs');
+      for (const job of jobs) store.put(job);
+    });
+    return campaign;
+  }
+
+  async function getCampaign(id) {
+    return tx(['campaigns'], 'readonly', t => reqToPromise(t.objectStore('campaigns').get(id)));
+  }
+
+  async function listCampaigns(limit = 20) {
+    const all = await tx(['campaigns'], 'readonly', t => reqToPromise(t.objectStore('campaigns').getAll()));
+    return all.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit);
+  }
+
+  /**
+   * Campanha que ficou rodando/pausada/interrompida (a mais recente)
+   */
+  async function getActive() {
+    const all = await listCampaigns(50);
+    return all.find(c => ACTIVE_STATUSES.has(c.status)) || null;
+  }
+
+  async function setStatus(id, status, patch = {}) {
+    return tx(['campaigns'], 'readwrite', async (t) => {
+      const store = t.objectStore('campaigns');
+      const campaign = await reqToPromise(store.get(id));
+      if (!campaign) return null;
+      Object.assign(campaign, patch, { status, updatedAt: Date.now() });
+      if (status === 'completed' || status === 'aborted') campaign.finishedAt = Date.now();
+      store.put(campaign);
+      return campaign;
+    });
+  }
+
+  /**
+   * Gravar o estado da proteção da campanha e, se houver, um evento (slow / stop / resumed)
+   */
+  async function recordSafety(id, state, event = null) {
+    return tx(['campaigns'], 'readwrite', async (t) => {
+      const store = t.objectStore('campaigns');
+      const campaign = await reqToPromise(store.get(id));
+      if (!campaign) return null;
+      campaign.safety = state;
+      if (event) {
+        campaign.safetyEvents = [...(campaign.safetyEvents || []), { at: Date.now(), ...event }].slice(-MAX_SAFETY_EVENTS);
+      }
+      campaign.updatedAt = Date.now();
+      store.put(campaign);
+      return campaign;
+    });
+  }
+
+  // -------------------------
+  // Jobs
+  // -------------------------
+  async function listJobs(campaignId) {
+    const jobs = await tx(['jobs'], 'readonly', t =>
+      reqToPromise(t.objectStore('jobs').index('campaignId').getAll(campaignId)));
+    return jobs.sort((a, b) => a.idx - b.idx);
+  }
+
+  /**
+   * Próximo job a processar (menor idx ainda não terminado). Jobs em "opening"/"typed"/"media_sending"
+   * são os que foram interrompidos no meio.
+   */
+  async function nextJob(campaignId) {
+    const jobs = await listJobs(campaignId);
+    return jobs.find(j => !DONE_STATES.has(j.state)) || null;
+  }
+
+  /**
+   * Gravar transição de estado. Nunca sai de sent/verified (exceto sent -> verified).
+   * @param {Object} patch - campos extras (error, attempts, navigatedAt, ...)
+   */
+  async function transition(job, state, patch = {}) {
+    if (!STATES.includes(state)) throw new Error(`Estado de job inválido: ${state}`);
+    return tx(['jobs'], 'readwrite', async (t) => {
+      const store = t.objectStore('jobs');
+      const current = await reqToPromise(store.get([job.campaignId, job.idx]));
+      if (!current) return null;
+      if ((current.state === 'sent' && state !== 'verified') || current.state === 'verified') return current;
+
+      const now = Date.now();
+      Object.assign(current, patch, { state, updatedAt: now });
+      if (state === 'sent') current.sentAt = now;
+      if (state === 'verified' && !current.sentAt) current.sentAt = now;
+      if (state !== 'failed' && state !== 'skipped' && !('error' in patch)) current.error = null;
+      current.history = (current.history || []).concat({ state, at: now, error: current.error || null }).slice(-MAX_HISTORY);
+      store.put(current);
+      Object.assign(job, current);
+      return current;
+    });
+  }
+
+  /**
+   * Registrar falha: volta para pending enquanto houver tentativas, senão failed
+   */
+  async function fail(job, error, maxAttempts = 2) {
+    const reason = String(error?.message || error || 'erro').slice(0, 300);
+    const state = (job.attempts || 0) >= maxAttempts ? 'failed' : 'pending';
+    return transition(job, state, { error: reason });
+  }
+
+  // -------------------------
+  // Receipts (ticks) / respostas
+  // -------------------------
+
+  /**
+   * Mesclar leitura de ticks/resposta num registro (job do journal ou item em memória).
+   * O receipt só avança; "read" implica "delivered" e uma resposta também implica entrega.
+   * @param {{ receipt?, at?, repliedAt?, reply? }} patch
+   * @returns {Array<{ event, at }>} eventos novos (delivered | read | replied)
+   */
+  function mergeReceipt(record, patch = {}) {
+    const at = patch.at || Date.now();
+    const events = [];
+    let receipt = patch.receipt;
+    if (patch.repliedAt && !record.repliedAt && RECEIPTS.indexOf(receipt) < 1) receipt = 'delivered';
+
+    const current = RECEIPTS.indexOf(record.receipt || 'sent');
+    const next = RECEIPTS.indexOf(receipt);
+    if (next > current) {
+      record.receipt = receipt;
+      if (next >= 1 && !record.deliveredAt) {
+        record.deliveredAt = at;
+        events.push({ event: 'delivered', at });
+      }
+      if (next >= 2 && !record.readAt) {
+        record.readAt = at;
+        events.push({ event: 'read', at });
+      }
+    }
+    if (patch.repliedAt && !record.repliedAt) {
+      record.repliedAt = patch.repliedAt;
+      record.reply = String(patch.reply || '').slice(0, 200);
+      events.push({ event: 'replied', at: patch.repliedAt });
+    }
+    if (!record.receipt) record.receipt = 'sent';
+    record.receiptCheckedAt = Date.now();
+    return events;
+  }
+
+  /**
+   * Gravar ticks/resposta de um job já enviado. Retorna os eventos novos.
+   */
+  async function recordReceipt(job, patch) {
+    return tx(['jobs'], 'readwrite', async (t) => {
+      const store = t.objectStore('jobs');
+      const current = await reqToPromise(store.get([job.campaignId, job.idx]));
+      if (!current || (current.state !== 'sent' && current.state !== 'verified')) return [];
+      const events = mergeReceipt(current, patch);
+      if (events.length) store.put(current);
+      Object.assign(job, current);
+      return events;
+    });
+  }
+
+  /**
+   * Jobs enviados desde `since` que ainda esperam ticks ou resposta
+   */
+  async function listTracked(since) {
+    const jobs = await tx(['jobs'], 'readonly', t => reqToPromise(t.objectStore('jobs').getAll()));
+    return jobs.filter(j => (j.state === 'sent' || j.state === 'verified') && j.sentAt >= since && !(j.readAt && j.repliedAt));
+  }
+
+  async function summary(campaignId) {
+    const jobs = await listJobs(campaignId);
+    const counts = Object.fromEntries(STATES.map(s => [s, 0]));
+    for (const j of jobs) counts[j.state] = (counts[j.state] || 0) + 1;
+    const done = jobs.filter(j => DONE_STATES.has(j.state)).length;
+    return { total: jobs.length, done, counts };
+  }
+
+  /**
+   * Apagar campanhas terminadas há mais de N dias
+   */
+  async function purge(olderThanDays = 30) {
+    const cutoff = Date.now() - olderThanDays * 86400000;
+    const old = (await listCampaigns(1000)).filter(c => !ACTIVE_STATUSES.has(c.status) && c.updatedAt < cutoff);
+    if (!old.length) return 0;
+    const keys = [];
+    for (const c of old) {
+      for (const j of await listJobs(c.id)) keys.push([c.id, j.idx]);
+    }
+    await tx(['campaigns', 'jobs'], 'readwrite', (t) => {
+      for (const c of old) t.objectStore('campaigns').delete(c.id);
+      for (const k of keys) t.objectStore('jobs').delete(k);
+    });
+    return old.length;
+  }
+
+  globalThis.WHL_CampaignJournal = {
+    STATES,
+    DEFAULT_REPLY_WINDOW_HOURS,
+    isDone: job => DONE_STATES.has(job?.state),
+    isSent: job => job?.state === 'sent' || job?.state === 'verified',
+    createCampaign,
+    getCampaign,
+    listCampaigns,
+    getActive,
+    setStatus,
+    recordSafety,
+    listJobs,
+    nextJob,
+    transition,
+    fail,
+    summary,
+    mergeReceipt,
+    recordReceipt,
+    listTracked,
+    purge
+  };
+})();
@@ -0,0 +1,182 @@
+// content/campaignSafety.js
+// Campaign safety monitor (circuit breaker): desacelera ou para uma campanha quando os sinais
+// indicam problema (falhas seguidas, muitos números fora do WhatsApp, chats demorando para
+// abrir, aviso do WhatsApp na tela).
+//
+// Loaded as a content script after selectorRegistry.js and before content.js; exposes
+// globalThis.WHL_CampaignSafety:
+//   createMonitor(state?, thresholds?) -> monitor
+//     monitor.record({ type, ms?, detail? }) -> { action: 'continue' | 'slow' | 'stop', reason, delayFactor }
+//       type: sent (ms = tempo para abrir o chat) | failed | invalid_number | warning (detail = texto)
+//     monitor.delayFactor / monitor.snapshot() (estado serializável, guardado no journal)
+//   detectWarning(root?)       -> texto do aviso do WhatsApp ou null
+//   detectInvalidNumber(root?) -> texto do diálogo "número inválido / não está no WhatsApp" ou null
+//
+// O estado vai para o journal a cada registro: campanhas abertas por URL recarregam a página a
+// cada contato e as regras de "falhas seguidas" precisam sobreviver ao reload.
+
+(function () {
+  'use strict';
+
+  const DEFAULT_THRESHOLDS = {
+    window: 10, // últimas tentativas consideradas
+    minSamples: 5, // taxa de falha só conta com pelo menos isso
+    slowFailureRate: 0.3,
+    stopFailureRate: 0.6,
+    slowConsecutiveFailures: 2,
+    stopConsecutiveFailures: 4,
+    slowInvalidNumbers: 3, // dentro da janela
+    stopInvalidNumbers: 5,
+    openSpikeFactor: 3, // abrir o chat levou 3x a mediana...
+    openSpikeMinMs: 8000, // ...e pelo menos 8s
+    slowOpenSpikes: 2, // seguidos
+    stopOpenSpikes: 5,
+    slowStep: 1.5, // multiplica os intervalos a cada desaceleração
+    maxDelayFactor: 4,
+    cooldown: 3 // tentativas entre duas desacelerações
+  };
+
+  // Avisos que param a campanha na hora (pt / en / es)
+  const WARNING_PATTERNS = [
+    /(conta|account|cuenta).{0,60}(banid|banned|suspens|bloquead|blocked|restrit|restrict|prohib|not allowed|no (est[áa] )?permitid)/i,
+    /(banid|banned|suspens|bloquead|restrit|restricted).{0,40}(whatsapp|conta|account|cuenta)/i,
+    /(muitas mensagens|too many messages|demasiados mensajes)/i,
+    /(n[ãa]o (pode|consegue) enviar|can(no|')t send|no puedes enviar).{0,40}(mensage|message|mensaje)/i,
+    /(temporariamente|temporarily|temporalmente).{0,40}(bloquead|banid|banned|blocked|restrit|restricted|limitad|limited)/i
+  ];
+
+  const INVALID_NUMBER_PATTERNS = [
+    /(n[úu]mero de telefone|phone number|n[úu]mero de tel[ée]fono).{0,80}(inv[áa]lid|no es v[áa]lid|not valid)/i,
+    /(n[ãa]o est[áa]|isn'?t|is not|no est[áa]).{0,10}(no|on|en) whatsapp/i
+  ];
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function emptyState() {
+    return { samples: [], openTimes: [], consecutiveFailures: 0, openSpikes: 0, delayFactor: 1, sinceSlow: Infinity };
+  }
+
+  function createMonitor(initial = null, overrides = {}) {
+    const t = { ...DEFAULT_THRESHOLDS, ...overrides };
+    const state = { ...emptyState(), ...(initial || {}) };
+    if (!Number.isFinite(state.sinceSlow)) state.sinceSlow = t.cooldown; // JSON não guarda Infinity
+
+    function push(kind) {
+      state.samples.push(kind);
+      if (state.samples.length > t.window) state.samples.shift();
+      state.sinceSlow++;
+    }
+
+    function decide(stopReason, slowReason) {
+      if (stopReason) return { action: 'stop', reason: stopReason, delayFactor: state.delayFactor };
+      if (slowReason && state.sinceSlow >= t.cooldown && state.delayFactor < t.maxDelayFactor) {
+        state.delayFactor = Math.min(t.maxDelayFactor, Math.round(state.delayFactor * t.slowStep * 100) / 100);
+        state.sinceSlow = 0;
+        return { action: 'slow', reason: slowReason, delayFactor: state.delayFactor };
+      }
+      return { action: 'continue', reason: null, delayFactor: state.delayFactor };
+    }
+
+    function record(signal = {}) {
+      if (signal.type === 'warning') {
+        return decide(`aviso do WhatsApp: "${String(signal.detail || '').slice(0, 120)}"`, null);
+      }
+
+      if (signal.type === 'sent') {
+        push('sent');
+        state.consecutiveFailures = 0;
+        const ms = Number(signal.ms);
+        if (Number.isFinite(ms) && ms > 0) {
+          const baseline = median(state.openTimes);
+          const spike = state.openTimes.length >= 3 && ms >= t.openSpikeMinMs && ms >= baseline * t.openSpikeFactor;
+          state.openSpikes = spike ? state.openSpikes + 1 : 0;
+          // Picos não entram na mediana (senão a própria lentidão vira o normal)
+          if (!spike) {
+            state.openTimes.push(ms);
+            if (state.openTimes.length > 20) state.openTimes.shift();
+          }
+          const secs = `${Math.round(ms / 1000)}s (normal ~${Math.round(baseline / 1000)}s)`;
+          if (state.openSpikes >= t.stopOpenSpikes) return decide(`chats demorando para abrir: ${state.openSpikes} seguidos, último ${secs}`, null);
+          if (state.openSpikes >= t.slowOpenSpikes) return decide(null, `chats demorando para abrir (${secs})`);
+        }
+        return decide(null, null);
+      }
+
+      if (signal.type === 'invalid_number') {
+        push('invalid');
+        const invalid = state.samples.filter(s => s === 'invalid').length;
+        if (invalid >= t.stopInvalidNumbers) return decide(`${invalid} das últimas ${state.samples.length} tentativas eram números fora do WhatsApp`, null);
+        if (invalid >= t.slowInvalidNumbers) return decide(null, `${invalid} números fora do WhatsApp nas últimas ${state.samples.length} tentativas`);
+        return decide(null, null);
+      }
+
+      if (signal.type === 'failed') {
+        push('failed');
+        state.consecutiveFailures++;
+        const attempts = state.samples.filter(s => s !== 'invalid');
+        const rate = attempts.length ? attempts.filter(s => s === 'failed').length / attempts.length : 0;
+        const pct = `${Math.round(rate * 100)}% de falha nas últimas ${attempts.length}`;
+        if (state.consecutiveFailures >= t.stopConsecutiveFailures) return decide(`${state.consecutiveFailures} falhas seguidas`, null);
+        if (attempts.length >= t.minSamples && rate >= t.stopFailureRate) return decide(pct, null);
+        if (state.consecutiveFailures >= t.slowConsecutiveFailures) return decide(null, `${state.consecutiveFailures} falhas seguidas`);
+        if (attempts.length >= t.minSamples && rate >= t.slowFailureRate) return decide(null, pct);
+        return decide(null, null);
+      }
+
+      return decide(null, null);
+    }
+
+    return {
+      record,
+      get delayFactor() {
+        return state.delayFactor;
+      },
+      snapshot() {
+        return JSON.parse(JSON.stringify({ ...state, sinceSlow: Math.min(state.sinceSlow, 1000) }));
+      },
+      // Depois da confirmação do operador: zera os contadores e mantém a desaceleração
+      acknowledge() {
+        Object.assign(state, emptyState(), { delayFactor: state.delayFactor, sinceSlow: 0 });
+      }
+    };
+  }
+
+  // -------------------------
+  // Sinais na tela
+  // -------------------------
+  function visibleTexts(keys, root) {
+    const S = globalThis.WHL_Selectors;
+    const texts = [];
+    for (const key of keys) {
+      const nodes = S ? S.findAll(key, { root }) : [];
+      for (const el of nodes) {
+        if (!el.isConnected || !(el.offsetWidth || el.offsetHeight || el.getClientRects().length)) continue;
+        const text = String(el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+        if (text) texts.push(text.slice(0, 500));
+      }
+    }
+    return texts;
+  }
+
+  function detectWarning(root = document) {
+    return visibleTexts(['warningBanner', 'dialogRoot'], root).find(text => WARNING_PATTERNS.some(re => re.test(text))) || null;
+  }
+
+  function detectInvalidNumber(root = document) {
+    return visibleTexts(['dialogRoot'], root).find(text => INVALID_NUMBER_PATTERNS.some(re => re.test(text))) || null;
+  }
+
+  globalThis.WHL_CampaignSafety = {
+    DEFAULT_THRESHOLDS,
+    WARNING_PATTERNS,
+    INVALID_NUMBER_PATTERNS,
+    createMonitor,
+    detectWarning,
+    detectInvalidNumber
+  };
+})();
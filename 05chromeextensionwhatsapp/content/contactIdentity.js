@@ -0,0 +1,226 @@
+// content/contactIdentity.js
+// Identidade estável do contato: a memória (Leão), os exemplos e os eventos de sync usam um ID
+// canônico derivado do JID / telefone em vez do título visível do chat.
+//
+// Loaded as a content script before content.js; exposes globalThis.WHL_ContactIdentity.
+//
+// IDs canônicos:
+//   wa:5511999999999   contato (JID @c.us / @s.whatsapp.net, telefone do cabeçalho ou da URL)
+//   group:1203630...   grupo (JID @g.us das mensagens do chat)
+//   lid:8812345...     contato com número oculto (JID @lid), só quando não há telefone
+//   title:leão         último recurso: sem número nenhum na tela e título desconhecido na tabela
+//
+// Tabela de apelidos (chrome.storage.local, whl_contact_aliases - uma por workspace):
+// {
+//   contacts: { [id]: { kind, phone, titles: [{ title, firstSeen, lastSeen }] } },
+//   titles:   { [título normalizado]: [id, ...] }   // mais de um id = título ambíguo
+// }
+// Um título só resolve para um id quando é único na tabela: dois clientes "Leão" ou um grupo
+// com o nome de um contato nunca herdam a memória um do outro.
+
+(function () {
+  'use strict';
+
+  const ALIASES_KEY = 'whl_contact_aliases';
+  const MAX_TITLES_PER_CONTACT = 10;
+  const SEEN_RESOLUTION_MS = 3600000; // lastSeen atualiza no máximo de hora em hora (menos escritas)
+  const CANONICAL_RE = /^(wa|group|lid|title):/;
+
+  // -------------------------
+  // IDs
+  // -------------------------
+  function normalizeTitle(title) {
+    return String(title || '').normalize('NFC').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  // Celular brasileiro sem o nono dígito (JIDs antigos) ganha o 9: 55 + DDD + 8 dígitos iniciando em 6-9
+  function normalizePhone(value) {
+    let digits = String(value || '').replace(/\D/g, '');
+    if (digits.length === 12 && digits.startsWith('55') && /[6-9]/.test(digits[4])) {
+      digits = `${digits.slice(0, 4)}9${digits.slice(4)}`;
+    }
+    return digits.length >= 10 && digits.length <= 15 ? digits : null;
+  }
+
+  function fromPhone(value) {
+    const digits = normalizePhone(value);
+    return digits ? `wa:${digits}` : null;
+  }
+
+  function fromJid(jid) {
+    const m = String(jid || '').match(/^([\w.-]+)@(c\.us|s\.whatsapp\.net|g\.us|lid)$/);
+    if (!m) return null;
+    if (m[2] === 'g.us') return `group:${m[1]}`;
+    if (m[2] === 'lid') return `lid:${m[1].replace(/\D/g, '')}`;
+    return fromPhone(m[1]);
+  }
+
+  function fromTitle(title) {
+    const t = normalizeTitle(title);
+    return t ? `title:${t}` : null;
+  }
+
+  function isCanonical(key) {
+    return CANONICAL_RE.test(String(key || ''));
+  }
+
+  function kindOf(id) {
+    const prefix = String(id || '').split(':')[0];
+    return prefix === 'wa' ? 'contact' : prefix;
+  }
+
+  // JIDs do chat aberto a partir do data-id das bolhas: "true_5511...@c.us_3EB0..." ou, em grupo,
+  // "false_1203...@g.us_3EB0..._5511...@c.us" (o primeiro JID é sempre o do chat)
+  function chatJids(root) {
+    const out = [];
+    if (!root?.querySelectorAll) return out;
+    for (const el of root.querySelectorAll('[data-id]')) {
+      const m = String(el.getAttribute('data-id') || '').match(/^(?:true|false)_([\w.-]+@(?:c\.us|s\.whatsapp\.net|g\.us|lid))/);
+      if (m && !out.includes(m[1])) out.push(m[1]);
+    }
+    return out;
+  }
+
+  // -------------------------
+  // Resolver
+  // -------------------------
+  /**
+   * Escolher o ID canônico do chat aberto.
+   * Ordem: grupo (JID) > telefone (JID, cabeçalho, URL) > lid > título único na tabela > título.
+   * @param {{ jids?: string[], phones?: string[], urlPhone?: string, title?: string }} signals
+   * @param {Object} [aliases] tabela de apelidos (loadAliases)
+   * @returns {{ id, kind, phone, title, source } | null}
+   */
+  function resolve({ jids = [], phones = [], urlPhone = '', title = '' } = {}, aliases = null) {
+    const ids = jids.map(fromJid).filter(Boolean);
+    const pick = (id, source) => ({ id, kind: kindOf(id), phone: id.startsWith('wa:') ? id.slice(3) : null, title: String(title || '').trim(), source });
+
+    const group = ids.find(id => id.startsWith('group:'));
+    if (group) return pick(group, 'jid');
+    const contact = ids.find(id => id.startsWith('wa:'));
+    if (contact) return pick(contact, 'jid');
+    const phone = phones.map(fromPhone).find(Boolean);
+    if (phone) return pick(phone, 'header');
+    // A URL (send?phone=) só vale para chat novo, ainda sem mensagens com JID
+    const fromUrl = !ids.length && fromPhone(urlPhone);
+    if (fromUrl) return pick(fromUrl, 'url');
+    const lid = ids.find(id => id.startsWith('lid:'));
+    if (lid) return pick(lid, 'jid');
+
+    const known = aliases ? lookupTitle(aliases, title) : null;
+    if (known) return pick(known, 'alias');
+    const byTitle = fromTitle(title);
+    return byTitle ? pick(byTitle, 'title') : null;
+  }
+
+  // -------------------------
+  // Tabela de apelidos
+  // -------------------------
+  function emptyAliases() {
+    return { contacts: {}, titles: {} };
+  }
+
+  /**
+   * ID do contato para um título, só se o título for de um único contato conhecido
+   */
+  function lookupTitle(aliases, title) {
+    const ids = aliases?.titles?.[normalizeTitle(title)] || [];
+    return ids.length === 1 ? ids[0] : null;
+  }
+
+  /**
+   * Registrar o título visto para um ID (muta a tabela). IDs "title:" não entram:
+   * não provam nada sobre quem é o contato.
+   * @returns {boolean} true se a tabela mudou
+   */
+  function rememberAlias(aliases, identity, now = Date.now()) {
+    if (!identity?.id || identity.kind === 'title') return false;
+    const title = String(identity.title || '').trim();
+    const norm = normalizeTitle(title);
+    const contact = aliases.contacts[identity.id] || (aliases.contacts[identity.id] = { kind: identity.kind, phone: identity.phone || null, titles: [] });
+    if (!norm) return false;
+
+    const seen = contact.titles.find(t => normalizeTitle(t.title) === norm);
+    let changed = false;
+    if (seen) {
+      if (now - seen.lastSeen >= SEEN_RESOLUTION_MS) {
+        seen.lastSeen = now;
+        changed = true;
+      }
+    } else {
+      contact.titles.push({ title, firstSeen: now, lastSeen: now });
+      contact.titles.sort((a, b) => b.lastSeen - a.lastSeen);
+      for (const dropped of contact.titles.splice(MAX_TITLES_PER_CONTACT)) {
+        const n = normalizeTitle(dropped.title);
+        aliases.titles[n] = (aliases.titles[n] || []).filter(id => id !== identity.id);
+        if (!aliases.titles[n].length) delete aliases.titles[n];
+      }
+      changed = true;
+    }
+    const owners = aliases.titles[norm] || (aliases.titles[norm] = []);
+    if (!owners.includes(identity.id)) {
+      owners.push(identity.id);
+      changed = true;
+    }
+    return changed;
+  }
+
+  async function loadAliases() {
+    const key = await globalThis.WHL_Workspace.key(ALIASES_KEY);
+    const res = await chrome.storage.local.get([key]);
+    const stored = res?.[key];
+    return stored && typeof stored === 'object' ? { ...emptyAliases(), ...stored } : emptyAliases();
+  }
+
+  async function saveAliases(aliases) {
+    await chrome.storage.local.set({ [await globalThis.WHL_Workspace.key(ALIASES_KEY)]: aliases });
+  }
+
+  // -------------------------
+  // Migração de whl_memories (chaveadas pelo título até esta versão)
+  // -------------------------
+  /**
+   * Mover memórias com chave de título para o ID canônico. Título que é só um telefone vira wa:,
+   * título único na tabela vira o ID dele e, com `current`, o título do chat aberto vira o ID
+   * resolvido. Títulos ambíguos ficam como estão. Em colisão, fica a memória mais recente.
+   * @returns {{ mems, moved: Array<{ from, to }> }}
+   */
+  function migrateMemories(mems, aliases, current = null) {
+    const out = { ...(mems || {}) };
+    const moved = [];
+    for (const key of Object.keys(out)) {
+      if (isCanonical(key)) continue;
+      const norm = normalizeTitle(key);
+      const digitsOnly = !/\p{L}/u.test(key) && fromPhone(key);
+      const owners = aliases?.titles?.[norm] || [];
+      const currentMatch = current && current.kind !== 'title' && normalizeTitle(current.title) === norm
+        && owners.every(id => id === current.id) ? current.id : null;
+      const target = digitsOnly || lookupTitle(aliases, key) || currentMatch;
+      if (!target) continue;
+
+      const legacy = { ...out[key], contactId: target, title: out[key]?.title || key };
+      const existing = out[target];
+      if (!existing || new Date(existing.updatedAt || 0) < new Date(legacy.updatedAt || 0)) out[target] = legacy;
+      delete out[key];
+      moved.push({ from: key, to: target });
+    }
+    return { mems: out, moved };
+  }
+
+  globalThis.WHL_ContactIdentity = {
+    ALIASES_KEY,
+    normalizeTitle,
+    normalizePhone,
+    fromPhone,
+    fromJid,
+    fromTitle,
+    isCanonical,
+    chatJids,
+    resolve,
+    lookupTitle,
+    rememberAlias,
+    loadAliases,
+    saveAliases,
+    migrateMemories
+  };
+})();
@@ -0,0 +1,303 @@
+// content/contactImport.js
+// Contact list import for campaigns (Campanhas tab): CSV, XLSX and vCard, no external libs.
+//
+// Loaded as a content script after docIngest.js (zip reader + CSV parser) and before content.js;
+// exposes globalThis.WHL_ContactImport:
+//   readTable(file)                      -> { kind, columns: [..], rows: [[..]], headerless, warnings }
+//   guessMapping(table)                  -> { phone, name, vars: { columnIndex: varName } }
+//   buildEntries(table, mapping, opts)   -> { entries: [{ number, name, vars, row }], errors, duplicates }
+//
+// Custom columns become entry.vars, usable as {{var}} in applyVars / TemplateEngine.process.
+// Phone validation: opts.normalize (normalizePhoneNumber do content.js) + tamanho E.164.
+
+(function () {
+  'use strict';
+
+  const ingest = () => globalThis.WHL_DocIngest;
+
+  const PHONE_HEADER = /^(telefone|celular|whats(app)?|fone|phone|mobile|cel|tel|n[uú]mero|numero|contato)\b/i;
+  const NAME_HEADER = /^(nome|name|cliente|contato|full ?name|raz[aã]o social)\b/i;
+
+  // -------------------------
+  // Helpers
+  // -------------------------
+  function varName(header, used) {
+    let name = String(header || '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'campo';
+    if (/^\d/.test(name)) name = `campo_${name}`;
+    let out = name;
+    for (let i = 2; used.has(out); i++) out = `${name}_${i}`;
+    used.add(out);
+    return out;
+  }
+
+  function looksLikePhone(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 8 && digits.length <= 15 && !/[a-z]{3,}/i.test(String(value));
+  }
+
+  function padRows(rows) {
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    return rows.map(r => Array.from({ length: width }, (_, i) => String(r[i] ?? '').trim()));
+  }
+
+  // Primeira linha vira cabeçalho, a não ser que já pareça um contato (lista sem cabeçalho)
+  function toTable(kind, rows, warnings = []) {
+    rows = padRows(rows.filter(r => r.some(c => String(c ?? '').trim())));
+    if (!rows.length) return { kind, columns: [], rows: [], headerless: false, warnings: warnings.concat('Arquivo sem linhas') };
+    const headerless = rows[0].some(looksLikePhone);
+    const columns = headerless
+      ? rows[0].map((_, i) => `coluna${i + 1}`)
+      : rows[0].map((h, i) => h || `coluna${i + 1}`);
+    return { kind, columns, rows: headerless ? rows : rows.slice(1), headerless, warnings };
+  }
+
+  // -------------------------
+  // XLSX (primeira planilha)
+  // -------------------------
+  async function xmlEntry(buffer, path) {
+    const bytes = await ingest().readZipEntry(buffer, path);
+    if (!bytes) return null;
+    return new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+  }
+
+  function byTag(node, tag) {
+    return Array.from(node.getElementsByTagName('*')).filter(n => n.localName === tag);
+  }
+
+  function columnIndex(ref) {
+    const letters = String(ref || '').replace(/\d+/g, '').toUpperCase();
+    let n = 0;
+    for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+    return n - 1;
+  }
+
+  // Excel guarda telefones como número (às vezes em notação científica)
+  function cellNumber(raw) {
+    const n = Number(raw);
+    if (!Number.isFinite(n)) return raw;
+    return /e/i.test(raw) || Number.isInteger(n) ? BigInt(Math.round(n)).toString() : raw;
+  }
+
+  async function readXlsx(buffer) {
+    const warnings = [];
+    const shared = [];
+    const sst = await xmlEntry(buffer, 'xl/sharedStrings.xml');
+    if (sst) {
+      for (const si of byTag(sst, 'si')) shared.push(byTag(si, 't').map(t => t.textContent).join(''));
+    }
+
+    // Caminho da primeira planilha pelo workbook (fallback: sheet1.xml)
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbook = await xmlEntry(buffer, 'xl/workbook.xml');
+    const rels = await xmlEntry(buffer, 'xl/_rels/workbook.xml.rels');
+    const sheets = workbook ? byTag(workbook, 'sheet') : [];
+    if (sheets.length > 1) warnings.push(`Planilha com ${sheets.length} abas: usando a primeira`);
+    if (sheets[0] && rels) {
+      const rid = Array.from(sheets[0].attributes).find(a => a.localName === 'id')?.value;
+      const rel = byTag(rels, 'Relationship').find(r => r.getAttribute('Id') === rid);
+      const target = rel?.getAttribute('Target');
+      if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+
+    const sheet = await xmlEntry(buffer, sheetPath);
+    if (!sheet) throw new Error('XLSX sem planilha legível');
+
+    const rows = [];
+    for (const row of byTag(sheet, 'row')) {
+      const out = [];
+      for (const c of byTag(row, 'c')) {
+        const type = c.getAttribute('t');
+        const v = byTag(c, 'v')[0]?.textContent ?? '';
+        let value;
+        if (type === 's') value = shared[Number(v)] ?? '';
+        else if (type === 'inlineStr') value = byTag(c, 't').map(t => t.textContent).join('');
+        else if (type === 'str' || type === 'b' || type === 'e') value = v;
+        else value = v === '' ? '' : cellNumber(v);
+        const idx = c.getAttribute('r') ? columnIndex(c.getAttribute('r')) : out.length;
+        out[idx] = value;
+      }
+      rows.push(out);
+    }
+    return toTable('xlsx', rows, warnings);
+  }
+
+  // -------------------------
+  // vCard (.vcf, 2.1 / 3.0 / 4.0)
+  // -------------------------
+  function decodeQuotedPrintable(value, charset) {
+    const bytes = [];
+    const text = value.replace(/=\r?\n/g, '');
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.substr(i + 1, 2))) {
+        bytes.push(parseInt(text.substr(i + 1, 2), 16));
+        i += 2;
+      } else {
+        bytes.push(text.charCodeAt(i) & 0xff);
+      }
+    }
+    try {
+      return new TextDecoder(charset || 'utf-8').decode(new Uint8Array(bytes));
+    } catch (e) {
+      return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+  }
+
+  function unescapeVcard(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+  }
+
+  function readVcard(text) {
+    // Desdobrar linhas continuadas (espaço/tab) e soft breaks de quoted-printable
+    const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+    const unfolded = [];
+    for (const line of lines) {
+      const prev = unfolded[unfolded.length - 1];
+      if (/^[ \t]/.test(line) && prev !== undefined) unfolded[unfolded.length - 1] = prev + line.slice(1);
+      else if (prev !== undefined && /=$/.test(prev) && /QUOTED-PRINTABLE/i.test(prev)) unfolded[unfolded.length - 1] = prev.slice(0, -1) + line;
+      else unfolded.push(line);
+    }
+
+    const rows = [];
+    let card = null;
+    for (const line of unfolded) {
+      if (/^BEGIN:VCARD/i.test(line)) {
+        card = { name: '', phones: [], email: '', org: '' };
+        continue;
+      }
+      if (/^END:VCARD/i.test(line)) {
+        if (card) {
+          const phone = card.phones.find(p => p.cell) || card.phones[0];
+          rows.push([card.name, phone?.value || '', card.phones.filter(p => p !== phone).map(p => p.value).join(' / '), card.email, card.org]);
+        }
+        card = null;
+        continue;
+      }
+      if (!card) continue;
+
+      const idx = line.indexOf(':');
+      if (idx < 0) continue;
+      const [prop, ...params] = line.slice(0, idx).split(';');
+      const key = prop.replace(/^item\d+\./i, '').toUpperCase();
+      const paramText = params.join(';').toUpperCase();
+      let value = line.slice(idx + 1);
+      if (/ENCODING=QUOTED-PRINTABLE/.test(paramText)) {
+        value = decodeQuotedPrintable(value, (paramText.match(/CHARSET=([\w-]+)/) || [])[1]);
+      }
+
+      if (key === 'FN') card.name = unescapeVcard(value);
+      else if (key === 'N' && !card.name) card.name = unescapeVcard(value.split(';').slice(0, 2).reverse().filter(Boolean).join(' '));
+      else if (key === 'TEL') card.phones.push({ value: value.replace(/^tel:/i, '').trim(), cell: /CELL|MOBILE|WHATSAPP/.test(paramText) });
+      else if (key === 'EMAIL' && !card.email) card.email = unescapeVcard(value);
+      else if (key === 'ORG' && !card.org) card.org = unescapeVcard(value.split(';')[0]);
+    }
+
+    return {
+      kind: 'vcf',
+      columns: ['nome', 'telefone', 'outros_telefones', 'email', 'empresa'],
+      rows: padRows(rows),
+      headerless: false,
+      firstRow: 1, // "linha" = número do cartão
+      warnings: rows.length ? [] : ['Nenhum contato (BEGIN:VCARD) encontrado']
+    };
+  }
+
+  // -------------------------
+  // Public API
+  // -------------------------
+  function detectKind(file) {
+    const name = String(file?.name || '').toLowerCase();
+    const type = String(file?.type || '').toLowerCase();
+    if (name.endsWith('.xlsx') || type.includes('spreadsheetml')) return 'xlsx';
+    if (name.endsWith('.vcf') || /vcard/.test(type)) return 'vcf';
+    if (name.endsWith('.csv') || name.endsWith('.txt') || type === 'text/csv' || type === 'text/plain') return 'csv';
+    return null;
+  }
+
+  async function readTable(file) {
+    const kind = detectKind(file);
+    if (!kind) throw new Error('Formato não suportado (use CSV, XLSX ou vCard .vcf)');
+    if (kind === 'xlsx') return readXlsx(await file.arrayBuffer());
+    const text = await file.text();
+    if (kind === 'vcf') return readVcard(text);
+    return toTable('csv', ingest().parseCsv(text.replace(/^﻿/, '')));
+  }
+
+  /**
+   * Sugerir mapeamento pelo nome das colunas (ou pelo conteúdo, se não houver cabeçalho)
+   */
+  function guessMapping(table) {
+    const { columns, rows } = table;
+    let phone = columns.findIndex(c => PHONE_HEADER.test(c.trim()));
+    if (phone < 0) {
+      const sample = rows.slice(0, 20);
+      phone = columns.findIndex((_, i) => sample.length && sample.filter(r => looksLikePhone(r[i])).length >= sample.length / 2);
+    }
+    let name = columns.findIndex((c, i) => i !== phone && NAME_HEADER.test(c.trim()));
+    if (name < 0 && table.headerless) name = columns.findIndex((_, i) => i !== phone);
+
+    const used = new Set(['nome', 'numero']);
+    const vars = {};
+    columns.forEach((c, i) => {
+      if (i !== phone && i !== name) vars[i] = varName(c, used);
+    });
+    return { phone, name, vars };
+  }
+
+  /**
+   * Montar entradas de campanha a partir do mapeamento.
+   * @param {{ normalize?: Function }} opts - normalize: normalizePhoneNumber do content.js
+   * @returns {{ entries, errors: [{ row, value, error }], duplicates }}
+   */
+  function buildEntries(table, mapping, opts = {}) {
+    const normalize = opts.normalize || (v => v);
+    const entries = [];
+    const errors = [];
+    const seen = new Set();
+    let duplicates = 0;
+    if (mapping.phone == null || mapping.phone < 0) {
+      return { entries, errors: [{ row: 0, value: '', error: 'Escolha a coluna do telefone' }], duplicates };
+    }
+
+    table.rows.forEach((r, i) => {
+      // Número da linha no arquivo (conta o cabeçalho quando existe)
+      const rowNumber = i + (table.firstRow ?? (table.headerless ? 1 : 2));
+      const raw = r[mapping.phone] || '';
+      if (!raw.replace(/\D/g, '')) {
+        errors.push({ row: rowNumber, value: raw, error: 'sem telefone' });
+        return;
+      }
+      const number = normalize(raw);
+      const digits = String(number).replace(/\D/g, '');
+      if (digits.length < 10 || digits.length > 15) {
+        errors.push({ row: rowNumber, value: raw, error: `número inválido (${digits.length} dígitos)` });
+        return;
+      }
+      if (digits.startsWith('55') && (digits.length < 12 || digits.length > 13)) {
+        errors.push({ row: rowNumber, value: raw, error: 'número brasileiro precisa de DDD + 8/9 dígitos' });
+        return;
+      }
+      if (seen.has(digits)) {
+        duplicates++;
+        return;
+      }
+      seen.add(digits);
+
+      const vars = {};
+      for (const [col, name] of Object.entries(mapping.vars || {})) {
+        if (name) vars[name] = r[Number(col)] || '';
+      }
+      entries.push({ number: `+${digits}`, name: mapping.name >= 0 ? r[mapping.name] || '' : '', vars, row: rowNumber });
+    });
+    return { entries, errors, duplicates };
+  }
+
+  globalThis.WHL_ContactImport = {
+    ACCEPT: '.csv,.txt,.xlsx,.vcf',
+    detectKind,
+    readTable,
+    guessMapping,
+    buildEntries
+  };
+})();
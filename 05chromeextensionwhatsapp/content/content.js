@@ -58,10 +58,13 @@
     return s;
   }
 
+  // Workspace fixado ao carregar a página (content/workspace.js): vai em toda mensagem ao SW
+  const Workspace = globalThis.WHL_Workspace;
+
   async function bg(type, payload) {
     return new Promise((resolve) => {
       try {
-        chrome.runtime.sendMessage({ type, ...(payload || {}) }, (resp) => {
+        chrome.runtime.sendMessage({ type, workspaceId: Workspace.id || undefined, ...(payload || {}) }, (resp) => {
           const err = chrome.runtime.lastError;
           if (err) return resolve({ ok: false, error: err.message || String(err) });
           resolve(resp);
@@ -72,15 +75,138 @@
     });
   }
 
+  // Streaming via porta (AI_STREAM no service worker).
+  // onDelta(textPiece) é chamado a cada pedaço; signal (AbortSignal) cancela a geração.
+  // Resolve com { ok, text, provider, status, cancelled } - nunca rejeita, igual ao bg().
+  function bgStream(payload, { onDelta, onTool, signal } = {}) {
+    return new Promise((resolve) => {
+      let port;
+      let text = '';
+      let settled = false;
+      const finish = (resp) => {
+        if (settled) return;
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(resp);
+      };
+      const onAbort = () => {
+        try { port?.postMessage({ type: 'stop' }); } catch (_) {}
+      };
+
+      try {
+        port = chrome.runtime.connect({ name: 'AI_STREAM' });
+      } catch (e) {
+        return finish({ ok: false, error: e?.message || String(e) });
+      }
+
+      port.onMessage.addListener((m) => {
+        if (m?.type === 'delta') {
+          text += m.text || '';
+          try { onDelta && onDelta(m.text || '', text); } catch (e) { warn('onDelta erro:', e); }
+        } else if (m?.type === 'tool') {
+          try { onTool && onTool(m.call); } catch (e) { warn('onTool erro:', e); }
+        } else if (m?.type === 'done') {
+          finish({ ok: true, ...m, text: m.text ?? text });
+        } else if (m?.type === 'error') {
+          finish({ ok: false, ...m, text });
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        const err = chrome.runtime.lastError;
+        finish({ ok: false, error: err?.message || 'Conexão com o service worker encerrada', text, cancelled: Boolean(signal?.aborted) });
+      });
+
+      if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+      port.postMessage({ type: 'start', workspaceId: Workspace.id || undefined, ...(payload || {}) });
+    });
+  }
+
   // FIX 1: Move applyVars to global scope (was inside mount() at line 2716)
   // Used by executeDomCampaignDirectly() which is outside mount()
   function applyVars(msg, entry) {
     let out = safeText(msg);
     out = out.replaceAll('{{nome}}', entry.name || '');
     out = out.replaceAll('{{numero}}', entry.number || '');
+    // Colunas extras da importação de contatos (content/contactImport.js)
+    for (const [key, value] of Object.entries(entry.vars || {})) {
+      out = out.replaceAll(`{{${key}}}`, safeText(value));
+    }
     return out;
   }
 
+  // -------------------------
+  // Spintax e variantes A/B
+  // -------------------------
+  // Spintax: {Olá|Oi|E aí} escolhe uma opção por destinatário (pode aninhar).
+  // {{variáveis}} e {{#if}} ficam intactas para applyVars/TemplateEngine.
+  function spin(text, rand = Math.random) {
+    const tokens = [];
+    let out = safeText(text).replace(/\{\{[\s\S]*?\}\}/g, m => `\u0000${tokens.push(m) - 1}\u0000`);
+    const group = /\{([^{}]*\|[^{}]*)\}/;
+    for (let i = 0; i < 500 && group.test(out); i++) {
+      out = out.replace(group, (_, body) => {
+        const options = body.split('|');
+        return options[Math.floor(rand() * options.length)];
+      });
+    }
+    return out.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[Number(i)]);
+  }
+
+  // Variantes no texto da campanha: blocos separados por uma linha "--- B" ou "--- B 30" (nome e peso)
+  function parseMessageVariants(raw) {
+    const blocks = [];
+    let current = { id: '', weight: 1, lines: [] };
+    for (const line of safeText(raw).split(/\r?\n/)) {
+      const m = line.match(/^\s*---\s*([\w-]+)(?:\s+(\d+(?:[.,]\d+)?)\s*%?)?\s*$/);
+      if (!m) {
+        current.lines.push(line);
+        continue;
+      }
+      if (current.lines.join('').trim()) blocks.push(current);
+      current = { id: m[1], weight: m[2] ? Number(m[2].replace(',', '.')) : 1, lines: [] };
+    }
+    if (current.lines.join('').trim()) blocks.push(current);
+    return blocks.map(b => ({ id: b.id, weight: b.weight, message: b.lines.join('\n').trim() }));
+  }
+
+  /**
+   * Normalizar variantes [{ id, message, weight }]. Sem variantes, a mensagem única vira "A".
+   */
+  function normalizeVariants(variants, fallbackMessage) {
+    const used = new Set();
+    const list = (Array.isArray(variants) ? variants : [])
+      .map((v, i) => {
+        let id = safeText(v.id || v.name).trim().slice(0, 30) || String.fromCharCode(65 + (i % 26));
+        while (used.has(id)) id += "'";
+        used.add(id);
+        return { id, message: safeText(v.message), weight: Math.max(0, Number(v.weight ?? 1) || 0) };
+      })
+      .filter(v => v.message.trim() && v.weight > 0);
+    return list.length ? list : [{ id: 'A', message: safeText(fallbackMessage), weight: 1 }];
+  }
+
+  // Sorteio ponderado de uma variante + spintax resolvido (variant = null quando só há uma)
+  function pickCampaignMessage(variants, rand = Math.random) {
+    const total = variants.reduce((sum, v) => sum + v.weight, 0);
+    let r = rand() * total;
+    let chosen = variants[variants.length - 1];
+    for (const v of variants) {
+      r -= v.weight;
+      if (r < 0) {
+        chosen = v;
+        break;
+      }
+    }
+    return { variant: variants.length > 1 ? chosen.id : null, message: spin(chosen.message, rand) };
+  }
+
+  function assignVariants(entries, variants) {
+    return entries.map(e => ({ ...e, ...pickCampaignMessage(variants) }));
+  }
+
   // -------------------------
   // Smart Cache System
   // -------------------------
@@ -167,6 +293,12 @@
           const campaign = message.campaign;
           if (!campaign || !campaign.entries || !Array.isArray(campaign.entries)) {
             console.error('[WHL] Invalid scheduled campaign data');
+            sendResponse({ ok: false, error: 'Dados da campanha agendada inválidos' });
+            return;
+          }
+
+          if (message.workspaceId && message.workspaceId !== (await Workspace.ready)) {
+            sendResponse({ ok: false, error: 'Esta aba está em outro workspace (recarregue o WhatsApp Web)' });
             return;
           }
 
@@ -176,6 +308,11 @@
           const host = document.getElementById(EXT.id);
           if (!host || !host.shadowRoot) {
             console.error('[WHL] Extension UI not mounted');
+            sendResponse({ ok: false, error: 'Painel da extensão não montado' });
+            return;
+          }
+          if (activeCampaignId) {
+            sendResponse({ ok: false, error: 'Já existe uma campanha em andamento nesta aba' });
             return;
           }
 
@@ -183,11 +320,14 @@
           // We need to store the media payload if present
           let mediaPayload = campaign.media || null;
           
-          // Execute the campaign
-          await executeDomCampaignDirectly(campaign.entries, campaign.message, mediaPayload);
+          // Responde assim que o journal existe: o envio via URL recarrega a página e fecharia o canal
+          await executeDomCampaignDirectly(campaign.entries, campaign.message, mediaPayload, 'scheduled', {
+            onCreated: (journal) => sendResponse({ ok: true, started: true, journalId: journal.id })
+          });
           
         } catch (e) {
           console.error('[WHL] Error executing scheduled campaign:', e);
+          try { sendResponse({ ok: false, error: e?.message || String(e) }); } catch (_) {}
         }
       })();
       return true; // Keep channel open for async response
@@ -214,7 +354,7 @@
           }));
 
           // Execute as a campaign
-          await executeDomCampaignDirectly(entries, msg, null);
+          await executeDomCampaignDirectly(entries, msg, null, 'team');
           
           sendResponse({ ok: true, sent: entries.length });
         } catch (e) {
@@ -227,157 +367,686 @@
     }
   });
 
-  // Helper function to execute campaign directly (used by scheduled campaigns)
-  async function executeDomCampaignDirectly(entries, msg, mediaPayload) {
+  // Helper function to execute campaign directly (used by scheduled campaigns / team messages)
+  // Abre cada chat via URL direta: a página recarrega a cada destinatário e o runner
+  // continua do journal no próximo carregamento (resumeDomCampaign).
+  async function executeDomCampaignDirectly(entries, msg, mediaPayload, source = 'scheduled', { onCreated } = {}) {
     debugLog('Executing scheduled campaign with', entries.length, 'contacts');
-    
-    // Use default delays for scheduled campaigns
-    const dmin = 8;
-    const dmax = 15;
 
-    for (let i = 0; i < entries.length; i++) {
-      const e = entries[i];
-      
-      // FIX 3: Usar normalizePhoneNumber para normalização inteligente
-      const normalizedNumber = normalizePhoneNumber(e.number);
-      const phoneDigits = normalizedNumber.replace(/[^\d]/g, '');
-      
-      // FIX 4: Nome é opcional - usar número se não tiver nome
-      const displayName = e.name || phoneDigits;
-      
-      debugLog(`[${i+1}/${entries.length}] Processing: ${displayName} (${phoneDigits})`);
-      
-      const text = applyVars(msg || '', e).trim();
+    const variants = normalizeVariants(parseMessageVariants(msg), msg);
+    const normalized = entries.map(e => ({ ...e, number: normalizePhoneNumber(e.number) }));
+    const { suppressed } = await checkOptOut(normalized);
+    if (suppressed.length) debugLog('[OPT-OUT] Pulando', suppressed.length, 'contato(s) da lista de supressão');
+    const campaign = await CampaignJournal.createCampaign({
+      source,
+      openVia: 'url',
+      message: variants[0].message,
+      variants,
+      media: mediaPayload,
+      // Use default delays for scheduled campaigns
+      delays: { min: 8, max: 15 },
+      entries: assignVariants(normalized, variants),
+      suppressed: suppressed.map(e => e.number)
+    });
+    if (onCreated) onCreated(campaign);
+    return runDomCampaign(campaign);
+  }
 
-      try {
-        // CRITICAL FIX 1: Open chat via URL direct (PRIMARY METHOD)
-        debugLog('Opening chat via URL direct...');
-        await openChatByUrlDirect(normalizedNumber);
-        
-        // CRITICAL FIX 1: Validate correct chat BEFORE sending
-        const isCorrectChat = await validateCorrectChatOpen(normalizedNumber);
-        if (!isCorrectChat) {
-          console.error(`[CAMPANHA] ❌ Chat errado para ${displayName}, pulando...`);
-          continue; // Skip to next contact
+  // -------------------------
+  // DOM campaign runner (journal por destinatário em content/campaignJournal.js)
+  // -------------------------
+  const CampaignJournal = globalThis.WHL_CampaignJournal;
+  const CampaignSafety = globalThis.WHL_CampaignSafety;
+  const BOOT_URL = location.href; // antes do WhatsApp limpar o ?phone= da URL
+  const CAMPAIGN_RESUME_MAX_AGE = 24 * 3600000;
+
+  // Preenchido pelo painel (mount) para mostrar status/progresso e usar os botões pausar/parar
+  const campaignUi = { setStatus: null, setProgress: null, control: null, onControl: null, onHalted: null };
+  let activeCampaignId = null;
+  // Troca de workspace no popup espera a campanha em andamento terminar para recarregar
+  Workspace.setBusyCheck(() => Boolean(activeCampaignId));
+
+  function campaignStatus(msg, kind) {
+    debugLog('[CAMPANHA]', msg);
+    campaignUi.setStatus?.(msg, kind);
+  }
+
+  function campaignError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  function isLoggedOut() {
+    return Boolean(SELECTORS.find('loginQr'));
+  }
+
+  function matchText(text) {
+    return safeText(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  // Bolhas do chat aberto em ordem do documento (mais antiga primeiro)
+  function chatMessageNodes() {
+    return SELECTORS.findAll('messageNodes')
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+
+  // Confere se a última bolha de saída do chat aberto contém o texto
+  async function verifyOutgoing(text, timeoutMs = 4000) {
+    const needle = matchText(text).slice(0, 60);
+    if (!needle) return false;
+    const until = Date.now() + timeoutMs;
+    do {
+      const nodes = chatMessageNodes()
+        .filter(n => n.closest('.message-out'))
+        .slice(-5);
+      if (nodes.some(n => matchText(n.innerText).includes(needle))) return true;
+      await sleep(400);
+    } while (Date.now() < until);
+    return false;
+  }
+
+  // data-id das bolhas de saída do chat aberto (true_<jid>_<id>), mais antiga primeiro
+  function outgoingMessageIds() {
+    const root = SELECTORS.find('messagesContainer');
+    return Array.from(root?.querySelectorAll('[data-id^="true_"]') || []).map(el => el.getAttribute('data-id'));
+  }
+
+  // Mídia sem legenda não tem texto para conferir: vale qualquer bolha de saída depois da
+  // última que existia antes do envio (lastId null = chat não tinha nenhuma)
+  async function verifyOutgoingSince(lastId, timeoutMs = 4000) {
+    const until = Date.now() + timeoutMs;
+    do {
+      const ids = outgoingMessageIds();
+      const at = lastId ? ids.lastIndexOf(lastId) : -1;
+      if (lastId ? at >= 0 && at < ids.length - 1 : ids.length > 0) return true;
+      await sleep(400);
+    } while (Date.now() < until);
+    return false;
+  }
+
+  async function waitForCampaignControl(campaign, control) {
+    if (!control.paused || control.abort) return;
+    await CampaignJournal.setStatus(campaign.id, 'paused');
+    campaignStatus('⏸ Campanha pausada.', 'ok');
+    while (control.paused && !control.abort) await sleep(250);
+    if (!control.abort) await CampaignJournal.setStatus(campaign.id, 'running');
+  }
+
+  async function sleepWithAbort(ms, control) {
+    const until = Date.now() + ms;
+    while (Date.now() < until && !control.abort) await sleep(Math.min(500, until - Date.now()));
+  }
+
+  async function openCampaignChat(campaign, job) {
+    const number = normalizePhoneNumber(job.number);
+    // Mídia interrompida continua em media_sending enquanto reabre o chat (inclusive no reload da URL)
+    const state = job.state === 'media_sending' ? 'media_sending' : 'opening';
+
+    if (campaign.openVia === 'url') {
+      // Este carregamento da página é a navegação que o próprio job pediu: não navegar de novo
+      const arrived = job.state === state && BOOT_URL.includes(`phone=${job.digits}`);
+      if (!arrived) {
+        await CampaignJournal.transition(job, state, { attempts: job.attempts + 1, navigatedAt: Date.now() });
+        await openChatByUrlDirect(number); // normalmente não volta: a página recarrega
+      } else {
+        let composer = null;
+        for (let i = 0; i < 30 && !composer; i++) {
+          await sleep(500);
+          composer = findComposer();
+          // Número fora do WhatsApp: o WhatsApp mostra um diálogo em vez do chat
+          const invalid = !composer && CampaignSafety.detectInvalidNumber();
+          if (invalid) throw campaignError(`Número não está no WhatsApp (${invalid.slice(0, 80)})`, 'invalid_number');
         }
-        
-        const composer = findComposer();
-        if (!composer) {
-          throw new Error('Composer not found');
+        if (!composer) throw new Error('Chat não abriu após navegação via URL');
+      }
+      if (!(await validateCorrectChatOpen(number))) throw campaignError('Chat errado aberto para o número', 'wrong_chat');
+      return;
+    }
+
+    await CampaignJournal.transition(job, state, { attempts: job.attempts + 1 });
+    await openChatBySearch(number.replace(/[^\d]/g, ''));
+  }
+
+  /**
+   * Processa os jobs pendentes da campanha, na ordem, gravando cada passo no journal.
+   * Jobs já enviados (sent/verified) nunca são reenviados.
+   * A proteção (content/campaignSafety.js) aumenta os intervalos ou para a campanha ("halted");
+   * campanha parada só roda de novo depois da confirmação no painel.
+   */
+  async function runDomCampaign(campaign, control = campaignUi.control || { paused: false, abort: false }) {
+    if (activeCampaignId) throw new Error('Já existe uma execução em andamento.');
+    const J = CampaignJournal;
+    const stored = await J.getCampaign(campaign.id);
+    if (stored?.status === 'halted') throw new Error('Campanha parada pela proteção: confirme no painel para retomar.');
+
+    activeCampaignId = campaign.id;
+    control.running = true;
+    control.abort = false;
+    campaignUi.onControl?.(control);
+
+    const dmin = Number(campaign.delays?.min) || 8;
+    const dmax = Math.max(dmin, Number(campaign.delays?.max) || 15);
+    const safety = CampaignSafety.createMonitor(stored?.safety);
+    let interrupted = false;
+    let haltReason = null;
+
+    // Registra o sinal no monitor e grava o estado (e o evento, se mudou algo) no journal
+    const applySafety = async (signal) => {
+      const decision = safety.record(signal);
+      const event = decision.action === 'continue' ? null : { action: decision.action, reason: decision.reason, delayFactor: decision.delayFactor };
+      await J.recordSafety(campaign.id, safety.snapshot(), event);
+      if (decision.action === 'slow') campaignStatus(`🛡️ Proteção: ${decision.reason}. Intervalos ×${decision.delayFactor}.`, 'err');
+      if (decision.action === 'stop') haltReason = decision.reason;
+      return decision;
+    };
+
+    try {
+      await loadSendWindowPolicy();
+      await J.setStatus(campaign.id, control.paused ? 'paused' : 'running', { resumeAt: null, waitReason: null });
+      let job = await J.nextJob(campaign.id);
+      if (job) campaignStatus(`🚀 Campanha: ${campaign.total} contatos…`, 'ok');
+
+      while (job && !control.abort) {
+        await waitForCampaignControl(campaign, control);
+        if (control.abort) break;
+
+        const { done, total } = await J.summary(campaign.id);
+        const label = `(${done + 1}/${total})`;
+        campaignUi.setProgress?.(done, total);
+
+        const text = applyVars(job.message ?? campaign.message ?? '', job).trim();
+        const variantTag = job.variant ? ` [${job.variant}]` : '';
+        const wasTyped = job.state === 'typed';
+        const wasSendingMedia = job.state === 'media_sending';
+
+        // Aviso do WhatsApp na tela (conta restrita, muitas mensagens): para antes do próximo envio
+        const warning = CampaignSafety.detectWarning();
+        if (warning && (await applySafety({ type: 'warning', detail: warning })).action === 'stop') break;
+
+        let signal = null;
+        try {
+          if (isLoggedOut()) throw campaignError('WhatsApp Web desconectado', 'logged_out');
+          // Pode ter pedido para sair depois que a campanha começou
+          if (!wasTyped && !wasSendingMedia && (await checkOptOut([job])).suppressed.length) throw campaignError('Contato está na lista de opt-out', 'opt_out');
+
+          // Fora da janela de envio do destinatário: pausa sozinha e retoma na próxima abertura
+          const waited = !wasTyped && !wasSendingMedia && await waitForSendWindow(job.number, control, async (state) => {
+            await J.setStatus(campaign.id, 'waiting', { resumeAt: state.nextOpenAt, waitReason: state.reason });
+            campaignStatus(`🌙 ${label} Fora da janela de envio (${state.reason}, ${state.timezone}). Retoma ${formatWindowTime(state.nextOpenAt)}.`, 'ok');
+          });
+          if (waited) {
+            if (!control.abort) await J.setStatus(campaign.id, control.paused ? 'paused' : 'running', { resumeAt: null, waitReason: null });
+            continue;
+          }
+
+          // 1. Abrir chat
+          campaignStatus(`📱 ${label} Abrindo ${job.number}…`, 'ok');
+          const openStarted = campaign.openVia === 'url' && job.state === 'opening' && job.navigatedAt ? job.navigatedAt : Date.now();
+          await openCampaignChat(campaign, job);
+          const openMs = Date.now() - openStarted;
+
+          // 2. Interrompido depois de digitar: pode já ter sido enviado
+          if (wasSendingMedia) {
+            // Mídia nunca é reenviada às cegas: sem bolha nova no chat o job fica "não confirmado"
+            const found = await verifyOutgoingSince(job.lastOutgoingId ?? null, 1500) || (text && await verifyOutgoing(text, 1500));
+            if (!found) throw campaignError('envio interrompido sem bolha nova', 'unverified');
+            await J.transition(job, 'verified');
+            campaignStatus(`✅ ${label} Mídia já enviada para ${job.number} (confirmado no chat)`, 'ok');
+          } else if (wasTyped && text && await verifyOutgoing(text, 1500)) {
+            await J.transition(job, 'verified');
+            campaignStatus(`✅ ${label} Já enviado para ${job.number} (confirmado no chat)`, 'ok');
+          } else {
+            await sleep(500);
+            if (!findComposer()) throw new Error('Composer não encontrado após abrir chat');
+
+            if (campaign.media) {
+              // 3a. Mídia (attachMediaAndSend anexa e envia de uma vez)
+              campaignStatus(`📎 ${label} Enviando mídia${variantTag} para ${job.number}…`, 'ok');
+              // Marca antes de clicar: se a aba recarregar no meio, o resume confere o chat em vez de reenviar
+              await J.transition(job, 'media_sending', { lastOutgoingId: outgoingMessageIds().pop() || null });
+              await attachMediaAndSend(campaign.media, text);
+              await J.transition(job, 'sent');
+              recordMessageSent();
+            } else {
+              // 3b. Texto
+              if (!text) throw new Error('Mensagem vazia (e sem mídia).');
+              campaignStatus(`💬 ${label} Enviando mensagem${variantTag} para ${job.number}…`, 'ok');
+              await insertIntoComposer(text, false, true);
+              await J.transition(job, 'typed');
+              await sleep(300);
+              await clickSend(true);
+              await J.transition(job, 'sent');
+            }
+
+            // 4. Confirmar a bolha de saída (mídia sem legenda fica como "sent")
+            if (text && await verifyOutgoing(text)) await J.transition(job, 'verified');
+            campaignStatus(`✅ ${label} Enviado para ${job.number}`, 'ok');
+          }
+
+          // 5. Acompanhar ticks/resposta (agora e nas próximas visitas ao chat)
+          watchCampaignReceipt(receiptItemFromJob(campaign, job, text), { chatOpen: true });
+          signal = { type: 'sent', ms: openMs };
+        } catch (err) {
+          if (err.code === 'logged_out') {
+            interrupted = true;
+            await J.setStatus(campaign.id, 'interrupted', { reason: err.message });
+            campaignStatus('⚠️ WhatsApp Web desconectado. A campanha continua de onde parou ao reconectar.', 'err');
+            break;
+          }
+          console.error(`[WHL] Erro em ${job.number}:`, err);
+          if (err.code === 'opt_out') {
+            await J.transition(job, 'skipped', { error: 'opt_out' });
+            campaignStatus(`🚫 ${label} ${job.number} pediu para não receber mensagens (pulado)`, 'ok');
+            job = await J.nextJob(campaign.id);
+            continue;
+          }
+          // Mídia interrompida: qualquer falha ao conferir vira "não confirmado", nunca reenvio
+          if (err.code === 'unverified' || (wasSendingMedia && !err.code)) {
+            await J.transition(job, 'skipped', { error: 'unverified' });
+            campaignStatus(`❔ ${label} Mídia para ${job.number} não confirmada no chat: ${err.message} (pulado, confira manualmente)`, 'err');
+            job = await J.nextJob(campaign.id);
+            continue;
+          }
+          if (err.code === 'send_window') {
+            await J.transition(job, 'skipped', { error: 'send_window' });
+            campaignStatus(`🌙 ${label} ${err.message} (pulado)`, 'err');
+            job = await J.nextJob(campaign.id);
+            continue;
+          }
+          if (err.code === 'invalid_number') {
+            await J.transition(job, 'skipped', { error: 'invalid_number' });
+            signal = { type: 'invalid_number' };
+            campaignStatus(`📵 ${label} ${job.number} não está no WhatsApp (pulado)`, 'err');
+          } else {
+            if (err.code === 'wrong_chat') await J.transition(job, 'skipped', { error: err.message });
+            else await J.fail(job, err, campaign.maxAttempts);
+            signal = { type: 'failed' };
+            const retry = job.state === 'pending' ? ' (nova tentativa em seguida)' : '';
+            campaignStatus(`❌ ${label} Falha em ${job.number}: ${err?.message || String(err)}${retry}`, 'err');
+          }
         }
 
-        if (mediaPayload) {
-          debugLog('Sending media...');
-          await attachMediaAndSend(mediaPayload, text);
-          await sleep(500);
-          recordMessageSent();
-        } else {
-          if (!text) throw new Error('Empty message');
-          debugLog('Inserting text...');
-          await insertIntoComposer(text, false, true);
-          await sleep(300);
-          await clickSend(true);
-          await sleep(500);
+        if (signal && (await applySafety(signal)).action === 'stop') break;
+
+        job = await J.nextJob(campaign.id);
+        // Random delay between messages (multiplicado pela proteção quando desacelerou)
+        if (job && !control.abort) {
+          const delay = (Math.random() * (dmax - dmin) + dmin) * 1000 * safety.delayFactor;
+          campaignStatus(`⏳ Aguardando ${Math.round(delay / 1000)}s até próximo envio…`, 'ok');
+          await sleepWithAbort(delay, control);
         }
+      }
+
+      const { done, total, counts } = await J.summary(campaign.id);
+      campaignUi.setProgress?.(haltReason ? done : total, total);
+      if (interrupted) return { interrupted: true, counts };
+
+      const sent = counts.sent + counts.verified;
+      if (haltReason) {
+        await J.setStatus(campaign.id, 'halted', { haltReason });
+        campaignStatus(`🛑 Campanha parada pela proteção: ${haltReason}. ${sent} enviados. Confira o WhatsApp e confirme no painel para retomar.`, 'err');
+        campaignUi.onHalted?.(campaign.id);
+        return { halted: true, reason: haltReason, counts };
+      }
+
+      if (control.abort) {
+        await J.setStatus(campaign.id, 'aborted');
+        campaignStatus(`⚠️ Campanha interrompida pelo usuário. ${sent} enviados.`, 'err');
+      } else {
+        await J.setStatus(campaign.id, 'completed');
+        campaignStatus(`🎉 Campanha concluída! ${sent} enviados, ${counts.failed} falhas, ${counts.skipped} pulados.`, 'ok');
+      }
+      return { completed: !control.abort, counts };
+    } finally {
+      activeCampaignId = null;
+      control.running = false;
+      control.paused = false;
+      campaignUi.onControl?.(control);
+    }
+  }
+
+  /**
+   * Retomar campanha interrompida (reload da aba, navegação por URL, logout)
+   */
+  async function resumeDomCampaign() {
+    if (!CampaignJournal || activeCampaignId) return;
+    const campaign = await CampaignJournal.getActive();
+    if (!campaign) return;
+
+    // Esperando a janela de envio (fim de semana, feriado): a idade conta a partir da reabertura
+    const idleSince = campaign.status === 'waiting' && campaign.resumeAt ? campaign.resumeAt : campaign.updatedAt;
+    if (Date.now() - idleSince > CAMPAIGN_RESUME_MAX_AGE) {
+      await CampaignJournal.setStatus(campaign.id, 'aborted', { reason: 'expirada' });
+      return;
+    }
+
+    // Esperar o WhatsApp Web carregar (ou o usuário reconectar)
+    for (let i = 0; i < 360; i++) {
+      if (!isLoggedOut() && SELECTORS.find('chatList')) break;
+      if (i === 10 && isLoggedOut()) campaignStatus('⚠️ Campanha aguardando reconexão do WhatsApp Web…', 'err');
+      await sleep(5000);
+    }
+    if (isLoggedOut() || !SELECTORS.find('chatList')) return;
+
+    const control = campaignUi.control || { paused: false, abort: false };
+    control.paused = campaign.status === 'paused';
+    const { done, total } = await CampaignJournal.summary(campaign.id);
+    log(`Retomando campanha ${campaign.id} (${done}/${total})`);
+    campaignStatus(`🔄 Retomando campanha (${done}/${total})…`, 'ok');
+    await runDomCampaign(campaign, control);
+  }
+
+  // -------------------------
+  // Receipts (ticks) e respostas dos destinatários de campanha
+  // -------------------------
+  // Cada mensagem enviada por campanha vira um item observado: ao enviar e sempre que o chat
+  // do destinatário estiver aberto, lemos o tick da bolha de saída (enviado/entregue/lido) e
+  // procuramos mensagens recebidas depois dela dentro da janela de resposta da campanha.
+  // Jobs do journal gravam em WHL_CampaignJournal (sobrevive a reloads); campanhas do
+  // CampaignSystem (wa.campaigns.execute) alimentam direto o ReportingSystem.
+  const RECEIPT_TRACK_MAX_AGE = 7 * 86400000;
+  const RECEIPT_SCAN_INTERVAL = 4000;
+  const receiptWatch = new Map(); // `${campaignId}|${digits}` -> item
+  let receiptTimer = null;
+
+  function receiptItemFromJob(campaign, job, text) {
+    return {
+      campaignId: campaign.id,
+      number: job.number,
+      name: job.name || '',
+      digits: job.digits,
+      variant: job.variant || null,
+      text: text ?? applyVars(job.message ?? campaign.message ?? '', job).trim(),
+      sentAt: job.sentAt || Date.now(),
+      replyWindowMs: (Number(campaign.replyWindowHours) || CampaignJournal.DEFAULT_REPLY_WINDOW_HOURS) * 3600000,
+      job
+    };
+  }
 
-        debugLog(`✅ Success for ${displayName}`);
-      } catch (err) {
-        debugLog(`❌ Error for ${displayName}:`, err);
-        console.error(`[WHL] Error for ${displayName}:`, err);
+  function watchCampaignReceipt(item, { chatOpen = false } = {}) {
+    if (!item?.digits || !item.sentAt) return;
+    const key = `${item.campaignId}|${item.digits}`;
+    const watched = receiptWatch.get(key) || item;
+    if (item.job) watched.job = item.job;
+    receiptWatch.set(key, watched);
+    if (!receiptTimer) receiptTimer = setInterval(() => scanReceipts().catch(() => {}), RECEIPT_SCAN_INTERVAL);
+    if (chatOpen) scanReceipts([watched]).catch(e => debugLog('[RECEIPTS] Falha ao ler ticks:', e));
+  }
+
+  // Tick da bolha: pending | sent | delivered | read (null se não houver ícone)
+  function readBubbleTick(node) {
+    const bubble = node.closest('.message-out') || node.parentElement || node;
+    const icon = SELECTORS.find('messageTick', { root: bubble });
+    if (!icon) return null;
+    const name = `${icon.getAttribute('data-icon') || ''} ${icon.getAttribute('data-testid') || ''}`;
+    if (/msg-time/.test(name)) return 'pending';
+    if (/dblcheck/.test(name)) {
+      const label = (icon.getAttribute('aria-label') || icon.closest('[aria-label]')?.getAttribute('aria-label') || '').toLowerCase();
+      if (/\b(lida|lido|visualizada|read|seen)\b/.test(label)) return 'read';
+      // Sem aria-label: o duplo check fica azul quando lido
+      const rgb = (getComputedStyle(icon).color.match(/\d+/g) || []).map(Number);
+      return rgb.length >= 3 && rgb[2] > 200 && rgb[0] < 120 ? 'read' : 'delivered';
+    }
+    return /check/.test(name) ? 'sent' : null;
+  }
+
+  // "[10:32, 18/10/2026] Nome: " (pt-BR) ou "[10:32 AM, 10/18/2026] Name: " (en-US)
+  function bubbleTime(node) {
+    const holder = node.matches('[data-pre-plain-text]') ? node : node.querySelector('[data-pre-plain-text]');
+    const raw = holder?.getAttribute('data-pre-plain-text') || '';
+    const m = raw.match(/\[(\d{1,2}):(\d{2})(?:\s*([AP]M))?,\s*(\d{1,2})\/(\d{1,2})\/(\d{2,4})\]/i);
+    if (!m) return null;
+    let hour = Number(m[1]) % (m[3] ? 12 : 24);
+    if (m[3] && m[3].toUpperCase() === 'PM') hour += 12;
+    const [day, month] = m[3] ? [Number(m[5]), Number(m[4])] : [Number(m[4]), Number(m[5])];
+    const year = Number(m[6]) < 100 ? 2000 + Number(m[6]) : Number(m[6]);
+    const t = new Date(year, month - 1, day, hour, Number(m[2])).getTime();
+    return Number.isFinite(t) ? t : null;
+  }
+
+  function chatIsRecipient(title, item) {
+    const digits = String(title || '').replace(/\D/g, '');
+    if (digits.length >= 8 && digits.slice(-8) === item.digits.slice(-8)) return true;
+    return Boolean(item.name) && matchText(title) === matchText(item.name);
+  }
+
+  function readReceiptFromChat(item) {
+    const nodes = chatMessageNodes();
+    const needle = matchText(item.text).slice(0, 60);
+    let outIdx = -1;
+    if (needle) {
+      for (let i = nodes.length - 1; i >= 0; i--) {
+        if (nodes[i].closest('.message-out') && matchText(nodes[i].innerText).includes(needle)) {
+          outIdx = i;
+          break;
+        }
       }
+    }
+
+    const patch = {};
+    if (outIdx >= 0) {
+      const tick = readBubbleTick(nodes[outIdx]);
+      if (tick && tick !== 'pending') patch.receipt = tick;
+    }
 
-      // Delay between messages
-      if (i < entries.length - 1) {
-        const delay = (Math.random() * (dmax - dmin) + dmin) * 1000;
-        debugLog(`Waiting ${delay/1000}s...`);
-        await sleep(delay);
+    // Primeira mensagem recebida depois da nossa (pela posição ou pelo horário da bolha)
+    const incoming = nodes.filter((n, i) => n.closest('.message-in') && (outIdx >= 0 ? i > outIdx : (bubbleTime(n) || 0) >= item.sentAt - 60000));
+    const reply = incoming[0];
+    if (reply) {
+      // data-pre-plain-text só tem minutos: não deixar a resposta "anterior" ao envio
+      const at = Math.max(bubbleTime(reply) || Date.now(), item.sentAt);
+      if (at - item.sentAt <= item.replyWindowMs) {
+        patch.repliedAt = at;
+        patch.reply = safeText(reply.innerText).trim();
       }
     }
+    return patch;
+  }
+
+  async function applyReceipt(item, patch) {
+    if (!patch.receipt && !patch.repliedAt) return [];
+    const events = item.job
+      ? await CampaignJournal.recordReceipt(item.job, patch)
+      : CampaignJournal.mergeReceipt(item, patch);
+    if (!item.job) {
+      for (const e of events) campaignReporting.recordRecipient(item.campaignId, item, e.event, e.at, e.event === 'replied' ? item.reply : null);
+    }
+    if (events.length) debugLog('[RECEIPTS]', item.number, events.map(e => e.event).join(', '));
+    if (events.some(e => e.event === 'replied')) {
+      const rec = item.job || item;
+      registerOptOut({ number: item.number, name: item.name, text: rec.reply, source: 'reply', campaignId: item.campaignId })
+        .catch(e => debugLog('[OPT-OUT] Falha ao registrar:', e));
+    }
+    return events;
+  }
+
+  /**
+   * Ler ticks/respostas do chat aberto para os itens observados desse destinatário.
+   * @param {Array} [forced] - itens cujo chat sabidamente está aberto (logo após o envio)
+   */
+  async function scanReceipts(forced) {
+    const now = Date.now();
+    for (const [key, item] of receiptWatch) {
+      const rec = item.job || item;
+      const replyClosed = rec.repliedAt || now - item.sentAt > item.replyWindowMs;
+      if ((rec.readAt && replyClosed) || now - item.sentAt > RECEIPT_TRACK_MAX_AGE) receiptWatch.delete(key);
+    }
+    if (!receiptWatch.size && receiptTimer) {
+      clearInterval(receiptTimer);
+      receiptTimer = null;
+    }
+
+    let items = forced;
+    if (!items) {
+      if (!SELECTORS.find('composer')) return;
+      const title = getChatTitle();
+      items = [...receiptWatch.values()].filter(item => chatIsRecipient(title, item));
+    }
+    for (const item of items) await applyReceipt(item, readReceiptFromChat(item));
+  }
+
+  /**
+   * Voltar a observar o que foi enviado nos últimos dias (após reload da aba)
+   */
+  async function loadReceiptWatch() {
+    if (!CampaignJournal) return;
+    const jobs = await CampaignJournal.listTracked(Date.now() - RECEIPT_TRACK_MAX_AGE);
+    const campaigns = new Map();
+    for (const job of jobs) {
+      if (!campaigns.has(job.campaignId)) campaigns.set(job.campaignId, await CampaignJournal.getCampaign(job.campaignId));
+      const campaign = campaigns.get(job.campaignId);
+      if (campaign) watchCampaignReceipt(receiptItemFromJob(campaign, job));
+    }
+  }
+
+  /**
+   * Reconstruir o relatório (ReportingSystem) de uma campanha DOM a partir do journal
+   */
+  async function syncCampaignReport(campaignId) {
+    const campaign = CampaignJournal && await CampaignJournal.getCampaign(campaignId);
+    if (!campaign) return false;
+    campaignReporting.loadFromJournal(campaign, await CampaignJournal.listJobs(campaignId));
+    return true;
+  }
+
+  // -------------------------
+  // Opt-out (lista de supressão em background/suppressionList.js)
+  // -------------------------
+  // Respostas com palavra de saída ("SAIR", "parar", "stop"...) entram na lista e todo
+  // caminho de envio consulta a lista antes: journal (createCampaign + runner),
+  // CampaignSystem, SEND_TO_TEAM e CAMPAIGN_API_CREATE (os dois últimos no service worker).
+  const optOut = { enabled: false, keywords: [], unsubscribe: null };
+
+  /**
+   * Separar entradas ({ number }) liberadas das que estão na lista de supressão.
+   * Sem resposta do service worker não dá para garantir o opt-out: lança erro.
+   */
+  async function checkOptOut(entries) {
+    if (!entries.length) return { allowed: [], suppressed: [] };
+    const resp = await bg('SUPPRESSION_CHECK', { numbers: entries.map(e => e.number) });
+    if (!resp?.ok) throw new Error(`Não foi possível consultar a lista de opt-out: ${resp?.error || 'sem resposta'}`);
+    const blocked = new Map(resp.suppressed.map(s => [s.number, s.entry]));
+    return {
+      allowed: entries.filter(e => !blocked.has(e.number)),
+      suppressed: entries.filter(e => blocked.has(e.number)).map(e => ({ ...e, optOut: blocked.get(e.number) }))
+    };
+  }
+
+  // Número do remetente: jid da bolha ("false_5511999999999@c.us_..."), título do chat
+  // (contato não salvo) ou um destinatário de campanha com o mesmo nome
+  function optOutNumber(element) {
+    const row = element?.closest?.('[data-id]') || element?.querySelector?.('[data-id]');
+    const jid = (row?.getAttribute('data-id') || '').match(/^(?:true|false)_(\d{10,15})@c\.us/);
+    if (jid) return '+' + jid[1];
+    const title = getChatTitle();
+    const digits = title.replace(/\D/g, '');
+    if (digits.length >= 10 && digits.length <= 15 && !/\p{L}/u.test(title)) return '+' + digits;
+    return [...receiptWatch.values()].find(item => chatIsRecipient(title, item))?.number || null;
+  }
+
+  async function registerOptOut({ number, name, text, source, campaignId = null }) {
+    if (!optOut.enabled) return null;
+    const keyword = waTextMonitor.detectOptOut(text, optOut.keywords);
+    if (!keyword) return null;
+    if (!number) {
+      warn('Pedido de opt-out sem número identificável:', name, text);
+      return null;
+    }
+    const resp = await bg('SUPPRESSION_ADD', {
+      entries: [{ number, name, keyword, text, source, reason: 'opt_out', campaignId }]
+    });
+    if (!resp?.ok) throw new Error(resp?.error || 'Falha ao gravar opt-out');
+    if (resp.added?.length) log(`🚫 Opt-out: ${number} ("${keyword}") não recebe mais campanhas`);
+    return resp.added?.[0] || null;
+  }
+
+  function handleOptOutMessage(msg) {
+    if (msg.isOutgoing || !msg.text) return;
+    if (!waTextMonitor.detectOptOut(msg.text, optOut.keywords)) return;
+    registerOptOut({
+      number: optOutNumber(msg.element),
+      name: getChatTitle(),
+      text: msg.text,
+      source: 'auto'
+    }).catch(e => warn('Falha ao registrar opt-out:', e));
+  }
+
+  /**
+   * Ligar/desligar a detecção automática conforme as configurações (popup)
+   */
+  async function initOptOutMonitor() {
+    const resp = await bg('GET_SETTINGS', {});
+    const st = resp?.settings || {};
+    optOut.enabled = st.optOutAutoDetect !== false;
+    optOut.keywords = String(st.optOutKeywords || '').split(',').map(k => k.trim()).filter(Boolean);
+
+    if (optOut.enabled && optOut.keywords.length && !optOut.unsubscribe) {
+      optOut.unsubscribe = waTextMonitor.on('onNewMessage', handleOptOutMessage);
+      waTextMonitor.start({ interval: 800 }); // mesmo ritmo do SmartBot, que reaproveita o monitor
+    } else if (!optOut.enabled && optOut.unsubscribe) {
+      optOut.unsubscribe();
+      optOut.unsubscribe = null;
+      if (!waTextMonitor.callbacks.onNewMessage.length) waTextMonitor.stop();
+    }
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !Workspace.changed(changes, ['optOutAutoDetect', 'optOutKeywords'])) return;
+    initOptOutMonitor().catch(e => warn('Falha ao atualizar opt-out:', e));
+  });
+
+  // -------------------------
+  // Janela de envio / horário de silêncio (política em content/sendWindow.js)
+  // -------------------------
+  const SendWindow = globalThis.WHL_SendWindow;
+  const SEND_WINDOW_KEYS = ['sendWindowEnabled', 'sendWindows', 'sendWindowHolidays', 'sendWindowCustomHolidays', 'sendWindowTimezone', 'sendWindowRecipientTz'];
+  const sendWindow = { policy: SendWindow.fromSettings({}) };
 
-    debugLog('Scheduled campaign completed!');
+  async function loadSendWindowPolicy() {
+    const resp = await bg('GET_SETTINGS', {});
+    if (resp?.ok) sendWindow.policy = SendWindow.fromSettings(resp.settings || {});
+    return sendWindow.policy;
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !Workspace.changed(changes, SEND_WINDOW_KEYS)) return;
+    loadSendWindowPolicy().catch(e => warn('Falha ao atualizar janela de envio:', e));
+  });
+
+  function formatWindowTime(ts) {
+    return new Date(ts).toLocaleString('pt-BR', { weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+  }
+
+  /**
+   * Esperar a janela do destinatário abrir. Política desligada ou janela aberta: não espera.
+   * onWait(state) é chamado uma vez antes de esperar (state = WHL_SendWindow.check).
+   * Sem nenhuma janela futura lança campaignError(..., 'send_window').
+   * @returns {Promise<boolean>} true se precisou esperar
+   */
+  async function waitForSendWindow(number, control = { abort: false }, onWait = null) {
+    let state = SendWindow.check(sendWindow.policy, { number });
+    if (!sendWindow.policy.enabled || state.open) return false;
+    if (!state.nextOpenAt) throw campaignError(`Sem janela de envio para ${number} (${state.reason})`, 'send_window');
+
+    await onWait?.(state);
+    while (!control.abort) {
+      // Acorda a cada minuto: a política pode mudar no popup enquanto espera
+      await sleepWithAbort(Math.max(1000, Math.min(60000, state.nextOpenAt - Date.now())), control);
+      state = SendWindow.check(sendWindow.policy, { number });
+      if (!sendWindow.policy.enabled || state.open) break;
+      if (!state.nextOpenAt) throw campaignError(`Sem janela de envio para ${number} (${state.reason})`, 'send_window');
+    }
+    return true;
   }
 
   // -------------------------
   // WhatsApp DOM helpers
   // -------------------------
-  // WA_SELECTORS: Robust selectors with fallback for WhatsApp Web changes (updated 2024/2025)
-  const WA_SELECTORS = {
-    chatHeader: [
-      'header span[title]',
-      'header [title]',
-      '#main header span[dir="auto"]',
-      'header',
-      '[data-testid="conversation-header"]',
-      '#main header'
-    ],
-    composer: [
-      // New 2024/2025 selectors first (Lexical editor)
-      '[data-testid="conversation-compose-box-input"]',
-      'footer div[contenteditable="true"][data-lexical-editor="true"]',
-      '[data-lexical-editor="true"]',
-      'div[contenteditable="true"][data-tab="10"]',
-      // Legacy selectors
-      'footer [contenteditable="true"][role="textbox"]',
-      '#main footer div[contenteditable="true"]',
-      'footer div[contenteditable="true"]',
-      '#main footer [contenteditable="true"]'
-    ],
-    sendButton: [
-      '[data-testid="compose-btn-send"]',
-      'footer button span[data-icon="send"]',
-      'footer button span[data-icon="send-light"]',
-      'button span[data-icon="send"]',
-      'button[aria-label="Enviar"]',
-      'button[aria-label="Send"]',
-      'footer button[data-testid="compose-btn-send"]',
-      'footer button[aria-label*="Enviar"]',
-      'footer button[aria-label*="Send"]'
-    ],
-    attachButton: [
-      'footer button[aria-label*="Anexar"]',
-      'footer button[title*="Anexar"]',
-      'footer span[data-icon="attach-menu-plus"]',
-      'footer span[data-icon="clip"]',
-      'footer span[data-icon="attach"]'
-    ],
-    searchBox: [
-      // Novos seletores 2024/2025 - testados e funcionando
-      '[contenteditable="true"][data-tab="3"]',
-      'div[role="textbox"][data-tab="3"]',
-      '#side div[contenteditable="true"]',
-      'div[aria-label="Caixa de texto de pesquisa"]',
-      'div[aria-label="Search input textbox"]',
-      // Seletores antigos como fallback
-      '[data-testid="chat-list-search"]',
-      '[data-testid="chat-list-search"] div[contenteditable="true"]',
-      '#pane-side div[contenteditable="true"]'
-    ],
-    searchResults: [
-      '[data-testid="cell-frame-container"]',
-      '#pane-side [role="listitem"]',
-      '#pane-side [role="row"]',
-      '[data-testid="chat-list"] [role="row"]'
-    ],
-    messagesContainer: [
-      '[data-testid="conversation-panel-messages"]',
-      '#main div[role="application"]',
-      '#main'
-    ],
-    messageNodes: [
-      'div[data-pre-plain-text]',
-      '[data-testid="msg-container"]'
-    ],
-    chatList: [
-      '#pane-side [role="row"]',
-      '[data-testid="chat-list"] [role="row"]',
-      '[data-testid="chat-list"] [role="listitem"]'
-    ],
-    dialogRoot: [
-      'div[role="dialog"]',
-      '[data-testid="media-viewer"]',
-      '[data-testid="popup"]'
-    ]
-  };
+  // WA_SELECTORS: registro versionado (content/selectorRegistry.js), atualizado pelo backend
+  // sem reinstalar a extensão. Registra qual fallback casou e re-localiza por heurística.
+  const SELECTORS = globalThis.WHL_Selectors;
+  const WA_SELECTORS = SELECTORS.selectors;
 
   // querySelector with fallback support
   function querySelector(selectors) {
@@ -410,18 +1079,7 @@
 
   // findElement with visibility check - uses WA_SELECTORS keys
   function findElement(selectorKey, parent = document) {
-    const selectors = WA_SELECTORS[selectorKey];
-    if (!selectors) return null;
-    
-    for (const sel of selectors) {
-      try {
-        const el = parent.querySelector(sel);
-        if (el && el.isConnected && (el.offsetWidth || el.offsetHeight || el.getClientRects().length)) {
-          return el;
-        }
-      } catch (e) {}
-    }
-    return null;
+    return SELECTORS.find(selectorKey, { root: parent, visible: true });
   }
 
   // findElementWithRetry - retry finding element with delays
@@ -438,7 +1096,8 @@
     // best-effort: WhatsApp changes DOM often
     const header = querySelector(WA_SELECTORS.chatHeader);
     if (!header) return 'chat_desconhecido';
-    const span = header.querySelector('span[title]') || header.querySelector('[title]');
+    // Os primeiros seletores de chatHeader já devolvem o próprio span[title]
+    const span = header.matches('[title]') ? header : (header.querySelector('span[title]') || header.querySelector('[title]'));
     const title = span?.getAttribute('title') || span?.textContent || '';
     return title.trim() || 'chat_desconhecido';
   }
@@ -467,11 +1126,8 @@
     const el = findElement('composer');
     if (el) return el;
     
-    // Fallback to original implementation
-    const cands = querySelectorAll(WA_SELECTORS.composer).filter(el => el && el.isConnected);
-    if (!cands.length) return null;
-    const visible = cands.find(el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length));
-    return visible || cands[0];
+    // Fallback: mesmo sem visibilidade (composer ainda montando)
+    return SELECTORS.find('composer');
   }
 
   // -------------------------
@@ -483,8 +1139,6 @@
     beforeSendDelayMin: 200,
     beforeSendDelayMax: 800,
     delayVariation: 0.3,
-    humanHoursStart: 7,
-    humanHoursEnd: 22,
     maxMessagesPerHour: 30,
     randomLongPauseChance: 0.05,
     randomLongPauseMin: 30000,
@@ -495,9 +1149,9 @@
     return Math.floor(Math.random() * (max - min + 1)) + min;
   }
 
-  function isHumanHour() {
-    const hour = new Date().getHours();
-    return hour >= STEALTH_CONFIG.humanHoursStart && hour < STEALTH_CONFIG.humanHoursEnd;
+  // Horário "humano" = janela de envio configurada (popup → 🌙 Janela de envio), no fuso do destinatário
+  function isHumanHour(number = null) {
+    return SendWindow.check(sendWindow.policy, { number }).open;
   }
 
   const messageTimestamps = [];
@@ -662,8 +1316,8 @@
     const el = findElement('sendButton');
     if (el) return el;
     
-    // Fallback to original implementation
-    return querySelector(WA_SELECTORS.sendButton);
+    // Fallback: mesmo sem visibilidade
+    return SELECTORS.find('sendButton');
   }
 
   async function clickSend(stealthMode = false) {
@@ -681,17 +1335,8 @@
     
     // Tentar encontrar botão de enviar
     debugLog('Procurando botão de enviar...');
-    let btn = findSendButton();
-    
-    if (!btn) {
-      debugLog('Botão de enviar não encontrado via findSendButton, tentando fallback...');
-      // Fallback: buscar por ícone send
-      const sendIcon = document.querySelector('span[data-icon="send"], span[data-icon="send-light"]');
-      if (sendIcon) {
-        btn = sendIcon.closest('button') || sendIcon.parentElement;
-        debugLog('Botão encontrado via ícone send');
-      }
-    }
+    // (ícones send/send-light e a re-localização por heurística já estão no registro)
+    const btn = findSendButton();
 
     if (!btn) {
       debugLog('Botão não encontrado, tentando Enter key como último recurso...');
@@ -741,13 +1386,11 @@
   }
 
   function findAttachButton() {
-    const btn = querySelector(WA_SELECTORS.attachButton);
-    return btn?.closest('button') || btn;
+    return SELECTORS.find('attachButton');
   }
 
   function findBestFileInput() {
-    const inputs = Array.from(document.querySelectorAll('input[type="file"]'))
-      .filter(el => el && el.isConnected);
+    const inputs = SELECTORS.findAll('fileInput');
     if (!inputs.length) return null;
 
     // Prefer image accept
@@ -763,10 +1406,7 @@
     const dlg = findDialogRoot();
     if (!dlg) return null;
 
-    const box =
-      dlg.querySelector('[contenteditable="true"][role="textbox"]') ||
-      dlg.querySelector('div[contenteditable="true"][data-tab]') ||
-      null;
+    const box = SELECTORS.find('mediaCaption', { root: dlg });
 
     if (box && box.closest('footer')) return null;
     return box;
@@ -776,12 +1416,7 @@
     const dlg = findDialogRoot();
     if (!dlg) return null;
 
-    const btn =
-      dlg.querySelector('button[aria-label*="Enviar"]') ||
-      dlg.querySelector('button[aria-label*="Send"]') ||
-      dlg.querySelector('button span[data-icon="send"]')?.closest('button') ||
-      dlg.querySelector('button span[data-icon="send-light"]')?.closest('button') ||
-      null;
+    const btn = SELECTORS.find('mediaSendButton', { root: dlg });
 
     if (btn && btn.closest('footer')) return null;
     return btn;
@@ -793,29 +1428,10 @@
     
     debugLog('[MÍDIA] Iniciando envio de mídia...');
     
-    // 1. Find attach button with NEW selectors
-    const attachSelectors = [
-      'button[aria-label="Anexar"]',           // NEW 2024/2025
-      'span[data-icon="plus-rounded"]',        // NEW 2024/2025
-      'span[data-icon="attach-menu-plus"]',
-      'span[data-icon="plus"]',
-      'span[data-icon="clip"]',
-      '[data-testid="attach-menu-plus"]',
-    ];
-    
-    let attachBtn = null;
-    for (const sel of attachSelectors) {
-      const el = document.querySelector(sel);
-      if (el) {
-        attachBtn = el.closest('button') || el.closest('div[role="button"]') || el;
-        if (attachBtn && attachBtn.offsetWidth > 0) {
-          debugLog('[MÍDIA] Botão anexar encontrado:', sel);
-          break;
-        }
-      }
-    }
-    
+    // 1. Find attach button (registry: attachButton)
+    const attachBtn = SELECTORS.find('attachButton', { visible: true });
     if (!attachBtn) throw new Error('Botão de anexo não encontrado');
+    debugLog('[MÍDIA] Botão anexar encontrado:', attachBtn);
 
     // 2. Click attach button
     attachBtn.click();
@@ -823,21 +1439,12 @@
 
     // 3. Find file input with MORE attempts
     let input = null;
-    const inputSelectors = [
-      'input[type="file"][accept*="image"]',
-      'input[type="file"][accept*="video"]',
-      'input[type="file"]'
-    ];
-    
     for (let attempt = 0; attempt < 8; attempt++) {
-      for (const sel of inputSelectors) {
-        input = document.querySelector(sel);
-        if (input && input.isConnected) {
-          debugLog('[MÍDIA] Input encontrado na tentativa', attempt + 1);
-          break;
-        }
+      input = SELECTORS.find('fileInput');
+      if (input) {
+        debugLog('[MÍDIA] Input encontrado na tentativa', attempt + 1);
+        break;
       }
-      if (input) break;
       await sleep(400);
     }
     
@@ -862,24 +1469,14 @@
     debugLog('[MÍDIA] Arquivo atribuído, aguardando preview...');
 
     // 6. Wait for preview to appear - MORE TIME
-    const mediaDialogSelectors = [
-      '[data-animate-modal-popup="true"]',     // NEW 2024/2025
-      '[data-testid="media-viewer-modal"]',
-      '.media-canvas-renderer',
-      '._2Ts6i._2xAQV'
-    ];
-    
     let previewFound = false;
     for (let i = 0; i < 25; i++) {  // 25 attempts = ~5 seconds
       await sleep(200);
-      for (const sel of mediaDialogSelectors) {
-        if (document.querySelector(sel)) {
-          previewFound = true;
-          debugLog('[MÍDIA] Preview encontrado:', sel);
-          break;
-        }
+      if (SELECTORS.find('mediaDialog')) {
+        previewFound = true;
+        debugLog('[MÍDIA] Preview encontrado');
+        break;
       }
-      if (previewFound) break;
     }
     
     if (!previewFound) throw new Error('Preview da mídia não apareceu');
@@ -887,8 +1484,7 @@
     // 7. Add caption if provided
     if (captionText) {
       await sleep(500);
-      const captionInput = document.querySelector('[data-testid="media-caption-input"]') ||
-                           document.querySelector('div[contenteditable="true"][data-tab="10"]');
+      const captionInput = SELECTORS.find('mediaCaption');
       if (captionInput) {
         captionInput.focus();
         document.execCommand('insertText', false, captionText);
@@ -899,25 +1495,7 @@
     // 8. Find and click send button
     await sleep(500);
     
-    const sendSelectors = [
-      'span[data-icon="wds-ic-send-filled"]',  // NEW 2024/2025
-      '[data-testid="send"]',
-      'span[data-icon="send"]',
-      'div[role="button"][aria-label*="Enviar"]'
-    ];
-    
-    let sendBtn = null;
-    for (const sel of sendSelectors) {
-      const el = document.querySelector(sel);
-      if (el) {
-        sendBtn = el.closest('div[role="button"]') || el.closest('button') || el;
-        if (sendBtn && sendBtn.offsetWidth > 0) {
-          debugLog('[MÍDIA] Botão enviar encontrado:', sel);
-          break;
-        }
-      }
-    }
-    
+    const sendBtn = SELECTORS.find('mediaSendButton', { visible: true });
     if (!sendBtn) throw new Error('Botão de enviar mídia não encontrado');
 
     sendBtn.click();
@@ -1000,11 +1578,11 @@
     return nums;
   }
 
-  function extractJidsFromDom() {
+  function extractJidsFromDom(root = document) {
     // Try to extract phone numbers from JIDs present in attributes.
     // Common forms: 5511999999999@c.us , 5511999999999@s.whatsapp.net , true_5511999999999@s.whatsapp.net
     const found = [];
-    const els = document.querySelectorAll('[data-id],[id],[href],[data-testid],[aria-label]');
+    const els = root.querySelectorAll('[data-id],[id],[href],[data-testid],[aria-label]');
     const attrs = ['data-id', 'id', 'href', 'data-testid', 'aria-label'];
 
     for (const el of els) {
@@ -1080,7 +1658,8 @@
     debugLog('Procurando resultados...');
     const rows = querySelectorAll(WA_SELECTORS.searchResults).filter(el => {
       const text = (el.innerText || '').replace(/\D/g, '');
-      const match = text.includes(digits.slice(-6)) || digits.includes(text.slice(-6));
+      // Sem dígitos (cabeçalho "Conversas"/"Contatos", contato salvo só com nome) não confirma nada
+      const match = !!text && (text.includes(digits.slice(-6)) || digits.includes(text.slice(-6)));
       if (match) debugLog('Resultado encontrado:', el.innerText?.slice(0, 50));
       return match;
     });
@@ -1138,9 +1717,11 @@
         
         // Check if current chat contains the target digits
         // We match the last N digits to handle international prefixes flexibly
-        const isCorrectChat = titleDigits.includes(digits.slice(-PHONE_SUFFIX_MATCH_LENGTH)) || 
-                             digits.includes(titleDigits.slice(-PHONE_SUFFIX_MATCH_LENGTH)) ||
-                             titleDigits === digits;
+        const isCorrectChat = !!titleDigits && (
+          titleDigits.includes(digits.slice(-PHONE_SUFFIX_MATCH_LENGTH)) ||
+          digits.includes(titleDigits.slice(-PHONE_SUFFIX_MATCH_LENGTH)) ||
+          titleDigits === digits
+        );
         
         // Skip validation after threshold to avoid infinite waiting
         // This is a fallback in case chat title doesn't include phone number
@@ -1218,77 +1799,159 @@
   }
 
   // -------------------------
-  // Memory (Leão) store
+  // Identidade do contato (content/contactIdentity.js)
   // -------------------------
-  async function getMemory(chatKey) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['whl_memories'], (res) => {
-        const mems = res?.whl_memories || {};
-        resolve(mems[chatKey] || null);
-      });
+  // Memória, exemplos e eventos de sync usam o ID canônico (wa:5511..., group:...), não o título:
+  // contato renomeado, dois clientes com o mesmo nome ou grupo com nome de pessoa não se misturam.
+  const ContactIdentity = globalThis.WHL_ContactIdentity;
+
+  /**
+   * Identidade do chat aberto: JID das bolhas, telefone no cabeçalho/título ou na URL e,
+   * sem número, o título (resolvido pela tabela de apelidos quando é de um único contato).
+   * Registra o título visto e migra a memória antiga guardada com esse título.
+   */
+  async function currentContactIdentity() {
+    const rawTitle = getChatTitle();
+    const title = rawTitle === 'chat_desconhecido' ? '' : rawTitle;
+    const header = SELECTORS.find('chatHeader');
+    const signals = {
+      jids: ContactIdentity.chatJids(SELECTORS.find('messagesContainer')),
+      phones: [
+        ...(header ? extractJidsFromDom(header) : []),
+        ...(/\p{L}/u.test(title) ? [] : parseNumbersFromText(title))
+      ],
+      urlPhone: new URL(location.href).searchParams.get('phone') || '',
+      title
+    };
+
+    const aliases = await ContactIdentity.loadAliases();
+    const identity = ContactIdentity.resolve(signals, aliases)
+      || { id: ContactIdentity.fromTitle(rawTitle), kind: 'title', phone: null, title: rawTitle, source: 'title' };
+    if (ContactIdentity.rememberAlias(aliases, identity)) await ContactIdentity.saveAliases(aliases);
+    await migrateMemoryKeys(aliases, identity);
+    return identity;
+  }
+
+  // whl_memories (versões antigas) eram chaveadas pelo título do chat: o que já tem ID canônico
+  // vai para o MemoryStore (IndexedDB); títulos ambíguos esperam aqui até o chat ser aberto
+  async function migrateMemoryKeys(aliases, current = null) {
+    const memoriesKey = await Workspace.key('whl_memories');
+    const res = await chrome.storage.local.get([memoriesKey]);
+    if (!res?.[memoriesKey] || !Object.keys(res[memoriesKey]).length) return 0;
+    const { mems, moved } = ContactIdentity.migrateMemories(res[memoriesKey], aliases, current);
+    const ready = Object.keys(mems).filter(key => ContactIdentity.isCanonical(key));
+    if (!ready.length) return 0;
+
+    for (const key of ready) {
+      await MemoryStore.importLegacy(key, mems[key]);
+      delete mems[key];
+    }
+    await chrome.storage.local.set({ [memoriesKey]: mems });
+    debugLog('[MEMÓRIA] Migradas para o ID do contato:', moved, 'importadas:', ready);
+    return ready.length;
+  }
+
+  // -------------------------
+  // Memory (Leão) store (content/memoryStore.js: IndexedDB, merge por campo, revisões)
+  // -------------------------
+  const MemoryStore = globalThis.WHL_MemoryStore;
+
+  async function getMemory(contactId) {
+    return MemoryStore.get(contactId);
+  }
+
+  function pushMemoryEvent(memory, chatTitle = '') {
+    return bg('MEMORY_PUSH', {
+      event: {
+        type: 'chat_memory',
+        contactId: memory.contactId,
+        chatTitle: chatTitle || memory.title || '',
+        memory: {
+          summary: memory.summary,
+          fields: memory.fields,
+          closed_loops: memory.closed_loops,
+          revision: memory.revision,
+          updatedAt: new Date(memory.updatedAt).toISOString()
+        }
+      }
     });
   }
 
-  async function setMemory(chatKey, memoryObj) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['whl_memories'], (res) => {
-        const mems = res?.whl_memories || {};
-        
-        // Limitar tamanho do summary a 2000 caracteres
-        const summary = memoryObj?.summary || '';
-        const truncatedSummary = summary.length > 2000 ? summary.slice(0, 2000) + '...' : summary;
-        
-        mems[chatKey] = { 
-          ...(memoryObj || {}), 
-          summary: truncatedSummary,
-          updatedAt: new Date().toISOString() 
-        };
-        
-        // Manter apenas as 100 memórias mais recentes
-        const keys = Object.keys(mems);
-        if (keys.length > 100) {
-          const sorted = keys.sort((a, b) => {
-            const dateA = new Date(mems[a]?.updatedAt || 0);
-            const dateB = new Date(mems[b]?.updatedAt || 0);
-            return dateB - dateA;
+  // -------------------------
+  // Sync de memória (pull): mudanças de outros agentes / do painel entram no IndexedDB daqui.
+  // O service worker busca (MEMORY_PULL) e o cursor só avança depois de aplicar (MEMORY_PULL_ACK).
+  // -------------------------
+  const MEMORY_PULL_INTERVAL = 5 * 60000;
+  const memorySyncUi = { onApplied: null };
+  let memoryPullRunning = false;
+
+  async function pullMemoryChanges() {
+    if (memoryPullRunning) return 0;
+    memoryPullRunning = true;
+    let applied = 0;
+    const touched = new Set();
+    try {
+      for (let page = 0; page < 20; page++) {
+        const r = await bg('MEMORY_PULL', {});
+        if (!r?.ok || r.disabled) {
+          if (r?.error) debugLog('[MEMÓRIA] Pull falhou:', r.error);
+          break;
+        }
+        const pending = new Set(r.pendingContacts || []);
+        for (const change of r.changes || []) {
+          const result = await MemoryStore.applyRemote(change.contactId, change.memory, {
+            localPending: pending.has(change.contactId),
+            title: change.chatTitle
           });
-          const toKeep = sorted.slice(0, 100);
-          const newMems = {};
-          for (const k of toKeep) {
-            newMems[k] = mems[k];
-          }
-          Object.assign(mems, newMems);
-          for (const k of keys) {
-            if (!toKeep.includes(k)) delete mems[k];
-          }
+          if (result.applied === 'skipped') continue;
+          applied++;
+          touched.add(change.contactId);
+          // Mescla de alteração local pendente com a remota: a versão mesclada substitui a da outbox
+          if (result.conflict) await pushMemoryEvent(result.memory, change.chatTitle);
         }
-        
-        chrome.storage.local.set({ whl_memories: mems }, async () => {
-          try {
-            await bg('MEMORY_PUSH', { event: { type: 'chat_memory', chatTitle: chatKey, memory: mems[chatKey] } });
-          } catch (e) {}
-          resolve(true);
-        });
-      });
-    });
+        await bg('MEMORY_PULL_ACK', { cursor: r.cursor });
+        if (!r.more) break;
+      }
+    } finally {
+      memoryPullRunning = false;
+    }
+    if (applied) {
+      debugLog('[MEMÓRIA] Sync: memórias atualizadas do servidor:', [...touched]);
+      memorySyncUi.onApplied?.(touched);
+    }
+    return applied;
+  }
+
+  /**
+   * Mesclar o JSON da IA (profile, preferences, ..., resolved_loops) na memória do contato.
+   * identity = currentContactIdentity(). Só gera revisão (e evento de sync) se algo mudou.
+   * @returns {Promise<{ memory, changes, revision }>}
+   */
+  async function setMemory(identity, json, { source = 'ai' } = {}) {
+    const result = await MemoryStore.update(identity.id, json, { source, title: identity.title });
+    if (result.changes.length) await pushMemoryEvent(result.memory, identity.title);
+    return result;
   }
 
   // Training examples (few-shot)
   async function getExamples() {
+    const key = await Workspace.key('whl_examples');
     return new Promise((resolve) => {
-      chrome.storage.local.get(['whl_examples'], (res) => {
-        resolve(Array.isArray(res?.whl_examples) ? res.whl_examples : []);
+      chrome.storage.local.get([key], (res) => {
+        resolve(Array.isArray(res?.[key]) ? res[key] : []);
       });
     });
   }
 
-  async function addExample(example) {
+  // identity (opcional): contato de onde o exemplo saiu
+  async function addExample(example, identity = null) {
+    const key = await Workspace.key('whl_examples');
     return new Promise((resolve) => {
-      chrome.storage.local.get(['whl_examples'], (res) => {
-        const arr = Array.isArray(res?.whl_examples) ? res.whl_examples : [];
-        arr.unshift({ ...example, at: new Date().toISOString() });
+      chrome.storage.local.get([key], (res) => {
+        const arr = Array.isArray(res?.[key]) ? res[key] : [];
+        arr.unshift({ ...example, contactId: identity?.id || null, at: new Date().toISOString() });
         const trimmed = arr.slice(0, 60);
-        chrome.storage.local.set({ whl_examples: trimmed }, async () => {
+        chrome.storage.local.set({ [key]: trimmed }, async () => {
           try {
             await bg('MEMORY_PUSH', { event: { type: 'example', example: trimmed[0] } });
           } catch (e) {}
@@ -1298,50 +1961,11 @@
     });
   }
 
-  // -------------------------
-  // Campaign Storage (Persistência de campanhas)
-  // -------------------------
-  const CampaignStorage = {
-    KEY: 'whl_campaign_state',
-    
-    async save(state) {
-      return new Promise((resolve) => {
-        chrome.storage.local.set({ [this.KEY]: state }, () => resolve(true));
-      });
-    },
-    
-    async load() {
-      return new Promise((resolve) => {
-        chrome.storage.local.get([this.KEY], (res) => {
-          resolve(res?.[this.KEY] || null);
-        });
-      });
-    },
-    
-    async clear() {
-      return new Promise((resolve) => {
-        chrome.storage.local.remove([this.KEY], () => resolve(true));
-      });
-    }
-  };
-
-  // Campaign persistence wrapper functions
-  async function saveCampaignState(state) {
-    await chrome.storage.local.set({ 'whl_campaign_active': state });
-  }
-
-  async function loadCampaignState() {
-    const result = await chrome.storage.local.get(['whl_campaign_active']);
-    return result.whl_campaign_active || null;
-  }
-
-  async function clearCampaignState() {
-    await chrome.storage.local.remove(['whl_campaign_active']);
-  }
-
+  // Estado das campanhas DOM: journal por destinatário em content/campaignJournal.js
   async function saveCampaignToHistory(campaign) {
-    const result = await chrome.storage.local.get(['whl_campaign_history']);
-    const history = result.whl_campaign_history || [];
+    const key = await Workspace.key('whl_campaign_history');
+    const result = await chrome.storage.local.get([key]);
+    const history = result[key] || [];
     history.unshift({
       id: campaign.id,
       createdAt: campaign.createdAt,
@@ -1349,7 +1973,7 @@
       stats: campaign.progress,
       message: (campaign.config?.message || '').slice(0, 50) + '...'
     });
-    await chrome.storage.local.set({ 'whl_campaign_history': history.slice(0, 20) });
+    await chrome.storage.local.set({ [key]: history.slice(0, 20) });
   }
 
   // -------------------------
@@ -1386,32 +2010,36 @@
   };
 
   async function getKnowledge() {
+    const key = await Workspace.key('whl_knowledge');
     return new Promise((resolve) => {
-      chrome.storage.local.get(['whl_knowledge'], (res) => {
-        resolve(res?.whl_knowledge || defaultKnowledge);
+      chrome.storage.local.get([key], (res) => {
+        resolve(res?.[key] || defaultKnowledge);
       });
     });
   }
 
   async function saveKnowledge(knowledge) {
+    const key = await Workspace.key('whl_knowledge');
     return new Promise((resolve) => {
-      chrome.storage.local.set({ 'whl_knowledge': knowledge }, () => {
+      chrome.storage.local.set({ [key]: knowledge }, () => {
         resolve();
       });
     });
   }
 
   async function getTrainingStats() {
+    const key = await Workspace.key('whl_training_stats');
     return new Promise((resolve) => {
-      chrome.storage.local.get(['whl_training_stats'], (res) => {
-        resolve(res?.whl_training_stats || defaultTrainingStats);
+      chrome.storage.local.get([key], (res) => {
+        resolve(res?.[key] || defaultTrainingStats);
       });
     });
   }
 
   async function saveTrainingStats(stats) {
+    const key = await Workspace.key('whl_training_stats');
     return new Promise((resolve) => {
-      chrome.storage.local.set({ 'whl_training_stats': stats }, () => {
+      chrome.storage.local.set({ [key]: stats }, () => {
         resolve();
       });
     });
@@ -1450,7 +2078,20 @@
   // -------------------------
   // AI prompting
   // -------------------------
-  async function buildSystemPrompt({ persona, businessContext }) {
+  // Busca os trechos mais relevantes na base de conhecimento (RAG no service worker).
+  // Retorna [] se nada for relevante e null se o índice estiver indisponível.
+  async function retrieveKnowledge(query, { types, k } = {}) {
+    const q = safeText(query).trim();
+    if (!q) return [];
+    const resp = await bg('RAG_QUERY', { query: q.slice(-1500), types, k });
+    if (!resp?.ok) {
+      warn('RAG indisponível:', resp?.error);
+      return null;
+    }
+    return Array.isArray(resp.results) ? resp.results : [];
+  }
+
+  async function buildSystemPrompt({ persona, businessContext, query }) {
     const base =
 `Você é um assistente de atendimento no WhatsApp.
 Objetivo: responder rápido, claro, profissional e humano, sem inventar informações.
@@ -1476,16 +2117,25 @@ Regras:
       if (knowledge.business.hours) knowledgeText += `\nHorário: ${knowledge.business.hours}`;
     }
     
-    if (knowledge.products.length) {
+    // Produtos, FAQ e documentos: só os trechos relevantes para a conversa atual
+    const chunks = await retrieveKnowledge(query, { types: ['product', 'faq', 'document'] });
+    if (chunks && chunks.length) {
+      knowledgeText += `\n\nCONHECIMENTO RELEVANTE (use como verdade):`;
+      for (const c of chunks) {
+        const where = c.meta?.page ? `p. ${c.meta.page}` : c.meta?.section;
+        const source = c.type === 'document' && c.meta?.docName
+          ? ` [${c.meta.docName}${where ? ` — ${where}` : ''}]`
+          : '';
+        knowledgeText += `\n---${source}\n${c.text}`;
+      }
+    } else if (chunks === null && (knowledge.products.length || knowledge.faq.length)) {
+      // Índice indisponível: lista curta como antes, para não responder sem catálogo
       knowledgeText += `\n\nPRODUTOS DISPONÍVEIS:`;
       for (const p of knowledge.products.slice(0, 20)) {
         const stockText = p.stock > 0 ? `${p.stock} em estoque` : 'ESGOTADO';
         knowledgeText += `\n- ${p.name}: R$${p.price.toFixed(2)} (${stockText})`;
         if (p.description) knowledgeText += ` - ${p.description}`;
       }
-    }
-    
-    if (knowledge.faq.length) {
       knowledgeText += `\n\nFAQ:`;
       for (const f of knowledge.faq.slice(0, 10)) {
         knowledgeText += `\nP: ${f.question}\nR: ${f.answer}`;
@@ -1514,8 +2164,17 @@ Regras:
     ].filter(Boolean).join('\n');
   }
 
+  // Exemplos locais mais parecidos com a conversa (via índice RAG).
+  async function retrieveExamples(transcript, max = 3) {
+    const results = await retrieveKnowledge(transcript, { types: ['example'], k: max });
+    if (results === null) return pickExamples(await getExamples(), transcript, max);
+    return results
+      .map(r => ({ user: r.meta?.user, assistant: r.meta?.assistant }))
+      .filter(ex => ex.user && ex.assistant);
+  }
+
   function pickExamples(examples, transcript, max = 3) {
-    // Very simple relevance: keyword overlap (lightweight, no embeddings).
+    // Fallback (exemplos vindos do servidor / índice indisponível): keyword overlap.
     const t = transcript.toLowerCase();
     const scored = examples.map((ex) => {
       const u = safeText(ex?.user || '').toLowerCase();
@@ -1528,14 +2187,14 @@ Regras:
     return scored.filter(s => s.score > 0).slice(0, max).map(s => s.ex);
   }
 
-  async function getHybridContext({ chatTitle, transcript }) {
+  async function getHybridContext({ identity, transcript }) {
     const settings = await getSettingsCached();
-    const localMemory = await getMemory(chatTitle);
+    const localMemory = await getMemory(identity.id);
     const localExamples = await getExamples();
 
     if (settings?.memorySyncEnabled && settings?.memoryServerUrl && settings?.memoryWorkspaceKey) {
       try {
-        const r = await bg('MEMORY_QUERY', { payload: { chatTitle, transcript, topK: 4 } });
+        const r = await bg('MEMORY_QUERY', { payload: { contactId: identity.id, chatTitle: identity.title, transcript, topK: 4 } });
         if (r?.ok && r?.data) {
           const d = r.data || {};
           const memory = d.memory || localMemory;
@@ -1549,10 +2208,21 @@ Regras:
     return { memory: localMemory, examples: localExamples, context: null, source: 'local' };
   }
 
-  async function aiChat({ mode, extraInstruction, transcript, memory, chatTitle, examplesOverride, contextOverride }) {
+  // Último status de roteamento (qual provedor respondeu, se houve fallback)
+  let lastAiStatus = null;
+
+  // origin: 'manual' (operador clicou), 'copilot' (auto-sugestão/auto-memória) ou 'smartbot'.
+  // Usado pelo ledger de custos; chamadas não-manuais são bloqueadas pelo limite diário.
+  async function buildAiChatRequest({ mode, extraInstruction, transcript, memory, chatTitle, examplesOverride, contextOverride, origin = 'manual' }) {
     const settings = await getSettingsCached();
-    const systemBase = await buildSystemPrompt({ persona: settings.persona, businessContext: settings.businessContext });
-    const system = systemBase + (contextOverride?.additions ? `\n\nCONTEXTO (Servidor):\n${safeText(contextOverride.additions)}` : '');
+    const ragQuery = [safeText(transcript).slice(-1500), safeText(extraInstruction)].filter(Boolean).join('\n');
+    const systemBase = await buildSystemPrompt({ persona: settings.persona, businessContext: settings.businessContext, query: ragQuery });
+    // Ferramentas (estoque, lead, frete...) só fazem sentido ao redigir resposta/próximos passos
+    const useTools = settings.aiTools !== false && (mode === 'reply' || mode === 'followup');
+    const toolsHint = useTools
+      ? `\n\nFERRAMENTAS:\n- Antes de afirmar preço, estoque, prazo ou frete, consulte a ferramenta correspondente.\n- Se a ferramenta falhar, diga que vai confirmar em vez de inventar.`
+      : '';
+    const system = systemBase + toolsHint + (contextOverride?.additions ? `\n\nCONTEXTO (Servidor):\n${safeText(contextOverride.additions)}` : '');
 
     const memText = memory?.summary ? `\n\nMEMÓRIA (Leão) deste contato:\n${memory.summary}` : '';
     const action =
@@ -1571,8 +2241,9 @@ Regras:
       user += `\nResponda SOMENTE com o texto final pronto para enviar.`;
     }
 
-    const examples = Array.isArray(examplesOverride) ? examplesOverride : await getExamples();
-    const picked = pickExamples(examples, transcript, 3);
+    const picked = Array.isArray(examplesOverride)
+      ? pickExamples(examplesOverride, transcript || '', 3)
+      : await retrieveExamples(transcript || '', 3);
 
     const messages = [{ role: 'system', content: system }];
 
@@ -1595,17 +2266,39 @@ Regras:
       meta: {
         chatTitle,
         contactPhone,
-        mode
+        mode,
+        origin
       },
+      tools: useTools,
       transcript: transcript || ''
     };
 
+    return { messages, payload };
+  }
+
+  async function aiChat(opts) {
+    const { messages, payload } = await buildAiChatRequest(opts);
     const resp = await bg('AI_CHAT', { messages, payload });
+    lastAiStatus = resp?.status || null;
     if (!resp?.ok) throw new Error(resp?.error || 'Falha na IA');
+    if (lastAiStatus?.fallback) warn('IA respondeu via fallback:', lastAiStatus.provider, lastAiStatus.attempts);
     return safeText(resp.text || '').trim();
   }
 
-  async function aiMemoryFromTranscript(transcript) {
+  // Igual a aiChat(), mas com tokens chegando por onDelta(piece, fullSoFar).
+  // onTool(call) recebe cada ferramenta executada pela IA ({ name, args, ok, error, result, ms }).
+  // Se cancelado via signal, resolve com o texto parcial e { cancelled: true }.
+  async function aiChatStream(opts, { onDelta, onTool, signal } = {}) {
+    const { messages, payload } = await buildAiChatRequest(opts);
+    const resp = await bgStream({ messages, payload }, { onDelta, onTool, signal });
+    lastAiStatus = resp?.status || null;
+    if (resp?.cancelled) return { text: safeText(resp.text || '').trim(), cancelled: true, toolCalls: [] };
+    if (!resp?.ok) throw new Error(resp?.error || 'Falha na IA');
+    if (lastAiStatus?.fallback) warn('IA respondeu via fallback:', lastAiStatus.provider, lastAiStatus.attempts);
+    return { text: safeText(resp.text || '').trim(), cancelled: false, toolCalls: resp.toolCalls || [] };
+  }
+
+  async function aiMemoryFromTranscript(transcript, { origin = 'manual', current = null } = {}) {
     const settings = await getSettingsCached();
     const system = await buildSystemPrompt({ persona: settings.persona, businessContext: settings.businessContext }) +
       `\n\nVocê agora cria uma memória curta (perfil do contato + contexto) para futuras conversas.`;
@@ -1618,14 +2311,16 @@ Regras:
   "context": ["fatos relevantes confirmados"],
   "open_loops": ["pendências/perguntas em aberto"],
   "next_actions": ["próximos passos sugeridos"],
-  "tone": "tom recomendado"
+  "tone": "tom recomendado",
+  "resolved_loops": ["pendências da memória atual que a conversa mostra resolvidas"]
 }
 
 Regras:
 - Não invente. Se algo não está claro, use "desconhecido".
 - Evite dados sensíveis desnecessários.
+- Liste só o que a conversa mostra; a memória atual é mesclada automaticamente.
 - Retorne SOMENTE o JSON.
-
+${current?.summary ? `\nMEMÓRIA ATUAL:\n${current.summary}\n` : ''}
 CONVERSA:
 ${transcript || '(não consegui ler mensagens)'}
 `;
@@ -1643,7 +2338,7 @@ ${transcript || '(não consegui ler mensagens)'}
       model: settings.openaiModel,
       temperature: settings.temperature,
       max_tokens: settings.maxTokens,
-      meta: { chatTitle, contactPhone, mode: 'memory' },
+      meta: { chatTitle, contactPhone, mode: 'memory', origin },
       transcript: transcript || ''
     };
 
@@ -1921,6 +2616,39 @@ ${transcript || '(não consegui ler mensagens)'}
       .checkline input{ width:16px; height:16px; }
       .mono{ font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
 
+      .import-preview{ max-height: 180px; overflow:auto; margin-top: 8px; }
+      .import-preview table{ width:100%; border-collapse: collapse; font-size: 11px; }
+      .import-preview th, .import-preview td{
+        text-align:left;
+        padding: 4px 6px;
+        border-bottom: 1px solid rgba(255,255,255,.06);
+        white-space: nowrap;
+      }
+      .import-preview .err{ color: var(--danger) !important; }
+      #campMapVars .checkline input[type="text"]{ width:auto; flex:1; height:auto; padding: 5px 8px; }
+
+      .tool-log{
+        margin-top: 8px;
+        padding: 8px 10px;
+        border: 1px dashed rgba(255,255,255,.14);
+        border-radius: 12px;
+        background: rgba(5,7,15,.35);
+        font-size: 11px;
+      }
+      .tool-log details{ margin: 4px 0; }
+      .tool-log summary{ cursor: pointer; color: var(--text); }
+      .tool-log summary.err{ color: var(--danger); }
+      .tool-log pre{
+        margin: 4px 0 0;
+        max-height: 140px;
+        overflow: auto;
+        white-space: pre-wrap;
+        word-break: break-word;
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 10px;
+        color: var(--muted);
+      }
+
       .preview-modal {
         position: fixed;
         top: 0;
@@ -1994,6 +2722,15 @@ ${transcript || '(não consegui ler mensagens)'}
         font-size: 10px;
         min-width: 60px;
       }
+      .schedule-cron {
+        margin: 6px 0 0 22px;
+      }
+      .schedule-cron-preview {
+        font-size: 11px;
+        color: var(--muted);
+        margin-top: 4px;
+        line-height: 1.4;
+      }
 
       .progress-wrap {
         margin-top: 10px;
@@ -2051,6 +2788,20 @@ ${transcript || '(não consegui ler mensagens)'}
       .product-item .price { color: var(--ok); }
       .product-item .stock { color: var(--muted); }
       .product-item .stock.out { color: var(--danger); }
+      .doc-item .doc-meta { font-size: 10px; color: var(--muted) !important; }
+      .doc-item .doc-meta.err { color: var(--danger) !important; }
+      .doc-progress {
+        height: 4px;
+        margin-top: 4px;
+        border-radius: 4px;
+        background: rgba(255,255,255,0.08);
+        overflow: hidden;
+      }
+      .doc-progress > div {
+        height: 100%;
+        background: var(--ok);
+        transition: width .2s;
+      }
       .test-result {
         margin-top: 10px;
         padding: 12px;
@@ -2138,12 +2889,16 @@ ${transcript || '(não consegui ler mensagens)'}
 
           <div class="btns">
             <button class="primary" id="genBtn">Gerar</button>
+            <button id="stopGenBtn" style="display:none;">⏹ Parar</button>
             <button id="memBtn">Atualizar Memória (Leão)</button>
+            <button id="memHistoryBtn">🕘 Histórico da memória</button>
             <button id="saveExampleBtn">Salvar como exemplo</button>
           </div>
+          <div id="memHistory" class="tool-log" style="display:none;"></div>
 
           <label>Saída</label>
           <textarea id="chatOut" placeholder="Aqui aparece a resposta..."></textarea>
+          <div id="toolLog" class="tool-log" style="display:none;"></div>
 
           <div class="btns">
             <button id="insertBtn">Inserir no WhatsApp</button>
@@ -2169,8 +2924,31 @@ ${transcript || '(não consegui ler mensagens)'}
           <label>Lista de números (1 por linha, com DDI) ou CSV: numero,nome</label>
           <textarea id="campNumbers" placeholder="+5511999999999,João&#10;+5511988888888,Maria"></textarea>
 
+          <label>Ou importe uma lista (CSV, XLSX ou vCard)</label>
+          <input id="campImportFile" type="file" accept=".csv,.txt,.xlsx,.vcf" />
+          <div id="campImportBox" style="display:none;">
+            <div class="row">
+              <div>
+                <label>Coluna do telefone</label>
+                <select id="campMapPhone"></select>
+              </div>
+              <div>
+                <label>Coluna do nome</label>
+                <select id="campMapName"></select>
+              </div>
+            </div>
+            <label>Campos extras (use como {{variável}} na mensagem)</label>
+            <div id="campMapVars"></div>
+            <div class="status" id="campImportStatus"></div>
+            <div class="import-preview" id="campImportPreview"></div>
+            <div class="btns">
+              <button id="campImportClearBtn">✖ Descartar importação</button>
+            </div>
+          </div>
+
           <label>Mensagem (use {{nome}} e {{numero}})</label>
-          <textarea id="campMsg" placeholder="Olá {{nome}}, tudo bem?"></textarea>
+          <textarea id="campMsg" placeholder="{Olá|Oi} {{nome}}, tudo bem?&#10;--- B 30&#10;E aí {{nome}}! Temos novidades"></textarea>
+          <div class="note">Spintax: <b>{Olá|Oi|E aí}</b> sorteia uma opção por contato. Variantes A/B: uma linha <b>--- B 30</b> começa a variante "B" com peso 30 (o relatório compara respostas e falhas por variante).</div>
 
           <label>Mídia (opcional - imagem/vídeo)</label>
           <input id="campMedia" type="file" accept="image/*,video/*" />
@@ -2189,6 +2967,23 @@ ${transcript || '(não consegui ler mensagens)'}
                 <label for="scheduleLater">Agendar para:</label>
                 <input type="datetime-local" id="scheduleDateTime" disabled>
               </div>
+              <div class="checkline">
+                <input type="radio" name="scheduleType" id="scheduleRecurring" value="cron">
+                <label for="scheduleRecurring">Repetir (cron)</label>
+              </div>
+              <div class="schedule-cron" id="scheduleCronBox" style="display:none;">
+                <div class="row">
+                  <div>
+                    <label>Expressão (min hora dia mês dia-semana)</label>
+                    <input id="scheduleCronExpr" type="text" placeholder="0 9 * * 1-5" />
+                  </div>
+                  <div>
+                    <label>Fuso horário</label>
+                    <input id="scheduleTimezone" type="text" placeholder="America/Sao_Paulo" />
+                  </div>
+                </div>
+                <div class="schedule-cron-preview" id="scheduleCronPreview">Ex.: <code>0 9 * * 1-5</code> = 9h de segunda a sexta · <code>*/30 8-18 * * *</code> = a cada 30 min das 8h às 18h</div>
+              </div>
             </div>
             <div class="row">
               <div>
@@ -2200,6 +2995,8 @@ ${transcript || '(não consegui ler mensagens)'}
                 <input id="campDelayMax" type="number" min="5" max="240" value="15" />
               </div>
             </div>
+            <label>Janela de resposta (h)</label>
+            <input id="campReplyWindow" type="number" min="1" max="168" value="48" />
 
             <div class="note" style="margin-top:10px;">
               <b>⚠️ Atenção:</b> Use com moderação. Envios em massa podem causar bloqueio do número.
@@ -2214,11 +3011,23 @@ ${transcript || '(não consegui ler mensagens)'}
 
             <div class="status" id="campDomStatus"></div>
 
+            <div class="note" id="campSafetyBox" style="display:none;margin-top:10px;">
+              <div id="campSafetyReason"></div>
+              <div class="btns">
+                <button class="primary" id="campSafetyResumeBtn">✅ Verifiquei, retomar campanha</button>
+              </div>
+            </div>
+
             <div class="progress-wrap" id="campProgress" style="display:none;">
               <div class="progress-bar" id="campProgressBar"></div>
               <span class="progress-text" id="campProgressText">0/0</span>
             </div>
 
+            <div class="btns">
+              <button id="campReportCsvBtn">📊 Relatório CSV</button>
+              <button id="campReportHtmlBtn">📊 Relatório HTML</button>
+            </div>
+
             <!-- Scheduled Campaigns List -->
             <div id="scheduledCampaignsBox" style="margin-top:15px; display:none;">
               <label>📅 Campanhas Agendadas</label>
@@ -2321,8 +3130,8 @@ ${transcript || '(não consegui ler mensagens)'}
           <!-- Upload de Documentos -->
           <div class="knowledge-section">
             <label>📄 Documentos</label>
-            <input type="file" id="docsFile" accept=".pdf,.txt,.md" multiple>
-            <div class="note">Upload de catálogos, manuais, políticas em PDF ou TXT</div>
+            <input type="file" id="docsFile" accept=".pdf,.docx,.csv,.html,.htm,.txt,.md" multiple>
+            <div class="note">Catálogos, manuais, políticas em PDF, DOCX, CSV, HTML ou TXT — o texto é extraído no navegador</div>
             <div id="docsList" class="docs-list"></div>
           </div>
 
@@ -2370,6 +3179,8 @@ ${transcript || '(não consegui ler mensagens)'}
               <div>✏️ Correções: <span id="statCorrected">0</span></div>
               <div>📦 Produtos: <span id="statProducts">0</span></div>
               <div>❓ FAQs: <span id="statFaqs">0</span></div>
+              <div>📄 Documentos: <span id="statDocs">0</span></div>
+              <div>🧩 Trechos indexados: <span id="statChunks">0</span></div>
             </div>
           </div>
 
@@ -2431,7 +3242,7 @@ ${transcript || '(não consegui ler mensagens)'}
     (async () => {
       try {
         const st = await getSettingsCached();
-        pillStatus.textContent = st.provider === 'backend' ? 'backend' : 'openai';
+        pillStatus.textContent = st.provider || 'openai';
       } catch (_) {
         pillStatus.textContent = 'offline';
       }
@@ -2446,9 +3257,13 @@ ${transcript || '(não consegui ler mensagens)'}
     const chatMode = shadow.getElementById('chatMode');
     const chatStatus = shadow.getElementById('chatStatus');
     const trainStatus = shadow.getElementById('trainStatus');
+    const toolLog = shadow.getElementById('toolLog');
 
     const genBtn = shadow.getElementById('genBtn');
+    const stopGenBtn = shadow.getElementById('stopGenBtn');
     const memBtn = shadow.getElementById('memBtn');
+    const memHistoryBtn = shadow.getElementById('memHistoryBtn');
+    const memHistory = shadow.getElementById('memHistory');
     const saveExampleBtn = shadow.getElementById('saveExampleBtn');
     const insertBtn = shadow.getElementById('insertBtn');
     const sendBtn = shadow.getElementById('sendBtn');
@@ -2472,16 +3287,67 @@ ${transcript || '(não consegui ler mensagens)'}
       trainStatus.textContent = t;
     }
 
+    // Ferramentas que a IA consultou nesta geração: o atendente confere os dados antes de enviar
+    const TOOL_LABELS = {
+      buscar_produto: '📦 Catálogo',
+      consultar_lead: '👤 Lead',
+      gerar_oferta: '💡 Oferta',
+      listar_entregadores: '🛵 Entregadores',
+      calcular_frete: '🚚 Frete'
+    };
+
+    function clearToolLog() {
+      toolLog.innerHTML = '';
+      toolLog.style.display = 'none';
+    }
+
+    function appendToolLog(call) {
+      if (!call?.name) return;
+      if (!toolLog.childElementCount) {
+        const title = document.createElement('div');
+        title.textContent = '🔧 Dados consultados pela IA (confira antes de enviar):';
+        toolLog.appendChild(title);
+      }
+      toolLog.style.display = 'block';
+
+      let result = call.result || '';
+      try { result = JSON.stringify(JSON.parse(result), null, 2); } catch (_) {}
+
+      const item = document.createElement('details');
+      const summary = document.createElement('summary');
+      const args = Object.entries(call.args || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+      summary.textContent = `${call.ok ? '✅' : '⚠️'} ${TOOL_LABELS[call.name] || call.name}${args ? ` (${args})` : ''} • ${call.ms || 0}ms`;
+      if (!call.ok) summary.classList.add('err');
+      const pre = document.createElement('pre');
+      pre.textContent = call.ok ? result : `Erro: ${call.error || 'falha'}`;
+      item.appendChild(summary);
+      item.appendChild(pre);
+      toolLog.appendChild(item);
+    }
+
+    // Geração em andamento (streaming); Inserir/Enviar ficam bloqueados até terminar ou cancelar
+    let chatStreamCtrl = null;
+
+    function setStreaming(on) {
+      genBtn.disabled = on;
+      insertBtn.disabled = on;
+      sendBtn.disabled = on;
+      stopGenBtn.style.display = on ? '' : 'none';
+    }
+
     async function runChat() {
       setChatStatus('', null);
       showTrainStatus('');
+      clearToolLog();
 
-      genBtn.disabled = true;
+      chatStreamCtrl = new AbortController();
+      setStreaming(true);
       try {
         const limit = clamp(chatLimit.value || 30, 5, 80);
         const transcript = getVisibleTranscript(limit);
         const chatTitle = getChatTitle();
-        const hybrid = await getHybridContext({ chatTitle, transcript });
+        const identity = await currentContactIdentity();
+        const hybrid = await getHybridContext({ identity, transcript });
         const mem = hybrid.memory;
         const examplesOverride = hybrid.examples;
         const contextOverride = hybrid.context;
@@ -2489,7 +3355,32 @@ ${transcript || '(não consegui ler mensagens)'}
         const mode = chatMode.value || 'reply';
         const extra = safeText(chatPrompt.value);
 
-        const text = await aiChat({ mode, extraInstruction: extra, transcript, memory: mem, chatTitle });
+        if (mode !== 'train') {
+          chatOut.value = '';
+          setChatStatus('Gerando…', null);
+        }
+
+        const { text, cancelled, toolCalls } = await aiChatStream(
+          { mode, extraInstruction: extra, transcript, memory: mem, chatTitle },
+          {
+            signal: chatStreamCtrl.signal,
+            onTool: (call) => {
+              appendToolLog(call);
+              setChatStatus(`Consultando ${TOOL_LABELS[call.name] || call.name}…`, null);
+            },
+            onDelta: (_piece, full) => {
+              if (mode === 'train') return;
+              chatOut.value = full;
+              chatOut.scrollTop = chatOut.scrollHeight;
+            }
+          }
+        );
+
+        if (cancelled) {
+          if (mode !== 'train') chatOut.value = text;
+          setChatStatus('Geração interrompida ⏹ (texto parcial mantido)', null);
+          return;
+        }
 
         if (mode === 'train') {
           // Training suggestions
@@ -2505,13 +3396,23 @@ ${transcript || '(não consegui ler mensagens)'}
         }
 
         chatOut.value = text;
-        setChatStatus('OK ✅', 'ok');
+        const toolsNote = toolCalls.length ? ` • ${toolCalls.length} consulta(s) de dados, confira abaixo` : '';
+        if (lastAiStatus?.fallback) {
+          setChatStatus(`OK ✅ (via ${lastAiStatus.provider})${toolsNote}`, 'ok');
+        } else {
+          setChatStatus(`OK ✅${toolsNote}`, 'ok');
+        }
+        if (lastAiStatus?.provider) pillStatus.textContent = lastAiStatus.provider;
+
+        // Stream concluído: libera Inserir/Enviar antes da memória automática
+        chatStreamCtrl = null;
+        setStreaming(false);
 
         // Optional: auto memory update
         const st = await getSettingsCached();
         if (st.autoMemory) {
           try {
-            await autoUpdateMemory(transcript, chatTitle);
+            await autoUpdateMemory(transcript, identity, { origin: 'copilot' });
           } catch (e) {
             warn('autoMemory falhou:', e);
           }
@@ -2520,32 +3421,106 @@ ${transcript || '(não consegui ler mensagens)'}
       } catch (e) {
         setChatStatus(`Erro: ${e?.message || String(e)}`, 'err');
       } finally {
-        genBtn.disabled = false;
+        chatStreamCtrl = null;
+        setStreaming(false);
       }
     }
 
-    async function autoUpdateMemory(transcript, chatTitle) {
+    async function autoUpdateMemory(transcript, identity, { origin = 'manual' } = {}) {
       // Lightweight debounce: only update if transcript has enough content
       const t = safeText(transcript).trim();
-      if (t.length < 60) return;
-      const raw = await aiMemoryFromTranscript(t);
+      if (t.length < 60) return null;
+      const current = await getMemory(identity.id);
+      const raw = await aiMemoryFromTranscript(t, { origin, current });
       const json = tryParseJson(raw);
-      const summary =
-        json
-          ? [
-              `Perfil: ${safeText(json.profile)}`,
-              json.tone ? `Tom: ${safeText(json.tone)}` : '',
-              Array.isArray(json.preferences) && json.preferences.length ? `Preferências: ${json.preferences.join('; ')}` : '',
-              Array.isArray(json.context) && json.context.length ? `Contexto: ${json.context.join('; ')}` : '',
-              Array.isArray(json.open_loops) && json.open_loops.length ? `Pendências: ${json.open_loops.join('; ')}` : '',
-              Array.isArray(json.next_actions) && json.next_actions.length ? `Próximos: ${json.next_actions.join('; ')}` : '',
-            ].filter(Boolean).join('\n')
-          : raw;
+      // Memória estruturada: texto solto da IA não entra (não dá para mesclar por campo)
+      if (!json || typeof json !== 'object') throw new Error('A IA não devolveu a memória em JSON.');
 
-      await setMemory(chatTitle, { summary, json });
+      const result = await setMemory(identity, json);
+      if (memHistory.style.display !== 'none') renderMemoryHistory(identity).catch(() => {});
+      return result;
     }
 
     genBtn.addEventListener('click', runChat);
+    stopGenBtn.addEventListener('click', () => {
+      if (chatStreamCtrl) chatStreamCtrl.abort();
+    });
+
+    // Histórico da memória: diff de cada revisão e restauração (corrigir memória ruim da IA)
+    const MEMORY_SOURCES = { ai: 'IA', manual: 'manual', rollback: 'restauração', migration: 'migração', sync: 'sync (outro agente)' };
+    const MEMORY_OPS = { set: '✏️', add: '➕', remove: '➖', close: '✅' };
+
+    function describeMemoryChange(change) {
+      const label = MemoryStore.FIELD_LABELS[change.field] || change.field;
+      if (change.op === 'set') return `${label}: "${change.previous || '—'}" → "${change.value || '—'}"`;
+      if (change.op === 'close') return `${label}: resolvida "${change.value}"`;
+      return `${label}: ${change.value}`;
+    }
+
+    async function renderMemoryHistory(identity) {
+      const [memory, revisions] = await Promise.all([getMemory(identity.id), MemoryStore.listRevisions(identity.id)]);
+      const who = identity.title || identity.id;
+      memHistory.innerHTML = '';
+
+      const head = document.createElement('div');
+      head.textContent = memory ? `🧠 ${who} • revisão #${memory.revision}` : `🧠 ${who}: ainda sem memória`;
+      memHistory.appendChild(head);
+      if (memory) {
+        const current = document.createElement('pre');
+        current.textContent = memory.summary || '(vazia)';
+        memHistory.appendChild(current);
+      }
+
+      for (const rev of revisions) {
+        const item = document.createElement('details');
+        const summary = document.createElement('summary');
+        const origin = `${MEMORY_SOURCES[rev.source] || rev.source}${rev.restoredFrom ? ` da #${rev.restoredFrom}` : ''}`;
+        summary.textContent = `#${rev.revision} • ${new Date(rev.at).toLocaleString('pt-BR')} • ${origin} • ${rev.changes.length} alterações`;
+        const diff = document.createElement('pre');
+        diff.textContent = rev.changes.map(c => `${MEMORY_OPS[c.op] || '•'} ${describeMemoryChange(c)}`).join('\n');
+        item.appendChild(summary);
+        item.appendChild(diff);
+        if (rev.revision !== memory?.revision) {
+          const restore = document.createElement('button');
+          restore.textContent = `↩️ Restaurar revisão #${rev.revision}`;
+          restore.addEventListener('click', () => rollbackMemory(identity, rev.revision));
+          item.appendChild(restore);
+        }
+        memHistory.appendChild(item);
+      }
+      memHistory.style.display = 'block';
+    }
+
+    async function rollbackMemory(identity, revision) {
+      const who = identity.title || identity.id;
+      if (!confirm(`Voltar a memória de ${who} para a revisão #${revision}?\nA versão atual continua no histórico.`)) return;
+      try {
+        const result = await MemoryStore.rollback(identity.id, revision);
+        if (result.changes.length) await pushMemoryEvent(result.memory, identity.title);
+        setChatStatus(`Memória restaurada da revisão #${revision} ✅`, 'ok');
+        await renderMemoryHistory(identity);
+      } catch (e) {
+        setChatStatus(`Erro ao restaurar memória: ${e?.message || String(e)}`, 'err');
+      }
+    }
+
+    memorySyncUi.onApplied = async (contactIds) => {
+      if (memHistory.style.display === 'none') return;
+      const identity = await currentContactIdentity();
+      if (identity && contactIds.has(identity.id)) renderMemoryHistory(identity).catch(() => {});
+    };
+
+    memHistoryBtn.addEventListener('click', async () => {
+      if (memHistory.style.display !== 'none') {
+        memHistory.style.display = 'none';
+        return;
+      }
+      try {
+        await renderMemoryHistory(await currentContactIdentity());
+      } catch (e) {
+        setChatStatus(`Erro ao ler memória: ${e?.message || String(e)}`, 'err');
+      }
+    });
 
     memBtn.addEventListener('click', async () => {
       setChatStatus('', null);
@@ -2553,10 +3528,11 @@ ${transcript || '(não consegui ler mensagens)'}
       try {
         const limit = clamp(chatLimit.value || 30, 10, 120);
         const transcript = getVisibleTranscript(limit);
-        const chatTitle = getChatTitle();
 
-        await autoUpdateMemory(transcript, chatTitle);
-        setChatStatus('Memória atualizada ✅', 'ok');
+        const result = await autoUpdateMemory(transcript, await currentContactIdentity());
+        if (!result) setChatStatus('Conversa curta demais para atualizar a memória.', 'err');
+        else if (!result.changes.length) setChatStatus('Memória já estava em dia ✅', 'ok');
+        else setChatStatus(`Memória atualizada ✅ (revisão ${result.revision}, ${result.changes.length} alterações)`, 'ok');
       } catch (e) {
         setChatStatus(`Erro ao atualizar memória: ${e?.message || String(e)}`, 'err');
       } finally {
@@ -2576,7 +3552,7 @@ ${transcript || '(não consegui ler mensagens)'}
 
         // The "user" side example is: last inbound message or last few lines.
         const lines = transcript.split('\n').slice(-6).join('\n').trim();
-        await addExample({ user: `Contexto:\n${lines}\n\nGere uma resposta:`, assistant });
+        await addExample({ user: `Contexto:\n${lines}\n\nGere uma resposta:`, assistant }, await currentContactIdentity());
 
         setChatStatus('Exemplo salvo ✅ (ajuda a IA a ficar mais consistente)', 'ok');
       } catch (e) {
@@ -2632,7 +3608,7 @@ ${transcript || '(não consegui ler mensagens)'}
 
         // If panel is open, auto-fill output suggestion
         const chatTitle = getChatTitle();
-        const hybrid = await getHybridContext({ chatTitle, transcript });
+        const hybrid = await getHybridContext({ identity: await currentContactIdentity(), transcript });
         const mem = hybrid.memory;
         const examplesOverride = hybrid.examples;
         const contextOverride = hybrid.context;
@@ -2641,7 +3617,8 @@ ${transcript || '(não consegui ler mensagens)'}
           extraInstruction: safeText(chatPrompt.value),
           transcript,
           memory: mem,
-          chatTitle
+          chatTitle,
+          origin: 'copilot'
         });
 
         // Don't overwrite if user is editing
@@ -2746,6 +3723,12 @@ ${transcript || '(não consegui ler mensagens)'}
     const campStartBtn = shadow.getElementById('campStartBtn');
     const campPauseBtn = shadow.getElementById('campPauseBtn');
     const campStopBtn = shadow.getElementById('campStopBtn');
+    const campReplyWindow = shadow.getElementById('campReplyWindow');
+    const campReportCsvBtn = shadow.getElementById('campReportCsvBtn');
+    const campReportHtmlBtn = shadow.getElementById('campReportHtmlBtn');
+    const campSafetyBox = shadow.getElementById('campSafetyBox');
+    const campSafetyReason = shadow.getElementById('campSafetyReason');
+    const campSafetyResumeBtn = shadow.getElementById('campSafetyResumeBtn');
 
     const campBatch = shadow.getElementById('campBatch');
     const campInterval = shadow.getElementById('campInterval');
@@ -2760,6 +3743,11 @@ ${transcript || '(não consegui ler mensagens)'}
     const scheduleNow = shadow.getElementById('scheduleNow');
     const scheduleLater = shadow.getElementById('scheduleLater');
     const scheduleDateTime = shadow.getElementById('scheduleDateTime');
+    const scheduleRecurring = shadow.getElementById('scheduleRecurring');
+    const scheduleCronBox = shadow.getElementById('scheduleCronBox');
+    const scheduleCronExpr = shadow.getElementById('scheduleCronExpr');
+    const scheduleTimezone = shadow.getElementById('scheduleTimezone');
+    const scheduleCronPreview = shadow.getElementById('scheduleCronPreview');
     const scheduledCampaignsBox = shadow.getElementById('scheduledCampaignsBox');
     const scheduledCampaignsList = shadow.getElementById('scheduledCampaignsList');
 
@@ -2788,6 +3776,124 @@ ${transcript || '(não consegui ler mensagens)'}
       campProgress.style.display = total > 0 ? 'block' : 'none';
     }
 
+    // -------------------------
+    // Importação de contatos (CSV/XLSX/vCard) com mapeamento de colunas
+    // -------------------------
+    const campImportFile = shadow.getElementById('campImportFile');
+    const campImportBox = shadow.getElementById('campImportBox');
+    const campMapPhone = shadow.getElementById('campMapPhone');
+    const campMapName = shadow.getElementById('campMapName');
+    const campMapVars = shadow.getElementById('campMapVars');
+    const campImportStatus = shadow.getElementById('campImportStatus');
+    const campImportPreview = shadow.getElementById('campImportPreview');
+    const campImportClearBtn = shadow.getElementById('campImportClearBtn');
+    const IMPORT_PREVIEW_ROWS = 10;
+
+    let campImport = null; // { file, table, result }
+
+    function setCampImportStatus(msg, kind) {
+      campImportStatus.textContent = msg || '';
+      campImportStatus.classList.remove('ok','err');
+      if (kind === 'ok') campImportStatus.classList.add('ok');
+      if (kind === 'err') campImportStatus.classList.add('err');
+    }
+
+    function renderImportMapping(table, mapping) {
+      const options = (selected, allowNone) =>
+        (allowNone ? `<option value="-1"${selected < 0 ? ' selected' : ''}>(nenhuma)</option>` : '') +
+        table.columns.map((c, i) => `<option value="${i}"${i === selected ? ' selected' : ''}>${escapeHtml(c)}</option>`).join('');
+      campMapPhone.innerHTML = options(mapping.phone, false);
+      campMapName.innerHTML = options(mapping.name, true);
+      campMapVars.innerHTML = table.columns.map((c, i) => `
+        <label class="checkline" data-col="${i}">
+          <input type="checkbox" data-var-on="${i}"${mapping.vars[i] ? ' checked' : ''} />
+          <span>${escapeHtml(c)}</span>
+          <input type="text" data-var-name="${i}" value="${escapeHtml(mapping.vars[i] || '')}" placeholder="variável" />
+        </label>`).join('');
+      syncVarRows();
+    }
+
+    // Colunas usadas como telefone/nome não aparecem como campo extra
+    function syncVarRows() {
+      const phone = Number(campMapPhone.value);
+      const name = Number(campMapName.value);
+      campMapVars.querySelectorAll('[data-col]').forEach(row => {
+        const col = Number(row.getAttribute('data-col'));
+        row.style.display = col === phone || col === name ? 'none' : 'flex';
+      });
+    }
+
+    function readImportMapping() {
+      const phone = Number(campMapPhone.value);
+      const name = Number(campMapName.value);
+      const vars = {};
+      campMapVars.querySelectorAll('[data-var-on]').forEach(cb => {
+        const col = Number(cb.getAttribute('data-var-on'));
+        const varName = safeText(campMapVars.querySelector(`[data-var-name="${col}"]`)?.value).trim().replace(/[^\w]/g, '_');
+        if (cb.checked && varName && col !== phone && col !== name) vars[col] = varName;
+      });
+      return { phone, name, vars };
+    }
+
+    function refreshImport() {
+      if (!campImport) return;
+      const result = globalThis.WHL_ContactImport.buildEntries(campImport.table, readImportMapping(), { normalize: normalizePhoneNumber });
+      campImport.result = result;
+
+      const parts = [`${result.entries.length} contatos de ${campImport.file}`];
+      if (result.duplicates) parts.push(`${result.duplicates} duplicados ignorados`);
+      if (result.errors.length) parts.push(`${result.errors.length} com erro`);
+      setCampImportStatus((result.entries.length ? '✅ ' : '⚠️ ') + parts.join(' · '), result.entries.length ? 'ok' : 'err');
+
+      const varNames = Array.from(new Set(result.entries.flatMap(e => Object.keys(e.vars))));
+      const head = `<tr><th>Linha</th><th>Número</th><th>Nome</th>${varNames.map(v => `<th>{{${escapeHtml(v)}}}</th>`).join('')}</tr>`;
+      const rows = result.entries.slice(0, IMPORT_PREVIEW_ROWS).map(e => `
+        <tr><td>${e.row}</td><td>${escapeHtml(e.number)}</td><td>${escapeHtml(e.name)}</td>${varNames.map(v => `<td>${escapeHtml(e.vars[v])}</td>`).join('')}</tr>`).join('');
+      const errors = result.errors.slice(0, IMPORT_PREVIEW_ROWS).map(e => `
+        <tr class="err"><td>${e.row}</td><td colspan="${2 + varNames.length}">${escapeHtml(e.value)} — ${escapeHtml(e.error)}</td></tr>`).join('');
+      const more = result.errors.length > IMPORT_PREVIEW_ROWS ? `<div class="err">… e mais ${result.errors.length - IMPORT_PREVIEW_ROWS} linhas com erro</div>` : '';
+      campImportPreview.innerHTML = `<table>${head}${rows}${errors}</table>${more}`;
+    }
+
+    function clearImport() {
+      campImport = null;
+      campImportFile.value = '';
+      campImportBox.style.display = 'none';
+      campImportPreview.innerHTML = '';
+      setCampImportStatus('', null);
+    }
+
+    campImportFile.addEventListener('change', async () => {
+      const file = campImportFile.files && campImportFile.files[0];
+      if (!file) return;
+      campImportBox.style.display = 'block';
+      setCampImportStatus('Lendo arquivo…', 'ok');
+      try {
+        const importer = globalThis.WHL_ContactImport;
+        const table = await importer.readTable(file);
+        if (!table.rows.length) throw new Error(table.warnings[0] || 'Nenhuma linha encontrada.');
+        campImport = { file: file.name, table, result: null };
+        renderImportMapping(table, importer.guessMapping(table));
+        refreshImport();
+        if (table.warnings.length) debugLog('[IMPORT]', table.warnings.join('; '));
+      } catch (e) {
+        campImport = null;
+        campImportPreview.innerHTML = '';
+        setCampImportStatus(`Erro: ${e?.message || String(e)}`, 'err');
+      }
+    });
+
+    campMapPhone.addEventListener('change', () => { syncVarRows(); refreshImport(); });
+    campMapName.addEventListener('change', () => { syncVarRows(); refreshImport(); });
+    campMapVars.addEventListener('change', refreshImport);
+    campImportClearBtn.addEventListener('click', clearImport);
+
+    // Lista da campanha: importação (se houver) ou o textarea
+    function campaignEntries() {
+      if (campImport?.result) return campImport.result.entries.map(({ row, ...e }) => e);
+      return parseCampaignLines(campNumbers.value);
+    }
+
     function parseCampaignLines(raw) {
       const lines = safeText(raw).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
       const entries = [];
@@ -2817,6 +3923,9 @@ ${transcript || '(não consegui ler mensagens)'}
       if (scheduleDateTime) {
         scheduleDateTime.disabled = !scheduleLater.checked;
       }
+      if (scheduleCronBox) {
+        scheduleCronBox.style.display = scheduleRecurring?.checked ? 'block' : 'none';
+      }
     }
 
     if (scheduleNow) {
@@ -2825,36 +3934,104 @@ ${transcript || '(não consegui ler mensagens)'}
     if (scheduleLater) {
       scheduleLater.addEventListener('change', updateScheduleInputs);
     }
+    if (scheduleRecurring) {
+      scheduleRecurring.addEventListener('change', updateScheduleInputs);
+    }
     updateScheduleInputs();
 
-    async function waitWhilePaused() {
-      while (campRun.paused && !campRun.abort) {
-        await sleep(250);
+    // Cron: fuso padrão = o do navegador; próximas execuções calculadas no service worker
+    if (scheduleTimezone && !scheduleTimezone.value) {
+      try { scheduleTimezone.value = Intl.DateTimeFormat().resolvedOptions().timeZone || ''; } catch (_) {}
+    }
+
+    function formatInZone(ts, timezone) {
+      try {
+        return new Date(ts).toLocaleString('pt-BR', {
+          timeZone: timezone || undefined, weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+      } catch (_) {
+        return new Date(ts).toLocaleString('pt-BR');
       }
     }
 
-    function showPreviewModal(entries, msg) {
+    let cronPreviewTimer = null;
+    function updateCronPreview() {
+      clearTimeout(cronPreviewTimer);
+      cronPreviewTimer = setTimeout(async () => {
+        const cron = safeText(scheduleCronExpr?.value).trim();
+        if (!cron || !scheduleCronPreview) return;
+        const timezone = safeText(scheduleTimezone?.value).trim();
+        const resp = await bg('CRON_PREVIEW', { cron, timezone, count: 5 });
+        if (!resp?.ok) {
+          scheduleCronPreview.textContent = `⚠️ ${resp?.error || 'Expressão inválida'}`;
+          return;
+        }
+        scheduleCronPreview.textContent = resp.upcoming.length
+          ? `Próximas: ${resp.upcoming.map(ts => formatInZone(ts, timezone)).join(' · ')}`
+          : '⚠️ Nenhuma execução nos próximos 5 anos';
+      }, 400);
+    }
+    scheduleCronExpr?.addEventListener('input', updateCronPreview);
+    scheduleTimezone?.addEventListener('input', updateCronPreview);
+
+    async function showPreviewModal(entries, msg) {
       if (!previewModal || !previewStats || !previewMessage || !previewContacts) return;
 
+      const { allowed, suppressed } = await checkOptOut(entries);
+      const optOutLine = suppressed.length
+        ? `<strong>🚫 Opt-out:</strong> ${suppressed.length} contato(s) serão pulados<br/>`
+        : '';
+
+      const variants = normalizeVariants(parseMessageVariants(msg), msg);
+      const totalWeight = variants.reduce((sum, v) => sum + v.weight, 0);
+      const variantsLine = variants.length > 1
+        ? '<strong>🧪 Variantes:</strong> ' + variants.map(v => `${escapeHtml(v.id)} ${Math.round(v.weight / totalWeight * 100)}%`).join(' · ') + '<br/>'
+        : '';
+
+      // Término estimado: intervalo médio + ~6s para abrir o chat e digitar, pausando fora da janela
+      const policy = await loadSendWindowPolicy();
+      const avgDelay = (clamp(campDelayMin.value || 8, 3, 120) + clamp(campDelayMax.value || 15, 5, 240)) / 2;
+      const eta = SendWindow.estimateCompletion(policy, allowed, { perMessageMs: (avgDelay + 6) * 1000 });
+      const pausesText = eta.pauses
+        ? ` · ${eta.pauses} pausa(s) fora da janela (${Math.round(eta.waitMs / 3600000)}h)`
+        : '';
+      const firstWindow = policy.enabled && allowed.length ? SendWindow.check(policy, { number: allowed[0].number }) : null;
+      const etaLine = `<strong>⏱️ Término estimado:</strong> ${escapeHtml(formatWindowTime(eta.finishAt))}${pausesText}<br/>`
+        + (firstWindow && !firstWindow.open && firstWindow.nextOpenAt
+          ? `<strong>🌙 Janela fechada agora</strong> (${escapeHtml(firstWindow.reason)}): começa ${escapeHtml(formatWindowTime(firstWindow.nextOpenAt))}<br/>`
+          : '')
+        + (eta.blocked ? `<strong>⚠️ Sem janela de envio:</strong> ${eta.blocked} contato(s) serão pulados<br/>` : '');
+
       // Stats
       previewStats.innerHTML = `
-        <strong>Total de contatos:</strong> ${entries.length}<br/>
+        <strong>Total de contatos:</strong> ${allowed.length}${suppressed.length ? ` (de ${entries.length})` : ''}<br/>
+        ${optOutLine}
+        ${etaLine}
+        ${variantsLine}
         ${campMediaPayload ? '<strong>📎 Mídia:</strong> ' + campMediaPayload.name + '<br/>' : ''}
       `;
 
-      // Preview message with first contact as example
-      const firstEntry = entries[0] || { number: '+5511999999999', name: 'Exemplo' };
-      const previewText = applyVars(msg || '', firstEntry);
-      previewMessage.textContent = previewText || '(sem mensagem)';
+      // Preview message with first contact as example (um sorteio de spintax por variante)
+      const firstEntry = allowed[0] || { number: '+5511999999999', name: 'Exemplo' };
+      const previewText = variants
+        .map(v => (variants.length > 1 ? `[${v.id}]\n` : '') + applyVars(spin(v.message), firstEntry))
+        .join('\n\n');
+      previewMessage.textContent = previewText.trim() || '(sem mensagem)';
 
       // Contact list
-      const contactListHtml = entries.slice(0, 50).map((e, i) => 
+      const contactListHtml = allowed.slice(0, 50).map((e, i) => 
         `<div style="padding:4px 0; border-bottom:1px solid rgba(255,255,255,0.05);">
-          ${i+1}. ${e.name || '(sem nome)'} - ${e.number}
+          ${i+1}. ${escapeHtml(e.name || '(sem nome)')} - ${escapeHtml(e.number)}
         </div>`
       ).join('');
-      const moreText = entries.length > 50 ? `<div style="padding:8px 0; color:var(--muted);">... e mais ${entries.length - 50} contatos</div>` : '';
-      previewContacts.innerHTML = contactListHtml + moreText;
+      const moreText = allowed.length > 50 ? `<div style="padding:8px 0; color:var(--muted);">... e mais ${allowed.length - 50} contatos</div>` : '';
+      const suppressedHtml = suppressed.length
+        ? `<div style="padding:8px 0 4px; color:var(--danger);">🚫 Pulados (opt-out):</div>` + suppressed.slice(0, 50).map(e =>
+          `<div style="padding:4px 0; color:var(--muted); text-decoration:line-through;">
+            ${escapeHtml(e.name || '(sem nome)')} - ${escapeHtml(e.number)}
+          </div>`).join('')
+        : '';
+      previewContacts.innerHTML = contactListHtml + moreText + suppressedHtml;
 
       // Show modal
       previewModal.style.display = 'flex';
@@ -2880,7 +4057,7 @@ ${transcript || '(não consegui ler mensagens)'}
         setCampDomStatus('Iniciando campanha...', 'ok');
         
         try {
-          const entries = parseCampaignLines(campNumbers.value);
+          const entries = campaignEntries();
           const msg = safeText(campMsg.value).trim();
           await executeDomCampaign(entries, msg);
         } catch (e) {
@@ -2891,18 +4068,19 @@ ${transcript || '(não consegui ler mensagens)'}
 
     // Scheduled campaigns storage
     async function saveScheduledCampaign(campaign) {
+      const key = await Workspace.key('whl_scheduled_campaigns');
       return new Promise((resolve) => {
-        chrome.storage.local.get(['whl_scheduled_campaigns'], (res) => {
-          const campaigns = Array.isArray(res?.whl_scheduled_campaigns) ? res.whl_scheduled_campaigns : [];
+        chrome.storage.local.get([key], (res) => {
+          const campaigns = Array.isArray(res?.[key]) ? res[key] : [];
           const newCampaign = {
             ...campaign,
             id: `camp_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`
           };
           campaigns.push(newCampaign);
-          chrome.storage.local.set({ whl_scheduled_campaigns: campaigns }, () => {
-            // Notify background to create alarm
-            bg('SCHEDULE_CAMPAIGN', { campaign: newCampaign }).then(() => {
-              resolve(newCampaign);
+          chrome.storage.local.set({ [key]: campaigns }, () => {
+            // Notify background to create alarm (recorrente: o SW valida o cron e calcula a próxima execução)
+            bg('SCHEDULE_CAMPAIGN', { campaign: newCampaign }).then((resp) => {
+              resolve({ ...newCampaign, schedule: resp || null });
             }).catch(() => {
               resolve(newCampaign);
             });
@@ -2912,19 +4090,21 @@ ${transcript || '(não consegui ler mensagens)'}
     }
 
     async function getScheduledCampaigns() {
+      const key = await Workspace.key('whl_scheduled_campaigns');
       return new Promise((resolve) => {
-        chrome.storage.local.get(['whl_scheduled_campaigns'], (res) => {
-          resolve(Array.isArray(res?.whl_scheduled_campaigns) ? res.whl_scheduled_campaigns : []);
+        chrome.storage.local.get([key], (res) => {
+          resolve(Array.isArray(res?.[key]) ? res[key] : []);
         });
       });
     }
 
     async function removeScheduledCampaign(campaignId) {
+      const key = await Workspace.key('whl_scheduled_campaigns');
       return new Promise((resolve) => {
-        chrome.storage.local.get(['whl_scheduled_campaigns'], (res) => {
-          const campaigns = Array.isArray(res?.whl_scheduled_campaigns) ? res.whl_scheduled_campaigns : [];
+        chrome.storage.local.get([key], (res) => {
+          const campaigns = Array.isArray(res?.[key]) ? res[key] : [];
           const filtered = campaigns.filter(c => c.id !== campaignId);
-          chrome.storage.local.set({ whl_scheduled_campaigns: filtered }, () => {
+          chrome.storage.local.set({ [key]: filtered }, () => {
             // Notify background to cancel alarm
             bg('CANCEL_SCHEDULED_CAMPAIGN', { campaignId }).then(() => {
               resolve(true);
@@ -2955,16 +4135,30 @@ ${transcript || '(não consegui ler mensagens)'}
 
       scheduledCampaignsBox.style.display = 'block';
       
+      const RUN_STATUS = { dispatched: '✅ iniciada', no_tab: '⚠️ sem aba', error: '❌ erro', missed: '⏰ perdida', inactive_workspace: '⏸️ outro workspace' };
+
       scheduledCampaignsList.innerHTML = campaigns.map(camp => {
         const scheduledDate = new Date(camp.scheduledTime);
         const contactCount = camp.entries ? camp.entries.length : 0;
         const rawMessage = camp.message || '';
         const messagePreview = rawMessage.slice(0, 30) + (rawMessage.length > 30 ? '...' : '');
+        const runs = Array.isArray(camp.runs) ? camp.runs : [];
+        const lastRun = runs[runs.length - 1];
+        const headline = camp.recurring
+          ? `🔁 <code>${escapeHtml(camp.cron)}</code> ${escapeHtml(camp.timezone || '')}`
+          : `📅 ${escapeHtml(scheduledDate.toLocaleString('pt-BR'))}`;
+        const recurrence = camp.recurring
+          ? `<div>⏭️ ${camp.nextRunAt ? escapeHtml(formatInZone(camp.nextRunAt, camp.timezone)) : 'sem próxima execução'}</div>
+              <div title="${escapeHtml(runs.slice(-10).reverse().map(r => `${formatInZone(r.at, camp.timezone)} - ${RUN_STATUS[r.status] || r.status}${r.error ? ` (${r.error})` : ''}`).join('\n')).replace(/"/g, '&quot;')}">
+                📈 ${runs.length} execução(ões)${lastRun ? ` · última: ${escapeHtml(RUN_STATUS[lastRun.status] || lastRun.status)} ${escapeHtml(formatInZone(lastRun.at, camp.timezone))}` : ''}
+              </div>`
+          : '';
         
         return `
           <div class="scheduled-item" data-camp-id="${escapeHtml(camp.id)}">
             <div class="info">
-              <div><strong>📅 ${escapeHtml(scheduledDate.toLocaleString('pt-BR'))}</strong></div>
+              <div><strong>${headline}</strong></div>
+              ${recurrence}
               <div>👥 ${contactCount} contatos</div>
               <div style="color:var(--muted);">${escapeHtml(messagePreview)}</div>
             </div>
@@ -3006,138 +4200,55 @@ ${transcript || '(não consegui ler mensagens)'}
 
     async function executeDomCampaign(entries, msg) {
       debugLog('Iniciando campanha DOM com', entries.length, 'contatos');
-      
-      const dmin = clamp(campDelayMin.value || 8, 3, 120);
-      const dmax = clamp(campDelayMax.value || 15, 5, 240);
 
-      campRun.running = true;
-      campRun.paused = false;
-      campRun.abort = false;
-      campRun.cursor = 0;
-      campRun.total = entries.length;
-
-      // Persistir estado inicial
-      await CampaignStorage.save({
-        entries,
-        message: msg,
-        cursor: 0,
-        status: 'running',
-        startedAt: new Date().toISOString()
+      const variants = normalizeVariants(parseMessageVariants(msg), msg);
+      const { suppressed } = await checkOptOut(entries);
+      const campaign = await CampaignJournal.createCampaign({
+        source: 'panel',
+        openVia: 'search',
+        message: variants[0].message,
+        variants,
+        media: campMediaPayload,
+        delays: {
+          min: clamp(campDelayMin.value || 8, 3, 120),
+          max: clamp(campDelayMax.value || 15, 5, 240)
+        },
+        replyWindowHours: clamp(campReplyWindow.value || 48, 1, 168),
+        entries: assignVariants(entries, variants),
+        suppressed: suppressed.map(e => e.number)
       });
+      await runDomCampaign(campaign, campRun);
+    }
 
-      setCampDomStatus(`🚀 Iniciando campanha: ${entries.length} contatos…`, 'ok');
-      updateProgress(0, entries.length);
-
-      for (let i = 0; i < entries.length; i++) {
-        if (campRun.abort) break;
-        await waitWhilePaused();
-        if (campRun.abort) break;
-
-        const e = entries[i];
-        debugLog(`[${i+1}/${entries.length}] Processando:`, e.number);
-        
-        const text = applyVars(msg || '', e).trim();
-        const phoneDigits = e.number.replace(/[^\d]/g, '');
-
-        try {
-          // 1. Abrir chat
-          setCampDomStatus(`📱 (${i+1}/${entries.length}) Abrindo ${e.number}…`, 'ok');
-          updateProgress(i, entries.length);
-          
-          debugLog('Abrindo chat...');
-          await openChatBySearch(phoneDigits);
-          debugLog('Chat aberto!');
-          
-          // 2. Aguardar composer
-          await sleep(500);
-          const composer = findComposer();
-          if (!composer) {
-            debugLog('❌ Composer não encontrado após abrir chat');
-            throw new Error('Composer não encontrado após abrir chat');
-          }
-          debugLog('Composer encontrado!');
-
-          if (campMediaPayload) {
-            // 3a. Enviar mídia (note: attachMediaAndSend handles its own send logic)
-            setCampDomStatus(`📎 (${i+1}/${entries.length}) Enviando mídia para ${e.number}…`, 'ok');
-            debugLog('Enviando mídia com legenda:', text.slice(0, 30) + '...');
-            await attachMediaAndSend(campMediaPayload, text);
-            debugLog('Mídia enviada!');
-            await sleep(500);
-            
-            // Record for rate limiting (stealth mode tracking)
-            recordMessageSent();
-          } else {
-            // 3b. Inserir texto
-            if (!text) {
-              debugLog('❌ Mensagem vazia e sem mídia');
-              throw new Error('Mensagem vazia (e sem mídia).');
-            }
-            setCampDomStatus(`💬 (${i+1}/${entries.length}) Enviando mensagem para ${e.number}…`, 'ok');
-            debugLog('Inserindo texto:', text.slice(0, 30) + '...');
-            await insertIntoComposer(text, false, true);
-            debugLog('Texto inserido!');
-            
-            // 4. Enviar
-            await sleep(300);
-            debugLog('Clicando enviar...');
-            await clickSend(true);
-            debugLog('Mensagem enviada!');
-            await sleep(500);
-          }
-
-          setCampDomStatus(`✅ Enviado (${i+1}/${entries.length}) para ${e.number}`, 'ok');
-          updateProgress(i + 1, entries.length);
-          debugLog(`✅ Sucesso em ${e.number}`);
-        } catch (err) {
-          debugLog(`❌ Erro em ${e.number}:`, err);
-          console.error(`[WHL] Erro em ${e.number}:`, err);
-          setCampDomStatus(`❌ Falha (${i+1}/${entries.length}) em ${e.number}: ${err?.message || String(err)}`, 'err');
-          updateProgress(i + 1, entries.length);
-          // Continue to next contact even if one fails
-        } finally {
-          campRun.cursor = i + 1;
-          // Atualizar estado persistido após cada envio
-          await CampaignStorage.save({
-            entries,
-            message: msg,
-            cursor: i + 1,
-            status: campRun.abort ? 'aborted' : 'running',
-            startedAt: campRun.startedAt || new Date().toISOString()
-          });
-        }
-
-        // Random delay between messages
-        if (i < entries.length - 1) { // Don't delay after last message
-          const delay = (Math.random() * (dmax - dmin) + dmin) * 1000;
-          debugLog(`Aguardando ${delay/1000}s...`);
-          setCampDomStatus(`⏳ Aguardando ${Math.round(delay/1000)}s até próximo envio… (${i+1}/${entries.length} concluídos)`, 'ok');
-          await sleep(delay);
-        }
-      }
-
-      campRun.running = false;
-      campRun.paused = false;
-      campPauseBtn.textContent = '⏸ Pausar';
-      updateProgress(entries.length, entries.length);
-
-      if (campRun.abort) {
-        debugLog('Campanha interrompida pelo usuário');
-        setCampDomStatus('⚠️ Campanha interrompida pelo usuário.', 'err');
-      } else {
-        debugLog('Campanha concluída com sucesso!');
-        setCampDomStatus(`🎉 Campanha concluída! ${entries.length} contatos processados.`, 'ok');
+    // Relatório da campanha DOM mais recente (ticks + respostas por destinatário)
+    async function downloadCampaignReport(format) {
+      try {
+        const [campaign] = await CampaignJournal.listCampaigns(1);
+        if (!campaign) throw new Error('Nenhuma campanha registrada.');
+        await syncCampaignReport(campaign.id);
+        const content = campaignReporting.exportReport(campaign.id, format);
+        if (!content) throw new Error('Relatório vazio.');
+        const type = format === 'html' ? 'text/html;charset=utf-8' : 'text/csv;charset=utf-8';
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `campanha_${campaign.id}.${format}`;
+        a.click();
+        setCampDomStatus('Relatório baixado ✅', 'ok');
+        setTimeout(() => URL.revokeObjectURL(url), 1500);
+      } catch (e) {
+        setCampDomStatus(`Erro: ${e?.message || String(e)}`, 'err');
       }
-
-      // Limpar estado persistido
-      await CampaignStorage.clear();
     }
 
+    campReportCsvBtn.addEventListener('click', () => downloadCampaignReport('csv'));
+    campReportHtmlBtn.addEventListener('click', () => downloadCampaignReport('html'));
+
     campStartBtn.addEventListener('click', async () => {
       setCampDomStatus('', null);
       try {
-        const entries = parseCampaignLines(campNumbers.value);
-        if (!entries.length) throw new Error('Cole pelo menos 1 número.');
+        const entries = campaignEntries();
+        if (!entries.length) throw new Error('Cole pelo menos 1 número ou importe uma lista.');
 
         const msg = safeText(campMsg.value).trim();
         const hasMedia = Boolean(campMediaPayload && campMediaPayload.base64);
@@ -3145,6 +4256,30 @@ ${transcript || '(não consegui ler mensagens)'}
 
         if (campRun.running) throw new Error('Já existe uma execução em andamento.');
 
+        // Recorrente (cron): o SW valida, calcula a próxima execução e rearma o alarme após cada disparo
+        if (scheduleRecurring && scheduleRecurring.checked) {
+          const cron = safeText(scheduleCronExpr?.value).trim();
+          if (!cron) throw new Error('Informe a expressão cron (ex.: 0 9 * * 1-5).');
+          const timezone = safeText(scheduleTimezone?.value).trim();
+
+          const saved = await saveScheduledCampaign({
+            entries,
+            message: msg,
+            media: campMediaPayload,
+            cron,
+            timezone,
+            createdAt: new Date().toISOString()
+          });
+          if (!saved.schedule?.ok) {
+            await removeScheduledCampaign(saved.id);
+            throw new Error(saved.schedule?.error || 'Não foi possível agendar a recorrência.');
+          }
+
+          setCampDomStatus(`✅ Campanha recorrente criada. Próxima execução: ${formatInZone(saved.schedule.nextRunAt, timezone)}`, 'ok');
+          await refreshScheduledCampaignsList();
+          return;
+        }
+
         // Check if scheduling
         const isScheduled = scheduleLater && scheduleLater.checked;
         if (isScheduled) {
@@ -3172,19 +4307,71 @@ ${transcript || '(não consegui ler mensagens)'}
           return;
         }
 
-        // Show preview modal for immediate campaigns
-        showPreviewModal(entries, msg);
+        // Show preview modal for immediate campaigns
+        await showPreviewModal(entries, msg);
+      } catch (e) {
+        setCampDomStatus(`Erro: ${e?.message || String(e)}`, 'err');
+      }
+    });
+
+    campPauseBtn.addEventListener('click', () => {
+      if (!campRun.running) return;
+      campRun.paused = !campRun.paused;
+      campPauseBtn.textContent = campRun.paused ? '▶ Retomar' : '⏸ Pausar';
+    });
+
+    // Runner (fora do mount) usa o status/progresso e os botões deste painel
+    campaignUi.setStatus = setCampDomStatus;
+    campaignUi.setProgress = updateProgress;
+    campaignUi.control = campRun;
+    campaignUi.onControl = (control) => {
+      campPauseBtn.textContent = control.paused ? '▶ Retomar' : '⏸ Pausar';
+    };
+
+    // Campanha parada pela proteção: mostra o motivo e só retoma com confirmação do operador
+    async function refreshSafetyBox() {
+      if (!campSafetyBox) return;
+      const [latest] = await CampaignJournal.listCampaigns(1);
+      if (!latest || latest.status !== 'halted') {
+        campSafetyBox.style.display = 'none';
+        return;
+      }
+      const { done, total } = await CampaignJournal.summary(latest.id);
+      campSafetyReason.textContent = `🛑 Campanha parada pela proteção (${done}/${total}): ${latest.haltReason || 'sinais de risco'}.`;
+      campSafetyBox.dataset.campaignId = latest.id;
+      campSafetyBox.style.display = 'block';
+    }
+    campaignUi.onHalted = () => refreshSafetyBox().catch(e => warn('Falha ao ler campanha parada:', e));
+    campaignUi.onHalted();
+
+    campSafetyResumeBtn?.addEventListener('click', async () => {
+      try {
+        const campaign = await CampaignJournal.getCampaign(campSafetyBox.dataset.campaignId);
+        if (!campaign || campaign.status !== 'halted') return refreshSafetyBox();
+        if (campRun.running) throw new Error('Já existe uma execução em andamento.');
+        const ok = confirm(
+          `A campanha foi parada pela proteção:\n${campaign.haltReason || ''}\n\n` +
+          'Confira no WhatsApp se não há aviso de bloqueio ou restrição antes de continuar. ' +
+          'A campanha retoma com os intervalos aumentados. Retomar?'
+        );
+        if (!ok) return;
+
+        // Zera os contadores (mantém a desaceleração) e registra a confirmação no relatório
+        const safety = CampaignSafety.createMonitor(campaign.safety);
+        safety.acknowledge();
+        await CampaignJournal.recordSafety(campaign.id, safety.snapshot(), {
+          action: 'resumed',
+          reason: 'confirmado pelo operador',
+          delayFactor: safety.delayFactor
+        });
+        const resumed = await CampaignJournal.setStatus(campaign.id, 'running', { haltReason: null });
+        campSafetyBox.style.display = 'none';
+        await runDomCampaign(resumed, campRun);
       } catch (e) {
         setCampDomStatus(`Erro: ${e?.message || String(e)}`, 'err');
       }
     });
 
-    campPauseBtn.addEventListener('click', () => {
-      if (!campRun.running) return;
-      campRun.paused = !campRun.paused;
-      campPauseBtn.textContent = campRun.paused ? '▶ Retomar' : '⏸ Pausar';
-    });
-
     campStopBtn.addEventListener('click', () => {
       if (!campRun.running) return;
       campRun.abort = true;
@@ -3197,8 +4384,8 @@ ${transcript || '(não consegui ler mensagens)'}
     campApiBtn.addEventListener('click', async () => {
       setCampApiStatus('', null);
       try {
-        const entries = parseCampaignLines(campNumbers.value);
-        if (!entries.length) throw new Error('Cole pelo menos 1 número.');
+        const entries = campaignEntries();
+        if (!entries.length) throw new Error('Cole pelo menos 1 número ou importe uma lista.');
         
         const msg = safeText(campMsg.value).trim();
         const hasMedia = Boolean(campMediaPayload && campMediaPayload.base64);
@@ -3211,7 +4398,7 @@ ${transcript || '(não consegui ler mensagens)'}
         // We'll send phone without '+'
         const messages = entries.map((e) => ({
           phone: e.number.replace(/[^\d]/g, ''),
-          vars: e.name ? { nome: e.name, numero: e.number } : { numero: e.number }
+          vars: { ...(e.vars || {}), ...(e.name ? { nome: e.name, numero: e.number } : { numero: e.number }) }
         }));
 
         const payload = {
@@ -3231,7 +4418,8 @@ ${transcript || '(não consegui ler mensagens)'}
         if (!resp?.ok) throw new Error(resp?.error || 'Falha na API');
 
         const id = resp?.data?.id || resp?.data?.campaignId || '';
-        setCampApiStatus(`✅ Enviado ao backend! ${id ? `Campanha ID: ${id}` : ''}`, 'ok');
+        const skipped = resp?.suppressed?.length ? ` ${resp.suppressed.length} em opt-out foram removidos.` : '';
+        setCampApiStatus(`✅ Enviado ao backend! ${id ? `Campanha ID: ${id}` : ''}${skipped}`, 'ok');
       } catch (e) {
         setCampApiStatus(`❌ Erro: ${e?.message || String(e)}`, 'err');
       }
@@ -3348,6 +4536,8 @@ ${transcript || '(não consegui ler mensagens)'}
     const statCorrected = shadow.getElementById('statCorrected');
     const statProducts = shadow.getElementById('statProducts');
     const statFaqs = shadow.getElementById('statFaqs');
+    const statDocs = shadow.getElementById('statDocs');
+    const statChunks = shadow.getElementById('statChunks');
     
     const saveKnowledgeBtn = shadow.getElementById('saveKnowledgeBtn');
     const exportKnowledgeBtn = shadow.getElementById('exportKnowledgeBtn');
@@ -3386,6 +4576,14 @@ ${transcript || '(não consegui ler mensagens)'}
         toneGreeting.value = currentKnowledge.tone.greeting || '';
         toneClosing.value = currentKnowledge.tone.closing || '';
         
+        // Extração interrompida (aba recarregada no meio do upload)
+        for (const d of currentKnowledge.documents) {
+          if (d.status === 'processing') {
+            d.status = 'error';
+            d.error = 'extração interrompida — envie novamente';
+          }
+        }
+
         // Render lists
         renderProducts();
         renderFAQ();
@@ -3493,6 +4691,9 @@ ${transcript || '(não consegui ler mensagens)'}
       });
     }
 
+    // Trechos por documento no índice RAG (atualizado em updateStats)
+    let docIndexStats = {};
+
     function renderDocuments() {
       docsList.innerHTML = '';
       if (!currentKnowledge.documents.length) {
@@ -3502,13 +4703,29 @@ ${transcript || '(não consegui ler mensagens)'}
       currentKnowledge.documents.forEach((d, idx) => {
         const div = document.createElement('div');
         div.className = 'doc-item';
+        const kind = (d.kind || d.type || '').toUpperCase();
+        let meta;
+        if (d.status === 'processing') {
+          meta = `<div class="doc-meta">${escapeHtml(kind)} • extraindo… ${Math.round((d.progress || 0) * 100)}%${d.stage ? ` (${escapeHtml(d.stage)})` : ''}</div>
+            <div class="doc-progress"><div style="width:${Math.round((d.progress || 0) * 100)}%"></div></div>`;
+        } else if (d.status === 'error') {
+          meta = `<div class="doc-meta err">${escapeHtml(kind)} • ${(d.size / 1024).toFixed(1)} KB • erro: ${escapeHtml(d.error || 'falha na extração')}</div>`;
+        } else {
+          const chunks = docIndexStats[d.id]?.chunks;
+          const parts = [kind, `${(d.size / 1024).toFixed(1)} KB`];
+          if (d.pages) parts.push(`${d.pages} pág.`);
+          if (d.sections?.length) parts.push(`${d.sections.length} seções`);
+          parts.push(d.chars ? `${d.chars} caracteres` : 'sem texto');
+          if (d.chars) parts.push(chunks ? `${chunks} trechos` : 'não indexado');
+          meta = `<div class="doc-meta${d.chars ? '' : ' err'}">${escapeHtml(parts.filter(Boolean).join(' • '))}${d.warning ? ` — ${escapeHtml(d.warning)}` : ''}</div>`;
+        }
         div.innerHTML = `
           <div class="item-content">
-            <div><b>${d.name}</b></div>
-            <div style="font-size:10px;color:var(--muted);">${d.type} • ${(d.size / 1024).toFixed(1)} KB</div>
+            <div><b>${escapeHtml(d.name)}</b></div>
+            ${meta}
           </div>
           <div class="item-actions">
-            <button data-idx="${idx}" class="remove-doc danger">✕</button>
+            <button data-idx="${idx}" class="remove-doc danger"${d.status === 'processing' ? ' disabled' : ''}>✕</button>
           </div>
         `;
         docsList.appendChild(div);
@@ -3519,6 +4736,7 @@ ${transcript || '(não consegui ler mensagens)'}
           const idx = parseInt(e.target.dataset.idx);
           currentKnowledge.documents.splice(idx, 1);
           renderDocuments();
+          updateStats();
         });
       });
     }
@@ -3530,6 +4748,19 @@ ${transcript || '(não consegui ler mensagens)'}
       statCorrected.textContent = stats.corrected || 0;
       statProducts.textContent = currentKnowledge.products.length;
       statFaqs.textContent = currentKnowledge.faq.length;
+
+      const docChars = currentKnowledge.documents.reduce((sum, d) => sum + (d.chars || 0), 0);
+      statDocs.textContent = `${currentKnowledge.documents.length} (${docChars} caracteres)`;
+
+      const rag = await bg('RAG_STATUS', {});
+      if (rag?.ok) {
+        docIndexStats = rag.stats?.byDocument || {};
+        const docChunks = rag.stats?.byType?.document || 0;
+        statChunks.textContent = `${rag.stats?.total || 0} (${docChunks} de documentos)`;
+        renderDocuments();
+      } else {
+        statChunks.textContent = '—';
+      }
     }
 
     // Event: Products CSV upload
@@ -3604,21 +4835,74 @@ ${transcript || '(não consegui ler mensagens)'}
     });
 
     // Event: Documents upload
-    docsFile.addEventListener('change', (e) => {
+    // Extração offline (content/docIngest.js); o texto por seção vai para a base de
+    // conhecimento e é indexado no RAG ao salvar
+    const MAX_DOC_CHARS = 300000;
+    docsFile.addEventListener('change', async (e) => {
       const files = Array.from(e.target.files);
       if (!files.length) return;
-      
-      files.forEach(file => {
-        currentKnowledge.documents.push({
+      docsFile.value = '';
+
+      const ingest = globalThis.WHL_DocIngest;
+      let withText = 0;
+      for (const file of files) {
+        const doc = {
+          id: `doc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
           name: file.name,
           type: file.type,
+          kind: ingest?.detectKind(file) || '',
           size: file.size,
+          sections: [],
+          pages: 0,
+          chars: 0,
+          status: 'processing',
+          progress: 0,
           uploadedAt: new Date().toISOString()
-        });
-      });
-      
-      renderDocuments();
-      setTrainingStatus(`${files.length} documento(s) adicionado(s) ✅`, 'ok');
+        };
+        currentKnowledge.documents.push(doc);
+        renderDocuments();
+
+        let lastPaint = 0;
+        try {
+          if (!ingest) throw new Error('extrator não carregado');
+          const result = await ingest.extract(file, (progress, stage) => {
+            doc.progress = progress;
+            doc.stage = stage;
+            const now = Date.now();
+            if (now - lastPaint > 150) {
+              lastPaint = now;
+              renderDocuments();
+            }
+          });
+
+          // Limite total por documento (storage), cortando na seção que estoura
+          let budget = MAX_DOC_CHARS;
+          doc.sections = [];
+          for (const s of result.sections) {
+            if (budget <= 0) break;
+            const text = s.text.slice(0, budget);
+            budget -= text.length;
+            doc.sections.push({ ...s, text });
+          }
+          doc.pages = result.pages || 0;
+          doc.chars = doc.sections.reduce((sum, s) => sum + s.text.length, 0);
+          const warnings = [...(result.warnings || [])];
+          if (result.chars > doc.chars) warnings.push(`truncado em ${MAX_DOC_CHARS} caracteres`);
+          doc.warning = warnings.join('; ');
+          doc.status = 'ready';
+          if (doc.chars) withText++;
+        } catch (err) {
+          warn('Falha ao extrair documento:', file.name, err);
+          doc.status = 'error';
+          doc.error = err?.message || String(err);
+        }
+        delete doc.progress;
+        delete doc.stage;
+        renderDocuments();
+      }
+
+      updateStats();
+      setTrainingStatus(`${files.length} documento(s) adicionado(s) ✅ (${withText} com texto) — salve para indexar`, withText ? 'ok' : 'err');
     });
 
     // Event: Test AI
@@ -3724,7 +5008,15 @@ ${transcript || '(não consegui ler mensagens)'}
         };
         
         await saveKnowledge(currentKnowledge);
-        setTrainingStatus('Conhecimento salvo ✅', 'ok');
+        setTrainingStatus('Conhecimento salvo ✅ — indexando…', 'ok');
+
+        const sync = await bg('RAG_SYNC', {});
+        if (sync?.ok) {
+          setTrainingStatus(`Conhecimento salvo ✅ (${sync.stats?.total || 0} trechos indexados)`, 'ok');
+          updateStats();
+        } else {
+          setTrainingStatus(`Conhecimento salvo ✅ (índice: ${sync?.error || 'falhou'})`, 'err');
+        }
         
         // Clear cache to force reload
         whlCache.delete('settings');
@@ -4191,6 +5483,24 @@ ${transcript || '(não consegui ler mensagens)'}
       setTimeout(() => {
         initQuickRepliesListener();
       }, 2000);
+      // Campanha DOM interrompida (reload, navegação por URL, logout)
+      setTimeout(() => {
+        resumeDomCampaign().catch(e => warn('Falha ao retomar campanha:', e));
+      }, 3000);
+      setTimeout(() => {
+        loadReceiptWatch().catch(e => warn('Falha ao carregar receipts de campanha:', e));
+      }, 5000);
+      setTimeout(() => {
+        initOptOutMonitor().catch(e => warn('Falha ao iniciar detecção de opt-out:', e));
+        loadSendWindowPolicy().catch(e => warn('Falha ao carregar janela de envio:', e));
+        ContactIdentity.loadAliases()
+          .then(aliases => migrateMemoryKeys(aliases))
+          .then(() => pullMemoryChanges())
+          .catch(e => warn('Falha ao migrar/sincronizar memórias:', e));
+        setInterval(() => {
+          pullMemoryChanges().catch(e => warn('Falha ao sincronizar memórias:', e));
+        }, MEMORY_PULL_INTERVAL);
+      }, 6000);
     } catch (e) {
       warn('Falha ao montar painel:', e);
     }
@@ -4213,64 +5523,8 @@ ${transcript || '(não consegui ler mensagens)'}
 
   class WhatsAppAutomation {
     constructor() {
-      // Seletores atualizados para 2024/2025
-      this.selectors = {
-        // Dialog de mídia - múltiplas opções para compatibilidade
-        mediaDialog: [
-          '[data-testid="media-viewer-modal"]',
-          '[data-animate-modal-popup="true"]',
-          '.media-canvas-renderer',
-          '._2Ts6i._2xAQV',
-          '[data-animate-media-viewer="true"]'
-        ],
-        
-        // Botão enviar - versões atualizadas
-        sendButton: [
-          'span[data-icon="wds-ic-send-filled"]',  // NOVO - 2024/2025
-          'span[data-icon="send"]',                // Fallback
-          'button[aria-label*="Enviar"]',
-          'button[data-testid="compose-btn-send"]',
-          '[data-icon="send-light"]'
-        ],
-        
-        // Botão enviar no dialog de mídia
-        mediaSendButton: [
-          'span[data-icon="wds-ic-send-filled"]',  // NOVO
-          '[data-testid="media-send-button"]',
-          'div[role="button"][aria-label*="Enviar"]',
-          'button._1E0Oz',
-          'span[data-icon="send"]'
-        ],
-        
-        // Área de input de mensagem
-        messageInput: [
-          'div[contenteditable="true"][data-tab="10"]',
-          '[data-testid="conversation-compose-box-input"]',
-          'div[role="textbox"]',
-          'div._3Uu1_'
-        ],
-        
-        // Caption da mídia (legenda)
-        mediaCaption: [
-          '[data-testid="media-caption-input"]',
-          'div[contenteditable="true"][data-tab="10"]',
-          '.media-caption-input'
-        ],
-        
-        // Busca de contatos
-        searchBox: [
-          '[data-testid="chat-list-search"]',
-          'div[contenteditable="true"][data-tab="3"]',
-          'div[role="textbox"][title*="Pesquisar"]'
-        ],
-        
-        // Resultados da busca
-        searchResults: [
-          '[data-testid="search-result-chat"]',
-          'div[role="listitem"]',
-          '._3m_Xw'
-        ]
-      };
+      // Seletores: registro compartilhado (content/selectorRegistry.js)
+      this.selectors = SELECTORS.selectors;
     }
 
     /**
@@ -4305,7 +5559,7 @@ ${transcript || '(não consegui ler mensagens)'}
       try {
         console.log(`[WhatsApp] Buscando contato: ${contactName}`);
         
-        const searchBox = this.findElement(this.selectors.searchBox);
+        const searchBox = this.findElement('searchBox');
         if (!searchBox) {
           throw new Error('Caixa de busca não encontrada');
         }
@@ -4316,7 +5570,7 @@ ${transcript || '(não consegui ler mensagens)'}
         await this.typeText(searchBox, contactName);
         await this.sleep(1500);
         
-        const results = document.querySelectorAll(this.selectors.searchResults.join(','));
+        const results = SELECTORS.findAll('searchResults');
         
         if (results.length === 0) {
           throw new Error('Nenhum resultado encontrado');
@@ -4361,7 +5615,7 @@ ${transcript || '(não consegui ler mensagens)'}
         return this.findMediaSendButton();
       }
       
-      const button = this.findElement(this.selectors.sendButton);
+      const button = this.findElement('sendButton');
       
       if (button) {
         console.log('[WhatsApp] Botão enviar encontrado:', button);
@@ -4382,12 +5636,10 @@ ${transcript || '(não consegui ler mensagens)'}
         return null;
       }
       
-      for (const selector of this.selectors.mediaSendButton) {
-        const button = dialog.querySelector(selector);
-        if (button) {
-          console.log('[WhatsApp] Botão enviar mídia encontrado:', selector);
-          return button;
-        }
+      const button = SELECTORS.find('mediaSendButton', { root: dialog });
+      if (button) {
+        console.log('[WhatsApp] Botão enviar mídia encontrado:', button);
+        return button;
       }
       
       console.warn('[WhatsApp] Botão enviar mídia não encontrado');
@@ -4398,23 +5650,14 @@ ${transcript || '(não consegui ler mensagens)'}
      * Verifica se dialog de mídia está aberto
      */
     isMediaDialogOpen() {
-      return this.selectors.mediaDialog.some(selector => 
-        document.querySelector(selector) !== null
-      );
+      return SELECTORS.find('mediaDialog') !== null;
     }
 
     /**
      * Obtém elemento do dialog de mídia
      */
     getMediaDialog() {
-      for (const selector of this.selectors.mediaDialog) {
-        const dialog = document.querySelector(selector);
-        if (dialog) {
-          console.log('[WhatsApp] Dialog encontrado:', selector);
-          return dialog;
-        }
-      }
-      return null;
+      return SELECTORS.find('mediaDialog');
     }
 
     /**
@@ -4449,7 +5692,7 @@ ${transcript || '(não consegui ler mensagens)'}
       
       return new Promise((resolve, reject) => {
         const interval = setInterval(() => {
-          const input = this.findElement(this.selectors.messageInput);
+          const input = this.findElement('messageInput');
           
           if (input) {
             clearInterval(interval);
@@ -4470,7 +5713,7 @@ ${transcript || '(não consegui ler mensagens)'}
      */
     async sendTextMessage(message) {
       try {
-        const input = this.findElement(this.selectors.messageInput);
+        const input = this.findElement('messageInput');
         if (!input) {
           throw new Error('Input de mensagem não encontrado');
         }
@@ -4501,7 +5744,7 @@ ${transcript || '(não consegui ler mensagens)'}
         await this.waitForMediaDialog(5000);
         
         if (caption) {
-          const captionInput = this.findElement(this.selectors.mediaCaption);
+          const captionInput = this.findElement('mediaCaption');
           if (captionInput) {
             await this.typeText(captionInput, caption);
             await this.sleep(300);
@@ -4523,15 +5766,8 @@ ${transcript || '(não consegui ler mensagens)'}
       }
     }
 
-    findElement(selectors) {
-      if (!Array.isArray(selectors)) selectors = [selectors];
-      
-      for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) return element;
-      }
-      
-      return null;
+    findElement(key) {
+      return SELECTORS.find(key);
     }
 
     async typeText(element, text) {
@@ -4638,45 +5874,7 @@ ${transcript || '(não consegui ler mensagens)'}
       this.currentChatId = null;
       this.intervalId = null;
       
-      this.selectors = {
-        messageContainer: [
-          '[data-testid="conversation-panel-messages"]',
-          '.message-list',
-          '._33LGR',
-          '[data-testid="msg-container"]'
-        ],
-        messages: [
-          '[data-testid="msg-container"]',
-          '.message-in, .message-out',
-          '._22Msk',
-          '.focusable-list-item'
-        ],
-        typingIndicator: [
-          '[data-testid="typing"]',
-          '._2QZ0V',
-          '.typing-indicator'
-        ],
-        currentChat: [
-          '[data-testid="conversation-header"]',
-          '.chat-active',
-          '._2gzeB'
-        ],
-        messageText: [
-          '[data-testid="msg-text"]',
-          '.selectable-text',
-          '._11JPr'
-        ],
-        messageInfo: [
-          '[data-testid="msg-meta"]',
-          '.message-datetime',
-          '._1beEj'
-        ],
-        messageAuthor: [
-          '[data-testid="msg-name"]',
-          '.message-author',
-          '._3FuDI'
-        ]
-      };
+      this.selectors = SELECTORS.selectors;
     }
     
     start(options = {}) {
@@ -4748,10 +5946,11 @@ ${transcript || '(não consegui ler mensagens)'}
     }
     
     checkCurrentChat() {
-      const header = this.findElement(this.selectors.currentChat);
+      const header = this.findElement('currentChat');
       if (!header) return;
       
-      const chatTitle = header.textContent.trim();
+      // Só o nome: o resto do cabeçalho ("online", "digitando...") muda sem trocar de chat
+      const chatTitle = (header.querySelector('span[title]')?.getAttribute('title') || header.textContent).trim();
       const chatId = header.getAttribute('data-id') || chatTitle;
       
       if (chatId && chatId !== this.currentChatId) {
@@ -4771,16 +5970,14 @@ ${transcript || '(não consegui ler mensagens)'}
     }
     
     checkNewMessages() {
-      const container = this.findElement(this.selectors.messageContainer);
+      const container = this.findElement('messageContainer');
       if (!container) return;
       
       const messageElements = container.querySelectorAll(this.selectors.messages.join(','));
       if (!messageElements.length) return;
       
       const currentMessages = Array.from(messageElements).map(el => {
-        const id = el.getAttribute('data-id') || 
-                  el.getAttribute('data-testid') || 
-                  this.getMessageHash(el);
+        const id = this.getMessageId(el);
                   
         const isOutgoing = el.classList.contains('message-out') || 
                           el.hasAttribute('data-outgoing') ||
@@ -4846,7 +6043,7 @@ ${transcript || '(não consegui ler mensagens)'}
     }
     
     checkTypingStatus() {
-      const typingIndicator = this.findElement(this.selectors.typingIndicator);
+      const typingIndicator = this.findElement('typingIndicator');
       const isTyping = !!typingIndicator;
       
       if (isTyping !== this.lastTypingStatus) {
@@ -4877,22 +6074,26 @@ ${transcript || '(não consegui ler mensagens)'}
     }
     
     captureCurrentMessages() {
-      const container = this.findElement(this.selectors.messageContainer);
+      const container = this.findElement('messageContainer');
       if (!container) {
         this.lastMessages = [];
         return;
       }
       
       const messageElements = container.querySelectorAll(this.selectors.messages.join(','));
-      this.lastMessages = Array.from(messageElements).map(el => {
-        return el.getAttribute('data-id') || 
-               el.getAttribute('data-testid') || 
-               this.getMessageHash(el);
-      });
+      this.lastMessages = Array.from(messageElements).map(el => this.getMessageId(el));
       
       console.log(`[TextMonitor] Base inicial: ${this.lastMessages.length} mensagens`);
     }
     
+    // O data-id fica no wrapper da bolha (.message-in/.message-out são filhos dele). data-testid
+    // ("msg-container") é igual em todas as bolhas e não serve de id.
+    getMessageId(el) {
+      return el.getAttribute('data-id') ||
+             el.closest('[data-id]')?.getAttribute('data-id') ||
+             this.getMessageHash(el);
+    }
+    
     isMessageProcessed(id) {
       return this.lastMessages.includes(id);
     }
@@ -4917,13 +6118,8 @@ ${transcript || '(não consegui ler mensagens)'}
       });
     }
     
-    findElement(selectors) {
-      if (!Array.isArray(selectors)) selectors = [selectors];
-      for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) return element;
-      }
-      return null;
+    findElement(key) {
+      return SELECTORS.find(key);
     }
     
     async reply(text) {
@@ -4992,8 +6188,23 @@ ${transcript || '(não consegui ler mensagens)'}
       return { primaryIntent, allIntents: matches };
     }
     
+    // Pedido de saída: a mensagem é só a palavra-chave ou uma frase curta (até 4 palavras)
+    // que a contém. Sem acento/maiúsculas; retorna a palavra-chave encontrada ou null.
+    detectOptOut(text, keywords = []) {
+      const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+      const message = fold(text);
+      if (!message) return null;
+      const short = message.split(' ').length <= 4;
+      for (const keyword of keywords) {
+        const k = fold(keyword);
+        if (k && (message === k || (short && ` ${message} `.includes(` ${k} `)))) return keyword;
+      }
+      return null;
+    }
+    
     getChatStats() {
-      const container = this.findElement(this.selectors.messageContainer);
+      const container = this.findElement('messageContainer');
       if (!container) return null;
       
       const messageElements = container.querySelectorAll(this.selectors.messages.join(','));
@@ -5087,7 +6298,7 @@ ${transcript || '(não consegui ler mensagens)'}
     status: () => ({
       mediaDialogAberto: waHelper.isMediaDialogOpen(),
       botaoEnviarEncontrado: waHelper.findSendButton() !== null,
-      inputEncontrado: waHelper.findElement(waHelper.selectors.messageInput) !== null
+      inputEncontrado: waHelper.findElement('messageInput') !== null
     }),
     
     // Monitor de mídia
@@ -5267,7 +6478,8 @@ wa.text.escutar((msg) => console.log(msg))
       console.log('[SmartBot] 🔴 Desativando...');
       this.unsubscribers.forEach(unsub => unsub && unsub());
       this.unsubscribers = [];
-      this.textMonitor.stop();
+      // A detecção de opt-out continua usando o monitor
+      if (!this.textMonitor.callbacks.onNewMessage.length) this.textMonitor.stop();
       this.saveKnowledge();
       this.isActive = false;
       console.log('[SmartBot] ✅ Desativado');
@@ -5428,10 +6640,10 @@ wa.text.escutar((msg) => console.log(msg))
     async callExistingAI(context) {
       try {
         if (typeof aiChat === 'function') {
-          return await aiChat({ mode: 'reply', extraInstruction: `Intenção: ${context.intent}, Sentimento: ${context.sentiment}`, transcript: context.message, chatTitle: 'SmartBot' });
+          return await aiChat({ mode: 'reply', extraInstruction: `Intenção: ${context.intent}, Sentimento: ${context.sentiment}`, transcript: context.message, chatTitle: 'SmartBot', origin: 'smartbot' });
         }
         if (typeof bg === 'function') {
-          const resp = await bg('AI_CHAT', { messages: [{ role: 'system', content: 'Você é um assistente de atendimento inteligente.' }, { role: 'user', content: context.message }] });
+          const resp = await bg('AI_CHAT', { messages: [{ role: 'system', content: 'Você é um assistente de atendimento inteligente.' }, { role: 'user', content: context.message }], meta: { chatTitle: 'SmartBot', mode: 'reply', origin: 'smartbot' } });
           return resp?.text || null;
         }
         return null;
@@ -5497,394 +6709,85 @@ wa.text.escutar((msg) => console.log(msg))
           console.log('[SmartBot] 📚 Padrão aprendido:', words);
         }
       }
-      if (this.knowledge.learnedPatterns.length > 200) {
-        this.knowledge.learnedPatterns.sort((a, b) => (b.occurrences * b.confidence) - (a.occurrences * a.confidence));
-        this.knowledge.learnedPatterns = this.knowledge.learnedPatterns.slice(0, 150);
-      }
-    }
-    
-    provideFeedback(messageId, feedbackType, correction = null) {
-      if (feedbackType === 'positive') this.knowledge.feedbackData.positive++;
-      else if (feedbackType === 'negative') this.knowledge.feedbackData.negative++;
-      if (correction) this.knowledge.feedbackData.corrections.push({ correction, timestamp: Date.now() });
-      console.log('[SmartBot] 📝 Feedback:', feedbackType);
-    }
-
-    updateConversationHistory(chatId, message, analysis) {
-      if (!this.knowledge.conversationHistory.has(chatId)) this.knowledge.conversationHistory.set(chatId, []);
-      const history = this.knowledge.conversationHistory.get(chatId);
-      history.push({ text: message.text, isOutgoing: message.isOutgoing, intent: analysis.intent.primaryIntent, sentiment: analysis.sentiment.sentiment, timestamp: Date.now() });
-      if (history.length > 20) history.shift();
-    }
-    
-    getConversationContext(chatId) {
-      const history = this.knowledge.conversationHistory.get(chatId) || [];
-      return history.slice(-5).map(h => `${h.isOutgoing ? 'EU' : 'CLIENTE'}: ${h.text?.slice(0, 100)}`);
-    }
-    
-    handleChatChange(data) { console.log('[SmartBot] 📱 Chat mudou:', data.chatTitle); }
-    handleTypingIndicator(data) { if (data.isTyping) console.log('[SmartBot] ⌨️ Digitando...'); }
-    
-    sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
-    isBusinessHours() {
-      const now = new Date();
-      const hour = now.getHours();
-      const day = now.getDay();
-      return (day >= 1 && day <= 5 && hour >= 8 && hour < 20) || (day === 6 && hour >= 9 && hour < 14);
-    }
-    checkRateLimit() {
-      const oneHourAgo = Date.now() - 3600000;
-      const recent = this.metrics.responseTime.filter(t => t > oneHourAgo);
-      return recent.length < this.config.maxAutoResponsesPerHour;
-    }
-    updateMetrics(analysis) {
-      const intent = analysis.intent.primaryIntent;
-      this.metrics.intentDistribution[intent] = (this.metrics.intentDistribution[intent] || 0) + 1;
-      this.metrics.avgConfidence = (this.metrics.avgConfidence * (this.metrics.totalMessages - 1) + analysis.confidence) / this.metrics.totalMessages;
-    }
-
-    async loadKnowledge() {
-      return new Promise((resolve) => {
-        chrome.storage.local.get(['smartbot_knowledge'], (res) => {
-          if (res?.smartbot_knowledge) {
-            this.knowledge.learnedPatterns = res.smartbot_knowledge.learnedPatterns || [];
-            this.knowledge.feedbackData = res.smartbot_knowledge.feedbackData || this.knowledge.feedbackData;
-            console.log('[SmartBot] 📂 Carregado:', this.knowledge.learnedPatterns.length, 'padrões');
-          }
-          resolve();
-        });
-      });
-    }
-    
-    async saveKnowledge() {
-      return new Promise((resolve) => {
-        chrome.storage.local.set({ smartbot_knowledge: { learnedPatterns: this.knowledge.learnedPatterns, feedbackData: this.knowledge.feedbackData, savedAt: new Date().toISOString() } }, () => {
-          console.log('[SmartBot] 💾 Salvo');
-          resolve();
-        });
-      });
-    }
-
-    getStats() {
-      return { isActive: this.isActive, metrics: this.metrics, learnedPatterns: this.knowledge.learnedPatterns.length, feedbackScore: this.knowledge.feedbackData.positive - this.knowledge.feedbackData.negative, queueSize: this.messageQueue.length, config: this.config };
-    }
-    setConfig(newConfig) { this.config = { ...this.config, ...newConfig }; console.log('[SmartBot] ⚙️ Config atualizada'); }
-    addCustomIntent(intentName, config) {
-      this.knowledge.intents[intentName] = { responses: config.responses || [], confidence: config.confidence || 70, autoSend: config.autoSend || false, priority: config.priority || 'medium', ...config };
-    }
-    addLearnedPattern(triggers, response, confidence = 80) {
-      this.knowledge.learnedPatterns.push({ triggers: Array.isArray(triggers) ? triggers : [triggers], response, confidence, occurrences: 0, createdAt: Date.now(), source: 'manual' });
-    }
-  }
-
-  // ============================================================
-  // ADVANCED CAMPAIGN SYSTEM - TemplateEngine
-  // ============================================================
-
-  class TemplateEngine {
-    constructor() {
-      this.templates = new Map();
-      this.functions = {
-        upper: (text) => text.toUpperCase(),
-        lower: (text) => text.toLowerCase(),
-        capitalize: (text) => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase(),
-        date: (format) => this.formatDate(new Date(), format),
-        random: (min, max) => Math.floor(Math.random() * (parseInt(max) - parseInt(min) + 1)) + parseInt(min)
-      };
-    }
-
-    register(name, template, metadata = {}) {
-      this.templates.set(name, {
-        content: template,
-        metadata: { ...metadata, createdAt: Date.now(), usageCount: 0 }
-      });
-    }
-
-    process(templateNameOrContent, variables = {}) {
-      let content = this.templates.has(templateNameOrContent) 
-        ? this.templates.get(templateNameOrContent).content 
-        : templateNameOrContent;
-      
-      // Replace variables {{variable}}
-      content = content.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-        return variables[key] !== undefined ? variables[key] : match;
-      });
-      
-      // Process functions {{function:param}}
-      content = content.replace(/\{\{(\w+):([^}]+)\}\}/g, (match, func, params) => {
-        if (this.functions[func]) {
-          const args = params.split(',').map(p => p.trim());
-          return this.functions[func](...args);
-        }
-        return match;
-      });
-      
-      // Process conditionals {{#if}}...{{/if}}
-      content = content.replace(/\{\{#if\s+(\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, condition, inner) => {
-        return variables[condition] ? inner : '';
-      });
-      
-      return content;
-    }
-
-    validate(template) {
-      const errors = [];
-      const openBraces = (template.match(/\{\{/g) || []).length;
-      const closeBraces = (template.match(/\}\}/g) || []).length;
-      if (openBraces !== closeBraces) errors.push('Chaves não balanceadas');
-      
-      const ifCount = (template.match(/\{\{#if/g) || []).length;
-      const endIfCount = (template.match(/\{\{\/if\}\}/g) || []).length;
-      if (ifCount !== endIfCount) errors.push('Condicionais não balanceadas');
-      
-      return { valid: errors.length === 0, errors };
-    }
-
-    formatDate(date, format) {
-      const pad = (n) => n.toString().padStart(2, '0');
-      return format
-        .replace('YYYY', date.getFullYear())
-        .replace('MM', pad(date.getMonth() + 1))
-        .replace('DD', pad(date.getDate()))
-        .replace('HH', pad(date.getHours()))
-        .replace('mm', pad(date.getMinutes()));
-    }
-  }
-
-  // ============================================================
-  // ADVANCED CAMPAIGN SYSTEM - CampaignScheduler
-  // ============================================================
-
-  class CampaignScheduler {
-    constructor() {
-      this.scheduledCampaigns = new Map();
-      this.executionHistory = [];
-      this.timers = new Map();
-    }
-
-    async initialize() {
-      await this.loadFromStorage();
-      this.resumeScheduledCampaigns();
-      console.log('[Scheduler] ✅ Inicializado com', this.scheduledCampaigns.size, 'campanhas');
-    }
-
-    schedule(campaignId, campaignData, scheduleTime, options = {}) {
-      const scheduledAt = new Date(scheduleTime).getTime();
-      const now = Date.now();
-      
-      if (scheduledAt <= now) throw new Error('Data deve ser no futuro');
-
-      const scheduled = {
-        id: campaignId,
-        data: campaignData,
-        scheduledAt,
-        createdAt: now,
-        status: 'scheduled',
-        options: { retryOnFail: options.retryOnFail || false, maxRetries: options.maxRetries || 3, ...options }
-      };
-
-      this.scheduledCampaigns.set(campaignId, scheduled);
-      this._setTimer(campaignId, scheduledAt - now);
-      this.saveToStorage();
-      
-      return scheduled;
-    }
-
-    cancel(campaignId) {
-      if (this.timers.has(campaignId)) {
-        clearTimeout(this.timers.get(campaignId));
-        this.timers.delete(campaignId);
-      }
-      const campaign = this.scheduledCampaigns.get(campaignId);
-      if (campaign) {
-        campaign.status = 'cancelled';
-        this.scheduledCampaigns.delete(campaignId);
-        this.saveToStorage();
-        return true;
+      if (this.knowledge.learnedPatterns.length > 200) {
+        this.knowledge.learnedPatterns.sort((a, b) => (b.occurrences * b.confidence) - (a.occurrences * a.confidence));
+        this.knowledge.learnedPatterns = this.knowledge.learnedPatterns.slice(0, 150);
       }
-      return false;
     }
-
-    listScheduled() {
-      return Array.from(this.scheduledCampaigns.values())
-        .filter(c => c.status === 'scheduled')
-        .sort((a, b) => a.scheduledAt - b.scheduledAt);
+    
+    provideFeedback(messageId, feedbackType, correction = null) {
+      if (feedbackType === 'positive') this.knowledge.feedbackData.positive++;
+      else if (feedbackType === 'negative') this.knowledge.feedbackData.negative++;
+      if (correction) this.knowledge.feedbackData.corrections.push({ correction, timestamp: Date.now() });
+      console.log('[SmartBot] 📝 Feedback:', feedbackType);
     }
 
-    _setTimer(campaignId, delay) {
-      const timer = setTimeout(() => this._executeCampaign(campaignId), delay);
-      this.timers.set(campaignId, timer);
+    updateConversationHistory(chatId, message, analysis) {
+      if (!this.knowledge.conversationHistory.has(chatId)) this.knowledge.conversationHistory.set(chatId, []);
+      const history = this.knowledge.conversationHistory.get(chatId);
+      history.push({ text: message.text, isOutgoing: message.isOutgoing, intent: analysis.intent.primaryIntent, sentiment: analysis.sentiment.sentiment, timestamp: Date.now() });
+      if (history.length > 20) history.shift();
     }
-
-    async _executeCampaign(campaignId) {
-      const campaign = this.scheduledCampaigns.get(campaignId);
-      if (!campaign || campaign.status !== 'scheduled') return;
-      
-      campaign.status = 'executing';
-      try {
-        // Execute via campaign system
-        if (window.wa && window.wa.campaigns) {
-          await window.wa.campaigns.execute(campaign.data);
-        }
-        campaign.status = 'completed';
-        window.dispatchEvent(new CustomEvent('campaign:completed', { detail: campaign }));
-      } catch (error) {
-        campaign.status = 'failed';
-        campaign.error = error.message;
-      }
-      
-      this.executionHistory.push({ ...campaign });
-      this.scheduledCampaigns.delete(campaignId);
-      this.saveToStorage();
+    
+    getConversationContext(chatId) {
+      const history = this.knowledge.conversationHistory.get(chatId) || [];
+      return history.slice(-5).map(h => `${h.isOutgoing ? 'EU' : 'CLIENTE'}: ${h.text?.slice(0, 100)}`);
     }
-
-    async loadFromStorage() {
-      try {
-        const data = await chrome.storage.local.get('campaign_scheduler');
-        if (data.campaign_scheduler) {
-          data.campaign_scheduler.scheduled?.forEach(c => this.scheduledCampaigns.set(c.id, c));
-          this.executionHistory = data.campaign_scheduler.history || [];
-        }
-      } catch (e) { console.warn('[Scheduler] Erro ao carregar:', e); }
+    
+    handleChatChange(data) { console.log('[SmartBot] 📱 Chat mudou:', data.chatTitle); }
+    handleTypingIndicator(data) { if (data.isTyping) console.log('[SmartBot] ⌨️ Digitando...'); }
+    
+    sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+    isBusinessHours() {
+      return isHumanHour();
+    }
+    checkRateLimit() {
+      const oneHourAgo = Date.now() - 3600000;
+      const recent = this.metrics.responseTime.filter(t => t > oneHourAgo);
+      return recent.length < this.config.maxAutoResponsesPerHour;
+    }
+    updateMetrics(analysis) {
+      const intent = analysis.intent.primaryIntent;
+      this.metrics.intentDistribution[intent] = (this.metrics.intentDistribution[intent] || 0) + 1;
+      this.metrics.avgConfidence = (this.metrics.avgConfidence * (this.metrics.totalMessages - 1) + analysis.confidence) / this.metrics.totalMessages;
     }
 
-    async saveToStorage() {
-      try {
-        await chrome.storage.local.set({
-          campaign_scheduler: {
-            scheduled: Array.from(this.scheduledCampaigns.values()),
-            history: this.executionHistory.slice(-100)
+    async loadKnowledge() {
+      const key = await Workspace.key('smartbot_knowledge');
+      return new Promise((resolve) => {
+        chrome.storage.local.get([key], (res) => {
+          if (res?.[key]) {
+            this.knowledge.learnedPatterns = res[key].learnedPatterns || [];
+            this.knowledge.feedbackData = res[key].feedbackData || this.knowledge.feedbackData;
+            console.log('[SmartBot] 📂 Carregado:', this.knowledge.learnedPatterns.length, 'padrões');
           }
+          resolve();
         });
-      } catch (e) { console.warn('[Scheduler] Erro ao salvar:', e); }
-    }
-
-    resumeScheduledCampaigns() {
-      const now = Date.now();
-      this.scheduledCampaigns.forEach((campaign, id) => {
-        if (campaign.status === 'scheduled') {
-          const delay = campaign.scheduledAt - now;
-          if (delay > 0) this._setTimer(id, delay);
-          else this._executeCampaign(id);
-        }
       });
     }
-  }
-
-  // ============================================================
-  // ADVANCED CAMPAIGN SYSTEM - CampaignSystem (Integration)
-  // ============================================================
-
-  class CampaignSystem {
-    constructor() {
-      this.templateEngine = new TemplateEngine();
-      this.scheduler = new CampaignScheduler();
-      this.isInitialized = false;
-    }
-
-    async initialize() {
-      if (this.isInitialized) return this;
-      
-      console.log('[CampaignSystem] 🚀 Inicializando...');
-      await this.scheduler.initialize();
-      this._registerDefaultTemplates();
-      this.isInitialized = true;
-      console.log('[CampaignSystem] ✅ Inicializado');
-      return this;
+    
+    async saveKnowledge() {
+      const key = await Workspace.key('smartbot_knowledge');
+      return new Promise((resolve) => {
+        chrome.storage.local.set({ [key]: { learnedPatterns: this.knowledge.learnedPatterns, feedbackData: this.knowledge.feedbackData, savedAt: new Date().toISOString() } }, () => {
+          console.log('[SmartBot] 💾 Salvo');
+          resolve();
+        });
+      });
     }
 
-    _registerDefaultTemplates() {
-      this.templateEngine.register('welcome', 'Olá {{nome}}! 👋 Bem-vindo(a)!');
-      this.templateEngine.register('followup', 'Oi {{nome}}, tudo bem? Podemos continuar nossa conversa?');
-      this.templateEngine.register('promo', '🎉 {{upper:nome}}, temos uma oferta especial para você! {{mensagem}}');
+    getStats() {
+      return { isActive: this.isActive, metrics: this.metrics, learnedPatterns: this.knowledge.learnedPatterns.length, feedbackScore: this.knowledge.feedbackData.positive - this.knowledge.feedbackData.negative, queueSize: this.messageQueue.length, config: this.config };
     }
-
-    async execute(config) {
-      const campaignId = config.id || `campaign_${Date.now()}`;
-      
-      let message = config.message;
-      if (config.templateId) {
-        message = this.templateEngine.process(config.templateId, config.variables || {});
-      }
-
-      const results = { success: 0, failed: 0, errors: [] };
-
-      for (const contact of config.contacts) {
-        const personalizedMessage = this.templateEngine.process(message, {
-          nome: contact.name,
-          numero: contact.number,
-          ...config.variables
-        });
-
-        try {
-          // 1. Open chat via URL DIRECT
-          await openChatByUrlDirect(contact.number);
-          
-          // 2. VALIDATE correct chat
-          const isCorrect = await validateCorrectChatOpen(contact.number);
-          if (!isCorrect) {
-            results.failed++;
-            results.errors.push(`Chat errado para ${contact.number}`);
-            continue;
-          }
-          
-          // 3. Send message
-          await insertIntoComposer(personalizedMessage);
-          await clickSend();
-          
-          results.success++;
-          
-        } catch (error) {
-          results.failed++;
-          results.errors.push(`${contact.number}: ${error.message}`);
-        }
-
-        // 4. Delay between messages
-        await sleep(config.delay || 3000 + Math.random() * 2000);
-      }
-
-      console.log(`[CampaignSystem] ✅ Concluída: ${results.success} enviadas, ${results.failed} falhas`);
-      return results;
+    setConfig(newConfig) { this.config = { ...this.config, ...newConfig }; console.log('[SmartBot] ⚙️ Config atualizada'); }
+    addCustomIntent(intentName, config) {
+      this.knowledge.intents[intentName] = { responses: config.responses || [], confidence: config.confidence || 70, autoSend: config.autoSend || false, priority: config.priority || 'medium', ...config };
     }
-
-    scheduleCampaign(config, scheduleTime) {
-      return this.scheduler.schedule(config.id || `scheduled_${Date.now()}`, config, scheduleTime);
+    addLearnedPattern(triggers, response, confidence = 80) {
+      this.knowledge.learnedPatterns.push({ triggers: Array.isArray(triggers) ? triggers : [triggers], response, confidence, occurrences: 0, createdAt: Date.now(), source: 'manual' });
     }
   }
 
-  // Initialize Campaign System
-  window.initCampaignSystem = async () => {
-    if (window.campaignSystem) return window.campaignSystem;
-    
-    const system = new CampaignSystem();
-    await system.initialize();
-    window.campaignSystem = system;
-    
-    // API in window.wa.campaigns
-    window.wa = window.wa || {};
-    window.wa.campaigns = {
-      execute: (config) => system.execute(config),
-      schedule: (config, time) => system.scheduleCampaign(config, time),
-      cancel: (id) => system.scheduler.cancel(id),
-      list: () => system.scheduler.listScheduled(),
-      template: {
-        register: (name, content) => system.templateEngine.register(name, content),
-        process: (template, vars) => system.templateEngine.process(template, vars),
-        validate: (template) => system.templateEngine.validate(template)
-      }
-    };
-    
-    console.log('[CampaignSystem] 🎉 API disponível em window.wa.campaigns');
-    return system;
-  };
-
-  // Auto-initialize
-  setTimeout(() => {
-    if (window.wa && window.wa.helper) {
-      window.initCampaignSystem();
-    }
-  }, 4000);
-
   // ============================================================
   // INICIALIZAÇÃO DO SMARTBOT
   // ============================================================
@@ -6177,9 +7080,10 @@ wa.smartbot.salvar()
 
     async loadFromStorage() {
       try {
-        const data = await chrome.storage.local.get('campaign_scheduler');
-        if (data.campaign_scheduler) {
-          const { scheduled, history } = data.campaign_scheduler;
+        const key = await Workspace.key('campaign_scheduler');
+        const data = await chrome.storage.local.get(key);
+        if (data[key]) {
+          const { scheduled, history } = data[key];
           scheduled?.forEach(c => this.scheduledCampaigns.set(c.id, c));
           this.executionHistory = history || [];
         }
@@ -6191,7 +7095,7 @@ wa.smartbot.salvar()
     async saveToStorage() {
       try {
         await chrome.storage.local.set({
-          campaign_scheduler: {
+          [await Workspace.key('campaign_scheduler')]: {
             scheduled: Array.from(this.scheduledCampaigns.values()),
             history: this.executionHistory.slice(-100) // Manter últimos 100
           }
@@ -6222,27 +7126,44 @@ wa.smartbot.salvar()
   // Sistema completo de métricas e geração de relatórios
   // ============================================================
 
+  // Evento do destinatário -> métrica agregada
+  const RECIPIENT_METRICS = {
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'read',
+    replied: 'responses',
+    failed: 'failed',
+    skipped: 'skipped'
+  };
+
   class ReportingSystem {
     constructor() {
       this.metrics = new Map();
       this.reports = [];
     }
 
-    // Registrar métrica
-    recordMetric(campaignId, metric, value) {
+    _ensure(campaignId, startedAt = Date.now()) {
       if (!this.metrics.has(campaignId)) {
         this.metrics.set(campaignId, {
           id: campaignId,
-          startedAt: Date.now(),
+          startedAt,
           sent: 0,
           delivered: 0,
+          read: 0,
           failed: 0,
+          skipped: 0,
           responses: 0,
-          timeline: []
+          timeline: [],
+          recipients: new Map(),
+          safety: []
         });
       }
+      return this.metrics.get(campaignId);
+    }
 
-      const campaign = this.metrics.get(campaignId);
+    // Registrar métrica
+    recordMetric(campaignId, metric, value, timestamp = Date.now()) {
+      const campaign = this._ensure(campaignId);
       if (typeof campaign[metric] === 'number') {
         campaign[metric] += value;
       } else {
@@ -6252,10 +7173,50 @@ wa.smartbot.salvar()
       campaign.timeline.push({
         metric,
         value,
-        timestamp: Date.now()
+        timestamp
       });
     }
 
+    // Registrar evento de um destinatário (sent | delivered | read | replied | failed | skipped).
+    // Cada evento conta uma vez por destinatário e alimenta a métrica correspondente.
+    recordRecipient(campaignId, recipient, event, at = Date.now(), detail = null) {
+      const campaign = this._ensure(campaignId);
+      const key = String(recipient.number || '');
+      if (!campaign.recipients.has(key)) {
+        campaign.recipients.set(key, { number: key, name: recipient.name || '', variant: recipient.variant || null, events: [] });
+      }
+      const entry = campaign.recipients.get(key);
+      if (recipient.variant && !entry.variant) entry.variant = recipient.variant;
+      if (entry.events.some(e => e.event === event)) return false;
+
+      entry.events.push({ event, at, detail });
+      entry.events.sort((a, b) => a.at - b.at);
+      const metric = RECIPIENT_METRICS[event];
+      if (metric) this.recordMetric(campaignId, metric, 1, at);
+      return true;
+    }
+
+    // Evento da proteção da campanha (slow | stop | resumed), com motivo e fator de intervalo
+    recordSafetyEvent(campaignId, event, at = Date.now()) {
+      this._ensure(campaignId).safety.push({ at, action: event.action, reason: event.reason || '', delayFactor: event.delayFactor || 1 });
+    }
+
+    // Recriar as métricas de uma campanha DOM a partir dos jobs do journal
+    loadFromJournal(campaign, jobs) {
+      this.metrics.delete(campaign.id);
+      this._ensure(campaign.id, campaign.createdAt);
+      for (const event of campaign.safetyEvents || []) this.recordSafetyEvent(campaign.id, event, event.at);
+      for (const job of jobs) {
+        const events = [];
+        if (job.sentAt) events.push(['sent', job.sentAt]);
+        if (job.deliveredAt) events.push(['delivered', job.deliveredAt]);
+        if (job.readAt) events.push(['read', job.readAt]);
+        if (job.repliedAt) events.push(['replied', job.repliedAt, job.reply]);
+        if (job.state === 'failed' || job.state === 'skipped') events.push([job.state, job.updatedAt, job.error]);
+        for (const [event, at, detail] of events) this.recordRecipient(campaign.id, job, event, at, detail || null);
+      }
+    }
+
     // Gerar relatório
     generateReport(campaignId) {
       const metrics = this.metrics.get(campaignId);
@@ -6264,15 +7225,22 @@ wa.smartbot.salvar()
       const duration = Date.now() - metrics.startedAt;
       const successRate = metrics.sent > 0 ? ((metrics.delivered / metrics.sent) * 100).toFixed(1) : 0;
       const responseRate = metrics.delivered > 0 ? ((metrics.responses / metrics.delivered) * 100).toFixed(1) : 0;
+      const readRate = metrics.delivered > 0 ? ((metrics.read / metrics.delivered) * 100).toFixed(1) : 0;
 
       return {
         campaignId,
         summary: {
           totalSent: metrics.sent,
           delivered: metrics.delivered,
+          read: metrics.read,
           failed: metrics.failed,
+          skipped: metrics.skipped,
+          optOut: [...metrics.recipients.values()].filter(r => r.events.some(e => e.event === 'skipped' && e.detail === 'opt_out')).length,
+          // Mídia interrompida por reload e não encontrada no chat: conferir manualmente
+          unverified: [...metrics.recipients.values()].filter(r => r.events.some(e => e.event === 'skipped' && e.detail === 'unverified')).length,
           responses: metrics.responses,
           successRate: `${successRate}%`,
+          readRate: `${readRate}%`,
           responseRate: `${responseRate}%`,
           duration: this._formatDuration(duration)
         },
@@ -6280,8 +7248,11 @@ wa.smartbot.salvar()
         failures: this._analyzeFailures(metrics),
         performance: {
           messagesPerMinute: (metrics.sent / (duration / 60000)).toFixed(2),
-          avgDeliveryTime: this._calculateAvgDeliveryTime(metrics.timeline)
+          avgDeliveryTime: this._calculateAvgDeliveryTime(metrics)
         },
+        recipients: this._recipientTimeline(metrics),
+        variants: this._variantStats(metrics),
+        safety: metrics.safety.map(e => ({ ...e, at: new Date(e.at).toISOString() })),
         generatedAt: new Date().toISOString()
       };
     }
@@ -6346,8 +7317,17 @@ wa.smartbot.salvar()
         .map(t => ({ timestamp: t.timestamp, count: t.value }));
     }
 
-    _calculateAvgDeliveryTime(timeline) {
-      const deliveries = timeline.filter(t => t.metric === 'delivered');
+    _calculateAvgDeliveryTime(metrics) {
+      // Com ticks por destinatário: média de (entregue - enviado)
+      const diffs = [];
+      for (const r of metrics.recipients.values()) {
+        const sent = r.events.find(e => e.event === 'sent');
+        const delivered = r.events.find(e => e.event === 'delivered');
+        if (sent && delivered) diffs.push(Math.max(0, delivered.at - sent.at));
+      }
+      if (diffs.length) return `${(diffs.reduce((a, b) => a + b, 0) / diffs.length / 1000).toFixed(1)}s`;
+
+      const deliveries = metrics.timeline.filter(t => t.metric === 'delivered');
       if (deliveries.length < 2) return 'N/A';
       
       let totalDiff = 0;
@@ -6357,38 +7337,159 @@ wa.smartbot.salvar()
       return `${(totalDiff / (deliveries.length - 1) / 1000).toFixed(1)}s`;
     }
 
+    // Linha do tempo por destinatário, na ordem em que foram enviados
+    _recipientTimeline(metrics) {
+      const at = (r, event) => r.events.find(e => e.event === event)?.at || null;
+      return Array.from(metrics.recipients.values()).map(r => {
+        const last = r.events[r.events.length - 1];
+        return {
+          number: r.number,
+          name: r.name,
+          variant: r.variant || '',
+          status: last ? last.event : 'pending',
+          sentAt: at(r, 'sent'),
+          deliveredAt: at(r, 'delivered'),
+          readAt: at(r, 'read'),
+          repliedAt: at(r, 'replied'),
+          reply: r.events.find(e => e.event === 'replied')?.detail || '',
+          error: r.events.find(e => e.event === 'failed' || e.event === 'skipped')?.detail || '',
+          events: r.events.map(e => ({ event: e.event, at: new Date(e.at).toISOString() }))
+        };
+      }).sort((a, b) => (a.sentAt || Infinity) - (b.sentAt || Infinity));
+    }
+
+    // Comparativo A/B: taxa de resposta (respostas / enviados) e de falha (falhas / tentativas)
+    _variantStats(metrics) {
+      const stats = {};
+      for (const r of metrics.recipients.values()) {
+        if (!r.variant) continue;
+        const s = stats[r.variant] || (stats[r.variant] = { recipients: 0, sent: 0, delivered: 0, read: 0, failed: 0, skipped: 0, responses: 0 });
+        s.recipients++;
+        for (const e of r.events) {
+          const metric = RECIPIENT_METRICS[e.event];
+          if (metric) s[metric]++;
+        }
+      }
+
+      let winner = null;
+      for (const [id, s] of Object.entries(stats)) {
+        const attempts = s.sent + s.failed;
+        s.replyRate = `${s.sent > 0 ? ((s.responses / s.sent) * 100).toFixed(1) : 0}%`;
+        s.failureRate = `${attempts > 0 ? ((s.failed / attempts) * 100).toFixed(1) : 0}%`;
+        const score = [parseFloat(s.replyRate), -parseFloat(s.failureRate)];
+        if (s.sent > 0 && (!winner || score[0] > winner.score[0] || (score[0] === winner.score[0] && score[1] > winner.score[1]))) {
+          winner = { id, score };
+        }
+      }
+      return Object.keys(stats).length ? { stats, winner: winner ? winner.id : null } : null;
+    }
+
+    _formatTime(ts) {
+      return ts ? new Date(ts).toLocaleString('pt-BR') : '';
+    }
+
+    _escape(value) {
+      return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
     _toCSV(report) {
       const lines = [
         'Métrica,Valor',
         `Total Enviado,${report.summary.totalSent}`,
         `Entregues,${report.summary.delivered}`,
+        `Lidas,${report.summary.read}`,
         `Falhas,${report.summary.failed}`,
+        `Pulados,${report.summary.skipped}`,
+        `Opt-out,${report.summary.optOut}`,
+        `Não confirmados,${report.summary.unverified}`,
         `Respostas,${report.summary.responses}`,
         `Taxa de Sucesso,${report.summary.successRate}`,
+        `Taxa de Leitura,${report.summary.readRate}`,
         `Taxa de Resposta,${report.summary.responseRate}`,
         `Duração,${report.summary.duration}`
       ];
+      if (report.variants) {
+        lines.push('', 'Variante,Destinatários,Enviados,Entregues,Falhas,Respostas,Taxa de Resposta,Taxa de Falha,Vencedora');
+        for (const [id, v] of Object.entries(report.variants.stats)) {
+          lines.push([
+            id, v.recipients, v.sent, v.delivered, v.failed, v.responses, v.replyRate, v.failureRate,
+            id === report.variants.winner ? 'sim' : ''
+          ].map(csvEscape).join(','));
+        }
+      }
+      if (report.safety.length) {
+        lines.push('', 'Proteção,Ação,Motivo,Fator de intervalo');
+        for (const e of report.safety) {
+          lines.push([this._formatTime(e.at), e.action, e.reason, `x${e.delayFactor}`].map(csvEscape).join(','));
+        }
+      }
+      if (report.recipients.length) {
+        lines.push('', 'Número,Nome,Variante,Status,Enviado,Entregue,Lido,Respondido,Resposta,Erro');
+        for (const r of report.recipients) {
+          lines.push([
+            r.number, r.name, r.variant, r.status,
+            this._formatTime(r.sentAt), this._formatTime(r.deliveredAt), this._formatTime(r.readAt),
+            this._formatTime(r.repliedAt), r.reply, r.error
+          ].map(csvEscape).join(','));
+        }
+      }
       return lines.join('\n');
     }
 
     _toHTML(report) {
+      const rows = report.recipients.map(r => `
+          <tr>
+            <td>${this._escape(r.number)}</td><td>${this._escape(r.name)}</td><td>${this._escape(r.variant)}</td><td>${this._escape(r.status)}</td>
+            <td>${this._formatTime(r.sentAt)}</td><td>${this._formatTime(r.deliveredAt)}</td><td>${this._formatTime(r.readAt)}</td>
+            <td>${this._formatTime(r.repliedAt)}</td><td>${this._escape(r.reply || r.error)}</td>
+          </tr>`).join('');
+      const variantRows = report.variants ? Object.entries(report.variants.stats).map(([id, v]) => `
+          <tr>
+            <td>${this._escape(id)}${id === report.variants.winner ? ' 🏆' : ''}</td><td>${v.recipients}</td><td>${v.sent}</td>
+            <td>${v.failed}</td><td>${v.responses}</td><td>${v.replyRate}</td><td>${v.failureRate}</td>
+          </tr>`).join('') : '';
+      const safetyRows = report.safety.map(e => `
+          <tr><td>${this._formatTime(e.at)}</td><td>${this._escape(e.action)}</td><td>${this._escape(e.reason)}</td><td>x${e.delayFactor}</td></tr>`).join('');
       return `
       <div class="campaign-report">
-        <h2>Relatório da Campanha ${report.campaignId}</h2>
+        <h2>Relatório da Campanha ${this._escape(report.campaignId)}</h2>
         <table>
           <tr><td>Total Enviado</td><td>${report.summary.totalSent}</td></tr>
           <tr><td>Entregues</td><td>${report.summary.delivered}</td></tr>
+          <tr><td>Lidas</td><td>${report.summary.read}</td></tr>
           <tr><td>Falhas</td><td>${report.summary.failed}</td></tr>
+          <tr><td>Pulados</td><td>${report.summary.skipped}</td></tr>
+          <tr><td>Opt-out</td><td>${report.summary.optOut}</td></tr>
+          <tr><td>Não confirmados</td><td>${report.summary.unverified}</td></tr>
           <tr><td>Respostas</td><td>${report.summary.responses}</td></tr>
           <tr><td>Taxa de Sucesso</td><td>${report.summary.successRate}</td></tr>
+          <tr><td>Taxa de Leitura</td><td>${report.summary.readRate}</td></tr>
           <tr><td>Taxa de Resposta</td><td>${report.summary.responseRate}</td></tr>
         </table>
+        ${variantRows ? `
+        <h3>Variantes (A/B)</h3>
+        <table>
+          <tr><th>Variante</th><th>Destinatários</th><th>Enviados</th><th>Falhas</th><th>Respostas</th><th>Taxa de Resposta</th><th>Taxa de Falha</th></tr>${variantRows}
+        </table>` : ''}
+        ${safetyRows ? `
+        <h3>Proteção</h3>
+        <table>
+          <tr><th>Data</th><th>Ação</th><th>Motivo</th><th>Fator de intervalo</th></tr>${safetyRows}
+        </table>` : ''}
+        ${rows ? `
+        <h3>Destinatários</h3>
+        <table>
+          <tr><th>Número</th><th>Nome</th><th>Variante</th><th>Status</th><th>Enviado</th><th>Entregue</th><th>Lido</th><th>Respondido</th><th>Resposta / erro</th></tr>${rows}
+        </table>` : ''}
         <p>Gerado em: ${report.generatedAt}</p>
       </div>
     `;
     }
   }
 
+  // Instância única: campanhas DOM (journal), wa.campaigns e o tracker de receipts usam a mesma
+  const campaignReporting = new ReportingSystem();
+
   // ============================================================
   // ALERT SYSTEM - SISTEMA DE ALERTAS
   // Sistema de alertas baseado em regras e thresholds
@@ -6690,7 +7791,7 @@ wa.smartbot.salvar()
     constructor() {
       this.templateEngine = new TemplateEngine();
       this.scheduler = new CampaignScheduler();
-      this.reporting = new ReportingSystem();
+      this.reporting = campaignReporting;
       this.alerts = new AlertSystem();
       this.notifications = new NotificationSystem();
       this.isInitialized = false;
@@ -6759,35 +7860,97 @@ wa.smartbot.salvar()
         message = this.templateEngine.process(config.templateId, config.variables || {});
       }
 
+      // Variantes A/B (sorteio ponderado por contato) + spintax
+      const variants = normalizeVariants(config.variants, message);
+
       // Registrar início
       this.reporting.recordMetric(campaignId, 'started', 1);
 
       try {
-        // Executar via WhatsApp Automation existente
-        for (const contact of config.contacts) {
-          const personalizedMessage = this.templateEngine.process(message, {
+        // Opt-out: quem está na lista de supressão só aparece no relatório
+        const { allowed, suppressed } = await checkOptOut(config.contacts);
+        for (const contact of suppressed) this.reporting.recordRecipient(campaignId, contact, 'skipped', Date.now(), 'opt_out');
+
+        // Executar via WhatsApp Automation existente (respeitando a janela de envio de cada contato)
+        await loadSendWindowPolicy();
+        const safety = CampaignSafety.createMonitor();
+        const guard = (signal) => {
+          const decision = safety.record(signal);
+          if (decision.action === 'continue') return false;
+          this.reporting.recordSafetyEvent(campaignId, decision);
+          return decision.action === 'stop';
+        };
+        let halted = false;
+
+        for (const contact of allowed) {
+          const warning = CampaignSafety.detectWarning();
+          if (warning && guard({ type: 'warning', detail: warning })) {
+            halted = true;
+            break;
+          }
+
+          try {
+            await waitForSendWindow(contact.number, undefined, (state) =>
+              console.log(`[CampaignSystem] 🌙 ${contact.number}: ${state.reason}. Retoma ${formatWindowTime(state.nextOpenAt)}`));
+          } catch (error) {
+            this.reporting.recordRecipient(campaignId, contact, 'skipped', Date.now(), 'send_window');
+            continue;
+          }
+
+          const picked = pickCampaignMessage(variants);
+          const recipient = { ...contact, variant: picked.variant };
+          const personalizedMessage = this.templateEngine.process(picked.message, {
             nome: contact.name,
             numero: contact.number,
-            ...config.variables
+            ...config.variables,
+            ...contact.vars
           });
 
+          let signal = { type: 'sent' };
           try {
-            if (window.wa && window.wa.enviar) {
-              await window.wa.enviar(contact.number, personalizedMessage);
-            }
-            this.reporting.recordMetric(campaignId, 'sent', 1);
-            this.reporting.recordMetric(campaignId, 'delivered', 1);
+            // Sem método de envio registrado não há o que enviar: conta como falha, sem acompanhar ticks
+            if (typeof window.wa?.enviar !== 'function') throw new Error('Envio indisponível: window.wa.enviar não registrado');
+            await window.wa.enviar(contact.number, personalizedMessage);
+            const sentAt = Date.now();
+            this.reporting.recordRecipient(campaignId, recipient, 'sent', sentAt);
+            // Entregue/lido/respondido vêm dos ticks do chat (watchCampaignReceipt)
+            watchCampaignReceipt({
+              campaignId,
+              number: contact.number,
+              name: contact.name || '',
+              variant: picked.variant,
+              digits: String(contact.number || '').replace(/\D/g, ''),
+              text: personalizedMessage,
+              sentAt,
+              replyWindowMs: (Number(config.replyWindowHours) || CampaignJournal.DEFAULT_REPLY_WINDOW_HOURS) * 3600000
+            }, { chatOpen: true });
           } catch (error) {
-            this.reporting.recordMetric(campaignId, 'failed', 1);
+            this.reporting.recordRecipient(campaignId, recipient, 'failed', Date.now(), error?.message || String(error));
             
             // Avaliar alerta
             const metrics = this.reporting.metrics.get(campaignId);
             const failureRate = (metrics.failed / metrics.sent) * 100;
             this.alerts.evaluate('failureRate', failureRate, { campaignId, contact });
+            signal = { type: 'failed' };
+          }
+
+          if (guard(signal)) {
+            halted = true;
+            break;
           }
 
-          // Delay entre mensagens
-          await this._sleep(config.delay || 3000);
+          // Delay entre mensagens (aumentado pela proteção)
+          await this._sleep((config.delay || 3000) * safety.delayFactor);
+        }
+
+        if (halted) {
+          const report = this.reporting.generateReport(campaignId);
+          const last = report.safety[report.safety.length - 1];
+          await this.notifications.send('chrome', {
+            title: 'Campanha parada pela proteção',
+            message: last?.reason || 'Sinais de risco durante o envio'
+          });
+          return report;
         }
 
         // Completar
@@ -6847,8 +8010,14 @@ wa.smartbot.salvar()
       schedule: (config, time) => system.scheduleCampaign(config, time),
       cancel: (id) => system.scheduler.cancel(id),
       list: () => system.scheduler.listScheduled(),
-      report: (id) => system.reporting.generateReport(id),
-      export: (id, format) => system.reporting.exportReport(id, format),
+      report: async (id) => {
+        await syncCampaignReport(id);
+        return system.reporting.generateReport(id);
+      },
+      export: async (id, format) => {
+        await syncCampaignReport(id);
+        return system.reporting.exportReport(id, format);
+      },
       template: {
         register: (name, content) => system.templateEngine.register(name, content),
         process: (template, vars) => system.templateEngine.process(template, vars),
@@ -6877,14 +8046,23 @@ await wa.campaigns.execute({
   delay: 5000
 })
 
+🧪 VARIANTES A/B + SPINTAX:
+await wa.campaigns.execute({
+  contacts: [...],
+  variants: [
+    { id: 'A', message: '{Olá|Oi} {{nome}}! 🎉', weight: 70 },
+    { id: 'B', message: 'E aí {{nome}}, novidade pra você!', weight: 30 }
+  ]
+})
+
 📅 AGENDAR CAMPANHA:
 wa.campaigns.schedule(config, '2025-12-18T10:00:00')
 wa.campaigns.list()     // Listar agendadas
 wa.campaigns.cancel(id) // Cancelar
 
 📊 RELATÓRIOS:
-wa.campaigns.report('campaign_id')
-wa.campaigns.export('campaign_id', 'csv')  // json, csv, html
+await wa.campaigns.report('campaign_id')
+await wa.campaigns.export('campaign_id', 'csv')  // json, csv, html (+ linha do tempo por destinatário)
 
 📝 TEMPLATES:
 wa.campaigns.template.register('nome', 'Olá {{nome}}! {{#if vip}}VIP{{/if}}')
@@ -7068,6 +8246,22 @@ await wa.campaigns.notify('chrome', {
     }
   });
 
+  /**
+   * Hook de troca de chat: dispara 'chat:opened' com o ID canônico do contato
+   * (content/contactIdentity.js), o mesmo userId das sessões de diálogo do SmartBot Core,
+   * que retoma o fluxo pendente (resumeDialog) ao ouvir o evento
+   */
+  waTextMonitor.on('onNewChat', async ({ chatId, chatTitle }) => {
+    try {
+      const identity = await currentContactIdentity();
+      window.dispatchEvent(new CustomEvent('chat:opened', {
+        detail: { userId: identity.id, chatId, chatTitle }
+      }));
+    } catch (e) {
+      warn('Falha ao identificar o chat aberto:', e);
+    }
+  });
+
   /**
    * Informações sobre SmartBot IA
    */
@@ -7088,6 +8282,7 @@ await wa.campaigns.notify('chrome', {
    • session-manager.js - Gerenciamento de sessões
    • rate-limit-manager.js - Rate limiting
    • scheduler-manager.js - Agendamento de tarefas
+   • cron-expression.js - Cron de 5 campos com fuso horário
 
 🔐 Segurança:
    • permission-manager.js - Sistema de permissões com roles
@@ -7107,4 +8302,28 @@ await wa.campaigns.notify('chrome', {
 📖 Documentação dos módulos em: js/smartbot/
   `);
 
+  // -------------------------
+  // Harness de testes (tests/dom)
+  // -------------------------
+  // O harness define globalThis.__WHL_TEST__ antes de carregar os content scripts; no
+  // WhatsApp Web ele não existe e nada é exposto.
+  if (globalThis.__WHL_TEST__) {
+    globalThis.__WHL_TEST__.api = {
+      spin,
+      normalizeVariants,
+      pickCampaignMessage,
+      getChatTitle,
+      findComposer,
+      insertIntoComposer,
+      clickSend,
+      attachMediaAndSend,
+      outgoingMessageIds,
+      verifyOutgoingSince,
+      openChatBySearch,
+      WhatsAppTextMonitor,
+      waHelper,
+      waTextMonitor
+    };
+  }
+
 })();
@@ -0,0 +1,697 @@
+// content/docIngest.js
+// Offline document ingestion for the training tab (no external libs).
+//
+// Loaded as a content script before content.js; exposes globalThis.WHL_DocIngest:
+//   extract(file, onProgress) -> { kind, sections: [{ label, text, page? }], pages, chars, warnings }
+//
+// Supported:
+// - PDF  : text operators (Tj/TJ/'/"), FlateDecode streams, object streams, ToUnicode CMaps.
+//          Scanned PDFs (images only) have no text layer and come back empty.
+// - DOCX : word/document.xml from the zip; headings start new sections, tables become "a | b | c".
+// - CSV  : header-aware rows ("coluna: valor"), grouped in blocks of rows.
+// - HTML : visible text, sections split on h1-h3.
+// - TXT/MD : markdown headings split sections.
+//
+// Decompression uses the browser's DecompressionStream ('deflate' / 'deflate-raw').
+
+(function () {
+  'use strict';
+
+  const CSV_ROWS_PER_SECTION = 40;
+
+  // -------------------------
+  // Helpers
+  // -------------------------
+  async function inflate(bytes, format) {
+    // Lê até onde der: streams de PDF às vezes têm lixo depois do fim do deflate
+    const ds = new DecompressionStream(format);
+    const writer = ds.writable.getWriter();
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+    const reader = ds.readable.getReader();
+    const parts = [];
+    let total = 0;
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        total += value.length;
+      }
+    } catch (_) {
+      // dados parciais são melhores que nada
+    }
+    const out = new Uint8Array(total);
+    let off = 0;
+    for (const p of parts) {
+      out.set(p, off);
+      off += p.length;
+    }
+    return out;
+  }
+
+  function bytesToLatin1(bytes) {
+    let s = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      s += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return s;
+  }
+
+  function latin1ToBytes(str) {
+    const out = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i) & 0xff;
+    return out;
+  }
+
+  function tidy(text) {
+    return String(text || '')
+      .replace(/\r/g, '')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  const tick = () => new Promise(r => setTimeout(r, 0));
+
+  // -------------------------
+  // PDF
+  // -------------------------
+  function parseRef(s) {
+    const m = /^\s*(\d+)\s+\d+\s+R/.exec(s || '');
+    return m ? Number(m[1]) : null;
+  }
+
+  // Pega o valor de /Key num dicionário (ref, nome, número, array ou sub-dicionário)
+  function dictGet(dict, key) {
+    const re = new RegExp('/' + key + '(?![A-Za-z0-9])\\s*');
+    const m = re.exec(dict || '');
+    if (!m) return null;
+    let i = m.index + m[0].length;
+    const rest = dict.slice(i);
+    if (rest.startsWith('<<')) {
+      let depth = 0;
+      for (let j = 0; j < rest.length - 1; j++) {
+        if (rest[j] === '<' && rest[j + 1] === '<') { depth++; j++; }
+        else if (rest[j] === '>' && rest[j + 1] === '>') { depth--; j++; if (!depth) return rest.slice(0, j + 1); }
+      }
+      return rest;
+    }
+    if (rest.startsWith('[')) {
+      const end = rest.indexOf(']');
+      return end >= 0 ? rest.slice(0, end + 1) : rest;
+    }
+    const ref = /^(\d+\s+\d+\s+R)/.exec(rest);
+    if (ref) return ref[1];
+    const tok = /^(\/?[^\s/<>\[\]()]+)/.exec(rest);
+    return tok ? tok[1] : null;
+  }
+
+  function refsIn(value) {
+    const out = [];
+    const re = /(\d+)\s+\d+\s+R/g;
+    let m;
+    while ((m = re.exec(value || ''))) out.push(Number(m[1]));
+    return out;
+  }
+
+  class PdfDoc {
+    constructor(bin) {
+      this.bin = bin;         // latin1 string of the file
+      this.objects = new Map(); // num -> { dict, streamStart, streamEnd, inline }
+      this.decoded = new Map(); // num -> Uint8Array
+    }
+
+    index() {
+      const re = /(\d+)\s+(\d+)\s+obj\b/g;
+      let m;
+      while ((m = re.exec(this.bin))) {
+        const num = Number(m[1]);
+        const start = m.index + m[0].length;
+        const end = this.bin.indexOf('endobj', start);
+        if (end < 0) break;
+        const body = this.bin.slice(start, end);
+        const si = body.search(/stream\r?\n/);
+        if (si >= 0 && body.slice(0, si).includes('<<')) {
+          const nl = body.slice(si).match(/^stream\r?\n/)[0].length;
+          const dataStart = start + si + nl;
+          let dataEnd = this.bin.lastIndexOf('endstream', end);
+          if (dataEnd < dataStart) dataEnd = end;
+          this.objects.set(num, { dict: body.slice(0, si), streamStart: dataStart, streamEnd: dataEnd });
+        } else {
+          this.objects.set(num, { dict: body });
+        }
+        re.lastIndex = end;
+      }
+    }
+
+    async streamBytes(num) {
+      if (this.decoded.has(num)) return this.decoded.get(num);
+      const o = this.objects.get(num);
+      if (!o || o.streamStart == null) return null;
+      let raw = latin1ToBytes(this.bin.slice(o.streamStart, o.streamEnd));
+      const filter = dictGet(o.dict, 'Filter') || '';
+      if (/FlateDecode/.test(filter)) raw = await inflate(raw, 'deflate');
+      else if (filter && !/^\[\s*\]$/.test(filter)) raw = null; // DCT/JBIG2/etc: imagem, sem texto
+      this.decoded.set(num, raw);
+      return raw;
+    }
+
+    // Objetos comprimidos dentro de /Type /ObjStm (PDF 1.5+)
+    async expandObjectStreams() {
+      for (const [num, o] of Array.from(this.objects.entries())) {
+        if (!/\/Type\s*\/ObjStm/.test(o.dict)) continue;
+        const data = await this.streamBytes(num);
+        if (!data) continue;
+        const text = bytesToLatin1(data);
+        const n = Number(dictGet(o.dict, 'N')) || 0;
+        const first = Number(dictGet(o.dict, 'First')) || 0;
+        const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < n; i++) {
+          const objNum = header[i * 2];
+          const off = first + header[i * 2 + 1];
+          const next = i + 1 < n ? first + header[(i + 1) * 2 + 1] : text.length;
+          if (!this.objects.has(objNum)) this.objects.set(objNum, { dict: text.slice(off, next) });
+        }
+      }
+    }
+
+    resolve(value) {
+      const ref = parseRef(value);
+      return ref != null ? (this.objects.get(ref)?.dict || '') : (value || '');
+    }
+
+    pageOrder() {
+      const rootRef = parseRef((/\/Root\s+(\d+\s+\d+\s+R)/.exec(this.bin) || [])[1]);
+      const pages = [];
+      const seen = new Set();
+      const walk = (num) => {
+        if (num == null || seen.has(num)) return;
+        seen.add(num);
+        const dict = this.objects.get(num)?.dict || '';
+        if (/\/Type\s*\/Pages\b/.test(dict)) {
+          for (const kid of refsIn(dictGet(dict, 'Kids'))) walk(kid);
+        } else if (/\/Type\s*\/Page\b/.test(dict)) {
+          pages.push(num);
+        }
+      };
+      if (rootRef != null) walk(parseRef(dictGet(this.objects.get(rootRef)?.dict, 'Pages')));
+      if (pages.length) return pages;
+      // Sem árvore legível: ordem dos objetos
+      return Array.from(this.objects.entries())
+        .filter(([, o]) => /\/Type\s*\/Page\b/.test(o.dict))
+        .map(([n]) => n)
+        .sort((a, b) => a - b);
+    }
+
+    // /Resources herdado de /Parent
+    pageFonts(pageNum) {
+      let dict = this.objects.get(pageNum)?.dict || '';
+      for (let depth = 0; depth < 10 && dict; depth++) {
+        const res = dictGet(dict, 'Resources');
+        if (res) {
+          const fonts = this.resolve(dictGet(this.resolve(res), 'Font'));
+          const out = {};
+          const re = /\/([^\s/<>\[\]()]+)\s+(\d+)\s+\d+\s+R/g;
+          let m;
+          while ((m = re.exec(fonts))) out[m[1]] = Number(m[2]);
+          return out;
+        }
+        dict = this.objects.get(parseRef(dictGet(dict, 'Parent')))?.dict || '';
+      }
+      return {};
+    }
+  }
+
+  function parseCMap(text) {
+    const map = new Map();
+    let codeBytes = 1;
+    const cs = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+    if (cs) codeBytes = Math.max(1, cs[1].length / 2);
+
+    const hexToStr = (hex) => {
+      let s = '';
+      for (let i = 0; i + 4 <= hex.length; i += 4) s += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+      if (hex.length === 2) s = String.fromCharCode(parseInt(hex, 16));
+      return s;
+    };
+
+    const blockRe = /beginbf(char|range)([\s\S]*?)endbf\1/g;
+    let block;
+    while ((block = blockRe.exec(text))) {
+      const body = block[2];
+      if (block[1] === 'char') {
+        const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g;
+        let m;
+        while ((m = re.exec(body))) map.set(parseInt(m[1], 16), hexToStr(m[2]));
+        continue;
+      }
+      const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+      let m;
+      while ((m = re.exec(body))) {
+        const lo = parseInt(m[1], 16);
+        const hi = parseInt(m[2], 16);
+        if (hi - lo > 0xffff) continue;
+        if (m[4] !== undefined) {
+          const dests = (m[4].match(/<([0-9a-fA-F]+)>/g) || []).map(x => x.slice(1, -1));
+          for (let c = lo; c <= hi && c - lo < dests.length; c++) map.set(c, hexToStr(dests[c - lo]));
+        } else {
+          const base = m[3];
+          const baseVal = parseInt(base.slice(-4), 16);
+          const prefix = hexToStr(base.slice(0, -4));
+          for (let c = lo; c <= hi; c++) map.set(c, prefix + String.fromCharCode(baseVal + (c - lo)));
+        }
+      }
+    }
+    return { map, codeBytes };
+  }
+
+  // Tokeniza um content stream e extrai o texto com quebras de linha aproximadas
+  function textFromContent(content, fonts) {
+    let out = '';
+    let font = null;
+    let i = 0;
+    const n = content.length;
+    const operands = [];
+
+    const decode = (bytesStr) => {
+      if (font && font.map.size) {
+        let s = '';
+        const w = font.codeBytes;
+        for (let k = 0; k + w <= bytesStr.length; k += w) {
+          let code = 0;
+          for (let b = 0; b < w; b++) code = (code << 8) | bytesStr.charCodeAt(k + b);
+          s += font.map.has(code) ? font.map.get(code) : '';
+        }
+        return s;
+      }
+      if (font && font.codeBytes > 1) return ''; // CID sem ToUnicode: ilegível
+      return bytesStr;
+    };
+
+    const readLiteral = () => {
+      let depth = 1;
+      let s = '';
+      i++;
+      while (i < n && depth > 0) {
+        const ch = content[i];
+        if (ch === '\\') {
+          const nx = content[i + 1];
+          const esc = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' }[nx];
+          if (esc !== undefined) { s += esc; i += 2; continue; }
+          if (/[0-7]/.test(nx)) {
+            const oct = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+            s += String.fromCharCode(parseInt(oct, 8) & 0xff);
+            i += 1 + oct.length;
+            continue;
+          }
+          if (nx === '\n' || nx === '\r') { i += 2; continue; }
+          i++;
+          continue;
+        }
+        if (ch === '(') depth++;
+        else if (ch === ')') { depth--; if (!depth) { i++; break; } }
+        s += ch;
+        i++;
+      }
+      return s;
+    };
+
+    const readHex = () => {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end < 0 ? n : end).replace(/\s+/g, '');
+      i = end < 0 ? n : end + 1;
+      let s = '';
+      for (let k = 0; k < hex.length; k += 2) s += String.fromCharCode(parseInt((hex.slice(k, k + 2) + '0').slice(0, 2), 16));
+      return s;
+    };
+
+    while (i < n) {
+      const ch = content[i];
+      if (/\s/.test(ch)) { i++; continue; }
+      if (ch === '%') { while (i < n && content[i] !== '\n' && content[i] !== '\r') i++; continue; }
+      if (ch === '(') { operands.push({ str: readLiteral() }); continue; }
+      if (ch === '<' && content[i + 1] === '<') { // dicionário inline: pula
+        const end = content.indexOf('>>', i);
+        i = end < 0 ? n : end + 2;
+        continue;
+      }
+      if (ch === '<') { operands.push({ str: readHex() }); continue; }
+      if (ch === '[') { operands.push({ arrStart: true }); i++; continue; }
+      if (ch === ']') {
+        const arr = [];
+        while (operands.length && !operands[operands.length - 1].arrStart) arr.unshift(operands.pop());
+        operands.pop();
+        operands.push({ arr });
+        i++;
+        continue;
+      }
+      if (ch === '/') {
+        const m = /^\/[^\s/<>\[\]()%]*/.exec(content.slice(i, i + 128));
+        operands.push({ name: m[0].slice(1) });
+        i += m[0].length;
+        continue;
+      }
+      const m = /^[^\s/<>\[\]()%]+/.exec(content.slice(i, i + 64));
+      if (!m) { i++; continue; }
+      const tok = m[0];
+      i += tok.length;
+      if (/^[-+.\d]/.test(tok)) { operands.push({ num: Number(tok) }); continue; }
+
+      // operador
+      switch (tok) {
+        case 'BI': { // imagem inline: pula até EI
+          const end = content.indexOf('EI', i);
+          i = end < 0 ? n : end + 2;
+          break;
+        }
+        case 'Tf': {
+          const nameOp = operands.find(o => o.name !== undefined);
+          font = nameOp ? (fonts[nameOp.name] || null) : null;
+          break;
+        }
+        case 'Tj':
+        case "'":
+        case '"': {
+          if (tok !== 'Tj') out += '\n';
+          const s = operands.filter(o => o.str !== undefined).pop();
+          if (s) out += decode(s.str);
+          break;
+        }
+        case 'TJ': {
+          const a = operands.filter(o => o.arr).pop();
+          for (const el of (a?.arr || [])) {
+            if (el.str !== undefined) out += decode(el.str);
+            else if (el.num !== undefined && el.num < -200) out += ' ';
+          }
+          break;
+        }
+        case 'Td':
+        case 'TD': {
+          const nums = operands.filter(o => o.num !== undefined);
+          const ty = nums.length >= 2 ? nums[nums.length - 1].num : 0;
+          out += Math.abs(ty) > 0.1 ? '\n' : ' ';
+          break;
+        }
+        case 'T*':
+        case 'Tm':
+          out += '\n';
+          break;
+        case 'ET':
+          out += '\n';
+          break;
+        default:
+          break;
+      }
+      operands.length = 0;
+    }
+    return out;
+  }
+
+  async function extractPdf(buffer, onProgress) {
+    const bin = bytesToLatin1(new Uint8Array(buffer));
+    if (!bin.startsWith('%PDF')) throw new Error('Arquivo não parece ser um PDF');
+    if (/\/Encrypt\s/.test(bin)) throw new Error('PDF protegido/criptografado não suportado');
+
+    const doc = new PdfDoc(bin);
+    doc.index();
+    await doc.expandObjectStreams();
+
+    const pageNums = doc.pageOrder();
+    const fontCache = new Map();
+    const sections = [];
+    const warnings = [];
+
+    for (let p = 0; p < pageNums.length; p++) {
+      const pageNum = pageNums[p];
+      const fontRefs = doc.pageFonts(pageNum);
+      const fonts = {};
+      for (const [name, ref] of Object.entries(fontRefs)) {
+        if (!fontCache.has(ref)) {
+          const fdict = doc.objects.get(ref)?.dict || '';
+          const tu = parseRef(dictGet(fdict, 'ToUnicode'));
+          let entry = { map: new Map(), codeBytes: /\/Subtype\s*\/Type0/.test(fdict) ? 2 : 1 };
+          if (tu != null) {
+            const cmapBytes = await doc.streamBytes(tu);
+            if (cmapBytes) entry = parseCMap(bytesToLatin1(cmapBytes));
+          }
+          fontCache.set(ref, entry);
+        }
+        fonts[name] = fontCache.get(ref);
+      }
+
+      const pageDict = doc.objects.get(pageNum)?.dict || '';
+      let content = '';
+      for (const ref of refsIn(dictGet(pageDict, 'Contents'))) {
+        const bytes = await doc.streamBytes(ref);
+        if (bytes) content += bytesToLatin1(bytes) + '\n';
+      }
+
+      const text = tidy(textFromContent(content, fonts));
+      if (text) sections.push({ label: `Página ${p + 1}`, page: p + 1, text });
+
+      if (onProgress) onProgress((p + 1) / Math.max(1, pageNums.length), `página ${p + 1}/${pageNums.length}`);
+      if (p % 5 === 4) await tick();
+    }
+
+    if (!sections.length) warnings.push('Nenhum texto encontrado (PDF escaneado/imagem?)');
+    return { kind: 'pdf', sections, pages: pageNums.length, warnings };
+  }
+
+  // -------------------------
+  // ZIP (para DOCX)
+  // -------------------------
+  async function readZipEntry(buffer, wanted) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Arquivo zip inválido');
+
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let e = 0; e < count; e++) {
+      if (view.getUint32(ptr, true) !== 0x02014b50) break;
+      const method = view.getUint16(ptr + 10, true);
+      const compSize = view.getUint32(ptr + 20, true);
+      const nameLen = view.getUint16(ptr + 28, true);
+      const extraLen = view.getUint16(ptr + 30, true);
+      const commentLen = view.getUint16(ptr + 32, true);
+      const localOffset = view.getUint32(ptr + 42, true);
+      const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+      ptr += 46 + nameLen + extraLen + commentLen;
+
+      if (name !== wanted) continue;
+      const lNameLen = view.getUint16(localOffset + 26, true);
+      const lExtraLen = view.getUint16(localOffset + 28, true);
+      const start = localOffset + 30 + lNameLen + lExtraLen;
+      const data = bytes.subarray(start, start + compSize);
+      if (method === 0) return data;
+      if (method === 8) return inflate(data, 'deflate-raw');
+      throw new Error(`Compressão zip não suportada (${method})`);
+    }
+    return null;
+  }
+
+  // -------------------------
+  // DOCX
+  // -------------------------
+  async function extractDocx(buffer, onProgress) {
+    const xmlBytes = await readZipEntry(buffer, 'word/document.xml');
+    if (!xmlBytes) throw new Error('DOCX sem word/document.xml');
+    if (onProgress) onProgress(0.5, 'lendo XML');
+
+    const xml = new DOMParser().parseFromString(new TextDecoder().decode(xmlBytes), 'application/xml');
+    const body = Array.from(xml.getElementsByTagName('*')).find(n => n.localName === 'body');
+    if (!body) throw new Error('DOCX sem corpo de documento');
+
+    const paraText = (p) => {
+      let s = '';
+      for (const n of p.getElementsByTagName('*')) {
+        if (n.localName === 't') s += n.textContent;
+        else if (n.localName === 'tab') s += '\t';
+        else if (n.localName === 'br' || n.localName === 'cr') s += '\n';
+      }
+      return s;
+    };
+    const paraStyle = (p) => {
+      const st = Array.from(p.getElementsByTagName('*')).find(n => n.localName === 'pStyle');
+      if (!st) return '';
+      return st.getAttribute('w:val') || st.getAttributeNS(st.namespaceURI, 'val') || '';
+    };
+
+    const sections = [];
+    let current = { label: 'Início', text: '' };
+    const flush = () => {
+      const text = tidy(current.text);
+      if (text) sections.push({ label: current.label, text });
+    };
+
+    for (const node of Array.from(body.children)) {
+      if (node.localName === 'p') {
+        const text = paraText(node);
+        if (/^(heading|titulo|título|title)/i.test(paraStyle(node)) && text.trim()) {
+          flush();
+          current = { label: text.trim().slice(0, 120), text: text + '\n' };
+        } else {
+          current.text += text + '\n';
+        }
+      } else if (node.localName === 'tbl') {
+        for (const row of Array.from(node.getElementsByTagName('*')).filter(n => n.localName === 'tr')) {
+          const cells = Array.from(row.children).filter(n => n.localName === 'tc');
+          current.text += cells.map(c => Array.from(c.getElementsByTagName('*'))
+            .filter(n => n.localName === 'p').map(paraText).join(' ').trim()).join(' | ') + '\n';
+        }
+        current.text += '\n';
+      }
+    }
+    flush();
+    if (onProgress) onProgress(1, 'pronto');
+    return { kind: 'docx', sections, pages: 0, warnings: sections.length ? [] : ['Documento sem texto'] };
+  }
+
+  // -------------------------
+  // CSV
+  // -------------------------
+  function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delim = [';', '\t', ','].map(d => [d, firstLine.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delim) {
+        row.push(field); field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field); field = '';
+        if (row.some(c => c.trim())) rows.push(row);
+        row = [];
+      } else {
+        field += ch;
+      }
+    }
+    row.push(field);
+    if (row.some(c => c.trim())) rows.push(row);
+    return rows;
+  }
+
+  function extractCsv(text, onProgress) {
+    const rows = parseCsv(text.replace(/^﻿/, ''));
+    if (!rows.length) return { kind: 'csv', sections: [], pages: 0, warnings: ['CSV vazio'] };
+    const header = rows[0].map((h, i) => h.trim() || `coluna${i + 1}`);
+    const sections = [];
+    for (let i = 1; i < rows.length; i += CSV_ROWS_PER_SECTION) {
+      const block = rows.slice(i, i + CSV_ROWS_PER_SECTION);
+      const lines = block.map(r => header.map((h, j) => (r[j] || '').trim() ? `${h}: ${r[j].trim()}` : '').filter(Boolean).join('; '));
+      sections.push({ label: `Linhas ${i + 1}–${i + block.length}`, text: lines.join('\n') });
+      if (onProgress) onProgress(Math.min(1, (i + block.length) / rows.length), 'linhas');
+    }
+    return { kind: 'csv', sections, pages: 0, warnings: [] };
+  }
+
+  // -------------------------
+  // HTML / TXT / MD
+  // -------------------------
+  function extractHtml(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    doc.querySelectorAll('script,style,noscript,nav,footer,svg,iframe').forEach(n => n.remove());
+    const sections = [];
+    let current = { label: doc.title || 'Início', text: '' };
+    const flush = () => {
+      const t = tidy(current.text);
+      if (t) sections.push({ label: current.label, text: t });
+    };
+    const walker = doc.createTreeWalker(doc.body || doc.documentElement, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    const BLOCK = /^(P|DIV|LI|TR|BR|SECTION|ARTICLE|H[1-6]|TABLE|UL|OL|PRE|BLOCKQUOTE)$/;
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        current.text += node.nodeValue;
+      } else if (/^H[1-3]$/.test(node.tagName) && node.textContent.trim()) {
+        flush();
+        current = { label: node.textContent.trim().slice(0, 120), text: '' };
+      } else if (BLOCK.test(node.tagName)) {
+        current.text += '\n';
+      } else if (node.tagName === 'TD' || node.tagName === 'TH') {
+        current.text += ' | ';
+      }
+    }
+    flush();
+    return { kind: 'html', sections, pages: 0, warnings: sections.length ? [] : ['Página sem texto'] };
+  }
+
+  function extractPlain(text, kind) {
+    const sections = [];
+    let current = { label: 'Início', text: '' };
+    for (const line of text.replace(/^﻿/, '').split(/\r?\n/)) {
+      const h = kind === 'md' ? /^#{1,3}\s+(.+)/.exec(line) : null;
+      if (h) {
+        if (tidy(current.text)) sections.push({ label: current.label, text: tidy(current.text) });
+        current = { label: h[1].trim().slice(0, 120), text: line + '\n' };
+      } else {
+        current.text += line + '\n';
+      }
+    }
+    if (tidy(current.text)) sections.push({ label: current.label, text: tidy(current.text) });
+    return { kind, sections, pages: 0, warnings: sections.length ? [] : ['Arquivo vazio'] };
+  }
+
+  // -------------------------
+  // Public API
+  // -------------------------
+  function detectKind(file) {
+    const name = String(file?.name || '').toLowerCase();
+    const type = String(file?.type || '').toLowerCase();
+    if (name.endsWith('.pdf') || type === 'application/pdf') return 'pdf';
+    if (name.endsWith('.docx') || type.includes('wordprocessingml')) return 'docx';
+    if (name.endsWith('.csv') || type === 'text/csv') return 'csv';
+    if (/\.html?$/.test(name) || type === 'text/html') return 'html';
+    if (name.endsWith('.md')) return 'md';
+    if (name.endsWith('.txt') || type.startsWith('text/')) return 'txt';
+    return null;
+  }
+
+  async function extract(file, onProgress) {
+    const kind = detectKind(file);
+    if (!kind) throw new Error('Formato não suportado (use PDF, DOCX, CSV, HTML, TXT ou MD)');
+    if (onProgress) onProgress(0, 'lendo arquivo');
+
+    let result;
+    if (kind === 'pdf') result = await extractPdf(await file.arrayBuffer(), onProgress);
+    else if (kind === 'docx') result = await extractDocx(await file.arrayBuffer(), onProgress);
+    else {
+      const text = await file.text();
+      if (kind === 'csv') result = extractCsv(text, onProgress);
+      else if (kind === 'html') result = extractHtml(text);
+      else result = extractPlain(text, kind);
+    }
+
+    result.chars = result.sections.reduce((sum, s) => sum + s.text.length, 0);
+    if (onProgress) onProgress(1, 'pronto');
+    return result;
+  }
+
+  globalThis.WHL_DocIngest = {
+    ACCEPT: '.pdf,.docx,.csv,.html,.htm,.txt,.md',
+    detectKind,
+    extract,
+    // Reaproveitados pelo importador de contatos (content/contactImport.js)
+    readZipEntry,
+    parseCsv
+  };
+})();
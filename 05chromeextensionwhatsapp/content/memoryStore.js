@@ -0,0 +1,409 @@
+// content/memoryStore.js
+// Memória estruturada e versionada por contato (Leão), em IndexedDB, sem limite de contatos.
+//
+// Loaded as a content script before content.js; exposes globalThis.WHL_MemoryStore.
+//
+// Store "memories" (keyPath contactId, o ID de WHL_ContactIdentity):
+// {
+//   contactId, title, revision, createdAt, updatedAt,
+//   fields: { profile, tone, preferences: [], context: [], open_loops: [], next_actions: [] },
+//   closed_loops: [{ text, at }]          // pendências resolvidas (saem de open_loops)
+// }
+// Store "revisions" (keyPath [contactId, revision]): uma por alteração, com o estado completo
+// depois dela e o diff ({ field, op: set | add | remove | close, value, previous }).
+// source: ai | manual | rollback | migration | sync (veio de outro agente / do painel)
+//
+// Merge de cada atualização da IA (campo a campo, nunca sobrescreve o blob inteiro):
+//   profile / tone   -> trocam só quando vem valor de verdade ("desconhecido" não apaga nada)
+//   listas           -> acrescenta e remove duplicados (sem acento/caixa/pontuação), guarda as mais novas
+//   resolved_loops   -> fecha as open_loops correspondentes (vão para closed_loops)
+//
+// Memória vinda do servidor (applyRemote): vence o updatedAt mais novo. Se a alteração local
+// ainda não foi enviada, mescla campo a campo (listas unidas, texto do lado mais novo) e o
+// resultado volta para o servidor.
+
+(function () {
+  'use strict';
+
+  const DB_NAME = 'whl_contact_memory';
+  const DB_VERSION = 1;
+  const MAX_REVISIONS = 50; // por contato
+  const MAX_CLOSED_LOOPS = 30;
+
+  const TEXT_FIELDS = ['profile', 'tone'];
+  const LIST_LIMITS = { preferences: 25, context: 40, open_loops: 20, next_actions: 10 };
+  const LIST_FIELDS = Object.keys(LIST_LIMITS);
+  const FIELD_LABELS = {
+    profile: 'Perfil',
+    tone: 'Tom',
+    preferences: 'Preferências',
+    context: 'Contexto',
+    open_loops: 'Pendências',
+    next_actions: 'Próximos'
+  };
+
+  let dbPromise = null;
+
+  // -------------------------
+  // IndexedDB helpers
+  // -------------------------
+  // Memórias de outra loja ficam em outro banco: whl_contact_memory@<id> (content/workspace.js)
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = globalThis.WHL_Workspace.dbName(DB_NAME).then(name => new Promise((resolve, reject) => {
+      const req = indexedDB.open(name, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('memories')) {
+          db.createObjectStore('memories', { keyPath: 'contactId' });
+        }
+        if (!db.objectStoreNames.contains('revisions')) {
+          const store = db.createObjectStore('revisions', { keyPath: ['contactId', 'revision'] });
+          store.createIndex('contactId', 'contactId', { unique: false });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    }));
+    return dbPromise;
+  }
+
+  function reqToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // fn deve só enfileirar requests (sem await de outras promises, senão a transação fecha)
+  async function tx(storeNames, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(storeNames, mode);
+      let result;
+      Promise.resolve(fn(t)).then(r => { result = r; }, reject);
+      t.oncomplete = () => resolve(result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  function revisionRange(contactId, from = 0, to = Number.MAX_SAFE_INTEGER) {
+    return IDBKeyRange.bound([contactId, from], [contactId, to]);
+  }
+
+  // -------------------------
+  // Merge / diff (puros)
+  // -------------------------
+  function emptyFields() {
+    return { profile: '', tone: '', preferences: [], context: [], open_loops: [], next_actions: [] };
+  }
+
+  function cleanText(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  function isUnknown(text) {
+    return !text || /^(desconhecid[oa]|unknown|n\/a|-|nenhum[a]?|none)\.?$/i.test(text);
+  }
+
+  // Chave de comparação: sem acento, caixa nem pontuação
+  function itemKey(text) {
+    return cleanText(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  function sameItem(a, b) {
+    const ka = itemKey(a);
+    const kb = itemKey(b);
+    if (!ka || !kb) return false;
+    if (ka === kb) return true;
+    // "enviar orçamento" fecha "enviar orçamento do sofá": uma contém a outra (mínimo 8 letras)
+    const [short, long] = ka.length <= kb.length ? [ka, kb] : [kb, ka];
+    return short.length >= 8 && long.includes(short);
+  }
+
+  function toList(value) {
+    const raw = Array.isArray(value) ? value : (value ? [value] : []);
+    return raw.map(cleanText).filter(t => !isUnknown(t));
+  }
+
+  /**
+   * Normalizar o JSON da IA (ou de uma memória antiga) para { fields, resolved }
+   */
+  function normalizeUpdate(json) {
+    const src = json && typeof json === 'object' ? json : {};
+    const fields = {};
+    for (const f of TEXT_FIELDS) {
+      const text = cleanText(src[f]);
+      if (!isUnknown(text)) fields[f] = text;
+    }
+    for (const f of LIST_FIELDS) {
+      const list = toList(src[f]);
+      if (list.length) fields[f] = list;
+    }
+    return { fields, resolved: toList(src.resolved_loops) };
+  }
+
+  /**
+   * Aplicar uma atualização sobre o estado atual (não muta). Listas: acrescenta sem duplicar e
+   * mantém as mais recentes; resolved fecha pendências abertas.
+   * @returns {{ fields, closed_loops }}
+   */
+  function mergeFields(current, update, now = Date.now()) {
+    const fields = { ...emptyFields(), ...(current?.fields || {}) };
+    let closed = [...(current?.closed_loops || [])];
+    const { fields: incoming, resolved } = normalizeUpdate(update);
+
+    for (const f of TEXT_FIELDS) {
+      if (incoming[f]) fields[f] = incoming[f];
+    }
+    for (const f of LIST_FIELDS) {
+      const list = [...fields[f]];
+      for (const item of incoming[f] || []) {
+        const at = list.findIndex(existing => itemKey(existing) === itemKey(item));
+        // Repetido: mantém o texto que já estava e move para o fim (é recente)
+        list.push(at >= 0 ? list.splice(at, 1)[0] : item);
+      }
+      fields[f] = list.slice(-LIST_LIMITS[f]);
+    }
+
+    if (resolved.length) {
+      const stillOpen = [];
+      for (const loop of fields.open_loops) {
+        if (resolved.some(r => sameItem(r, loop))) closed.push({ text: loop, at: now });
+        else stillOpen.push(loop);
+      }
+      fields.open_loops = stillOpen;
+      closed = closed.slice(-MAX_CLOSED_LOOPS);
+    }
+    // Pendência que a IA repetiu depois de fechada volta a ficar aberta: sai de closed_loops
+    closed = closed.filter(c => !fields.open_loops.some(open => itemKey(open) === itemKey(c.text)));
+    return { fields, closed_loops: closed };
+  }
+
+  /**
+   * Diferenças entre dois estados ({ fields, closed_loops })
+   * @returns {Array<{ field, op: 'set'|'add'|'remove'|'close', value, previous? }>}
+   */
+  function diffFields(before, after) {
+    const a = { ...emptyFields(), ...(before?.fields || {}) };
+    const b = { ...emptyFields(), ...(after?.fields || {}) };
+    const changes = [];
+    for (const f of TEXT_FIELDS) {
+      if (a[f] !== b[f]) changes.push({ field: f, op: 'set', value: b[f], previous: a[f] });
+    }
+    const closedBefore = new Set((before?.closed_loops || []).map(c => itemKey(c.text)));
+    const closedNow = new Set((after?.closed_loops || []).map(c => itemKey(c.text)).filter(k => !closedBefore.has(k)));
+    for (const f of LIST_FIELDS) {
+      const keysA = new Set(a[f].map(itemKey));
+      const keysB = new Set(b[f].map(itemKey));
+      for (const item of b[f]) if (!keysA.has(itemKey(item))) changes.push({ field: f, op: 'add', value: item });
+      for (const item of a[f]) {
+        if (keysB.has(itemKey(item))) continue;
+        const op = f === 'open_loops' && closedNow.has(itemKey(item)) ? 'close' : 'remove';
+        changes.push({ field: f, op, value: item });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Texto da memória para o prompt (mesmo formato que o painel sempre mostrou)
+   */
+  function summaryOf(memory) {
+    const f = { ...emptyFields(), ...(memory?.fields || {}) };
+    return [
+      f.profile ? `${FIELD_LABELS.profile}: ${f.profile}` : '',
+      f.tone ? `${FIELD_LABELS.tone}: ${f.tone}` : '',
+      ...LIST_FIELDS.map(k => (f[k].length ? `${FIELD_LABELS[k]}: ${f[k].join('; ')}` : ''))
+    ].filter(Boolean).join('\n');
+  }
+
+  function withSummary(memory) {
+    return memory ? { ...memory, summary: summaryOf(memory) } : null;
+  }
+
+  // -------------------------
+  // Leitura / escrita
+  // -------------------------
+  async function get(contactId) {
+    if (!contactId) return null;
+    const memory = await tx(['memories'], 'readonly', t => reqToPromise(t.objectStore('memories').get(contactId)));
+    return withSummary(memory);
+  }
+
+  // Grava o novo estado + revisão (só se algo mudou) e poda revisões antigas
+  async function commit(contactId, computeNext, { source, title = '', at = Date.now(), restoredFrom = null } = {}) {
+    return tx(['memories', 'revisions'], 'readwrite', async (t) => {
+      const memories = t.objectStore('memories');
+      const revisions = t.objectStore('revisions');
+      const current = await reqToPromise(memories.get(contactId));
+      const next = computeNext(current);
+      if (!next) return { memory: withSummary(current), changes: [], revision: current?.revision || 0 };
+
+      const changes = diffFields(current, next);
+      const titleChanged = Boolean(title) && title !== current?.title;
+      if (!changes.length && !titleChanged) return { memory: withSummary(current), changes, revision: current?.revision || 0 };
+
+      const revision = (current?.revision || 0) + (changes.length ? 1 : 0);
+      const stamp = next.updatedAt || at;
+      const memory = {
+        contactId,
+        title: title || current?.title || '',
+        revision,
+        fields: next.fields,
+        closed_loops: next.closed_loops || [],
+        createdAt: current?.createdAt || stamp,
+        updatedAt: changes.length ? stamp : (current?.updatedAt || stamp)
+      };
+      memories.put(memory);
+      if (changes.length) {
+        revisions.put({ contactId, revision, at, source, restoredFrom, changes, fields: memory.fields, closed_loops: memory.closed_loops });
+        if (revision > MAX_REVISIONS) revisions.delete(revisionRange(contactId, 0, revision - MAX_REVISIONS));
+      }
+      return { memory: withSummary(memory), changes, revision };
+    });
+  }
+
+  /**
+   * Mesclar uma atualização (JSON da IA: profile, preferences, ..., resolved_loops) na memória
+   * @returns {Promise<{ memory, changes, revision }>} changes vazio = nada novo (sem revisão)
+   */
+  async function update(contactId, json, { source = 'ai', title = '' } = {}) {
+    if (!contactId) throw new Error('Contato sem ID para gravar memória.');
+    return commit(contactId, current => mergeFields(current, json), { source, title });
+  }
+
+  /**
+   * Voltar a memória ao estado de uma revisão (vira uma revisão nova, nada é apagado)
+   */
+  async function rollback(contactId, revision) {
+    const target = await tx(['revisions'], 'readonly', t => reqToPromise(t.objectStore('revisions').get([contactId, Number(revision)])));
+    if (!target) throw new Error(`Revisão ${revision} não encontrada.`);
+    return commit(contactId, () => ({ fields: target.fields, closed_loops: target.closed_loops || [] }), {
+      source: 'rollback',
+      restoredFrom: target.revision
+    });
+  }
+
+  /**
+   * Revisões de um contato, mais nova primeiro
+   */
+  async function listRevisions(contactId, limit = MAX_REVISIONS) {
+    const all = await tx(['revisions'], 'readonly', t => reqToPromise(t.objectStore('revisions').getAll(revisionRange(contactId))));
+    return all.sort((a, b) => b.revision - a.revision).slice(0, limit);
+  }
+
+  /**
+   * Importar uma memória antiga de whl_memories ({ summary, json, updatedAt, title }).
+   * Só quando o contato ainda não tem memória aqui; sem JSON o resumo vira contexto.
+   */
+  async function importLegacy(contactId, legacy) {
+    const json = legacy?.json && typeof legacy.json === 'object'
+      ? legacy.json
+      : { context: cleanText(legacy?.summary) ? [cleanText(legacy.summary)] : [] };
+    const at = new Date(legacy?.updatedAt || Date.now()).getTime() || Date.now();
+    return commit(contactId, current => (current ? null : mergeFields(null, json, at)), {
+      source: 'migration',
+      title: legacy?.title || '',
+      at
+    });
+  }
+
+  // -------------------------
+  // Sync (memória vinda do servidor)
+  // -------------------------
+  // Evento chat_memory ({ fields, closed_loops, updatedAt }) ou memória antiga ({ summary, json })
+  function remoteState(remote) {
+    if (remote?.fields && typeof remote.fields === 'object') {
+      const { fields } = mergeFields(null, remote.fields);
+      const closed = (Array.isArray(remote.closed_loops) ? remote.closed_loops : [])
+        .map(c => ({ text: cleanText(c?.text ?? c), at: Number(c?.at) || Date.now() }))
+        .filter(c => c.text);
+      return { fields, closed_loops: closed.slice(-MAX_CLOSED_LOOPS) };
+    }
+    const json = remote?.json && typeof remote.json === 'object'
+      ? remote.json
+      : { context: cleanText(remote?.summary) ? [cleanText(remote.summary)] : [] };
+    return mergeFields(null, json);
+  }
+
+  /**
+   * Mesclar dois estados concorrentes (puro): listas unidas sem duplicar, profile/tone do mais
+   * novo (o outro só preenche vazio), pendência fechada de um lado fecha no outro.
+   */
+  function mergeConcurrent(local, remote, localNewer) {
+    const [newer, older] = localNewer ? [local, remote] : [remote, local];
+    const fields = emptyFields();
+    for (const f of TEXT_FIELDS) fields[f] = newer.fields?.[f] || older.fields?.[f] || '';
+
+    const closedByKey = new Map();
+    for (const c of [...(older.closed_loops || []), ...(newer.closed_loops || [])]) closedByKey.set(itemKey(c.text), c);
+    for (const f of LIST_FIELDS) {
+      const list = [];
+      for (const item of [...(older.fields?.[f] || []), ...(newer.fields?.[f] || [])]) {
+        const at = list.findIndex(existing => itemKey(existing) === itemKey(item));
+        if (at >= 0) list.splice(at, 1);
+        list.push(item);
+      }
+      fields[f] = list.slice(-LIST_LIMITS[f]);
+    }
+    // Fechar é explícito: pendência fechada em qualquer um dos lados sai de open_loops
+    const closed_loops = [...closedByKey.values()];
+    const closedKeys = new Set(closedByKey.keys());
+    fields.open_loops = fields.open_loops.filter(loop => !closedKeys.has(itemKey(loop)));
+    return { fields, closed_loops: closed_loops.slice(-MAX_CLOSED_LOOPS) };
+  }
+
+  /**
+   * Aplicar a memória de um contato recebida do servidor.
+   * @param {Object} remote memória do evento chat_memory
+   * @param {{ localPending?: boolean, title?: string }} opts localPending = alteração local ainda
+   *   na outbox (não enviada): mescla em vez de escolher um lado
+   * @returns {Promise<{ memory, changes, revision, applied: 'new'|'replaced'|'merged'|'skipped', conflict }>}
+   *   conflict = o resultado é uma mescla nova e precisa ser reenviado
+   */
+  async function applyRemote(contactId, remote, { localPending = false, title = '' } = {}) {
+    if (!contactId || !remote) throw new Error('Memória remota sem contato.');
+    const remoteAt = new Date(remote.updatedAt || 0).getTime() || 0;
+    const incoming = remoteState(remote);
+    let applied = 'skipped';
+
+    const result = await commit(contactId, (current) => {
+      if (!current) {
+        applied = 'new';
+        return { ...incoming, updatedAt: remoteAt || Date.now() };
+      }
+      if (localPending) {
+        applied = 'merged';
+        return { ...mergeConcurrent(current, incoming, current.updatedAt >= remoteAt), updatedAt: Date.now() };
+      }
+      if (current.updatedAt >= remoteAt) return null;
+      applied = 'replaced';
+      return { ...incoming, updatedAt: remoteAt };
+    }, { source: 'sync', title });
+
+    if (applied !== 'skipped' && !result.changes.length) applied = 'skipped';
+    return { ...result, applied, conflict: applied === 'merged' };
+  }
+
+  globalThis.WHL_MemoryStore = {
+    FIELD_LABELS,
+    TEXT_FIELDS,
+    LIST_FIELDS,
+    normalizeUpdate,
+    mergeFields,
+    diffFields,
+    summaryOf,
+    get,
+    update,
+    rollback,
+    listRevisions,
+    importLegacy,
+    mergeConcurrent,
+    applyRemote
+  };
+})();
@@ -0,0 +1,532 @@
+// content/selectorRegistry.js
+// Versioned registry of WhatsApp Web selectors (single source for content.js).
+//
+// Loaded as a content script before content.js; exposes globalThis.WHL_Selectors:
+//   find(key, { root, visible })  -> first match (fallback list -> learned -> heuristic)
+//   findAll(key, { root })        -> union of every selector in the list
+//   list(key)                     -> selector list (debug)
+//   selectors                     -> live map key -> [selectors] (updated in place)
+//   getStats() / version
+//
+// Updates: the service worker fetches a signed registry from the backend
+// (background/selectorRegistry.js) and stores it in whl_selector_registry; it is applied here
+// on load and on every storage change, without reinstalling the extension.
+//
+// Which fallback matched is counted per key (whl_selector_stats). When every selector of a key
+// fails, heuristics (role, aria-label, data-icon) try to re-locate the element; a hit is cached
+// for the page session and reported to the SW as drift (SELECTOR_DRIFT).
+
+(function () {
+  'use strict';
+
+  const BUILTIN_VERSION = '2025.1';
+  const STATS_KEY = 'whl_selector_stats';
+  const REGISTRY_KEY = 'whl_selector_registry';
+  const STATS_FLUSH_MS = 15000;
+  const HEURISTIC_MAX_CANDIDATES = 400;
+
+  // -------------------------
+  // Built-in registry (2024/2025)
+  // -------------------------
+  const BUILTIN = {
+    chatHeader: [
+      'header span[title]',
+      'header [title]',
+      '#main header span[dir="auto"]',
+      'header',
+      '[data-testid="conversation-header"]',
+      '#main header'
+    ],
+    composer: [
+      // Lexical editor (2024/2025)
+      '[data-testid="conversation-compose-box-input"]',
+      'footer div[contenteditable="true"][data-lexical-editor="true"]',
+      // A caixa de busca também é Lexical: sem chat aberto só ela existiria
+      '#main [data-lexical-editor="true"]',
+      'div[contenteditable="true"][data-tab="10"]',
+      // Legacy
+      'footer [contenteditable="true"][role="textbox"]',
+      '#main footer div[contenteditable="true"]',
+      'footer div[contenteditable="true"]',
+      '#main footer [contenteditable="true"]',
+      'div._3Uu1_'
+    ],
+    sendButton: [
+      '[data-testid="compose-btn-send"]',
+      'footer span[data-icon="wds-ic-send-filled"]',
+      'footer button span[data-icon="send"]',
+      'footer button span[data-icon="send-light"]',
+      'button span[data-icon="send"]',
+      'button[aria-label="Enviar"]',
+      'button[aria-label="Send"]',
+      'footer button[aria-label*="Enviar"]',
+      'footer button[aria-label*="Send"]',
+      'span[data-icon="wds-ic-send-filled"]',
+      'span[data-icon="send"]',
+      '[data-icon="send-light"]'
+    ],
+    attachButton: [
+      'footer button[aria-label*="Anexar"]',
+      'button[aria-label="Anexar"]',
+      'footer button[title*="Anexar"]',
+      'span[data-icon="plus-rounded"]',
+      'footer span[data-icon="attach-menu-plus"]',
+      'span[data-icon="attach-menu-plus"]',
+      'span[data-icon="plus"]',
+      'footer span[data-icon="clip"]',
+      'span[data-icon="clip"]',
+      'footer span[data-icon="attach"]',
+      '[data-testid="attach-menu-plus"]'
+    ],
+    fileInput: [
+      'input[type="file"][accept*="image"]',
+      'input[type="file"][accept*="video"]',
+      'input[type="file"]'
+    ],
+    searchBox: [
+      '[contenteditable="true"][data-tab="3"]',
+      'div[role="textbox"][data-tab="3"]',
+      '#side div[contenteditable="true"]',
+      'div[aria-label="Caixa de texto de pesquisa"]',
+      'div[aria-label="Search input textbox"]',
+      'div[role="textbox"][title*="Pesquisar"]',
+      '[data-testid="chat-list-search"]',
+      '[data-testid="chat-list-search"] div[contenteditable="true"]',
+      '#pane-side div[contenteditable="true"]'
+    ],
+    searchResults: [
+      '[data-testid="search-result-chat"]',
+      '[data-testid="cell-frame-container"]',
+      '#pane-side [role="listitem"]',
+      '#pane-side [role="row"]',
+      '[data-testid="chat-list"] [role="row"]',
+      '._3m_Xw'
+    ],
+    chatList: [
+      '#pane-side [role="row"]',
+      '[data-testid="chat-list"] [role="row"]',
+      '[data-testid="chat-list"] [role="listitem"]'
+    ],
+    messagesContainer: [
+      '[data-testid="conversation-panel-messages"]',
+      '#main div[role="application"]',
+      '#main'
+    ],
+    messageNodes: [
+      'div[data-pre-plain-text]',
+      '[data-testid="msg-container"]'
+    ],
+    // Ticks da bolha de saída (msg-time = relógio, msg-check = enviado, msg-dblcheck = entregue/lido)
+    messageTick: [
+      'span[data-icon="msg-dblcheck"]',
+      'span[data-icon="msg-check"]',
+      'span[data-icon="msg-time"]',
+      '[data-testid="msg-dblcheck"]',
+      '[data-testid="msg-check"]',
+      '[data-testid="msg-time"]',
+      'span[data-icon^="msg-"]'
+    ],
+    loginQr: [
+      '[data-testid="qrcode"]',
+      'canvas[aria-label*="QR"]',
+      'canvas[aria-label*="Scan"]',
+      'div[data-ref] canvas'
+    ],
+    dialogRoot: [
+      'div[role="dialog"]',
+      '[data-testid="media-viewer"]',
+      '[data-testid="popup"]'
+    ],
+    // Faixas de aviso (conta restrita/banida, envio bloqueado) - lidas pela proteção de campanha
+    warningBanner: [
+      '[role="alert"]',
+      '[data-testid="alert-notification"]',
+      '[data-testid="chatlist-banner"]',
+      '#side [data-testid*="banner"]'
+    ],
+    mediaDialog: [
+      '[data-testid="media-viewer-modal"]',
+      '[data-animate-modal-popup="true"]',
+      '.media-canvas-renderer',
+      '._2Ts6i._2xAQV',
+      '[data-animate-media-viewer="true"]'
+    ],
+    mediaSendButton: [
+      'span[data-icon="wds-ic-send-filled"]',
+      '[data-testid="media-send-button"]',
+      '[data-testid="send"]',
+      'div[role="button"][aria-label*="Enviar"]',
+      'button[aria-label*="Enviar"]',
+      'button[aria-label*="Send"]',
+      'span[data-icon="send"]',
+      'span[data-icon="send-light"]',
+      'button._1E0Oz'
+    ],
+    mediaCaption: [
+      '[data-testid="media-caption-input"]',
+      '[role="dialog"] [contenteditable="true"][role="textbox"]',
+      '[data-animate-modal-popup="true"] div[contenteditable="true"][data-tab]',
+      'div[contenteditable="true"][data-tab="10"]',
+      '.media-caption-input'
+    ],
+
+    // WhatsAppTextMonitor
+    messageContainer: [
+      '[data-testid="conversation-panel-messages"]',
+      '.message-list',
+      '._33LGR',
+      '[data-testid="msg-container"]'
+    ],
+    messages: [
+      '[data-testid="msg-container"]',
+      '.message-in, .message-out',
+      '._22Msk',
+      '.focusable-list-item'
+    ],
+    typingIndicator: [
+      '[data-testid="typing"]',
+      '._2QZ0V',
+      '.typing-indicator'
+    ],
+    currentChat: [
+      '[data-testid="conversation-header"]',
+      '.chat-active',
+      '._2gzeB'
+    ],
+    messageText: [
+      '[data-testid="msg-text"]',
+      '.selectable-text',
+      '._11JPr'
+    ],
+    messageInfo: [
+      '[data-testid="msg-meta"]',
+      '.message-datetime',
+      '._1beEj'
+    ],
+    messageAuthor: [
+      '[data-testid="msg-name"]',
+      '.message-author',
+      '._3FuDI'
+    ]
+  };
+
+  // Nomes antigos -> chave canônica
+  const ALIASES = {
+    messageInput: 'composer'
+  };
+
+  // Ícones (span[data-icon]) sobem até o elemento clicável
+  const BUILTIN_CLOSEST = {
+    sendButton: 'button, div[role="button"]',
+    attachButton: 'button, div[role="button"]',
+    mediaSendButton: 'button, div[role="button"]'
+  };
+
+  // Re-localização quando toda a lista falha. JSON puro (pode vir do backend):
+  //   scope: onde procurar; roles/tags: papel esperado; aria: regex sobre aria-label/title/placeholder;
+  //   icons: regex sobre data-icon (no próprio elemento ou filhos); editable: contenteditable.
+  const BUILTIN_HEURISTICS = {
+    composer: { scope: '#main footer, footer', roles: ['textbox'], editable: true, aria: 'mensagem|message|digit|type' },
+    sendButton: { scope: '#main footer, footer', roles: ['button'], tags: ['button'], aria: '^(enviar|send)\\b', icons: 'send' },
+    attachButton: { scope: '#main footer, footer', roles: ['button'], tags: ['button'], aria: 'anexar|attach', icons: 'plus|clip|attach' },
+    searchBox: { scope: '#side', roles: ['textbox'], editable: true, aria: 'pesquis|search|buscar' },
+    mediaSendButton: { scope: '[role="dialog"], [data-animate-modal-popup="true"]', roles: ['button'], tags: ['button'], aria: '^(enviar|send)\\b', icons: 'send' },
+    mediaCaption: { scope: '[role="dialog"], [data-animate-modal-popup="true"]', roles: ['textbox'], editable: true, aria: 'legenda|caption|mensagem|message' }
+  };
+
+  // -------------------------
+  // State
+  // -------------------------
+  const selectors = {};
+  const closest = {};
+  const heuristics = {};
+  const learned = {};
+  const reported = new Set();
+  const stats = {};
+  let version = BUILTIN_VERSION;
+  let revision = 0;
+  let statsDirty = false;
+  let statsTimer = null;
+
+  function applyBase() {
+    for (const [key, list] of Object.entries(BUILTIN)) selectors[key] = list.slice();
+    Object.assign(closest, BUILTIN_CLOSEST);
+    Object.assign(heuristics, BUILTIN_HEURISTICS);
+    for (const [alias, key] of Object.entries(ALIASES)) {
+      Object.defineProperty(selectors, alias, { get: () => selectors[key], enumerable: false, configurable: true });
+    }
+  }
+
+  function canonical(key) {
+    return ALIASES[key] || key;
+  }
+
+  function isValidSelector(sel) {
+    if (typeof sel !== 'string' || !sel.trim()) return false;
+    try {
+      document.createDocumentFragment().querySelector(sel);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function isVisible(el) {
+    return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  }
+
+  function lift(key, el) {
+    const target = closest[key] ? (el.closest(closest[key]) || el) : el;
+    return target && target.isConnected ? target : null;
+  }
+
+  // -------------------------
+  // Stats
+  // -------------------------
+  function statsFor(key) {
+    return stats[key] || (stats[key] = { hits: {}, learned: 0, heuristic: 0, miss: 0, last: null });
+  }
+
+  function recordHit(key, how, index) {
+    const s = statsFor(key);
+    if (how === 'selector') s.hits[index] = (s.hits[index] || 0) + 1;
+    else s[how] += 1;
+    s.last = { how, index: how === 'selector' ? index : null, selector: how === 'selector' ? selectors[key][index] : (learned[key] || null), at: Date.now() };
+    statsDirty = true;
+    if (!statsTimer) statsTimer = setTimeout(flushStats, STATS_FLUSH_MS);
+  }
+
+  function flushStats() {
+    statsTimer = null;
+    if (!statsDirty) return;
+    statsDirty = false;
+    try {
+      chrome.storage.local.set({ [STATS_KEY]: { version, revision, updatedAt: Date.now(), keys: stats } });
+    } catch (e) {}
+  }
+
+  // -------------------------
+  // Heuristic relocation
+  // -------------------------
+  function heuristicFind(key, root) {
+    const h = heuristics[key];
+    if (!h) return null;
+
+    let scopes = [root];
+    if (root === document && h.scope) {
+      try {
+        scopes = Array.from(document.querySelectorAll(h.scope));
+      } catch (e) {}
+      if (!scopes.length) return null;
+    }
+
+    const aria = h.aria ? new RegExp(h.aria, 'i') : null;
+    const icons = h.icons ? new RegExp(h.icons, 'i') : null;
+    const roles = h.roles || [];
+    const tags = (h.tags || []).map(t => t.toUpperCase());
+
+    let best = null;
+    let bestScore = 0;
+    for (const scope of scopes) {
+      const cands = scope.querySelectorAll('[role], [aria-label], [title], [contenteditable="true"], button, input, span[data-icon]');
+      const limit = Math.min(cands.length, HEURISTIC_MAX_CANDIDATES);
+      for (let i = 0; i < limit; i++) {
+        const el = cands[i];
+        if (!isVisible(el)) continue;
+        let score = 0;
+        let identified = false;
+        const role = el.getAttribute('role');
+        if (role && roles.includes(role)) score += 3;
+        if (tags.includes(el.tagName)) score += 1;
+        if (h.editable && el.getAttribute('contenteditable') === 'true') {
+          score += 2;
+          identified = true;
+        }
+        const label = el.getAttribute('aria-label') || el.getAttribute('title') || el.getAttribute('aria-placeholder') || '';
+        if (aria && label && aria.test(label)) {
+          score += 3;
+          identified = true;
+        }
+        if (icons) {
+          const icon = el.getAttribute('data-icon') || el.querySelector('[data-icon]')?.getAttribute('data-icon') || '';
+          if (icon && icons.test(icon)) {
+            score += 3;
+            identified = true;
+          }
+        }
+        // Papel sozinho não identifica (ex.: no lugar do "enviar" o footer mostra o microfone)
+        if (identified && score > bestScore) {
+          best = el;
+          bestScore = score;
+        }
+      }
+    }
+
+    return bestScore >= 4 ? lift(key, best) : null;
+  }
+
+  function cssEscape(v) {
+    return (typeof CSS !== 'undefined' && CSS.escape) ? CSS.escape(v) : String(v).replace(/["\\]/g, '\\$&');
+  }
+
+  // Seletor sugerido para o registro, a partir do elemento achado pela heurística
+  function suggestSelector(el) {
+    const icon = el.getAttribute('data-icon') || el.querySelector('[data-icon]')?.getAttribute('data-icon');
+    if (icon) return `span[data-icon="${cssEscape(icon)}"]`;
+    const tag = el.tagName.toLowerCase();
+    const testid = el.getAttribute('data-testid');
+    if (testid) return `[data-testid="${cssEscape(testid)}"]`;
+    const label = el.getAttribute('aria-label');
+    if (label) return `${tag}[aria-label="${cssEscape(label)}"]`;
+    const role = el.getAttribute('role');
+    const editable = el.getAttribute('contenteditable') === 'true' ? '[contenteditable="true"]' : '';
+    const tab = el.getAttribute('data-tab') ? `[data-tab="${cssEscape(el.getAttribute('data-tab'))}"]` : '';
+    return `${tag}${role ? `[role="${role}"]` : ''}${editable}${tab}`;
+  }
+
+  function reportDrift(key, el, suggestion) {
+    if (reported.has(key)) return;
+    reported.add(key);
+    const sample = el.outerHTML.slice(0, el.outerHTML.indexOf('>') + 1).slice(0, 300);
+    console.warn(`[WHL Selectors] "${key}" re-localizado por heurística (registro ${version}); sugestão: ${suggestion}`);
+    try {
+      chrome.runtime.sendMessage({
+        type: 'SELECTOR_DRIFT',
+        payload: { key, kind: 'heuristic', suggestion, sample, registryVersion: version, tried: selectors[key].length }
+      }).catch?.(() => {});
+    } catch (e) {}
+  }
+
+  // -------------------------
+  // Public API
+  // -------------------------
+  function find(key, opts = {}) {
+    key = canonical(key);
+    const list = selectors[key];
+    if (!list) return null;
+    const root = opts.root || document;
+    const visible = !!opts.visible;
+
+    for (let i = 0; i < list.length; i++) {
+      let nodes;
+      try {
+        nodes = root.querySelectorAll(list[i]);
+      } catch (e) {
+        continue;
+      }
+      for (const node of nodes) {
+        const el = lift(key, node);
+        if (el && (!visible || isVisible(el))) {
+          recordHit(key, 'selector', i);
+          return el;
+        }
+      }
+    }
+
+    if (learned[key]) {
+      try {
+        const node = root.querySelector(learned[key]);
+        const el = node && lift(key, node);
+        if (el && (!visible || isVisible(el))) {
+          recordHit(key, 'learned');
+          return el;
+        }
+      } catch (e) {}
+    }
+
+    const el = heuristicFind(key, root);
+    if (el) {
+      const suggestion = suggestSelector(el);
+      if (isValidSelector(suggestion)) learned[key] = suggestion;
+      recordHit(key, 'heuristic');
+      reportDrift(key, el, suggestion);
+      return el;
+    }
+
+    statsFor(key).miss += 1;
+    return null;
+  }
+
+  function findAll(key, opts = {}) {
+    key = canonical(key);
+    const root = opts.root || document;
+    const out = [];
+    for (const sel of selectors[key] || []) {
+      try {
+        for (const el of root.querySelectorAll(sel)) {
+          if (el.isConnected && !out.includes(el)) out.push(el);
+        }
+      } catch (e) {}
+    }
+    return out;
+  }
+
+  function list(key) {
+    return (selectors[canonical(key)] || []).slice();
+  }
+
+  /**
+   * Aplicar registro remoto (já verificado pelo SW). Chaves ausentes mantêm o built-in.
+   */
+  function apply(remote, { force = false } = {}) {
+    if (!remote || typeof remote.selectors !== 'object' || !remote.verified) return false;
+    const rev = Number(remote.revision) || 0;
+    if (!force && rev <= revision) return false;
+
+    applyBase();
+    for (const [key, arr] of Object.entries(remote.selectors)) {
+      if (!Array.isArray(arr) || ALIASES[key]) continue;
+      const valid = arr.filter(isValidSelector);
+      if (valid.length) selectors[key] = valid;
+    }
+    for (const [key, h] of Object.entries(remote.heuristics || {})) {
+      if (h && typeof h === 'object') heuristics[key] = h;
+      if (h && typeof h.closest === 'string' && isValidSelector(h.closest)) closest[key] = h.closest;
+    }
+    revision = rev;
+    version = String(remote.version || rev);
+    for (const key of Object.keys(learned)) delete learned[key];
+    reported.clear();
+    console.log(`[WHL Selectors] Registro ${version} (rev ${rev}) aplicado`);
+    return true;
+  }
+
+  function reset() {
+    applyBase();
+    revision = 0;
+    version = BUILTIN_VERSION;
+  }
+
+  applyBase();
+
+  try {
+    chrome.storage.local.get([REGISTRY_KEY]).then(res => apply(res?.[REGISTRY_KEY])).catch(() => {});
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[REGISTRY_KEY]) return;
+      const next = changes[REGISTRY_KEY].newValue;
+      if (!next) {
+        reset();
+        return;
+      }
+      // O SW já decidiu (inclusive rollback forçado): vale o que está gravado
+      apply(next, { force: true });
+    });
+  } catch (e) {}
+
+  window.addEventListener('pagehide', flushStats);
+
+  globalThis.WHL_Selectors = {
+    find,
+    findAll,
+    list,
+    selectors,
+    isVisible,
+    getStats: () => ({ version, revision, learned: { ...learned }, keys: stats }),
+    get version() {
+      return version;
+    },
+    get revision() {
+      return revision;
+    }
+  };
+})();
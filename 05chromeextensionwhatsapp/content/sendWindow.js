@@ -0,0 +1,361 @@
+// content/sendWindow.js
+// Send-window / quiet-hours policy: quando é permitido mandar mensagem para um destinatário.
+//
+// Loaded as a content script before content.js; exposes globalThis.WHL_SendWindow.
+//
+// Policy (montada a partir das configurações do popup, chaves sendWindow* no service worker):
+// {
+//   enabled,                       // campanhas pausam fora da janela
+//   windows: { 0: [[startMin, endMin], ...], ..., 6: [...] },   // 0 = domingo, minutos do dia
+//   holidays: true,                // feriados nacionais do Brasil (fixos + Páscoa)
+//   customHolidays: ['2026-12-24', '12-31'],   // data exata ou MM-DD (todo ano)
+//   timezone: 'America/Sao_Paulo', // fuso padrão (número sem fuso conhecido, SmartBot)
+//   recipientTimezone: true        // inferir o fuso pelo DDI / DDD do número
+// }
+//
+// Os horários são do relógio de parede no fuso do destinatário: 08:00 em Rio Branco (AC)
+// abre duas horas depois de 08:00 em São Paulo.
+
+(function () {
+  'use strict';
+
+  const DAY_NAMES = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'];
+  const MAX_SEARCH_DAYS = 400;
+
+  // Mesmos horários que o SmartBot usava (isBusinessHours): seg-sex 8h-20h, sáb 9h-14h
+  const DEFAULT_WINDOWS = {
+    0: '',
+    1: '08:00-20:00',
+    2: '08:00-20:00',
+    3: '08:00-20:00',
+    4: '08:00-20:00',
+    5: '08:00-20:00',
+    6: '09:00-14:00'
+  };
+  const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+  // -------------------------
+  // Fuso do destinatário
+  // -------------------------
+  // DDDs brasileiros fora do horário de Brasília (sem horário de verão desde 2019)
+  const BR_DDD_TIMEZONES = {
+    65: 'America/Cuiaba', 66: 'America/Cuiaba',
+    67: 'America/Campo_Grande',
+    68: 'America/Rio_Branco',
+    69: 'America/Porto_Velho',
+    92: 'America/Manaus', 97: 'America/Manaus',
+    95: 'America/Boa_Vista'
+  };
+
+  // DDI -> fuso mais provável (países com vários fusos ficam com o da capital/maior cidade)
+  const DDI_TIMEZONES = {
+    1: 'America/New_York',
+    7: 'Europe/Moscow',
+    27: 'Africa/Johannesburg',
+    31: 'Europe/Amsterdam',
+    32: 'Europe/Brussels',
+    33: 'Europe/Paris',
+    34: 'Europe/Madrid',
+    39: 'Europe/Rome',
+    41: 'Europe/Zurich',
+    44: 'Europe/London',
+    49: 'Europe/Berlin',
+    51: 'America/Lima',
+    52: 'America/Mexico_City',
+    53: 'America/Havana',
+    54: 'America/Argentina/Buenos_Aires',
+    55: DEFAULT_TIMEZONE,
+    56: 'America/Santiago',
+    57: 'America/Bogota',
+    58: 'America/Caracas',
+    61: 'Australia/Sydney',
+    81: 'Asia/Tokyo',
+    86: 'Asia/Shanghai',
+    91: 'Asia/Kolkata',
+    238: 'Atlantic/Cape_Verde',
+    244: 'Africa/Luanda',
+    258: 'Africa/Maputo',
+    351: 'Europe/Lisbon',
+    353: 'Europe/Dublin',
+    502: 'America/Guatemala',
+    506: 'America/Costa_Rica',
+    507: 'America/Panama',
+    591: 'America/La_Paz',
+    593: 'America/Guayaquil',
+    595: 'America/Asuncion',
+    598: 'America/Montevideo',
+    971: 'Asia/Dubai'
+  };
+
+  /**
+   * Fuso do destinatário pelo número (+DDI...). Número brasileiro usa o DDD.
+   * Sem DDI reconhecido (ou com recipientTimezone desligado) fica o fuso padrão da política.
+   */
+  function timezoneFor(number, policy) {
+    const fallback = policy?.timezone || DEFAULT_TIMEZONE;
+    if (policy && policy.recipientTimezone === false) return fallback;
+    let digits = String(number || '').replace(/\D/g, '');
+    if (!digits) return fallback;
+    if (!String(number).trim().startsWith('+') && (digits.length === 10 || digits.length === 11)) digits = '55' + digits;
+
+    if (digits.startsWith('55') && digits.length >= 12) {
+      return BR_DDD_TIMEZONES[Number(digits.slice(2, 4))] || DDI_TIMEZONES[55];
+    }
+    for (const len of [3, 2, 1]) {
+      const tz = DDI_TIMEZONES[Number(digits.slice(0, len))];
+      if (tz) return tz;
+    }
+    return fallback;
+  }
+
+  // -------------------------
+  // Relógio de parede no fuso
+  // -------------------------
+  const formatters = new Map();
+
+  function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+      }));
+    }
+    return formatters.get(timeZone);
+  }
+
+  function isValidTimeZone(timeZone) {
+    try {
+      formatter(timeZone);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function zonedParts(ts, timeZone) {
+    const out = {};
+    for (const p of formatter(timeZone).formatToParts(new Date(ts))) {
+      if (p.type !== 'literal') out[p.type] = Number(p.value);
+    }
+    const weekday = new Date(Date.UTC(out.year, out.month - 1, out.day)).getUTCDay();
+    return { year: out.year, month: out.month, day: out.day, weekday, minutes: (out.hour % 24) * 60 + out.minute };
+  }
+
+  function zonedToUtc(year, month, day, minutes, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, 0, minutes);
+    const offsetAt = (ts) => {
+      const p = zonedParts(ts, timeZone);
+      return Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes) - Math.floor(ts / 60000) * 60000;
+    };
+    return wall - offsetAt(wall - offsetAt(wall));
+  }
+
+  // -------------------------
+  // Feriados
+  // -------------------------
+  // Nacionais fixos (Lei 662/1949, 6.802/1980, 14.759/2023) + móveis a partir da Páscoa
+  const BR_FIXED_HOLIDAYS = {
+    '01-01': 'Confraternização Universal',
+    '04-21': 'Tiradentes',
+    '05-01': 'Dia do Trabalho',
+    '09-07': 'Independência',
+    '10-12': 'Nossa Senhora Aparecida',
+    '11-02': 'Finados',
+    '11-15': 'Proclamação da República',
+    '11-20': 'Consciência Negra',
+    '12-25': 'Natal'
+  };
+
+  // Páscoa (algoritmo de Meeus/Jones/Butcher, calendário gregoriano)
+  function easter(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return Date.UTC(year, month - 1, day);
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const movableCache = new Map();
+
+  function movableHolidays(year) {
+    if (!movableCache.has(year)) {
+      const base = easter(year);
+      const key = (offsetDays) => {
+        const d = new Date(base + offsetDays * 86400000);
+        return `${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+      };
+      movableCache.set(year, {
+        [key(-48)]: 'Carnaval',
+        [key(-47)]: 'Carnaval',
+        [key(-2)]: 'Sexta-feira Santa',
+        [key(60)]: 'Corpus Christi'
+      });
+    }
+    return movableCache.get(year);
+  }
+
+  /**
+   * Nome do feriado na data (ano, mês, dia do relógio local do destinatário) ou null
+   */
+  function holidayName(policy, year, month, day) {
+    const md = `${pad(month)}-${pad(day)}`;
+    const custom = policy?.customHolidays || [];
+    if (custom.includes(`${year}-${md}`) || custom.includes(md)) return 'Feriado personalizado';
+    if (policy?.holidays === false) return null;
+    return BR_FIXED_HOLIDAYS[md] || movableHolidays(year)[md] || null;
+  }
+
+  // -------------------------
+  // Política
+  // -------------------------
+  /**
+   * "08:00-12:00, 13:30-18:00" -> [[480, 720], [810, 1080]] (vazio = dia sem envio)
+   */
+  function parseRanges(text) {
+    const ranges = [];
+    for (const part of String(text || '').split(',').map(s => s.trim()).filter(Boolean)) {
+      const m = part.match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+      if (!m) throw new Error(`Janela inválida: "${part}" (use 08:00-18:00)`);
+      const start = Number(m[1]) * 60 + Number(m[2] || 0);
+      const end = Number(m[3]) * 60 + Number(m[4] || 0);
+      if (start >= end || end > 24 * 60 || Number(m[2] || 0) > 59 || Number(m[4] || 0) > 59) {
+        throw new Error(`Janela inválida: "${part}" (início deve ser antes do fim, até 24:00)`);
+      }
+      ranges.push([start, end]);
+    }
+    return ranges.sort((a, b) => a[0] - b[0]);
+  }
+
+  function formatMinutes(min) {
+    return `${pad(Math.floor(min / 60))}:${pad(min % 60)}`;
+  }
+
+  /**
+   * Política a partir das configurações salvas (GET_SETTINGS). Janela inválida vira o padrão do dia.
+   */
+  function fromSettings(settings = {}) {
+    const rawWindows = settings.sendWindows && typeof settings.sendWindows === 'object' ? settings.sendWindows : DEFAULT_WINDOWS;
+    const windows = {};
+    for (let d = 0; d < 7; d++) {
+      try {
+        windows[d] = parseRanges(rawWindows[d] ?? DEFAULT_WINDOWS[d]);
+      } catch (_) {
+        windows[d] = parseRanges(DEFAULT_WINDOWS[d]);
+      }
+    }
+    const timezone = String(settings.sendWindowTimezone || '').trim();
+    return {
+      enabled: Boolean(settings.sendWindowEnabled),
+      windows,
+      holidays: settings.sendWindowHolidays !== false,
+      customHolidays: String(settings.sendWindowCustomHolidays || '')
+        .split(/[,\s]+/)
+        .map(s => s.trim())
+        .filter(s => /^(\d{4}-)?\d{2}-\d{2}$/.test(s)),
+      timezone: timezone && isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE,
+      recipientTimezone: settings.sendWindowRecipientTz !== false
+    };
+  }
+
+  /**
+   * A janela está aberta para o destinatário agora (ou em `at`)?
+   * @returns {{ open, timezone, reason, closesAt, nextOpenAt }}
+   *   closesAt: fim da janela atual (se aberta); nextOpenAt: próxima abertura (se fechada)
+   */
+  function check(policy, { number = null, at = Date.now() } = {}) {
+    const timezone = timezoneFor(number, policy);
+    const now = zonedParts(at, timezone);
+    const holiday = holidayName(policy, now.year, now.month, now.day);
+    const ranges = holiday ? [] : (policy.windows[now.weekday] || []);
+    const current = ranges.find(([start, end]) => now.minutes >= start && now.minutes < end);
+
+    if (current) {
+      return { open: true, timezone, reason: null, closesAt: zonedToUtc(now.year, now.month, now.day, current[1], timezone), nextOpenAt: null };
+    }
+
+    let reason;
+    if (holiday) reason = `feriado: ${holiday}`;
+    else if (!ranges.length) reason = `sem envio ${DAY_NAMES[now.weekday]}`;
+    else reason = `fora do horário (${ranges.map(r => `${formatMinutes(r[0])}-${formatMinutes(r[1])}`).join(', ')})`;
+    return { open: false, timezone, reason, closesAt: null, nextOpenAt: nextOpen(policy, { number, from: at }) };
+  }
+
+  /**
+   * Próximo instante (>= from) em que a janela do destinatário abre. null se nenhum dia tem janela.
+   */
+  function nextOpen(policy, { number = null, from = Date.now() } = {}) {
+    const timezone = timezoneFor(number, policy);
+    const start = zonedParts(from, timezone);
+    let { year, month, day, weekday } = start;
+    let minMinute = start.minutes;
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+      if (!holidayName(policy, year, month, day)) {
+        for (const [begin, end] of policy.windows[weekday] || []) {
+          if (end <= minMinute) continue;
+          if (begin <= minMinute) return i === 0 ? from : zonedToUtc(year, month, day, begin, timezone); // já dentro da janela
+          return zonedToUtc(year, month, day, begin, timezone);
+        }
+      }
+      const next = new Date(Date.UTC(year, month - 1, day + 1));
+      year = next.getUTCFullYear();
+      month = next.getUTCMonth() + 1;
+      day = next.getUTCDate();
+      weekday = next.getUTCDay();
+      minMinute = 0;
+    }
+    return null;
+  }
+
+  /**
+   * Estimar quando a campanha termina respeitando as janelas (envio em sequência, como o runner).
+   * @param {Array<{ number }>} entries
+   * @param {{ from?, perMessageMs }} options - perMessageMs: tempo médio por contato (envio + intervalo)
+   * @returns {{ finishAt, waitMs, pauses, blocked }} blocked = contatos sem nenhuma janela futura
+   */
+  function estimateCompletion(policy, entries, { from = Date.now(), perMessageMs = 15000 } = {}) {
+    let t = from;
+    let waitMs = 0;
+    let pauses = 0;
+    let blocked = 0;
+    for (const entry of entries) {
+      if (policy.enabled) {
+        const state = check(policy, { number: entry.number, at: t });
+        if (!state.open) {
+          if (!state.nextOpenAt) {
+            blocked++;
+            continue;
+          }
+          waitMs += state.nextOpenAt - t;
+          pauses++;
+          t = state.nextOpenAt;
+        }
+      }
+      t += perMessageMs;
+    }
+    return { finishAt: t, waitMs, pauses, blocked };
+  }
+
+  globalThis.WHL_SendWindow = {
+    DEFAULT_WINDOWS,
+    DEFAULT_TIMEZONE,
+    DAY_NAMES,
+    timezoneFor,
+    holidayName,
+    parseRanges,
+    fromSettings,
+    check,
+    nextOpen,
+    estimateCompletion
+  };
+})();
@@ -0,0 +1,121 @@
+// content/workspace.js
+// Workspace da aba do WhatsApp Web (registro e regras de chave em background/workspaces.js).
+//
+// Loaded as a content script before the other modules; exposes globalThis.WHL_Workspace.
+//
+// A aba fixa o workspace ativo ao carregar e usa só ele até recarregar: chaves do
+// chrome.storage.local e nomes de IndexedDB passam por key()/dbName(), e toda mensagem ao
+// service worker leva o id (bg() do content.js). Quando o popup troca de workspace a página
+// recarrega; com campanha em andamento (setBusyCheck), só depois que ela terminar.
+//
+// Workspaces removidos deixam os bancos IndexedDB desta origem em pendingDbCleanup: a primeira
+// aba que carregar apaga e avisa o service worker (WORKSPACE_DB_CLEANED).
+
+(function () {
+  'use strict';
+
+  const WORKSPACES_KEY = 'whl_workspaces';
+  const DEFAULT_ID = 'default';
+  const DB_NAMES = ['whl_contact_memory', 'whl_campaign_journal'];
+  const RELOAD_CHECK_MS = 5000;
+
+  const state = { id: null, name: '' };
+  let busyCheck = () => false;
+  let reloadTimer = null;
+
+  function keyFor(key, workspaceId) {
+    return !workspaceId || workspaceId === DEFAULT_ID ? key : `${key}@${workspaceId}`;
+  }
+
+  // Mesma regra do loadRegistry do service worker: activeId desconhecido = principal
+  function activeOf(registry) {
+    const workspaces = Array.isArray(registry?.workspaces) ? registry.workspaces : [];
+    const active = workspaces.find(w => w?.id && w.id === registry?.activeId);
+    return active || { id: DEFAULT_ID, name: workspaces.find(w => w?.id === DEFAULT_ID)?.name || 'Principal' };
+  }
+
+  const ready = chrome.storage.local.get([WORKSPACES_KEY])
+    .then((res) => {
+      const active = activeOf(res?.[WORKSPACES_KEY]);
+      state.id = active.id;
+      state.name = active.name;
+      cleanupDeleted(res?.[WORKSPACES_KEY]?.pendingDbCleanup).catch(() => {});
+      return state.id;
+    })
+    .catch(() => {
+      state.id = DEFAULT_ID;
+      return state.id;
+    });
+
+  /**
+   * Chave do chrome.storage.local no workspace desta aba
+   */
+  async function key(name) {
+    return keyFor(name, await ready);
+  }
+
+  async function dbName(name) {
+    return keyFor(name, await ready);
+  }
+
+  /**
+   * Alguma das chaves (nomes sem sufixo) mudou no workspace desta aba? Para storage.onChanged.
+   */
+  function changed(changes, names) {
+    if (!state.id) return false;
+    return names.some(name => keyFor(name, state.id) in changes);
+  }
+
+  function setBusyCheck(fn) {
+    busyCheck = typeof fn === 'function' ? fn : () => false;
+  }
+
+  function reloadWhenIdle() {
+    if (reloadTimer) return;
+    const attempt = () => {
+      let busy = false;
+      try { busy = busyCheck(); } catch (_) {}
+      if (!busy) {
+        location.reload();
+        return;
+      }
+      reloadTimer = setTimeout(attempt, RELOAD_CHECK_MS);
+    };
+    attempt();
+  }
+
+  function deleteDb(name) {
+    return new Promise((resolve) => {
+      const req = indexedDB.deleteDatabase(name);
+      req.onsuccess = req.onerror = req.onblocked = () => resolve();
+    });
+  }
+
+  async function cleanupDeleted(ids) {
+    const pending = (Array.isArray(ids) ? ids : []).filter(id => id && id !== DEFAULT_ID && id !== state.id);
+    if (!pending.length) return;
+    for (const id of pending) {
+      for (const name of DB_NAMES) await deleteDb(keyFor(name, id));
+    }
+    chrome.runtime.sendMessage({ type: 'WORKSPACE_DB_CLEANED', ids: pending }, () => void chrome.runtime.lastError);
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[WORKSPACES_KEY] || !state.id) return;
+    const next = activeOf(changes[WORKSPACES_KEY].newValue);
+    if (next.id !== state.id) reloadWhenIdle();
+    else state.name = next.name;
+  });
+
+  globalThis.WHL_Workspace = {
+    DEFAULT_ID,
+    ready,
+    get id() { return state.id; },
+    get name() { return state.name; },
+    keyFor,
+    key,
+    dbName,
+    changed,
+    setBusyCheck
+  };
+})();
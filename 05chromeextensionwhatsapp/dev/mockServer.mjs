@@ -0,0 +1,699 @@
+// dev/mockServer.mjs
+// Servidor local que faz o papel de https://adm.redealabama.com para desenvolver e testar a
+// extensão offline. Só módulos do Node (18+), sem npm install.
+//
+//   node dev/mockServer.mjs [--port 8787] [--state dev/mock-state.json] [--reset]
+//                           [--record dev/fixtures/<nome>.json [--upstream https://adm.redealabama.com]]
+//                           [--replay dev/fixtures/<nome>.json [--strict]]
+//                           [--secret <X-Alabama-Proxy-Key>] [--workspace-key <X-Workspace-Key>]
+//
+// Popup → Config: Backend URL = http://localhost:8787 e memory server = http://localhost:8787/api/memory
+//
+// Rotas (mesmo contrato do backend PHP):
+//   POST <qualquer prefixo>/v1/memory/batch.php    { events }            -> { ok, accepted, acks }
+//   POST <qualquer prefixo>/v1/memory/query.php    { contactId, chatTitle, topK }
+//   POST <qualquer prefixo>/v1/memory/context.php  { persona, businessContext }
+//   POST <qualquer prefixo>/v1/memory/pull.php     { cursor, limit, origin }
+//   POST /ai/chat.php (backendAiPath)              { messages, model }   -> { ok, text, usage }
+//   POST /api/campaigns.php                        { message, recipients, ... } -> { ok, jobId, ... }
+//   GET|POST /api/ai_confidence.php                { action, ... }       (sem action = status)
+//   GET ?after=<seq>&limit | POST { entries } /api/suppression.php
+//
+// Estado (memória, contexto, campanhas, confiança, opt-out) fica em um JSON (--state), gravado
+// a cada alteração; --reset começa do zero.
+//
+// Fixtures:
+//   --record grava cada requisição/resposta em um arquivo. Com --upstream, as requisições vão
+//   para o servidor real e o que ele respondeu é gravado (para reproduzir um bug offline).
+//   --replay responde com o que foi gravado. A chave é método + caminho + corpo, sem os campos
+//   que mudam a cada execução (VOLATILE_KEYS). Requisições iguais devolvem as respostas na ordem
+//   gravada. Sem fixture, cai nas rotas acima (ou 501 com --strict).
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const VOLATILE_KEYS = new Set(["id", "origin", "at", "ts", "createdAt", "updatedAt", "addedAt"]);
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// -------------------------
+// Opções
+// -------------------------
+function parseArgs(argv) {
+  const opts = {
+    port: Number(process.env.MOCK_PORT) || 8787,
+    state: path.join(HERE, "mock-state.json"),
+    reset: false,
+    record: null,
+    replay: null,
+    upstream: null,
+    strict: false,
+    secret: process.env.ALABAMA_EXTENSION_SECRET || "",
+    workspaceKey: process.env.MEMORY_SERVER_WORKSPACE_KEY || ""
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`Faltou o valor de ${arg}`);
+      return value;
+    };
+    if (arg === "--port") opts.port = Number(next());
+    else if (arg === "--state") opts.state = path.resolve(next());
+    else if (arg === "--reset") opts.reset = true;
+    else if (arg === "--record") opts.record = path.resolve(next());
+    else if (arg === "--replay") opts.replay = path.resolve(next());
+    else if (arg === "--upstream") opts.upstream = next().replace(/\/+$/, "");
+    else if (arg === "--strict") opts.strict = true;
+    else if (arg === "--secret") opts.secret = next();
+    else if (arg === "--workspace-key") opts.workspaceKey = next();
+    else if (arg === "--help" || arg === "-h") opts.help = true;
+    else throw new Error(`Opção desconhecida: ${arg}`);
+  }
+  if (!Number.isInteger(opts.port) || opts.port <= 0) throw new Error("--port inválido");
+  return opts;
+}
+
+// -------------------------
+// Estado em arquivo
+// -------------------------
+function emptyState() {
+  return {
+    memory: {}, // [workspaceId]: { events: [{ ts, event }], context }
+    campaigns: [],
+    nextJobId: 1,
+    confidence: {
+      total_good: 0, total_bad: 0, total_corrections: 0, total_auto_sent: 0,
+      total_suggestions_used: 0, total_suggestions_edited: 0,
+      total_faq: 0, total_products: 0, total_examples: 0,
+      copilot_enabled: false, copilot_threshold: 70
+    },
+    suppression: {}, // [dígitos]: { number, name, reason, keyword, text, source, removed, addedAt, updatedAt, seq }
+    suppressionSeq: 0
+  };
+}
+
+function loadState(file, reset) {
+  if (reset || !fs.existsSync(file)) return emptyState();
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    const base = emptyState();
+    const state = { ...base, ...data, confidence: { ...base.confidence, ...(data.confidence || {}) } };
+    // Estado gravado antes do seq do opt-out: numera as entradas que já existiam
+    for (const e of Object.values(state.suppression)) if (!e.seq) e.seq = ++state.suppressionSeq;
+    return state;
+  } catch (e) {
+    throw new Error(`Estado ilegível em ${file}: ${e.message} (use --reset)`);
+  }
+}
+
+// Grava em arquivo temporário + rename: um Ctrl+C no meio não corrompe o estado
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// -------------------------
+// HTTP helpers
+// -------------------------
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Corpo muito grande"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return undefined;
+  }
+}
+
+function jsonBody(request) {
+  if (!request.body || typeof request.body !== "object" || Array.isArray(request.body)) {
+    throw new HttpError(400, "Invalid JSON body");
+  }
+  return request.body;
+}
+
+function corsHeaders(origin) {
+  return {
+    "Access-Control-Allow-Origin": origin || "*",
+    ...(origin ? { "Access-Control-Allow-Credentials": "true", Vary: "Origin" } : {}),
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Workspace-Key, X-Alabama-Proxy-Key"
+  };
+}
+
+function requireMethod(request, ...methods) {
+  if (!methods.includes(request.method)) throw new HttpError(405, "Method not allowed");
+}
+
+// -------------------------
+// Memory server (/v1/memory/*.php)
+// -------------------------
+function workspaceOf(request, state, opts) {
+  const key = String(request.headers["x-workspace-key"] || "").trim();
+  if (!key) throw new HttpError(401, "Missing X-Workspace-Key header");
+  if (opts.workspaceKey && key !== opts.workspaceKey) throw new HttpError(401, "Invalid workspace key");
+  const id = crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+  return state.memory[id] || (state.memory[id] = { events: [], context: null });
+}
+
+function memoryAt(memory) {
+  return Date.parse(memory?.updatedAt || "") || 0;
+}
+
+const memoryRoutes = {
+  batch(request, state, opts) {
+    requireMethod(request, "POST");
+    const ws = workspaceOf(request, state, opts);
+    const body = jsonBody(request);
+    if (!Array.isArray(body.events)) throw new HttpError(400, 'Campo "events" deve ser um array');
+
+    const ts = new Date().toISOString();
+    const seen = new Set(ws.events.map(r => r.event?.id).filter(Boolean));
+    const acks = [];
+    let accepted = 0;
+    for (const ev of body.events) {
+      if (!ev || typeof ev !== "object") continue;
+      const id = String(ev.id || "").trim();
+      if (id && seen.has(id)) {
+        acks.push({ id, status: "duplicate" });
+        continue;
+      }
+      if (!String(ev.type || "").trim() || (ev.type === "chat_memory" && (!ev.memory || typeof ev.memory !== "object"))) {
+        if (id) acks.push({ id, status: "rejected", error: "Evento sem type ou memory" });
+        continue;
+      }
+      ws.events.push({ ts, event: ev });
+      accepted++;
+      if (id) {
+        seen.add(id);
+        acks.push({ id, status: "accepted" });
+      }
+    }
+    return { changed: accepted > 0, data: { ok: true, accepted, acks } };
+  },
+
+  query(request, state, opts) {
+    requireMethod(request, "POST");
+    const ws = workspaceOf(request, state, opts);
+    const body = jsonBody(request);
+    const chatTitle = String(body.chatTitle || "").trim();
+    const contactId = String(body.contactId || "").trim();
+    const topK = Math.max(1, Math.min(20, Number(body.topK) || 4));
+
+    let memory = null;
+    const examples = [];
+    for (const { event: ev } of ws.events) {
+      if (ev?.type === "chat_memory") {
+        const ct = String(ev.chatTitle || "");
+        const cid = String(ev.contactId || "");
+        if (contactId ? (cid ? cid !== contactId : ct !== chatTitle) : (chatTitle && ct !== chatTitle)) continue;
+        if (!memory || memoryAt(ev.memory) >= memoryAt(memory)) memory = ev.memory || null;
+      } else if (ev?.type === "example" && ev.example?.user && ev.example?.assistant) {
+        examples.push(ev.example);
+      }
+    }
+
+    const p = String(ws.context?.persona || "").trim();
+    const b = String(ws.context?.businessContext || "").trim();
+    const additions = p || b
+      ? `Contexto (servidor):\n${p ? `- Persona:\n${p}\n` : ""}${b ? `- Negócio:\n${b}\n` : ""}`
+      : "";
+    return {
+      data: {
+        ok: true,
+        memory,
+        examples: examples.slice(-topK),
+        context: additions ? { additions } : null
+      }
+    };
+  },
+
+  context(request, state, opts) {
+    requireMethod(request, "POST");
+    const ws = workspaceOf(request, state, opts);
+    const body = jsonBody(request);
+    ws.context = {
+      ...(ws.context || {}),
+      persona: typeof body.persona === "string" ? body.persona.trim() : "",
+      businessContext: typeof body.businessContext === "string" ? body.businessContext.trim() : "",
+      updatedAt: new Date().toISOString()
+    };
+    return { changed: true, data: { ok: true, stored: true } };
+  },
+
+  pull(request, state, opts) {
+    requireMethod(request, "POST");
+    const ws = workspaceOf(request, state, opts);
+    const body = jsonBody(request);
+    const cursor = Math.max(0, Number(body.cursor) || 0);
+    const limit = Math.max(1, Math.min(500, Number(body.limit) || 100));
+    const origin = String(body.origin || "").trim();
+
+    const changes = new Map();
+    let line = cursor;
+    for (; line < ws.events.length; line++) {
+      if (changes.size >= limit) break;
+      const { ts, event: ev } = ws.events[line];
+      const contactId = String(ev?.contactId || "").trim();
+      if (ev?.type !== "chat_memory" || !contactId || !ev.memory || typeof ev.memory !== "object") continue;
+      if (origin && ev.origin === origin) continue;
+      const prev = changes.get(contactId);
+      if (prev && memoryAt(ev.memory) < memoryAt(prev.memory)) continue;
+      changes.set(contactId, { seq: line + 1, contactId, chatTitle: String(ev.chatTitle || ""), memory: ev.memory, origin: String(ev.origin || ""), ts });
+    }
+    return { data: { ok: true, changes: [...changes.values()], cursor: line, more: line < ws.events.length } };
+  }
+};
+
+// -------------------------
+// Proxy de IA (/ai/chat.php)
+// -------------------------
+function mockReply(messages) {
+  const all = messages.map(m => String(m?.content ?? "")).join("\n");
+  const lastUser = [...messages].reverse().find(m => m?.role === "user");
+  const said = String(lastUser?.content ?? "").replace(/\s+/g, " ").trim().slice(0, 120);
+  // Auto-memória pede JSON: devolve um JSON válido para o merge do MemoryStore funcionar
+  if (/\bJSON\b/.test(all) && /open_loops|profile/.test(all)) {
+    return JSON.stringify({
+      profile: "Cliente (mock)",
+      tone: "neutro",
+      preferences: [],
+      context: said ? [`Última mensagem: ${said}`] : [],
+      open_loops: [],
+      next_actions: [],
+      resolved_loops: []
+    });
+  }
+  return `[mock] Resposta para: "${said || "…"}"`;
+}
+
+function requireSecret(request, opts) {
+  if (!opts.secret) return;
+  if (String(request.headers["x-alabama-proxy-key"] || "") !== opts.secret) {
+    throw new HttpError(401, "Não autenticado. Forneça X-Alabama-Proxy-Key ou faça login.");
+  }
+}
+
+function aiChat(request, state, opts) {
+  requireMethod(request, "POST");
+  requireSecret(request, opts);
+  const body = jsonBody(request);
+  if (!Array.isArray(body.messages) || !body.messages.length) throw new HttpError(400, 'Campo "messages" ausente ou inválido');
+  const text = mockReply(body.messages);
+  const inputTokens = Math.ceil(body.messages.map(m => String(m?.content ?? "")).join(" ").length / 4);
+  return {
+    data: {
+      ok: true,
+      text,
+      model: "mock",
+      usage: { prompt_tokens: inputTokens, completion_tokens: Math.ceil(text.length / 4), total_tokens: inputTokens + Math.ceil(text.length / 4) }
+    }
+  };
+}
+
+// -------------------------
+// Campanhas (/api/campaigns.php)
+// -------------------------
+function phoneDigits(value) {
+  const digits = String(value || "").replace(/\D/g, "");
+  return digits.length >= 10 && digits.length <= 15 ? digits : null;
+}
+
+function createCampaign(request, state, opts) {
+  requireMethod(request, "POST");
+  requireSecret(request, opts);
+  const body = jsonBody(request);
+  const message = String(typeof body.message === "string" ? body.message : (body.messageTemplate?.content || "")).trim();
+  if (!message) throw new HttpError(400, 'Campo "message" (ou messageTemplate.content) é obrigatório.');
+  const recipients = body.recipients ?? body.to;
+  if (!Array.isArray(recipients)) throw new HttpError(400, 'Campo "recipients" deve ser um array de telefones.');
+
+  const normalized = [...new Set(recipients.map(phoneDigits).filter(Boolean))];
+  if (!normalized.length) throw new HttpError(400, "Nenhum telefone válido encontrado em recipients.");
+  const suppressed = normalized.filter(n => state.suppression[n] && !state.suppression[n].removed).map(n => `+${n}`);
+  const allowed = normalized.filter(n => !suppressed.includes(`+${n}`));
+  if (!allowed.length) throw new HttpError(400, "Todos os destinatários estão na lista de opt-out.", { suppressed });
+
+  const job = {
+    jobId: state.nextJobId++,
+    name: String(body.name || "").trim() || `Extensão - ${new Date().toISOString().slice(0, 16).replace("T", " ")}`,
+    message,
+    recipients: allowed.map(n => `+${n}`),
+    batchSize: Math.max(1, Math.min(200, Number(body.batchSize) || 25)),
+    intervalSeconds: Math.max(1, Math.min(600, Number(body.intervalSeconds) || 8)),
+    dryRun: Boolean(body.dryRun),
+    scheduledAt: body.scheduled_at || body.agendado_para || null,
+    status: "queued",
+    createdAt: new Date().toISOString()
+  };
+  state.campaigns.push(job);
+  return {
+    changed: true,
+    data: {
+      ok: true,
+      jobId: job.jobId,
+      name: job.name,
+      totalRecipients: job.recipients.length,
+      suppressed,
+      batchSize: job.batchSize,
+      intervalSeconds: job.intervalSeconds,
+      dryRun: job.dryRun,
+      status: job.status,
+      note: "Campanha criada no servidor mock (nada é enviado)."
+    }
+  };
+}
+
+// -------------------------
+// Confiança da IA (/api/ai_confidence.php) — mesmas regras de pontuação do PHP
+// -------------------------
+const CONFIDENCE_POINTS = {
+  feedback_good: 2.0, feedback_bad: -3.0, feedback_correction: -2.0,
+  suggestion_used: 1.0, suggestion_edited: -0.5, auto_sent_success: 1.5
+};
+
+function confidenceScore(m) {
+  const feedback = m.total_good + m.total_bad;
+  const feedbackScore = feedback > 0 ? (m.total_good / feedback) * 40 : 0;
+  const knowledgeScore = Math.min(20, m.total_faq * 0.5 + m.total_products * 0.3 + m.total_examples * 1.0);
+  const suggestions = m.total_suggestions_used + m.total_suggestions_edited;
+  const usageScore = suggestions > 0 ? (m.total_suggestions_used / suggestions) * 25 : 0;
+  const autoScore = Math.min(15, m.total_auto_sent * 0.5);
+  return Math.min(100, feedbackScore + knowledgeScore + usageScore + autoScore);
+}
+
+function confidenceLevel(score) {
+  if (score >= 90) return { level: "autonomous", label: "Autônomo", color: "#3b82f6", emoji: "🔵", description: "IA responde automaticamente" };
+  if (score >= 70) return { level: "copilot", label: "Copiloto", color: "#22c55e", emoji: "🟢", description: "IA pode responder casos simples" };
+  if (score >= 50) return { level: "assisted", label: "Assistido", color: "#eab308", emoji: "🟡", description: "IA sugere, você decide" };
+  if (score >= 30) return { level: "learning", label: "Aprendendo", color: "#f97316", emoji: "🟠", description: "IA em treinamento" };
+  return { level: "beginner", label: "Iniciante", color: "#ef4444", emoji: "🔴", description: "IA apenas sugere respostas" };
+}
+
+function confidence(request, state) {
+  requireMethod(request, "GET", "POST");
+  const m = state.confidence;
+  const scored = (extra = {}) => {
+    const score = confidenceScore(m);
+    return { ok: true, score, level: confidenceLevel(score), ...extra };
+  };
+  const bump = (field, points) => {
+    m[field] += 1;
+    return { changed: true, data: scored({ points_awarded: points }) };
+  };
+
+  const body = request.method === "POST" ? jsonBody(request) : {};
+  const action = String(body.action || "");
+  // A extensão pede o status com POST {} (callBackendJson só faz POST)
+  if (!action) {
+    const { copilot_enabled, copilot_threshold, ...metrics } = m;
+    const status = scored({ metrics, config: { copilot_enabled, copilot_threshold } });
+    return { data: { ...status, points_to_threshold: Math.max(0, copilot_threshold - status.score) } };
+  }
+  if (action === "feedback") {
+    const fields = { good: "total_good", bad: "total_bad", correction: "total_corrections" };
+    if (!fields[body.type]) throw new HttpError(400, "Invalid feedback type");
+    return bump(fields[body.type], CONFIDENCE_POINTS[`feedback_${body.type}`]);
+  }
+  if (action === "suggestion_used") {
+    return body.edited
+      ? bump("total_suggestions_edited", CONFIDENCE_POINTS.suggestion_edited)
+      : bump("total_suggestions_used", CONFIDENCE_POINTS.suggestion_used);
+  }
+  if (action === "auto_sent") return bump("total_auto_sent", CONFIDENCE_POINTS.auto_sent_success);
+  if (action === "toggle_copilot") {
+    m.copilot_enabled = Boolean(body.enabled);
+    return { changed: true, data: { ok: true, copilot_enabled: m.copilot_enabled } };
+  }
+  if (action === "set_threshold") {
+    m.copilot_threshold = Math.max(50, Math.min(95, Number(body.threshold ?? 70) || 70));
+    return { changed: true, data: { ok: true, copilot_threshold: m.copilot_threshold } };
+  }
+  if (action === "knowledge_update") {
+    if (body.faq_count !== undefined) m.total_faq = Number(body.faq_count) || 0;
+    if (body.product_count !== undefined) m.total_products = Number(body.product_count) || 0;
+    if (body.example_count !== undefined) m.total_examples = Number(body.example_count) || 0;
+    return { changed: true, data: scored() };
+  }
+  throw new HttpError(400, "Invalid action");
+}
+
+// -------------------------
+// Opt-out (/api/suppression.php)
+// -------------------------
+function suppression(request, state, opts) {
+  requireMethod(request, "GET", "POST");
+  requireSecret(request, opts);
+  if (request.method === "GET") {
+    const after = Math.max(0, Number(request.url.searchParams.get("after")) || 0);
+    const limit = Math.min(5000, Math.max(1, Number(request.url.searchParams.get("limit")) || 5000));
+    const changed = Object.values(state.suppression).filter(e => (e.seq || 0) > after).sort((a, b) => a.seq - b.seq);
+    const page = changed.slice(0, limit);
+    const entries = page.map(({ seq, ...e }) => e);
+    const cursor = page.length ? page[page.length - 1].seq : after;
+    return { data: { ok: true, entries, cursor, more: changed.length > limit } };
+  }
+
+  const body = jsonBody(request);
+  if (!Array.isArray(body.entries)) throw new HttpError(400, 'Campo "entries" deve ser um array.');
+  if (body.entries.length > 5000) throw new HttpError(400, "Máximo de 5000 entradas por envio.");
+  let saved = 0;
+  const now = Date.now();
+  for (const e of body.entries) {
+    const digits = phoneDigits(e?.number);
+    if (!digits) continue;
+    const prev = state.suppression[digits];
+    const updatedAt = Math.min(now, Number(e.updatedAt) || now);
+    // Como o backend: toda gravação ganha um seq novo, mesmo quando a versão guardada é mais nova
+    state.suppressionSeq = (state.suppressionSeq || 0) + 1;
+    if (prev && prev.updatedAt > updatedAt) {
+      prev.addedAt = Math.min(prev.addedAt, Number(e.addedAt) || prev.addedAt);
+      prev.seq = state.suppressionSeq;
+      saved++;
+      continue;
+    }
+    state.suppression[digits] = {
+      number: `+${digits}`,
+      name: e.name || null,
+      reason: e.reason || null,
+      keyword: e.keyword || null,
+      text: e.text || null,
+      source: e.source || "manual",
+      removed: Boolean(e.removed),
+      addedAt: Math.min(Number(prev?.addedAt) || Infinity, Number(e.addedAt) || updatedAt),
+      updatedAt,
+      seq: state.suppressionSeq
+    };
+    saved++;
+  }
+  return { changed: saved > 0, data: { ok: true, saved } };
+}
+
+// -------------------------
+// Roteamento
+// -------------------------
+function route(request) {
+  const p = request.url.pathname;
+  const mem = p.match(/\/v1\/memory\/(batch|query|context|pull)\.php$/);
+  if (mem) return memoryRoutes[mem[1]];
+  if (p.endsWith("/ai/chat.php") || p === "/chat.php") return aiChat;
+  if (p.endsWith("/api/campaigns.php")) return createCampaign;
+  if (p.endsWith("/api/ai_confidence.php")) return confidence;
+  if (p.endsWith("/api/suppression.php")) return suppression;
+  return null;
+}
+
+// -------------------------
+// Fixtures (record / replay)
+// -------------------------
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (!VOLATILE_KEYS.has(key)) out[key] = canonical(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+function fixtureKey({ method, path: p, query, body }) {
+  return `${method} ${p}${query || ""} ${JSON.stringify(canonical(body ?? null))}`;
+}
+
+function loadFixtures(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const interactions = Array.isArray(data?.interactions) ? data.interactions : [];
+  const byKey = new Map();
+  for (const it of interactions) {
+    const key = fixtureKey(it);
+    if (!byKey.has(key)) byKey.set(key, { list: [], next: 0 });
+    byKey.get(key).list.push(it);
+  }
+  return {
+    size: interactions.length,
+    // Repetidas saem na ordem gravada; depois da última, a última se repete
+    take(request) {
+      const slot = byKey.get(fixtureKey(request));
+      if (!slot) return null;
+      const it = slot.list[Math.min(slot.next, slot.list.length - 1)];
+      slot.next++;
+      return it;
+    }
+  };
+}
+
+function createRecorder(file) {
+  const recording = { version: 1, recordedAt: new Date().toISOString(), interactions: [] };
+  return {
+    add(request, status, response) {
+      recording.interactions.push({
+        method: request.method,
+        path: request.url.pathname,
+        query: request.url.search,
+        body: request.body ?? null,
+        status,
+        response
+      });
+      writeJsonFile(file, recording);
+    },
+    get size() {
+      return recording.interactions.length;
+    }
+  };
+}
+
+async function forwardUpstream(upstream, request, rawBody) {
+  const headers = {};
+  for (const h of ["content-type", "x-workspace-key", "x-alabama-proxy-key", "cookie"]) {
+    if (request.headers[h]) headers[h] = request.headers[h];
+  }
+  const resp = await fetch(`${upstream}${request.url.pathname}${request.url.search}`, {
+    method: request.method,
+    headers,
+    body: request.method === "GET" || request.method === "HEAD" ? undefined : rawBody
+  });
+  const text = await resp.text();
+  return { status: resp.status, response: parseJson(text) ?? { ok: false, error: `Resposta não-JSON do upstream (HTTP ${resp.status})`, raw: text.slice(0, 500) } };
+}
+
+// -------------------------
+// Servidor
+// -------------------------
+export function createMockServer(options = {}) {
+  const opts = { ...parseArgs([]), ...options };
+  const state = loadState(opts.state, opts.reset);
+  const fixtures = opts.replay ? loadFixtures(opts.replay) : null;
+  const recorder = opts.record ? createRecorder(opts.record) : null;
+
+  const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    const origin = req.headers.origin || "";
+    let status = 200;
+    let payload;
+    let via = "mock";
+    let request = null;
+
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, corsHeaders(origin));
+        res.end();
+        return;
+      }
+
+      const raw = await readBody(req);
+      const body = parseJson(raw);
+      request = { method: req.method, url: new URL(req.url, "http://localhost"), headers: req.headers, body };
+
+      const fixture = fixtures?.take({ method: request.method, path: request.url.pathname, query: request.url.search, body });
+      if (fixture) {
+        via = "fixture";
+        status = fixture.status;
+        payload = fixture.response;
+      } else if (fixtures && opts.strict) {
+        via = "fixture";
+        status = 501;
+        payload = { ok: false, error: `Sem fixture para ${request.method} ${request.url.pathname}` };
+      } else if (opts.upstream) {
+        via = "upstream";
+        ({ status, response: payload } = await forwardUpstream(opts.upstream, request, raw));
+      } else {
+        const handler = route(request);
+        if (!handler) throw new HttpError(404, `Rota não existe no mock: ${request.url.pathname}`);
+        if (body === undefined) throw new HttpError(400, "Invalid JSON body");
+        const result = handler(request, state, opts);
+        payload = result.data;
+        if (result.changed) writeJsonFile(opts.state, state);
+      }
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      payload = { ok: false, error: e?.message || String(e), ...(e?.extra || {}) };
+    }
+    if (recorder && request && via !== "fixture") recorder.add(request, status, payload);
+
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store", ...corsHeaders(origin) });
+    res.end(JSON.stringify(payload));
+    console.log(`[mock] ${req.method} ${req.url} ${status} (${via}) ${Date.now() - started}ms`);
+  });
+
+  return { server, state, opts, fixtures, recorder };
+}
+
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMain) {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`[mock] ${e.message}`);
+    process.exit(2);
+  }
+  if (opts.help) {
+    const lines = fs.readFileSync(fileURLToPath(import.meta.url), "utf8").split("\n");
+    console.log(lines.slice(1, lines.findIndex(l => !l.startsWith("//"))).map(l => l.slice(3)).join("\n"));
+    process.exit(0);
+  }
+
+  const { server, fixtures } = createMockServer(opts);
+  server.listen(opts.port, "127.0.0.1", () => {
+    console.log(`[mock] http://localhost:${opts.port} · estado: ${opts.state}`);
+    console.log(`[mock] memory server: http://localhost:${opts.port}/api/memory`);
+    if (fixtures) console.log(`[mock] replay: ${opts.replay} (${fixtures.size} interações${opts.strict ? ", estrito" : ""})`);
+    if (opts.record) console.log(`[mock] gravando em ${opts.record}${opts.upstream ? ` (upstream ${opts.upstream})` : ""}`);
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
@@ -15,6 +15,8 @@ import { NlpManager, AdvancedContextAnalyzer, ContextualResponseGenerator } from
 import { ContinuousLearningSystem, FeedbackAnalyzer } from '../learning/learning-system.js';
 import { PermissionManager } from '../security/permission-manager.js';
 import { DialogManager } from '../dialog/dialog-manager.js';
+import { WebhookManager } from '../communication/webhook-manager.js';
+import { FlowSyncManager } from '../dialog/flow-sync.js';
 
 /**
  * SmartBot Core - Sistema inteligente integrado
@@ -62,7 +64,29 @@ export class SmartBotCore {
 
     // Segurança & Diálogo
     this.permissions = new PermissionManager();
-    this.dialogs = new DialogManager();
+    this.dialogs = new DialogManager({
+      defaultTTL: options.dialogTTL || 1800000,
+      dialogTTLs: options.dialogTTLs || {},
+      events: this.events
+    });
+
+    // Fluxos publicados no builder visual do painel (options.flowSync.baseUrl = URL do painel)
+    this.flows = new FlowSyncManager({
+      dialogs: this.dialogs,
+      events: this.events,
+      ...(options.flowSync || {})
+    });
+
+    // Webhooks (formulários concluídos -> backend como lead/pedido)
+    this.webhooks = new WebhookManager({ secret: options.webhookSecret || null });
+    if (options.formWebhook?.url) {
+      this.webhooks.register('forms', {
+        url: options.formWebhook.url,
+        events: options.formWebhook.events || ['form:completed'],
+        headers: options.formWebhook.headers || {},
+        secret: options.formWebhook.secret
+      });
+    }
 
     // Métricas
     this.metrics = {
@@ -91,12 +115,17 @@ export class SmartBotCore {
       // Configurar padrões
       this._setupDefaults();
 
+      // Chaves de storage do workspace da aba
+      await this._scopeStorageKeys();
+
       // Carregar configurações
       await this.config.load();
       
       // Carregar dados persistidos
       await this.sessions.load();
       await this.learning.load();
+      await this.flows.load();
+      await this.dialogs.load();
 
       // Configurar rate limits padrão
       this._setupRateLimits();
@@ -107,6 +136,12 @@ export class SmartBotCore {
       // Configurar diálogos padrão
       this._setupDefaultDialogs();
 
+      // Fluxos do painel: sincroniza em segundo plano e acompanha novas publicações
+      if (this.flows.baseUrl) {
+        this.flows.sync().catch(e => this.log.warn('Flow sync failed:', e.message));
+        this.flows.startPolling();
+      }
+
       this.isInitialized = true;
       this.startTime = Date.now();
 
@@ -171,6 +206,22 @@ export class SmartBotCore {
     this.rateLimit.addLimit('user_message', 30, 60000); // 30 msg/min por usuário
   }
 
+  /**
+   * Chaves de storage no workspace da aba (content/workspace.js, regra keyFor): sessões de
+   * diálogo, fluxos, aprendizado e configuração de uma loja não aparecem em outra.
+   * Sem WHL_Workspace (fora do content script) ficam as chaves de sempre.
+   * @private
+   */
+  async _scopeStorageKeys() {
+    const workspace = globalThis.WHL_Workspace;
+    if (!workspace) return;
+    const id = await workspace.ready;
+    for (const manager of [this.config, this.learning, this.flows, this.dialogs]) {
+      manager.storageKey = workspace.keyFor(manager.storageKey, id);
+    }
+    this.sessions.persistKey = workspace.keyFor(this.sessions.persistKey, id);
+  }
+
   /**
    * Configurar event listeners
    * @private
@@ -185,6 +236,55 @@ export class SmartBotCore {
       this.log.error(`Error event: ${event}`, data);
       this.metrics.errors++;
     });
+
+    // Fluxos do painel: troca de versão / publicação recusada na validação
+    this.events.on('flow:activated', ({ flowId, version, previous }) => {
+      this.log.info(`Flow ${flowId} activated: ${previous || '-'} -> ${version}`);
+    });
+
+    this.events.on('flow:rejected', ({ flowId, version, errors }) => {
+      this.log.warn(`Flow ${flowId}@${version} rejected:`, errors);
+    });
+
+    // Chat reaberto: retoma o fluxo que estava em andamento
+    this.events.on('chat:opened', (data) => {
+      if (data?.userId) this.resumeDialog(data.userId);
+    });
+
+    // Formulário concluído no diálogo: encaminha para os webhooks inscritos
+    // (pedido com prioridade maior que lead)
+    this.events.on('form:*', (data, event) => {
+      this.log.info(`Form ${event}: ${data?.formId} (${data?.type}) for ${data?.userId}`);
+      this.webhooks.enqueue(event, data, data?.type === 'order' ? 1 : 3);
+    });
+
+    // Reload/fechamento da aba: grava sessões de diálogo pendentes.
+    // Troca de chat detectada pelo content script (CustomEvent 'chat:opened' na window)
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', () => { this.dialogs.flush(); });
+      window.addEventListener('chat:opened', (e) => {
+        if (e.detail?.userId) this.events.emit('chat:opened', e.detail);
+      });
+    }
+  }
+
+  /**
+   * Retomar diálogo de um chat (após reload ou ao reabrir a conversa).
+   * Emite 'dialog:resumed' com a pergunta pendente para o chamador repetir.
+   */
+  resumeDialog(userId) {
+    const resumed = this.dialogs.resumeSession(userId);
+    if (!resumed) return null;
+
+    this.log.info(`Dialog resumed for ${userId}: ${resumed.session.dialogId}@${resumed.state}`);
+    this.events.emit('dialog:resumed', {
+      userId,
+      dialogId: resumed.session.dialogId,
+      state: resumed.state,
+      message: resumed.message,
+      context: resumed.session.context
+    });
+    return resumed;
   }
 
   /**
@@ -432,7 +532,9 @@ export class SmartBotCore {
         sessions: this.sessions.getStats(),
         nlp: this.nlp.getStats(),
         learning: this.learning.getFeedbackStats(),
-        dialogs: this.dialogs.getStats()
+        dialogs: this.dialogs.getStats(),
+        flows: this.flows.getStatus(),
+        webhooks: this.webhooks.getStats()
       }
     };
   }
@@ -460,9 +562,12 @@ export class SmartBotCore {
     this.stop();
     this.scheduler.clear();
     this.sessions.stopCleanup();
+    this.dialogs.stopCleanup();
+    this.flows.stopPolling();
 
     // Salvar estado
     await this.config.persist();
+    await this.dialogs.flush();
     // Note: learning system persists automatically on updates
 
     this.log.info('SmartBot shutdown complete');
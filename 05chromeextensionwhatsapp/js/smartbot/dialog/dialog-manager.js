@@ -3,14 +3,48 @@
  * @module smartbot/dialog/dialog-manager
  */
 
+import {
+  normalizeFormConfig,
+  startForm,
+  currentPrompt,
+  processFormTurn,
+  buildFormPayload
+} from './slot-filling.js';
+
+const PERSIST_VERSION = 1;
+
 /**
  * Gerenciador de fluxos de diálogo
+ *
+ * Sessões, estado atual e histórico são persistidos em chrome.storage.local (chave
+ * `storageKey`) e restaurados por load(), então um reload do WhatsApp Web não perde
+ * fluxos em andamento. O contexto da sessão precisa ser serializável em JSON.
+ * Cada diálogo pode ter seu próprio TTL (config.ttl ou options.dialogTTLs); sessões
+ * paradas além do TTL expiram e não são retomadas.
+ *
+ * Estados com `form` fazem slot filling (ver slot-filling.js). O formulário concluído
+ * é emitido como 'form:completed' no EventManager recebido em options.events.
  */
 export class DialogManager {
-  constructor() {
+  constructor(options = {}) {
     this.dialogs = new Map();
     this.sessions = new Map();
     this.history = new Map();
+
+    this.storageKey = options.storageKey || 'smartbot_dialog_sessions';
+    this.defaultTTL = options.defaultTTL || 1800000; // 30 min
+    this.dialogTTLs = { ...(options.dialogTTLs || {}) };
+    this.historyLimit = options.historyLimit || 100;
+    this.maxHistoryUsers = options.maxHistoryUsers || 200;
+    this.persistEnabled = options.persist !== false;
+    this.persistDelay = options.persistDelay ?? 200;
+    this.cleanupInterval = options.cleanupInterval || 60000; // 1 min
+    this.loaded = false;
+    this.persistTimer = null;
+    this.cleanupTimer = null;
+    this.events = options.events || null;
+
+    this._startCleanup();
   }
 
   /**
@@ -22,18 +56,51 @@ export class DialogManager {
       name: config.name || dialogId,
       initialState: config.initialState || 'start',
       states: new Map(),
+      ttl: config.ttl || null,
       metadata: config.metadata || {}
     };
 
+    // Registrar antes de adicionar estados (addState busca o diálogo no mapa)
+    this.dialogs.set(dialogId, dialog);
+
     // Adicionar estados
     for (const [stateId, stateConfig] of Object.entries(config.states || {})) {
       this.addState(dialogId, stateId, stateConfig);
     }
 
-    this.dialogs.set(dialogId, dialog);
     return dialog;
   }
 
+  /**
+   * Remover diálogo (sessões em andamento nele viram órfãs na retomada)
+   */
+  removeDialog(dialogId) {
+    delete this.dialogTTLs[dialogId];
+    return this.dialogs.delete(dialogId);
+  }
+
+  /**
+   * Definir TTL (ms) das sessões de um diálogo; null volta ao padrão
+   */
+  setDialogTTL(dialogId, ttl) {
+    if (ttl) this.dialogTTLs[dialogId] = ttl;
+    else delete this.dialogTTLs[dialogId];
+
+    // Sessões em andamento passam a usar o novo TTL
+    for (const session of this.sessions.values()) {
+      if (session.dialogId === dialogId) session.ttl = this._getTTL(dialogId);
+    }
+    this._schedulePersist();
+  }
+
+  /**
+   * TTL efetivo de um diálogo: options.dialogTTLs > config.ttl > defaultTTL
+   * @private
+   */
+  _getTTL(dialogId) {
+    return this.dialogTTLs[dialogId] || this.dialogs.get(dialogId)?.ttl || this.defaultTTL;
+  }
+
   /**
    * Adicionar estado ao diálogo
    */
@@ -47,7 +114,9 @@ export class DialogManager {
       transitions: config.transitions || {},
       message: config.message || null,
       actions: config.actions || [],
-      validation: config.validation || null
+      validation: config.validation || null,
+      form: config.form ? normalizeFormConfig(stateId, config.form) : null,
+      metadata: config.metadata || {}
     };
 
     if (!dialog.states) dialog.states = new Map();
@@ -68,20 +137,67 @@ export class DialogManager {
       context,
       history: [],
       startedAt: Date.now(),
-      lastActivity: Date.now()
+      lastActivity: Date.now(),
+      ttl: this._getTTL(dialogId)
     };
 
+    const initial = dialog.states.get(session.currentState);
+    if (initial?.form) session.form = startForm(initial.form, context).progress;
+
     this.sessions.set(userId, session);
     this._addToHistory(userId, 'session_started', { dialogId });
 
     return session;
   }
 
+  /**
+   * Pergunta pendente da sessão (campo do formulário ou mensagem do estado)
+   */
+  getPrompt(userId) {
+    const session = this.getSession(userId);
+    if (!session) return null;
+    const state = this.dialogs.get(session.dialogId)?.states.get(session.currentState);
+    if (!state) return null;
+    if (state.form && session.form) return currentPrompt(state.form, session.form);
+    return state.message;
+  }
+
+  /**
+   * Retomar a sessão de um chat reaberto (após reload ou troca de conversa).
+   * Retorna { session, state, message } para o chamador repetir a pergunta pendente,
+   * ou null se não houver sessão válida.
+   */
+  resumeSession(userId) {
+    const session = this.getSession(userId);
+    if (!session) return null;
+
+    const dialog = this.dialogs.get(session.dialogId);
+    const state = dialog?.states.get(session.currentState);
+    if (!state) {
+      // Diálogo/estado não existe mais (fluxo removido ou alterado)
+      this._addToHistory(userId, 'session_orphaned', { dialogId: session.dialogId, state: session.currentState });
+      this.sessions.delete(userId);
+      this._schedulePersist();
+      return null;
+    }
+
+    const idleMs = Date.now() - session.lastActivity;
+    session.lastActivity = Date.now();
+    this._addToHistory(userId, 'session_resumed', {
+      dialogId: session.dialogId,
+      state: session.currentState,
+      idleMs
+    });
+
+    const message = state.form && session.form ? currentPrompt(state.form, session.form) : state.message;
+    return { session, state: session.currentState, message };
+  }
+
   /**
    * Processar mensagem do usuário
    */
   async processMessage(userId, message) {
-    const session = this.sessions.get(userId);
+    const session = this.getSession(userId);
     if (!session) {
       return { error: 'No active session' };
     }
@@ -99,6 +215,10 @@ export class DialogManager {
     session.lastActivity = Date.now();
     this._addToHistory(userId, 'user_message', { message, state: session.currentState });
 
+    if (state.form) {
+      return this._processFormMessage(userId, session, dialog, state, message);
+    }
+
     // Executar handler se existir
     let result = {};
     if (state.handler) {
@@ -123,19 +243,8 @@ export class DialogManager {
 
     // Determinar próximo estado
     const nextState = this._getNextState(state, result, message);
-    
-    if (nextState) {
-      session.currentState = nextState;
-      this._addToHistory(userId, 'state_transition', { from: state.id, to: nextState });
-
-      // Executar ações do próximo estado
-      const newState = dialog.states.get(nextState);
-      if (newState && newState.actions) {
-        for (const action of newState.actions) {
-          await action(session.context);
-        }
-      }
-    }
+    const entryPrompt = nextState ? await this._enterState(userId, session, dialog, state, nextState) : null;
+    this._schedulePersist();
 
     // Verificar se diálogo terminou
     if (session.currentState === 'end') {
@@ -148,12 +257,135 @@ export class DialogManager {
     }
 
     return {
-      message: result.message || state.message,
+      message: this._joinMessages(result.message || state.message, entryPrompt),
+      state: session.currentState,
+      context: session.context
+    };
+  }
+
+  /**
+   * Transição + ações do novo estado. Se o novo estado for um formulário, devolve
+   * a primeira pergunta para ser enviada junto da resposta atual.
+   * @private
+   */
+  async _enterState(userId, session, dialog, fromState, nextState) {
+    session.currentState = nextState;
+    session.form = null;
+    this._addToHistory(userId, 'state_transition', { from: fromState.id, to: nextState });
+
+    // Executar ações do próximo estado
+    const newState = dialog.states.get(nextState);
+    if (newState && newState.actions) {
+      for (const action of newState.actions) {
+        await action(session.context);
+      }
+    }
+
+    if (!newState?.form) return null;
+    const started = startForm(newState.form, session.context);
+    session.form = started.progress;
+    return this._joinMessages(newState.message, started.message);
+  }
+
+  /**
+   * Turno de um estado de formulário (slot filling)
+   * @private
+   */
+  async _processFormMessage(userId, session, dialog, state, message) {
+    const form = state.form;
+    if (!session.form || session.form.formId !== form.id) {
+      session.form = startForm(form, session.context).progress;
+    }
+
+    const turn = processFormTurn(form, session.form, message);
+    session.form = turn.progress;
+
+    if (turn.status === 'invalid') {
+      this._addToHistory(userId, 'form_invalid', { formId: form.id, field: turn.field || null, retries: turn.progress.retries });
+      return {
+        valid: false,
+        error: turn.message,
+        message: turn.message,
+        retry: true,
+        state: session.currentState,
+        context: session.context
+      };
+    }
+
+    if (turn.status === 'continue') {
+      this._schedulePersist();
+      return {
+        message: turn.message,
+        state: session.currentState,
+        form: { id: form.id, pending: turn.progress.pending, phase: turn.progress.phase },
+        context: session.context
+      };
+    }
+
+    let next;
+    let formPayload = null;
+    if (turn.status === 'completed') {
+      for (const [name, value] of Object.entries(turn.progress.values)) {
+        if (value !== null) session.context[name] = value;
+      }
+      formPayload = buildFormPayload(form, turn.progress, { dialogId: dialog.id, userId, context: session.context });
+      this._addToHistory(userId, 'form_completed', { formId: form.id, type: form.type });
+      this._emit('form:completed', formPayload);
+      next = state.transitions.completed || state.transitions.default || 'end';
+    } else {
+      this._addToHistory(userId, 'form_cancelled', { formId: form.id, reason: turn.reason, field: turn.field || null });
+      this._emit('form:cancelled', {
+        formId: form.id,
+        type: form.type,
+        dialogId: dialog.id,
+        userId,
+        reason: turn.reason,
+        field: turn.field || null,
+        values: { ...turn.progress.values }
+      });
+      next = state.transitions.cancelled || 'end';
+    }
+
+    const entryPrompt = await this._enterState(userId, session, dialog, state, next);
+    this._schedulePersist();
+
+    if (session.currentState === 'end') {
+      this.endSession(userId);
+      return {
+        completed: turn.status === 'completed',
+        cancelled: turn.status === 'cancelled',
+        message: turn.message,
+        form: formPayload,
+        context: session.context
+      };
+    }
+
+    return {
+      message: this._joinMessages(turn.message, entryPrompt),
       state: session.currentState,
+      form: formPayload,
       context: session.context
     };
   }
 
+  /**
+   * @private
+   */
+  _joinMessages(...parts) {
+    return parts.filter(Boolean).join('\n\n') || null;
+  }
+
+  /**
+   * @private
+   */
+  _emit(event, data) {
+    try {
+      this.events?.emit(event, data);
+    } catch (e) {
+      console.error(`[DialogManager] Listener error (${event}):`, e);
+    }
+  }
+
   /**
    * Determinar próximo estado
    * @private
@@ -201,14 +433,42 @@ export class DialogManager {
         duration: Date.now() - session.startedAt
       });
       this.sessions.delete(userId);
+      this._schedulePersist();
     }
   }
 
   /**
-   * Obter sessão
+   * Obter sessão (sessões vencidas expiram aqui)
    */
   getSession(userId) {
-    return this.sessions.get(userId);
+    const session = this.sessions.get(userId);
+    if (!session) return undefined;
+    if (this._isExpired(session)) {
+      this._expireSession(userId, session);
+      return undefined;
+    }
+    return session;
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(session, now = Date.now()) {
+    const ttl = session.ttl || this._getTTL(session.dialogId);
+    return now - session.lastActivity > ttl;
+  }
+
+  /**
+   * @private
+   */
+  _expireSession(userId, session) {
+    this._addToHistory(userId, 'session_expired', {
+      dialogId: session.dialogId,
+      state: session.currentState,
+      idleMs: Date.now() - session.lastActivity
+    });
+    this.sessions.delete(userId);
+    this._schedulePersist();
   }
 
   /**
@@ -219,6 +479,7 @@ export class DialogManager {
     if (session) {
       session.context = { ...session.context, ...updates };
       session.lastActivity = Date.now();
+      this._schedulePersist();
     }
   }
 
@@ -239,9 +500,11 @@ export class DialogManager {
     });
 
     // Limitar histórico
-    if (history.length > 100) {
+    if (history.length > this.historyLimit) {
       history.shift();
     }
+
+    this._schedulePersist();
   }
 
   /**
@@ -270,7 +533,141 @@ export class DialogManager {
     return {
       dialogs: this.dialogs.size,
       activeSessions: this.sessions.size,
-      totalHistory: Array.from(this.history.values()).reduce((sum, h) => sum + h.length, 0)
+      totalHistory: Array.from(this.history.values()).reduce((sum, h) => sum + h.length, 0),
+      loaded: this.loaded
     };
   }
+
+  /**
+   * Cleanup de sessões expiradas
+   * @private
+   */
+  _cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const [userId, session] of Array.from(this.sessions.entries())) {
+      if (this._isExpired(session, now)) {
+        this._expireSession(userId, session);
+        cleaned++;
+      }
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * Iniciar cleanup automático
+   * @private
+   */
+  _startCleanup() {
+    this.cleanupTimer = setInterval(() => {
+      this._cleanup();
+    }, this.cleanupInterval);
+  }
+
+  /**
+   * Parar cleanup automático
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * Agrupa gravações próximas (cada mensagem gera várias entradas de histórico)
+   * @private
+   */
+  _schedulePersist() {
+    if (!this.persistEnabled || !this._hasStorage()) return;
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this._persist();
+    }, this.persistDelay);
+  }
+
+  /**
+   * Gravar imediatamente (ex.: antes de descarregar a página)
+   */
+  async flush() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    await this._persist();
+  }
+
+  /**
+   * @private
+   */
+  _hasStorage() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage?.local);
+  }
+
+  /**
+   * Persistir em chrome.storage
+   * @private
+   */
+  async _persist() {
+    if (!this.persistEnabled || !this._hasStorage()) return;
+    try {
+      // Histórico só dos usuários mais recentes (e sempre dos que têm sessão ativa)
+      const history = Array.from(this.history.entries())
+        .map(([userId, entries]) => [userId, entries, entries[entries.length - 1]?.timestamp || 0])
+        .sort((a, b) => b[2] - a[2])
+        .filter(([userId], i) => i < this.maxHistoryUsers || this.sessions.has(userId))
+        .map(([userId, entries]) => [userId, entries]);
+
+      await chrome.storage.local.set({
+        [this.storageKey]: {
+          version: PERSIST_VERSION,
+          sessions: Array.from(this.sessions.entries()),
+          history,
+          savedAt: Date.now()
+        }
+      });
+    } catch (e) {
+      console.error('[DialogManager] Persist error:', e);
+    }
+  }
+
+  /**
+   * Carregar do chrome.storage. Sessões vencidas durante o reload são descartadas;
+   * as demais ficam aguardando resumeSession()/processMessage() do respectivo chat.
+   */
+  async load() {
+    if (!this._hasStorage()) return;
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const data = result[this.storageKey];
+      if (!data || data.version !== PERSIST_VERSION) {
+        this.loaded = true;
+        return;
+      }
+
+      for (const [userId, entries] of data.history || []) {
+        // Mantém eventos já registrados nesta página depois dos restaurados
+        const current = this.history.get(userId) || [];
+        this.history.set(userId, [...(entries || []), ...current].slice(-this.historyLimit));
+      }
+
+      for (const [userId, session] of data.sessions || []) {
+        if (!session || this.sessions.has(userId)) continue;
+        if (this._isExpired(session)) {
+          this._expireSession(userId, session);
+          continue;
+        }
+        this.sessions.set(userId, session);
+      }
+
+      this.loaded = true;
+      this._schedulePersist();
+    } catch (e) {
+      console.error('[DialogManager] Load error:', e);
+    }
+  }
+
 }
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview SmartBot Flow Compiler - Fluxos do builder visual do painel -> diálogos
+ * @module smartbot/dialog/flow-compiler
+ *
+ * O painel (flows_visual_builder.php) grava o grafo em whatsapp_flows.definition_json:
+ *   { steps: [{ id, type: 'mensagem'|'condicional', template_slug, message?, delay_minutes,
+ *               next, condition, next_if, next_else }] }
+ *
+ * Cada step 'mensagem' vira um estado do DialogManager. Steps 'condicional' não esperam
+ * resposta: são resolvidos no handler do estado anterior, avaliando `condition` sobre o
+ * contexto da sessão (mesma sub-linguagem do flows_engine_runner.php, sem eval).
+ */
+
+const END = 'end';
+
+// -------------------------
+// Condições (ctx.campo == 'valor' && ctx.total > 100 ...)
+// -------------------------
+
+const TOKEN_RE = /\s*(===|!==|==|!=|>=|<=|&&|\|\||[()!<>]|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?|ctx(?:\.[A-Za-z0-9_]+)+|true|false|null)/y;
+
+function tokenize(expr) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  let pos = 0;
+  while (pos < expr.length) {
+    if (!expr.slice(pos).trim()) break;
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(expr);
+    if (!m) throw new Error(`Condição inválida perto de "${expr.slice(pos, pos + 12)}"`);
+    tokens.push(m[1]);
+    pos = TOKEN_RE.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Compilar condição para função (ctx) => boolean. Lança erro se a sintaxe for inválida.
+ */
+export function compileCondition(expr) {
+  const tokens = tokenize(String(expr || '').trim());
+  if (!tokens.length) throw new Error('Condição vazia');
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const take = () => tokens[i++];
+
+  const operand = () => {
+    const t = take();
+    if (t === undefined) throw new Error('Condição incompleta');
+    if (t === '(') {
+      const inner = or();
+      if (take() !== ')') throw new Error('Parêntese não fechado');
+      return inner;
+    }
+    if (t === '!') {
+      const inner = operand();
+      return ctx => !inner(ctx);
+    }
+    if (t.startsWith('ctx.')) {
+      const path = t.split('.').slice(1);
+      return ctx => path.reduce((v, k) => (v == null ? undefined : v[k]), ctx);
+    }
+    if (t[0] === '\'' || t[0] === '"') {
+      const value = t.slice(1, -1).replace(/\\(.)/g, '$1');
+      return () => value;
+    }
+    if (t === 'true' || t === 'false') return () => t === 'true';
+    if (t === 'null') return () => null;
+    if (/^-?\d/.test(t)) {
+      const n = Number(t);
+      return () => n;
+    }
+    throw new Error(`Token inesperado: ${t}`);
+  };
+
+  const compare = () => {
+    const left = operand();
+    const op = peek();
+    if (!['==', '===', '!=', '!==', '>', '<', '>=', '<='].includes(op)) return ctx => Boolean(left(ctx));
+    take();
+    const right = operand();
+    return ctx => {
+      const a = left(ctx);
+      const b = right(ctx);
+      switch (op) {
+        // == tolera número vs string ("2" == 2), como no PHP
+        case '==': return a == b;
+        case '!=': return a != b;
+        case '===': return a === b;
+        case '!==': return a !== b;
+        case '>': return Number(a) > Number(b);
+        case '<': return Number(a) < Number(b);
+        case '>=': return Number(a) >= Number(b);
+        default: return Number(a) <= Number(b);
+      }
+    };
+  };
+
+  const and = () => {
+    let left = compare();
+    while (peek() === '&&') {
+      take();
+      const l = left;
+      const r = compare();
+      left = ctx => l(ctx) && r(ctx);
+    }
+    return left;
+  };
+
+  const or = () => {
+    let left = and();
+    while (peek() === '||') {
+      take();
+      const l = left;
+      const r = and();
+      left = ctx => l(ctx) || r(ctx);
+    }
+    return left;
+  };
+
+  const fn = or();
+  if (i < tokens.length) throw new Error(`Token inesperado: ${tokens[i]}`);
+  return ctx => {
+    try {
+      return Boolean(fn(ctx || {}));
+    } catch (e) {
+      return false;
+    }
+  };
+}
+
+// -------------------------
+// Grafo
+// -------------------------
+
+function normalizeSteps(definition) {
+  const steps = Array.isArray(definition?.steps) ? definition.steps : [];
+  const seen = new Set();
+  const out = [];
+  steps.forEach((step, idx) => {
+    if (!step || typeof step !== 'object') return;
+    const id = String(step.id || `step_${idx + 1}`);
+    if (seen.has(id)) return; // mesmo critério do flows_engine_runner: ignora duplicados
+    seen.add(id);
+    const type = step.type === 'condicional' ? 'condicional' : 'mensagem';
+    out.push({
+      ...step,
+      id,
+      type,
+      next: step.next ? String(step.next) : null,
+      next_if: type === 'condicional' && step.next_if ? String(step.next_if) : null,
+      next_else: type === 'condicional' && step.next_else ? String(step.next_else) : null
+    });
+  });
+  return out;
+}
+
+function targetsOf(step) {
+  return step.type === 'condicional' ? [step.next_if, step.next_else] : [step.next];
+}
+
+/**
+ * Validar o grafo antes de ativar: referências quebradas, steps inalcançáveis e
+ * becos sem saída (steps de onde não se chega ao fim).
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], unreachable: string[], deadEnds: string[] }}
+ */
+export function validateFlowGraph(definition) {
+  const steps = normalizeSteps(definition);
+  const byId = new Map(steps.map(s => [s.id, s]));
+  const errors = [];
+  const warnings = [];
+
+  if (!steps.length) {
+    return { valid: false, errors: ['Fluxo sem steps'], warnings, unreachable: [], deadEnds: [] };
+  }
+  if (steps[0].type === 'condicional') {
+    errors.push(`O fluxo precisa começar por um step de mensagem (${steps[0].id} é condicional)`);
+  }
+
+  for (const step of steps) {
+    if (step.type === 'condicional') {
+      if (!step.next_if || !step.next_else) errors.push(`${step.id}: condicional sem os dois caminhos (next_if/next_else)`);
+      try {
+        compileCondition(step.condition);
+      } catch (e) {
+        errors.push(`${step.id}: ${e.message}`);
+      }
+    }
+    for (const target of targetsOf(step)) {
+      if (target && target !== END && !byId.has(target)) errors.push(`${step.id}: aponta para step inexistente "${target}"`);
+    }
+    if (step.type === 'mensagem' && !step.message && !step.text && !step.template_slug) {
+      warnings.push(`${step.id}: step sem mensagem nem template`);
+    }
+  }
+
+  // Alcançáveis a partir do primeiro step
+  const reachable = new Set();
+  const stack = [steps[0].id];
+  while (stack.length) {
+    const id = stack.pop();
+    if (reachable.has(id) || !byId.has(id)) continue;
+    reachable.add(id);
+    stack.push(...targetsOf(byId.get(id)).filter(Boolean));
+  }
+  const unreachable = steps.filter(s => !reachable.has(s.id)).map(s => s.id);
+  unreachable.forEach(id => errors.push(`${id}: step inalcançável a partir de ${steps[0].id}`));
+
+  // Quem chega ao fim: next vazio / 'end', propagado de trás para frente
+  const canEnd = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const step of steps) {
+      if (canEnd.has(step.id)) continue;
+      const ok = targetsOf(step).some(t => !t ? step.type === 'mensagem' : (t === END || canEnd.has(t)));
+      if (ok) {
+        canEnd.add(step.id);
+        changed = true;
+      }
+    }
+  }
+  const deadEnds = steps.filter(s => reachable.has(s.id) && !canEnd.has(s.id)).map(s => s.id);
+  deadEnds.forEach(id => errors.push(`${id}: beco sem saída (ciclo sem caminho para o fim)`));
+
+  return { valid: errors.length === 0, errors, warnings, unreachable, deadEnds };
+}
+
+/**
+ * Compilar uma definição publicada em config de DialogManager.createDialog().
+ * O grafo precisa ter passado por validateFlowGraph().
+ *
+ * @param {{ id, nome, version, definition }} flow
+ * @param {Object} options - { renderMessage(step, ctx) } para steps só com template_slug
+ * @returns {{ dialogId: string, config: Object }}
+ */
+export function compileFlow(flow, options = {}) {
+  const steps = normalizeSteps(flow.definition);
+  const byId = new Map(steps.map(s => [s.id, s]));
+  const conditions = new Map(steps
+    .filter(s => s.type === 'condicional')
+    .map(s => [s.id, compileCondition(s.condition)]));
+
+  const messageOf = (step, ctx) => {
+    if (step.message || step.text) return step.message || step.text;
+    return options.renderMessage ? options.renderMessage(step, ctx) : null;
+  };
+
+  // Segue condicionais até o próximo step de mensagem (ou o fim)
+  const resolve = (target, ctx) => {
+    const visited = new Set();
+    let id = target;
+    while (id && id !== END) {
+      const step = byId.get(id);
+      if (!step || visited.has(id)) return END;
+      if (step.type === 'mensagem') return id;
+      visited.add(id);
+      id = conditions.get(id)(ctx) ? step.next_if : step.next_else;
+    }
+    return END;
+  };
+
+  const states = {};
+  for (const step of steps) {
+    if (step.type !== 'mensagem') continue;
+    states[step.id] = {
+      message: step.message || step.text || null,
+      metadata: {
+        templateSlug: step.template_slug || null,
+        delayMinutes: Number(step.delay_minutes) || 0
+      },
+      handler: async (msg, ctx) => {
+        // Condições do painel leem a última resposta do cliente como ctx.resposta
+        ctx.resposta = msg;
+        ctx[`resposta_${step.id}`] = msg;
+        const next = resolve(step.next, ctx);
+        if (next === END) return { next: END };
+        const message = await messageOf(byId.get(next), ctx);
+        return message ? { next, message } : { next };
+      },
+      transitions: { default: END }
+    };
+  }
+
+  return {
+    dialogId: `flow_${flow.id}@${flow.version}`,
+    config: {
+      name: flow.nome || `Fluxo ${flow.id}`,
+      initialState: steps[0].id,
+      metadata: {
+        source: 'panel',
+        flowId: flow.id,
+        version: flow.version,
+        updatedAt: flow.updated_at || null
+      },
+      states
+    }
+  };
+}
@@ -0,0 +1,349 @@
+/**
+ * @fileoverview SmartBot Flow Sync - Fluxos publicados no painel -> DialogManager
+ * @module smartbot/dialog/flow-sync
+ */
+
+import { validateFlowGraph, compileFlow } from './flow-compiler.js';
+
+const PERSIST_VERSION = 1;
+
+/**
+ * Busca as definições publicadas em /api/v1/flows.php?action=definitions, valida o grafo
+ * e registra cada versão como um diálogo próprio (`flow_<id>@<versão>`).
+ *
+ * - Hot-swap: uma versão nova publicada passa a valer para sessões novas; sessões em
+ *   andamento continuam na versão em que começaram até terminar/expirar.
+ * - Pin: pin(flowId, versão) congela o fluxo numa versão, ignorando publicações novas.
+ * - Grafo inválido (steps inalcançáveis, becos sem saída, referências quebradas) nunca é
+ *   ativado; a versão anterior continua valendo e 'flow:rejected' é emitido.
+ *
+ * As definições em uso ficam em chrome.storage.local para recompilar após reload.
+ */
+export class FlowSyncManager {
+  constructor(options = {}) {
+    this.dialogs = options.dialogs;
+    this.events = options.events || null;
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.pollInterval = options.pollInterval || 300000; // 5 min
+    this.timeout = options.timeout || 15000;
+    this.storageKey = options.storageKey || 'smartbot_flow_versions';
+    this.renderMessage = options.renderMessage || null;
+
+    this.flows = new Map();
+    this.pollTimer = null;
+    this.syncing = null;
+    this.lastSync = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Restaurar versões salvas (ativas, fixadas e as usadas por sessões em andamento)
+   */
+  async load() {
+    if (!this._hasStorage()) return;
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      const data = result[this.storageKey];
+      if (!data || data.version !== PERSIST_VERSION) return;
+
+      for (const [flowId, entry] of data.flows || []) {
+        this.flows.set(String(flowId), entry);
+        for (const version of Object.keys(entry.versions || {})) {
+          this._register(flowId, version, entry.versions[version]);
+        }
+      }
+      this.lastSync = data.lastSync || null;
+    } catch (e) {
+      console.error('[FlowSync] Load error:', e);
+    }
+  }
+
+  /**
+   * Buscar publicações e aplicar. Chamadas concorrentes compartilham o mesmo sync.
+   * @returns {Promise<{ activated: Array, rejected: Array, unchanged: number }>}
+   */
+  async sync() {
+    if (this.syncing) return this.syncing;
+    this.syncing = (async () => {
+      const summary = { activated: [], rejected: [], unchanged: 0 };
+      try {
+        const published = await this._fetchDefinitions();
+        const seen = new Set();
+
+        for (const flow of published) {
+          if (!flow?.id || !flow.version) continue;
+          seen.add(String(flow.id));
+          const outcome = this._apply(flow);
+          if (outcome.activated) summary.activated.push(outcome.activated);
+          else if (outcome.rejected) summary.rejected.push(outcome.rejected);
+          else summary.unchanged++;
+        }
+
+        // Despublicado/desativado no painel: para de iniciar sessões novas
+        for (const [flowId, entry] of this.flows.entries()) {
+          if (!seen.has(flowId) && entry.active && !entry.pinned) {
+            this._emit('flow:deactivated', { flowId, version: entry.active });
+            entry.active = null;
+          }
+        }
+
+        this.lastSync = Date.now();
+        this.lastError = null;
+        this.prune();
+        await this._persist();
+      } catch (e) {
+        this.lastError = e.message;
+        this._emit('flow:sync_failed', { error: e.message });
+        throw e;
+      }
+      return summary;
+    })();
+
+    try {
+      return await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  /**
+   * Aplicar uma definição publicada
+   * @private
+   */
+  _apply(flow) {
+    const flowId = String(flow.id);
+    const entry = this.flows.get(flowId) || { nome: flow.nome, active: null, pinned: null, versions: {}, rejected: null };
+    this.flows.set(flowId, entry);
+    entry.nome = flow.nome || entry.nome;
+
+    if (entry.active === flow.version) return {};
+    if (entry.pinned && entry.pinned !== flow.version) {
+      // Fixado: só registra que existe versão mais nova
+      entry.latest = flow.version;
+      return {};
+    }
+
+    // Mesma publicação já recusada: não repete o aviso a cada polling
+    if (entry.rejected?.version === flow.version) return {};
+
+    const check = validateFlowGraph(flow.definition);
+    if (!check.valid) {
+      entry.rejected = { version: flow.version, errors: check.errors, at: Date.now() };
+      const rejected = { flowId, version: flow.version, errors: check.errors };
+      this._emit('flow:rejected', rejected);
+      return { rejected };
+    }
+
+    entry.versions[flow.version] = {
+      id: flow.id,
+      nome: flow.nome,
+      version: flow.version,
+      updated_at: flow.updated_at || null,
+      definition: flow.definition
+    };
+    this._register(flowId, flow.version, entry.versions[flow.version]);
+
+    const previous = entry.active;
+    entry.active = flow.version;
+    entry.latest = flow.version;
+    entry.rejected = null;
+
+    const activated = { flowId, version: flow.version, previous, warnings: check.warnings };
+    this._emit('flow:activated', activated);
+    return { activated };
+  }
+
+  /**
+   * Registrar versão compilada no DialogManager (idempotente)
+   * @private
+   */
+  _register(flowId, version, flow) {
+    const dialogId = this._dialogId(flowId, version);
+    if (this.dialogs.dialogs.has(dialogId)) return dialogId;
+    try {
+      const compiled = compileFlow(flow, { renderMessage: this.renderMessage });
+      this.dialogs.createDialog(compiled.dialogId, compiled.config);
+    } catch (e) {
+      console.error(`[FlowSync] Compile error (${dialogId}):`, e);
+    }
+    return dialogId;
+  }
+
+  /**
+   * Fixar fluxo numa versão (padrão: a ativa). Só versões já baixadas e válidas.
+   */
+  async pin(flowId, version = null) {
+    const entry = this.flows.get(String(flowId));
+    if (!entry) throw new Error(`Flow ${flowId} not found`);
+    const target = version || entry.active;
+    if (!target || !entry.versions[target]) throw new Error(`Flow ${flowId} version ${target} not available`);
+
+    const previous = entry.active;
+    entry.pinned = target;
+    entry.active = target;
+    if (previous !== target) this._emit('flow:activated', { flowId: String(flowId), version: target, previous, pinned: true });
+    await this._persist();
+    return target;
+  }
+
+  /**
+   * Soltar o pin; a próxima sincronização volta a seguir a versão publicada
+   */
+  async unpin(flowId, { sync = true } = {}) {
+    const entry = this.flows.get(String(flowId));
+    if (!entry) return;
+    entry.pinned = null;
+    await this._persist();
+    if (sync) await this.sync();
+  }
+
+  /**
+   * ID do diálogo ativo de um fluxo (para sessões novas)
+   */
+  getDialogId(flowId) {
+    const entry = this.flows.get(String(flowId));
+    return entry?.active ? this._dialogId(flowId, entry.active) : null;
+  }
+
+  /**
+   * Iniciar sessão na versão ativa. Retorna a sessão e a primeira mensagem.
+   */
+  startFlow(userId, flowId, context = {}) {
+    const dialogId = this.getDialogId(flowId);
+    if (!dialogId) throw new Error(`Flow ${flowId} is not active`);
+    const entry = this.flows.get(String(flowId));
+    const session = this.dialogs.startSession(userId, dialogId, {
+      ...context,
+      flowId: String(flowId),
+      flowVersion: entry.active
+    });
+    return { session, message: this.dialogs.getPrompt(userId) };
+  }
+
+  /**
+   * Remover versões antigas sem sessão em andamento
+   */
+  prune() {
+    const inUse = new Set(Array.from(this.dialogs.sessions.values()).map(s => s.dialogId));
+    let removed = 0;
+
+    for (const [flowId, entry] of this.flows.entries()) {
+      for (const version of Object.keys(entry.versions)) {
+        if (version === entry.active || version === entry.pinned) continue;
+        const dialogId = this._dialogId(flowId, version);
+        if (inUse.has(dialogId)) continue;
+        this.dialogs.removeDialog(dialogId);
+        delete entry.versions[version];
+        removed++;
+      }
+      if (!entry.active && !Object.keys(entry.versions).length) this.flows.delete(flowId);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Polling para hot-swap
+   */
+  startPolling() {
+    this.stopPolling();
+    this.pollTimer = setInterval(() => {
+      this.sync().catch(() => { /* registrado em lastError / flow:sync_failed */ });
+    }, this.pollInterval);
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Estado por fluxo (versão ativa, fixada, mais recente, rejeitada)
+   */
+  getStatus() {
+    return {
+      lastSync: this.lastSync,
+      lastError: this.lastError,
+      flows: Array.from(this.flows.entries()).map(([flowId, e]) => ({
+        flowId,
+        nome: e.nome,
+        active: e.active,
+        pinned: e.pinned,
+        latest: e.latest || e.active,
+        versions: Object.keys(e.versions),
+        rejected: e.rejected
+      }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _fetchDefinitions() {
+    if (!this.baseUrl) throw new Error('Flow sync: baseUrl not configured');
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      const response = await fetch(`${this.baseUrl}/api/v1/flows.php?action=definitions`, {
+        headers: { Accept: 'application/json', ...this.headers },
+        credentials: 'include',
+        signal: controller.signal
+      });
+      const body = await response.json().catch(() => null);
+      if (!response.ok || body?.ok === false) {
+        throw new Error(body?.error?.message || `HTTP ${response.status}`);
+      }
+      const data = body && 'data' in body ? body.data : body;
+      return Array.isArray(data) ? data : [];
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _dialogId(flowId, version) {
+    return `flow_${flowId}@${version}`;
+  }
+
+  /**
+   * @private
+   */
+  _emit(event, data) {
+    try {
+      this.events?.emit(event, data);
+    } catch (e) {
+      console.error(`[FlowSync] Listener error (${event}):`, e);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hasStorage() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage?.local);
+  }
+
+  /**
+   * @private
+   */
+  async _persist() {
+    if (!this._hasStorage()) return;
+    try {
+      await chrome.storage.local.set({
+        [this.storageKey]: {
+          version: PERSIST_VERSION,
+          flows: Array.from(this.flows.entries()),
+          lastSync: this.lastSync
+        }
+      });
+    } catch (e) {
+      console.error('[FlowSync] Persist error:', e);
+    }
+  }
+}
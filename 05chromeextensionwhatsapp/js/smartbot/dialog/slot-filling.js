@@ -0,0 +1,421 @@
+/**
+ * @fileoverview SmartBot Slot Filling - Formulários declarativos dentro de um diálogo
+ * @module smartbot/dialog/slot-filling
+ *
+ * Um estado com `form` coleta campos (slots) um a um: pergunta o próximo campo pendente,
+ * valida a resposta, repete a pergunta com mensagem própria quando inválida e, no fim,
+ * faz um turno de confirmação onde o cliente aceita ou corrige um campo pelo nome.
+ *
+ * O progresso fica em `session.form` (JSON puro) para sobreviver à persistência do
+ * DialogManager. As funções daqui não guardam estado: recebem a config do form e o
+ * progresso e devolvem o que responder.
+ */
+
+const YES_WORDS = ['sim', 's', 'ss', 'isso', 'ok', 'certo', 'correto', 'confirmo', 'confirmar', 'pode', 'pode sim', 'esta certo', 'tudo certo'];
+const NO_WORDS = ['nao', 'n', 'errado', 'corrigir', 'alterar', 'mudar', 'trocar'];
+const CANCEL_WORDS = ['cancelar', 'cancela', 'sair', 'parar'];
+const CORRECTION_VERBS = /^(corrigir|corrige|alterar|altera|mudar|muda|trocar|troca|editar)\s+(o\s+|a\s+)?/;
+
+const NUMBER_WORDS = {
+  um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5,
+  seis: 6, sete: 7, oito: 8, nove: 9, dez: 10, onze: 11, doze: 12
+};
+
+/**
+ * Mensagens padrão por tipo (sobrescritas por slot.invalidMessage)
+ */
+const DEFAULT_ERRORS = {
+  text: 'Não entendi, pode repetir?',
+  number: 'Informe um número válido.',
+  enum: 'Escolha uma das opções: {{options}}.',
+  regex: 'Formato inválido, tente novamente.',
+  cpf: 'CPF inválido. Envie os 11 dígitos (ex.: 123.456.789-09).',
+  cep: 'CEP inválido. Envie os 8 dígitos (ex.: 01310-100).',
+  phone: 'Telefone inválido. Envie com DDD (ex.: 11 98765-4321).',
+  email: 'E-mail inválido.'
+};
+
+export function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s@.,-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function onlyDigits(v) {
+  return String(v ?? '').replace(/\D/g, '');
+}
+
+/**
+ * CPF com dígitos verificadores (módulo 11)
+ */
+export function isValidCPF(value) {
+  const cpf = onlyDigits(value);
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
+
+  const check = (len) => {
+    let sum = 0;
+    for (let i = 0; i < len; i++) sum += Number(cpf[i]) * (len + 1 - i);
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return check(9) === Number(cpf[9]) && check(10) === Number(cpf[10]);
+}
+
+/**
+ * CEP: 8 dígitos, com ou sem hífen/pontos
+ */
+export function isValidCEP(value) {
+  const cep = onlyDigits(value);
+  return cep.length === 8 && !/^0{8}$/.test(cep);
+}
+
+function enumOptions(slot) {
+  return (slot.options || []).map(o => (typeof o === 'object'
+    ? { value: o.value, label: o.label || String(o.value), aliases: o.aliases || [] }
+    : { value: o, label: String(o), aliases: [] }));
+}
+
+function parseNumber(input) {
+  const text = normalizeText(input);
+  if (NUMBER_WORDS[text] !== undefined) return NUMBER_WORDS[text];
+  const match = text.match(/-?\d+(?:[.,]\d+)?/);
+  if (!match) return NaN;
+  return Number(match[0].replace(',', '.'));
+}
+
+/**
+ * Validadores por tipo. Cada um recebe (input, slot) e devolve
+ * { valid, value } com o valor já normalizado, ou { valid: false }.
+ */
+export const SLOT_VALIDATORS = {
+  text(input, slot) {
+    const value = String(input ?? '').trim();
+    const min = slot.minLength ?? 2;
+    const max = slot.maxLength ?? 500;
+    return value.length >= min && value.length <= max ? { valid: true, value } : { valid: false };
+  },
+
+  number(input, slot) {
+    const value = parseNumber(input);
+    if (!Number.isFinite(value)) return { valid: false };
+    if (slot.integer && !Number.isInteger(value)) return { valid: false };
+    if (slot.min !== undefined && value < slot.min) return { valid: false };
+    if (slot.max !== undefined && value > slot.max) return { valid: false };
+    return { valid: true, value };
+  },
+
+  enum(input, slot) {
+    const text = normalizeText(input);
+    const options = enumOptions(slot);
+
+    // "2" escolhe a segunda opção da lista
+    const index = /^\d+$/.test(text) ? Number(text) - 1 : -1;
+    if (index >= 0 && index < options.length && !options.some(o => normalizeText(o.value) === text)) {
+      return { valid: true, value: options[index].value };
+    }
+
+    const found = options.find(o => [o.value, o.label, ...o.aliases]
+      .some(alias => {
+        const a = normalizeText(alias);
+        return a && (text === a || new RegExp(`(^|\\s)${a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|\\s)`).test(text));
+      }));
+    return found ? { valid: true, value: found.value } : { valid: false };
+  },
+
+  regex(input, slot) {
+    const value = String(input ?? '').trim();
+    const pattern = slot.pattern instanceof RegExp ? slot.pattern : new RegExp(slot.pattern, slot.flags || '');
+    return pattern.test(value) ? { valid: true, value } : { valid: false };
+  },
+
+  cpf(input) {
+    if (!isValidCPF(input)) return { valid: false };
+    const d = onlyDigits(input);
+    return { valid: true, value: `${d.slice(0, 3)}.${d.slice(3, 6)}.${d.slice(6, 9)}-${d.slice(9)}` };
+  },
+
+  cep(input) {
+    if (!isValidCEP(input)) return { valid: false };
+    const d = onlyDigits(input);
+    return { valid: true, value: `${d.slice(0, 5)}-${d.slice(5)}` };
+  },
+
+  phone(input) {
+    let d = onlyDigits(input);
+    if (d.startsWith('55') && d.length >= 12) d = d.slice(2);
+    return d.length === 10 || d.length === 11 ? { valid: true, value: `55${d}` } : { valid: false };
+  },
+
+  email(input) {
+    const value = String(input ?? '').trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? { valid: true, value } : { valid: false };
+  }
+};
+
+/**
+ * Validar a resposta de um slot (tipo + validador customizado opcional)
+ * @returns {{ valid: boolean, value?: any, error?: string }}
+ */
+export function validateSlot(slot, input) {
+  const type = slot.type || 'text';
+  const validator = SLOT_VALIDATORS[type];
+  if (!validator) throw new Error(`Unknown slot type: ${type}`);
+
+  let result = validator(input, slot);
+  if (result.valid && typeof slot.validate === 'function') {
+    const custom = slot.validate(result.value, input);
+    if (custom === false) result = { valid: false };
+    else if (custom && typeof custom === 'object') result = { ...result, ...custom };
+  }
+
+  if (!result.valid) {
+    const template = slot.invalidMessage || result.error || DEFAULT_ERRORS[type] || DEFAULT_ERRORS.text;
+    return {
+      valid: false,
+      error: template.replace('{{options}}', enumOptions(slot).map(o => o.label).join(', '))
+    };
+  }
+  return result;
+}
+
+/**
+ * Normalizar a config `form` de um estado
+ */
+export function normalizeFormConfig(stateId, config) {
+  const slots = (config.slots || []).map(s => {
+    if (!s.name) throw new Error(`Form ${stateId}: slot sem name`);
+    return {
+      ...s,
+      type: s.type || 'text',
+      label: s.label || s.name,
+      required: s.required !== false,
+      prompt: s.prompt || `Qual ${s.label || s.name}?`
+    };
+  });
+  if (!slots.length) throw new Error(`Form ${stateId}: nenhum slot definido`);
+
+  return {
+    id: config.id || stateId,
+    type: config.type || 'lead', // lead | order
+    slots,
+    confirm: config.confirm !== false,
+    confirmMessage: config.confirmMessage || 'Confere os dados?\n{{summary}}\n\nResponda *sim* para confirmar ou o nome do campo para corrigir.',
+    correctionPrompt: config.correctionPrompt || 'Qual campo deseja corrigir? ({{fields}})',
+    completeMessage: config.completeMessage || 'Perfeito, dados registrados!',
+    cancelMessage: config.cancelMessage || 'Tudo bem, cancelei o preenchimento.',
+    maxRetries: config.maxRetries ?? 3
+  };
+}
+
+function formatValue(slot, value) {
+  if (slot.type === 'enum') {
+    const opt = enumOptions(slot).find(o => o.value === value);
+    return opt ? opt.label : String(value);
+  }
+  return String(value);
+}
+
+/**
+ * Resumo "campo: valor" para o turno de confirmação
+ */
+export function summarize(form, values) {
+  return form.slots
+    .filter(s => values[s.name] !== undefined && values[s.name] !== null)
+    .map(s => `• ${s.label}: ${formatValue(s, values[s.name])}`)
+    .join('\n');
+}
+
+// Opcionais também são perguntados uma vez; "pular" grava null
+function nextMissing(form, values) {
+  return form.slots.find(s => values[s.name] === undefined) || null;
+}
+
+function slotPrompt(slot) {
+  const options = slot.type === 'enum' && !slot.hideOptions
+    ? `\n${enumOptions(slot).map((o, i) => `${i + 1}. ${o.label}`).join('\n')}`
+    : '';
+  return slot.prompt + options;
+}
+
+function confirmPrompt(form, values) {
+  return form.confirmMessage.replace('{{summary}}', summarize(form, values));
+}
+
+/**
+ * Slot citado pelo cliente ("cep", "corrigir o endereço", "pagamento pix") + o resto da frase
+ */
+function findNamedSlot(form, text) {
+  const stripped = text.replace(CORRECTION_VERBS, '');
+  for (const slot of form.slots) {
+    for (const name of [slot.label, slot.name, ...(slot.aliases || [])]) {
+      const n = normalizeText(name);
+      if (n && (stripped === n || stripped.startsWith(`${n} `))) {
+        return { slot, rest: stripped.slice(n.length).replace(/^\s*(para|pra|:|=|-)?\s*/, '') };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Progresso inicial ao entrar no estado. Valores já presentes no contexto
+ * (ex.: nome vindo do CRM) contam como preenchidos se forem válidos.
+ */
+export function startForm(form, context = {}) {
+  const values = {};
+  for (const slot of form.slots) {
+    const prefill = context[slot.name];
+    if (prefill === undefined || prefill === null || prefill === '') continue;
+    const check = validateSlot(slot, prefill);
+    if (check.valid) values[slot.name] = check.value;
+  }
+
+  const missing = nextMissing(form, values);
+  const progress = {
+    formId: form.id,
+    values,
+    pending: missing ? missing.name : null,
+    phase: missing ? 'filling' : (form.confirm ? 'confirming' : 'done'),
+    retries: 0,
+    startedAt: Date.now()
+  };
+  return { progress, message: currentPrompt(form, progress) };
+}
+
+/**
+ * Pergunta pendente (usada ao entrar no estado e ao retomar a sessão)
+ */
+export function currentPrompt(form, progress) {
+  if (progress.phase === 'confirming') return confirmPrompt(form, progress.values);
+  if (progress.phase === 'choosing') {
+    return form.correctionPrompt.replace('{{fields}}', form.slots.map(s => s.label).join(', '));
+  }
+  const slot = form.slots.find(s => s.name === progress.pending);
+  return slot ? slotPrompt(slot) : null;
+}
+
+/**
+ * Processar um turno do formulário.
+ * @returns {{ status: 'continue'|'invalid'|'completed'|'cancelled', message, progress, field? }}
+ */
+export function processFormTurn(form, progress, input) {
+  const text = normalizeText(input);
+  const p = { ...progress, values: { ...progress.values } };
+
+  if (CANCEL_WORDS.includes(text)) {
+    return { status: 'cancelled', reason: 'user', message: form.cancelMessage, progress: p };
+  }
+
+  const afterFill = () => {
+    p.retries = 0;
+    const missing = p.phase === 'correcting' ? null : nextMissing(form, p.values);
+    if (missing) {
+      p.pending = missing.name;
+      p.phase = 'filling';
+      return { status: 'continue', message: slotPrompt(missing), progress: p };
+    }
+    p.pending = null;
+    if (form.confirm) {
+      p.phase = 'confirming';
+      return { status: 'continue', message: confirmPrompt(form, p.values), progress: p };
+    }
+    p.phase = 'done';
+    return { status: 'completed', message: form.completeMessage, progress: p };
+  };
+
+  const askSlot = (slot, phase) => {
+    p.pending = slot.name;
+    p.phase = phase;
+    p.retries = 0;
+    return { status: 'continue', message: slotPrompt(slot), progress: p };
+  };
+
+  // Confirmação: "sim" conclui; "cep 01310-100" corrige direto; "não"/"corrigir" pergunta qual campo
+  if (p.phase === 'confirming' || p.phase === 'choosing') {
+    if (p.phase === 'confirming' && YES_WORDS.includes(text)) {
+      p.phase = 'done';
+      return { status: 'completed', message: form.completeMessage, progress: p };
+    }
+
+    const named = findNamedSlot(form, text);
+    if (named) {
+      if (named.rest) {
+        // Valor digitado com a grafia original (texto livre mantém acentos/maiúsculas)
+        const words = named.rest.split(' ').length;
+        const raw = String(input).trim().split(/\s+/).slice(-words).join(' ');
+        const check = validateSlot(named.slot, raw);
+        if (check.valid) {
+          p.values[named.slot.name] = check.value;
+          p.phase = 'confirming';
+          return { status: 'continue', field: named.slot.name, message: confirmPrompt(form, p.values), progress: p };
+        }
+      }
+      return askSlot(named.slot, 'correcting');
+    }
+
+    if (p.phase === 'confirming' && !NO_WORDS.includes(text.split(' ')[0])) {
+      return { status: 'invalid', message: confirmPrompt(form, p.values), progress: p };
+    }
+    p.phase = 'choosing';
+    return { status: 'continue', message: currentPrompt(form, p), progress: p };
+  }
+
+  // Durante o preenchimento o cliente pode voltar num campo: "corrigir nome"
+  if (CORRECTION_VERBS.test(text)) {
+    const named = findNamedSlot(form, text);
+    if (named && named.slot.name !== p.pending) return askSlot(named.slot, 'correcting');
+  }
+
+  const slot = form.slots.find(s => s.name === p.pending);
+  if (!slot) return afterFill();
+
+  // Campo opcional: "pular" deixa em branco
+  if (!slot.required && ['pular', 'nao', 'nao tenho', '-'].includes(text)) {
+    p.values[slot.name] = null;
+    return afterFill();
+  }
+
+  const check = validateSlot(slot, input);
+  if (!check.valid) {
+    p.retries = (p.retries || 0) + 1;
+    if (form.maxRetries && p.retries > form.maxRetries) {
+      return { status: 'cancelled', reason: 'max_retries', field: slot.name, message: form.cancelMessage, progress: p };
+    }
+    return { status: 'invalid', field: slot.name, message: check.error, progress: p };
+  }
+
+  p.values[slot.name] = check.value;
+  const result = afterFill();
+  return { ...result, field: slot.name };
+}
+
+/**
+ * Evento estruturado do formulário concluído (lead/pedido), pronto para webhook.
+ * `slot.field` mapeia o nome do campo para o backend (padrão: o próprio name).
+ */
+export function buildFormPayload(form, progress, { dialogId, userId, context = {} } = {}) {
+  const fields = form.slots
+    .filter(s => progress.values[s.name] !== undefined && progress.values[s.name] !== null)
+    .map(s => ({ name: s.name, field: s.field || s.name, label: s.label, value: progress.values[s.name] }));
+
+  const record = {};
+  for (const f of fields) record[f.field] = f.value;
+  if (!record.telefone && context.phone) record.telefone = context.phone;
+
+  return {
+    formId: form.id,
+    type: form.type,
+    dialogId,
+    userId,
+    values: { ...progress.values },
+    fields,
+    record,
+    startedAt: progress.startedAt,
+    completedAt: Date.now()
+  };
+}
@@ -17,6 +17,7 @@ export { QueueManager, IntelligentPriorityQueue } from './infrastructure/queue-m
 export { SessionManager } from './infrastructure/session-manager.js';
 export { RateLimitManager } from './infrastructure/rate-limit-manager.js';
 export { SchedulerManager } from './infrastructure/scheduler-manager.js';
+export { parseCron, nextCronTime, nextCronTimes, isValidTimeZone } from './infrastructure/cron-expression.js';
 
 // NLP
 export { 
@@ -43,6 +44,7 @@ export { NotificationManager } from './communication/notification-manager.js';
 
 // Dialog
 export { DialogManager } from './dialog/dialog-manager.js';
+export { validateSlot, isValidCPF, isValidCEP, SLOT_VALIDATORS } from './dialog/slot-filling.js';
 
 // I18n
 export { LocaleManager } from './i18n/locale-manager.js';
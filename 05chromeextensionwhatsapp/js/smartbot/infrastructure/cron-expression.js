@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Cron de 5 campos com fuso horário (IANA)
+ * @module smartbot/infrastructure/cron-expression
+ *
+ * Campos: minuto (0-59) hora (0-23) dia-do-mês (1-31) mês (1-12 | JAN-DEC) dia-da-semana (0-7 | SUN-SAT, 0 e 7 = domingo)
+ * Sintaxe por campo: *, 5, 1-5, *\/15, 10-40/10, 3/20 e listas (1,15,30). Atalhos: @hourly, @daily,
+ * @weekly, @monthly, @yearly. Quando dia-do-mês e dia-da-semana são ambos restritos, vale
+ * qualquer um dos dois (regra do cron clássico).
+ *
+ * Usado pelo SchedulerManager e pelo service worker (campanhas recorrentes em chrome.alarms).
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Limite de busca: uma expressão válida que nunca casa (ex.: 30 de fevereiro) não trava o loop
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseValue(raw, field, expression) {
+  const upper = raw.toUpperCase();
+  const named = field.names ? field.names.indexOf(upper) : -1;
+  if (named >= 0) return named + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(raw)) throw new Error(`Cron inválido "${expression}": "${raw}" em ${field.name}`);
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new Error(`Cron inválido "${expression}": ${field.name} deve estar entre ${field.min} e ${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Cron inválido "${expression}": passo "${stepText}" em ${field.name}`);
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseValue(a, field, expression);
+      to = parseValue(b, field, expression);
+      if (from > to) throw new Error(`Cron inválido "${expression}": intervalo ${range} invertido em ${field.name}`);
+    } else {
+      from = parseValue(range, field, expression);
+      // "5/15" = de 5 até o fim, de 15 em 15
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(field.name === 'dayOfWeek' && v === 7 ? 0 : v);
+  }
+  return values;
+}
+
+/**
+ * Interpretar uma expressão cron. Lança Error com a causa se for inválida.
+ * @param {string} expression
+ * @returns {{ expression, minute, hour, dayOfMonth, month, dayOfWeek, dayOfMonthAny, dayOfWeekAny }}
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const text = MACROS[source.toLowerCase()] || source;
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron inválido "${source}": esperado 5 campos (minuto hora dia mês dia-da-semana)`);
+
+  const cron = { expression: source };
+  FIELDS.forEach((field, i) => {
+    cron[field.name] = [...parseField(parts[i], field, source)].sort((a, b) => a - b);
+  });
+  cron.dayOfMonthAny = parts[2] === '*';
+  cron.dayOfWeekAny = parts[4] === '*';
+  return cron;
+}
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  const key = timeZone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Fuso IANA válido? (vazio = fuso local do navegador)
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return true;
+  try {
+    formatter(timeZone);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Relógio de parede no fuso: { year, month, day, hour, minute }
+function zonedParts(ts, timeZone) {
+  const out = {};
+  for (const p of formatter(timeZone).formatToParts(new Date(ts))) {
+    if (p.type !== 'literal') out[p.type] = Number(p.value);
+  }
+  return { year: out.year, month: out.month, day: out.day, hour: out.hour % 24, minute: out.minute };
+}
+
+function offsetAt(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ts / 60000) * 60000;
+}
+
+// Horário de parede -> timestamp (duas passadas para acertar perto de troca de horário de verão)
+function zonedToUtc(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - offsetAt(wall, timeZone);
+  return wall - offsetAt(guess, timeZone);
+}
+
+function dayMatches(cron, day, weekday) {
+  const dom = cron.dayOfMonth.includes(day);
+  const dow = cron.dayOfWeek.includes(weekday);
+  if (cron.dayOfMonthAny && cron.dayOfWeekAny) return true;
+  if (cron.dayOfMonthAny) return dow;
+  if (cron.dayOfWeekAny) return dom;
+  return dom || dow;
+}
+
+/**
+ * Próxima execução estritamente depois de `from` (minuto cheio), no fuso indicado.
+ * Horários que não existem no fuso (pulados pelo horário de verão) são ignorados.
+ * @param {string|Object} expression - texto ou resultado de parseCron
+ * @param {{ from?: number, timeZone?: string }} [options]
+ * @returns {number|null} timestamp (ms) ou null se não houver execução nos próximos 5 anos
+ */
+export function nextCronTime(expression, { from = Date.now(), timeZone } = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  if (!isValidTimeZone(timeZone)) throw new Error(`Fuso horário inválido: ${timeZone}`);
+
+  const start = Math.floor(from / 60000) * 60000 + 60000;
+  const first = zonedParts(start, timeZone);
+  let { year, month, day } = first;
+  let minMinute = first.hour * 60 + first.minute;
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (cron.month.includes(month) && dayMatches(cron, day, weekday)) {
+      for (const hour of cron.hour) {
+        if (hour * 60 + 59 < minMinute) continue;
+        for (const minute of cron.minute) {
+          if (hour * 60 + minute < minMinute) continue;
+          const ts = zonedToUtc(year, month, day, hour, minute, timeZone);
+          const back = zonedParts(ts, timeZone);
+          if (back.day !== day || back.hour !== hour || back.minute !== minute) continue; // não existe nesse dia
+          if (ts >= start) return ts;
+        }
+      }
+    }
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    year = next.getUTCFullYear();
+    month = next.getUTCMonth() + 1;
+    day = next.getUTCDate();
+    minMinute = 0;
+  }
+  return null;
+}
+
+/**
+ * Próximas N execuções (pré-visualização no painel)
+ */
+export function nextCronTimes(expression, count = 5, { from = Date.now(), timeZone } = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const out = [];
+  let cursor = from;
+  while (out.length < count) {
+    const ts = nextCronTime(cron, { from: cursor, timeZone });
+    if (ts === null) break;
+    out.push(ts);
+    cursor = ts;
+  }
+  return out;
+}
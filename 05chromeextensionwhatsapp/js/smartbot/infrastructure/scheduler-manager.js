@@ -3,6 +3,11 @@
  * @module smartbot/infrastructure/scheduler-manager
  */
 
+import { parseCron, nextCronTime } from './cron-expression.js';
+
+// setTimeout estoura acima de ~24,8 dias; esperas maiores são feitas em etapas
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
 /**
  * Sistema de agendamento de tarefas com suporte a cron
  */
@@ -75,12 +80,15 @@ export class SchedulerManager {
   }
 
   /**
-   * Agendar com padrão cron simplificado
+   * Agendar com expressão cron de 5 campos (ver cron-expression.js)
    * @param {string} taskId - ID da tarefa
    * @param {Function} handler - Handler
-   * @param {string} pattern - Padrão: '0 9 * * *' (9h todos os dias)
+   * @param {string} pattern - Ex.: '0 9 * * 1-5' (9h de segunda a sexta), '*\/15 8-18 * * *'
+   * @param {Object} options - { timezone?: 'America/Sao_Paulo' } (padrão: fuso local)
    */
   scheduleCron(taskId, handler, pattern, options = {}) {
+    parseCron(pattern); // valida antes de registrar
+
     const task = {
       id: taskId,
       type: 'cron',
@@ -89,7 +97,7 @@ export class SchedulerManager {
       enabled: true,
       createdAt: Date.now(),
       lastRun: null,
-      nextRun: this._getNextCronTime(pattern),
+      nextRun: this._getNextCronTime(pattern, options.timezone),
       runCount: 0,
       options
     };
@@ -231,18 +239,25 @@ export class SchedulerManager {
     const task = this.tasks.get(taskId);
     if (!task || !task.enabled) return;
 
+    if (task.nextRun === null) return; // expressão sem próxima ocorrência (ex.: 30 de fevereiro)
+
     const now = Date.now();
     const delay = task.nextRun - now;
 
     if (delay <= 0) {
-      task.nextRun = this._getNextCronTime(task.pattern);
+      task.nextRun = this._getNextCronTime(task.pattern, task.options.timezone);
       this._scheduleCronTask(taskId);
       return;
     }
 
+    if (delay > MAX_TIMER_DELAY) {
+      this.timers.set(taskId, setTimeout(() => this._scheduleCronTask(taskId), MAX_TIMER_DELAY));
+      return;
+    }
+
     const timer = setTimeout(async () => {
       await this._executeTask(task);
-      task.nextRun = this._getNextCronTime(task.pattern);
+      task.nextRun = this._getNextCronTime(task.pattern, task.options.timezone);
       this._scheduleCronTask(taskId);
     }, delay);
 
@@ -292,25 +307,12 @@ export class SchedulerManager {
   }
 
   /**
-   * Calcular próximo tempo cron (simplificado)
+   * Calcular próximo tempo cron
    * @private
+   * @returns {number|null}
    */
-  _getNextCronTime(pattern) {
-    // Padrão simplificado: 'minute hour * * *'
-    // Exemplo: '30 9 * * *' = 9:30 todos os dias
-    const parts = pattern.split(' ');
-    const [minute, hour] = parts.map(p => parseInt(p));
-
-    const now = new Date();
-    const next = new Date();
-    next.setHours(hour, minute, 0, 0);
-
-    // Se já passou hoje, agendar para amanhã
-    if (next <= now) {
-      next.setDate(next.getDate() + 1);
-    }
-
-    return next.getTime();
+  _getNextCronTime(pattern, timeZone) {
+    return nextCronTime(pattern, { timeZone });
   }
 
   /**
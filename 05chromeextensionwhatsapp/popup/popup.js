@@ -6,6 +6,10 @@ const TEAM_SEND_TIMEOUT_MS = 60000; // 60 seconds timeout for team messaging
 // Global state
 let quickReplies = [];
 let teamMembers = [];
+let providers = [];        // metadata vinda do service worker (GET_PROVIDERS)
+let providerValues = {};   // valores das chaves de cada provedor (openaiApiKey, ollamaModel, ...)
+let currentProvider = "openai";
+let workspaces = [];       // WORKSPACE_LIST (background/workspaces.js)
 
 async function send(type, payload) {
   return new Promise((resolve) => {
@@ -52,15 +56,23 @@ async function load() {
 
   const st = resp?.settings || {};
 
-  // API Key
-  el("openaiApiKey").value = st.openaiApiKey || "";
-  updateApiStatus(st.openaiApiKey);
+  // Workspace
+  await loadWorkspaces();
+  el("backendUrl").value = st.backendUrl || "";
+  el("backendSecret").value = st.backendSecret || "";
+  el("memoryServerUrl").value = st.memoryServerUrl || "";
+  el("memoryWorkspaceKey").value = st.memoryWorkspaceKey || "";
+
+  // Provider
+  await loadProviders(st);
 
   // Chatbot
   el("persona").value = st.persona || "";
   el("businessContext").value = st.businessContext || "";
   el("autoSuggest").checked = Boolean(st.autoSuggest);
   el("autoMemory").checked = Boolean(st.autoMemory);
+  el("aiTools").checked = st.aiTools !== false;
+  el("freightRules").value = st.freightRules ? JSON.stringify(st.freightRules, null, 2) : "";
 
   // Quick Replies
   quickReplies = st.quickReplies || [];
@@ -71,8 +83,35 @@ async function load() {
   teamMembers = st.teamMembers || [];
   renderTeamMembers(teamMembers);
   
+  // Usage / budget
+  el("aiDailyBudget").value = st.aiDailyBudget || "";
+  el("aiDailyHardCap").value = st.aiDailyHardCap || "";
+  const priceTable = st.aiPriceTable || {};
+  el("aiPriceTable").value = Object.keys(priceTable).length ? JSON.stringify(priceTable, null, 2) : "";
+
+  // Selector registry
+  el("selectorsAutoUpdate").checked = st.selectorsAutoUpdate !== false;
+  el("selectorsPublicKey").value = st.selectorsPublicKey || "";
+
+  // Opt-out
+  el("optOutAutoDetect").checked = st.optOutAutoDetect !== false;
+  el("optOutKeywords").value = st.optOutKeywords || "";
+
+  // Janela de envio
+  el("sendWindowEnabled").checked = Boolean(st.sendWindowEnabled);
+  el("sendWindowHolidays").checked = st.sendWindowHolidays !== false;
+  el("sendWindowRecipientTz").checked = st.sendWindowRecipientTz !== false;
+  el("sendWindowCustomHolidays").value = st.sendWindowCustomHolidays || "";
+  el("sendWindowTimezone").value = st.sendWindowTimezone || "";
+  const windows = st.sendWindows || {};
+  for (let d = 0; d < 7; d++) el(`sendWindow${d}`).value = windows[d] ?? "";
+  
   // Load copilot data
   await loadCopilotData();
+  await loadUsage();
+  await loadSelectorStatus();
+  await loadSuppression();
+  await loadMemorySync();
 }
 
 // -------------------------
@@ -81,15 +120,56 @@ async function load() {
 async function saveSettings() {
   setStatus("Salvando…", true);
 
+  stashProviderFields();
+  const granted = await ensureProviderPermission(currentProvider);
+  if (!granted) {
+    setStatus("❌ Permissão negada para a URL do provedor", false);
+    return;
+  }
+
+  let aiPriceTable = {};
+  const priceTableText = el("aiPriceTable").value.trim();
+  if (priceTableText) {
+    try {
+      aiPriceTable = JSON.parse(priceTableText);
+    } catch (e) {
+      setStatus("❌ Tabela de preços inválida (JSON)", false);
+      return;
+    }
+  }
+
+  let freightRules;
+  const freightText = el("freightRules").value.trim();
+  if (freightText) {
+    try {
+      freightRules = JSON.parse(freightText);
+    } catch (e) {
+      setStatus("❌ Tabela de frete inválida (JSON)", false);
+      return;
+    }
+  }
+
   const settings = {
-    // API Key
-    openaiApiKey: el("openaiApiKey").value.trim(),
+    // Workspace
+    backendUrl: el("backendUrl").value.trim(),
+    backendSecret: el("backendSecret").value.trim(),
+    memoryServerUrl: el("memoryServerUrl").value.trim(),
+    memoryWorkspaceKey: el("memoryWorkspaceKey").value.trim(),
+
+    // Provider
+    provider: currentProvider,
+    providerFallback: getFallbackChain(),
+    embedder: el("embedder").value || "local",
+    embeddingModel: el("embeddingModel").value.trim(),
+    ...providerValues,
     
     // Chatbot
     persona: el("persona").value,
     businessContext: el("businessContext").value,
     autoSuggest: el("autoSuggest").checked,
     autoMemory: el("autoMemory").checked,
+    aiTools: el("aiTools").checked,
+    ...(freightRules ? { freightRules } : {}),
     
     // Quick Replies
     quickReplies: quickReplies,
@@ -97,12 +177,34 @@ async function saveSettings() {
     // Team
     senderName: el("senderName").value,
     teamMembers: teamMembers,
+
+    // Usage / budget
+    aiDailyBudget: Number(el("aiDailyBudget").value || 0),
+    aiDailyHardCap: Number(el("aiDailyHardCap").value || 0),
+    aiPriceTable,
+
+    // Selector registry
+    selectorsAutoUpdate: el("selectorsAutoUpdate").checked,
+    selectorsPublicKey: el("selectorsPublicKey").value.trim(),
+
+    // Opt-out
+    optOutAutoDetect: el("optOutAutoDetect").checked,
+    optOutKeywords: el("optOutKeywords").value,
+
+    // Janela de envio
+    sendWindowEnabled: el("sendWindowEnabled").checked,
+    sendWindows: Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map(d => [d, el(`sendWindow${d}`).value.trim()])),
+    sendWindowHolidays: el("sendWindowHolidays").checked,
+    sendWindowCustomHolidays: el("sendWindowCustomHolidays").value,
+    sendWindowTimezone: el("sendWindowTimezone").value.trim(),
+    sendWindowRecipientTz: el("sendWindowRecipientTz").checked,
   };
 
   const resp = await send("SAVE_SETTINGS", { settings });
   if (resp?.ok) {
     setStatus("Salvo ✅", true);
-    updateApiStatus(settings.openaiApiKey);
+    updateApiStatus();
+    loadUsage();
   } else {
     setStatus(resp?.error || "Falha ao salvar", false);
   }
@@ -111,18 +213,208 @@ async function saveSettings() {
 el("save").addEventListener("click", saveSettings);
 
 // -------------------------
-// API Key Functions
+// Workspaces (uma loja por workspace)
 // -------------------------
-function updateApiStatus(apiKey) {
+async function loadWorkspaces() {
+  const resp = await send("WORKSPACE_LIST", {});
+  if (!resp?.ok) return;
+  workspaces = resp.workspaces || [];
+  el("workspaceSelect").innerHTML = workspaces
+    .map(w => `<option value="${escapeHtml(w.id)}"${w.active ? " selected" : ""}>${escapeHtml(w.name)}</option>`)
+    .join("");
+  el("deleteWorkspace").disabled = resp.activeId === "default";
+}
+
+function activeWorkspace() {
+  return workspaces.find(w => w.active) || { id: "default", name: "Principal" };
+}
+
+// Tudo no popup é do workspace ativo: troca = recarregar (as abas do WhatsApp Web recarregam sozinhas)
+el("workspaceSelect").addEventListener("change", async (e) => {
+  setStatus("Trocando de workspace…", true);
+  const resp = await send("WORKSPACE_SWITCH", { id: e.target.value });
+  if (!resp?.ok) {
+    setStatus(resp?.error || "Falha ao trocar de workspace", false);
+    loadWorkspaces();
+    return;
+  }
+  location.reload();
+});
+
+el("createWorkspace").addEventListener("click", async () => {
+  const name = prompt("Nome do novo workspace (ex.: Loja Centro)");
+  if (!name || !name.trim()) return;
+  const copySettings = confirm(`Copiar as configurações de "${activeWorkspace().name}" (backend, persona, janela de envio…)?\nConhecimento, memórias e listas não são copiados.`);
+  const resp = await send("WORKSPACE_CREATE", { name, copySettings, activate: true });
+  if (!resp?.ok) {
+    setStatus(resp?.error || "Falha ao criar workspace", false);
+    return;
+  }
+  location.reload();
+});
+
+el("renameWorkspace").addEventListener("click", async () => {
+  const current = activeWorkspace();
+  const name = prompt("Novo nome do workspace", current.name);
+  if (!name || !name.trim() || name.trim() === current.name) return;
+  const resp = await send("WORKSPACE_RENAME", { id: current.id, name });
+  if (resp?.ok) setStatus("Workspace renomeado ✅", true);
+  else setStatus(resp?.error || "Falha ao renomear", false);
+  loadWorkspaces();
+});
+
+// Remove o workspace ativo: volta para o principal antes (o ativo não pode ser removido)
+el("deleteWorkspace").addEventListener("click", async () => {
+  const current = activeWorkspace();
+  if (current.id === "default") return;
+  if (!confirm(`Remover "${current.name}"? Configurações, conhecimento, memórias, opt-out e campanhas agendadas dele serão apagados.`)) return;
+  const switched = await send("WORKSPACE_SWITCH", { id: "default" });
+  const resp = switched?.ok ? await send("WORKSPACE_DELETE", { id: current.id }) : switched;
+  if (!resp?.ok) {
+    setStatus(resp?.error || "Falha ao remover workspace", false);
+    return;
+  }
+  location.reload();
+});
+
+// -------------------------
+// Provider Functions
+// -------------------------
+function providerMeta(id = currentProvider) {
+  return providers.find(p => p.id === id) || { id, label: id, models: [], keys: {}, requiresKey: false };
+}
+
+async function loadProviders(st) {
+  const resp = await send("GET_PROVIDERS", {});
+  providers = resp?.ok ? (resp.providers || []) : [];
+
+  providerValues = {};
+  for (const p of providers) {
+    for (const k of Object.values(p.keys || {})) providerValues[k] = st[k] || "";
+  }
+
+  const select = el("provider");
+  select.innerHTML = providers
+    .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`)
+    .join("");
+
+  currentProvider = providers.some(p => p.id === st.provider) ? st.provider : "openai";
+  select.value = currentProvider;
+  renderProviderFields();
+
+  const fallback = Array.isArray(st.providerFallback) ? st.providerFallback : [];
+  ["providerFallback1", "providerFallback2"].forEach((id, i) => {
+    el(id).innerHTML = `<option value="">— nenhum —</option>` + providers
+      .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`)
+      .join("");
+    el(id).value = fallback[i] || "";
+  });
+
+  await loadBreakerStatus();
+  await loadEmbedders(st);
+}
+
+// Embedder da base de conhecimento (RAG) + status do índice
+async function loadEmbedders(st) {
+  const resp = await send("RAG_STATUS", {});
+  const embedders = resp?.ok ? (resp.embedders || []) : [];
+  el("embedder").innerHTML = embedders
+    .map(e => `<option value="${escapeHtml(e.id)}">${escapeHtml(e.label)}</option>`)
+    .join("");
+  el("embedder").value = st.embedder || "local";
+  el("embeddingModel").value = st.embeddingModel || "";
+
+  const updatePlaceholder = () => {
+    const e = embedders.find(x => x.id === el("embedder").value);
+    el("embeddingModel").placeholder = e ? e.defaultModel : "modelo (padrão)";
+    el("embedderHint").textContent = e && !e.semantic
+      ? "⚠️ Busca lexical: encontra trechos com as mesmas palavras, não sinônimos. Para busca por significado use OpenAI, Gemini ou Ollama embeddings."
+      : "";
+  };
+  el("embedder").onchange = updatePlaceholder;
+  updatePlaceholder();
+
+  const stats = resp?.stats;
+  el("ragStatus").textContent = stats
+    ? `📚 ${stats.total} trechos indexados` + (stats.lastSync ? ` • atualizado ${new Date(stats.lastSync).toLocaleString()}` : "")
+    : "";
+}
+
+function getFallbackChain() {
+  return [el("providerFallback1").value, el("providerFallback2").value]
+    .filter((p, i, arr) => p && p !== currentProvider && arr.indexOf(p) === i);
+}
+
+// Mostra provedores com circuito aberto (chrome.storage.session, via SW)
+async function loadBreakerStatus() {
+  const resp = await send("GET_AI_BREAKERS", {});
+  const breakers = resp?.ok ? Object.values(resp.breakers || {}) : [];
+  const open = breakers.filter(b => b.state === "open");
+  el("breakerStatus").textContent = open.length
+    ? "⚠️ Em pausa: " + open
+        .map(b => `${providerMeta(b.provider).label} (até ${new Date(b.openUntil).toLocaleTimeString()})`)
+        .join(", ")
+    : "";
+}
+
+// Copia o que está nos inputs para providerValues (chaves do provedor atual)
+function stashProviderFields() {
+  const keys = providerMeta().keys || {};
+  if (keys.apiKey) providerValues[keys.apiKey] = el("providerApiKey").value.trim();
+  if (keys.model) providerValues[keys.model] = el("providerModel").value.trim();
+  if (keys.baseUrl) providerValues[keys.baseUrl] = el("providerBaseUrl").value.trim();
+}
+
+function renderProviderFields() {
+  const meta = providerMeta();
+  const keys = meta.keys || {};
+
+  el("providerApiKeyRow").style.display = keys.apiKey ? "" : "none";
+  el("providerModelRow").style.display = keys.model ? "" : "none";
+  el("providerBaseUrlRow").style.display = keys.baseUrl ? "" : "none";
+
+  el("providerApiKey").value = keys.apiKey ? (providerValues[keys.apiKey] || "") : "";
+  el("providerApiKey").placeholder = meta.keyPrefix ? `${meta.keyPrefix}...` : "(opcional)";
+  el("providerModel").value = keys.model ? (providerValues[keys.model] || meta.defaultModel || "") : "";
+  el("providerBaseUrl").value = keys.baseUrl ? (providerValues[keys.baseUrl] || "") : "";
+  el("providerBaseUrl").placeholder = meta.defaultBaseUrl || "";
+  el("providerModels").innerHTML = (meta.models || [])
+    .map(m => `<option value="${escapeHtml(m)}"></option>`)
+    .join("");
+
+  updateApiStatus();
+}
+
+// URLs arbitrárias (OpenAI-compatível) precisam de permissão opcional de host
+async function ensureProviderPermission(id) {
+  const keys = providerMeta(id).keys || {};
+  const url = keys.baseUrl ? providerValues[keys.baseUrl] : "";
+  if (!url || !chrome.permissions) return true;
+  try {
+    const origins = [new URL(url).origin + "/*"];
+    if (await chrome.permissions.contains({ origins })) return true;
+    return await chrome.permissions.request({ origins });
+  } catch (e) {
+    return false;
+  }
+}
+
+function updateApiStatus() {
   const statusEl = el("apiStatus");
   const indicatorEl = el("apiStatusIndicator");
   const textEl = el("apiStatusText");
-  
-  if (!apiKey || apiKey.trim() === "") {
-    indicatorEl.textContent = "⚪";
-    textEl.textContent = "Chave não configurada";
-    statusEl.classList.remove("connected");
-  } else if (apiKey.startsWith("sk-")) {
+  const meta = providerMeta();
+  const apiKey = el("providerApiKey").value.trim();
+
+  if (!meta.keys?.apiKey) {
+    indicatorEl.textContent = "🟢";
+    textEl.textContent = meta.id === "backend" ? "Usando backend configurado" : "Sem chave necessária";
+    statusEl.classList.add("connected");
+  } else if (!apiKey) {
+    indicatorEl.textContent = meta.requiresKey ? "⚪" : "🟢";
+    textEl.textContent = meta.requiresKey ? "Chave não configurada" : "Sem chave (opcional)";
+    statusEl.classList.toggle("connected", !meta.requiresKey);
+  } else if (!meta.keyPrefix || apiKey.startsWith(meta.keyPrefix)) {
     indicatorEl.textContent = "🟢";
     textEl.textContent = "Chave configurada";
     statusEl.classList.add("connected");
@@ -133,8 +425,14 @@ function updateApiStatus(apiKey) {
   }
 }
 
+el("provider").addEventListener("change", (e) => {
+  stashProviderFields();
+  currentProvider = e.target.value;
+  renderProviderFields();
+});
+
 el("toggleApiKeyVisibility").addEventListener("click", () => {
-  const input = el("openaiApiKey");
+  const input = el("providerApiKey");
   const btn = el("toggleApiKeyVisibility");
   
   if (input.type === "password") {
@@ -146,20 +444,27 @@ el("toggleApiKeyVisibility").addEventListener("click", () => {
   }
 });
 
-el("openaiApiKey").addEventListener("input", (e) => {
-  updateApiStatus(e.target.value);
+el("providerApiKey").addEventListener("input", () => {
+  updateApiStatus();
 });
 
 el("testApiKey").addEventListener("click", async () => {
-  const apiKey = el("openaiApiKey").value.trim();
+  const meta = providerMeta();
+  const apiKey = el("providerApiKey").value.trim();
   
-  if (!apiKey) {
+  if (meta.requiresKey && !apiKey) {
     setStatus("❌ Digite uma chave API primeiro", false);
     return;
   }
   
-  if (!apiKey.startsWith("sk-")) {
-    setStatus("❌ Formato de chave inválido (deve começar com 'sk-')", false);
+  if (apiKey && meta.keyPrefix && !apiKey.startsWith(meta.keyPrefix)) {
+    setStatus(`❌ Formato de chave inválido (deve começar com '${meta.keyPrefix}')`, false);
+    return;
+  }
+
+  stashProviderFields();
+  if (!(await ensureProviderPermission(currentProvider))) {
+    setStatus("❌ Permissão negada para a URL do provedor", false);
     return;
   }
   
@@ -169,15 +474,20 @@ el("testApiKey").addEventListener("click", async () => {
   
   try {
     const response = await send("AI_CHAT", {
-      apiKey: apiKey,
+      provider: currentProvider,
+      noFallback: true,
+      apiKey: apiKey || undefined,
+      model: el("providerModel").value.trim() || undefined,
+      baseUrl: el("providerBaseUrl").value.trim() || undefined,
       messages: [{ role: "user", content: "Teste" }],
-      maxTokens: 10
+      maxTokens: 10,
+      meta: { origin: "manual" }
     });
     
     if (response?.ok && response?.text) {
       indicatorEl.textContent = "🟢";
       textEl.textContent = "Conexão bem-sucedida!";
-      setStatus("✅ Conexão com OpenAI estabelecida com sucesso!", true);
+      setStatus(`✅ Conexão com ${meta.label} estabelecida com sucesso!`, true);
     } else {
       indicatorEl.textContent = "🔴";
       textEl.textContent = "Erro na conexão";
@@ -190,6 +500,238 @@ el("testApiKey").addEventListener("click", async () => {
   }
 });
 
+// -------------------------
+// Usage / Cost Functions
+// -------------------------
+function formatUsd(v) {
+  const n = Number(v || 0);
+  return "$" + (n < 0.01 && n > 0 ? n.toFixed(4) : n.toFixed(2));
+}
+
+function formatTokens(n) {
+  n = Number(n || 0);
+  return n >= 1000 ? (n / 1000).toFixed(1) + "k" : String(n);
+}
+
+function usageRow(name, agg) {
+  const approx = agg.estimated ? "≈" : "";
+  return `
+    <div class="usage-row">
+      <span class="usage-name" title="${escapeHtml(name)}">${escapeHtml(name)}</span>
+      <span class="usage-value">${agg.calls}× • ${approx}${formatTokens(agg.inputTokens + agg.outputTokens)} tok • ${approx}${formatUsd(agg.cost)}</span>
+    </div>
+  `;
+}
+
+function renderUsageMap(containerId, map, limit = 10) {
+  const entries = Object.entries(map || {})
+    .sort((a, b) => b[1].cost - a[1].cost || b[1].calls - a[1].calls)
+    .slice(0, limit);
+  el(containerId).innerHTML = entries.length
+    ? entries.map(([name, agg]) => usageRow(name, agg)).join("")
+    : `<p class="hint">Sem dados ainda.</p>`;
+}
+
+async function loadUsage() {
+  const resp = await send("GET_USAGE", { days: 7 });
+  if (!resp?.ok) return;
+  const { today, history, budget } = resp.usage;
+  const total = today.total || {};
+
+  el("usageCalls").textContent = total.calls || 0;
+  el("usageInput").textContent = formatTokens(total.inputTokens);
+  el("usageOutput").textContent = formatTokens(total.outputTokens);
+  el("usageCost").textContent = formatUsd(total.cost);
+
+  const statusEl = el("usageBudgetStatus");
+  statusEl.classList.remove("warn", "err");
+  if (budget.capReached) {
+    statusEl.textContent = `⛔ Limite rígido atingido (${formatUsd(budget.spent)} / ${formatUsd(budget.hardCap)}) — chamadas automáticas bloqueadas hoje.`;
+    statusEl.classList.add("err");
+  } else if (budget.overBudget) {
+    statusEl.textContent = `⚠️ Orçamento diário ultrapassado (${formatUsd(budget.spent)} / ${formatUsd(budget.daily)}).`;
+    statusEl.classList.add("warn");
+  } else if (budget.daily || budget.hardCap) {
+    statusEl.textContent = `✅ ${formatUsd(budget.spent)} gastos hoje (todos os workspaces)` +
+      (budget.daily ? ` • aviso em ${formatUsd(budget.daily)}` : "") +
+      (budget.hardCap ? ` • limite ${formatUsd(budget.hardCap)}` : "");
+  } else {
+    statusEl.textContent = "Sem orçamento configurado.";
+  }
+
+  const breakdown = {};
+  for (const [k, v] of Object.entries(today.byOrigin || {})) breakdown[`origem: ${k}`] = v;
+  for (const [k, v] of Object.entries(today.byMode || {})) breakdown[`ação: ${k}`] = v;
+  for (const [k, v] of Object.entries(today.byModel || {})) breakdown[`modelo: ${k}`] = v;
+  renderUsageMap("usageBreakdown", breakdown, 20);
+  renderUsageMap("usageTopChats", today.byChat, 10);
+
+  el("usageHistory").innerHTML = history
+    .slice()
+    .reverse()
+    .map(h => usageRow(h.day, h))
+    .join("");
+}
+
+el("refreshUsage").addEventListener("click", loadUsage);
+
+el("resetUsage").addEventListener("click", async () => {
+  if (!confirm("Zerar todo o histórico de uso de IA?")) return;
+  const resp = await send("RESET_USAGE", {});
+  if (resp?.ok) {
+    setStatus("Histórico de uso zerado ✅", true);
+    loadUsage();
+  } else {
+    setStatus(resp?.error || "Falha ao zerar histórico", false);
+  }
+});
+
+// -------------------------
+// Selector Registry
+// -------------------------
+async function loadSelectorStatus() {
+  const resp = await send("GET_SELECTOR_STATUS", {});
+  if (!resp?.ok) return;
+  const { registry, drift, driftCount } = resp.status || {};
+
+  el("selectorStatus").textContent = registry
+    ? `Registro ${registry.version} (rev ${registry.revision}) — baixado em ${new Date(registry.fetchedAt).toLocaleString()}`
+    : "Registro embutido (nenhuma atualização baixada).";
+
+  el("selectorDrift").innerHTML = driftCount
+    ? (drift || []).slice(0, 10).map(d => `
+      <div class="usage-row">
+        <span class="usage-name">${escapeHtml(d.key)}</span>
+        <span class="usage-value">${escapeHtml(d.suggestion || d.kind)} · ${d.count}×</span>
+      </div>`).join("")
+    : "";
+}
+
+el("refreshSelectors").addEventListener("click", async () => {
+  setStatus("Buscando seletores…", true);
+  const resp = await send("SELECTOR_REGISTRY_REFRESH", { force: true });
+  if (resp?.ok) {
+    setStatus(resp.result?.updated ? `Seletores atualizados: ${resp.result.version} ✅` : "Seletores já estão atualizados ✅", true);
+    loadSelectorStatus();
+  } else {
+    setStatus(resp?.error || "Falha ao buscar seletores", false);
+  }
+});
+
+el("clearSelectorDrift").addEventListener("click", async () => {
+  const resp = await send("CLEAR_SELECTOR_DRIFT", {});
+  if (resp?.ok) loadSelectorStatus();
+});
+
+// -------------------------
+// Opt-out / Suppression list
+// -------------------------
+const SUPPRESSION_SOURCE_LABELS = { auto: "resposta", reply: "campanha", manual: "manual", import: "importado", backend: "backend" };
+
+async function loadSuppression() {
+  const resp = await send("SUPPRESSION_LIST", {});
+  if (!resp?.ok) return;
+  const { entries = [], count = 0, pending = 0, lastSyncAt, lastSyncError } = resp;
+
+  const sync = lastSyncError
+    ? `falha na sincronização: ${lastSyncError}`
+    : (lastSyncAt ? `sincronizado em ${new Date(lastSyncAt).toLocaleString()}` : "ainda não sincronizado");
+  el("suppressionStatus").textContent = count
+    ? `${count} contato(s) bloqueados${pending ? ` · ${pending} pendente(s)` : ""} — ${sync}`
+    : `Nenhum contato na lista — ${sync}`;
+
+  el("suppressionList").innerHTML = entries.slice(0, 10).map(e => `
+    <div class="usage-row">
+      <span class="usage-name" title="${escapeHtml(e.text || "")}">${escapeHtml(e.name ? `${e.name} · ${e.number}` : e.number)}</span>
+      <span class="usage-value">${escapeHtml(e.keyword || SUPPRESSION_SOURCE_LABELS[e.source] || e.source)} · ${new Date(e.addedAt).toLocaleDateString()}
+        <button class="btn-mini" data-release="${escapeHtml(e.number)}" title="Liberar">↩️</button>
+      </span>
+    </div>`).join("");
+}
+
+el("suppressionList").addEventListener("click", async (ev) => {
+  const number = ev.target?.closest?.("[data-release]")?.dataset.release;
+  if (!number || !confirm(`Liberar ${number} para receber mensagens novamente?`)) return;
+  const resp = await send("SUPPRESSION_REMOVE", { numbers: [number] });
+  if (resp?.ok) loadSuppression();
+  else setStatus(resp?.error || "Falha ao liberar número", false);
+});
+
+el("addSuppression").addEventListener("click", async () => {
+  const number = el("suppressionNumber").value.replace(/\D/g, "");
+  if (number.length < 10) {
+    setStatus("❌ Número inválido (use DDI + DDD + número)", false);
+    return;
+  }
+  const resp = await send("SUPPRESSION_ADD", { entries: [{ number, source: "manual", reason: "manual" }] });
+  if (resp?.ok) {
+    el("suppressionNumber").value = "";
+    setStatus(resp.added?.length ? "Número bloqueado ✅" : "Número já estava na lista", true);
+    loadSuppression();
+  } else {
+    setStatus(resp?.error || "Falha ao bloquear número", false);
+  }
+});
+
+el("exportSuppression").addEventListener("click", async () => {
+  const resp = await send("SUPPRESSION_EXPORT", { format: "csv" });
+  if (!resp?.ok) {
+    setStatus(resp?.error || "Falha ao exportar", false);
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([resp.content], { type: "text/csv;charset=utf-8" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `opt-out_${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1500);
+});
+
+el("syncSuppression").addEventListener("click", async () => {
+  setStatus("Sincronizando opt-out…", true);
+  const resp = await send("SUPPRESSION_SYNC", {});
+  if (resp?.ok) setStatus(`Opt-out sincronizado: ${resp.pushed} enviado(s), ${resp.pulled} recebido(s) ✅`, true);
+  else setStatus(resp?.error || "Falha ao sincronizar", false);
+  loadSuppression();
+});
+
+// -------------------------
+// Memory sync (outbox + pull)
+// -------------------------
+async function loadMemorySync() {
+  const resp = await send("MEMORY_SYNC_STATUS", {});
+  if (!resp?.ok) return;
+  const { enabled, pending = 0, failed = 0, lastPushAt, lastPullAt, lastError, dropped = 0, failures = [] } = resp.status || {};
+
+  const last = Math.max(lastPushAt || 0, lastPullAt || 0);
+  const parts = [
+    pending ? `⏳ ${pending} pendente(s)` : "✅ nada pendente",
+    failed ? `❌ ${failed} com falha` : "",
+    dropped ? `⚠️ ${dropped} descartado(s) por falta de espaço` : "",
+    last ? `última sincronização ${new Date(last).toLocaleString()}` : "ainda não sincronizado"
+  ].filter(Boolean);
+  el("memorySyncStatus").textContent = enabled
+    ? `${parts.join(" · ")}${lastError ? ` — erro: ${lastError}` : ""}`
+    : `Memory server não configurado (URL/chave) — ${pending} evento(s) guardado(s) para enviar depois`;
+
+  el("memorySyncFailures").innerHTML = failures.map(f => `
+    <div class="usage-row">
+      <span class="usage-name">${escapeHtml(f.contactId || f.type)}</span>
+      <span class="usage-value" title="${escapeHtml(f.lastError || "")}">${escapeHtml(f.lastError || "falhou")}${f.attempts ? ` · ${f.attempts} tentativa(s)` : ""}</span>
+    </div>`).join("");
+  el("retryMemorySync").disabled = !failed;
+}
+
+el("retryMemorySync").addEventListener("click", async () => {
+  setStatus("Reenviando eventos de memória…", true);
+  const resp = await send("MEMORY_SYNC_RETRY", {});
+  if (resp?.ok) setStatus(`${resp.reopened} evento(s) de volta na fila, ${resp.flushed} enviado(s) ✅`, true);
+  else setStatus(resp?.error || "Falha ao reenviar", false);
+  loadMemorySync();
+});
+
+el("refreshMemorySync").addEventListener("click", loadMemorySync);
+
 // -------------------------
 // Copilot Mode Functions
 // -------------------------
@@ -525,7 +1067,8 @@ async function sendToTeam() {
     });
     
     if (response?.ok) {
-      setStatus(`✅ Enviado para ${selectedMembers.length} membro(s)!`, true);
+      const skipped = response.suppressed?.length || 0;
+      setStatus(`✅ Enviado para ${selectedMembers.length - skipped} membro(s)!${skipped ? ` ${skipped} em opt-out não receberam.` : ""}`, true);
       el("teamMessage").value = "";
       clearSelection();
       updateMessagePreview();
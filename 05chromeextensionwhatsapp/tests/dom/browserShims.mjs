@@ -0,0 +1,144 @@
+// tests/dom/browserShims.mjs
+// O que o jsdom não tem e a automação do content.js usa: layout (visibilidade), innerText,
+// document.execCommand sobre contenteditable, DataTransfer/input.files e relógio acelerado.
+
+/**
+ * Visível = conectado e sem [hidden] / display:none (inline) no caminho até a raiz.
+ * É o que os isVisible() do content script precisam distinguir nos snapshots.
+ */
+function rendered(el) {
+  if (!el.isConnected) return false;
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden || node.style?.display === 'none') return false;
+  }
+  return true;
+}
+
+function installLayout(window) {
+  const { HTMLElement, Element } = window;
+  for (const prop of ['offsetWidth', 'offsetHeight']) {
+    Object.defineProperty(HTMLElement.prototype, prop, {
+      configurable: true,
+      get() { return rendered(this) ? 100 : 0; }
+    });
+  }
+  Element.prototype.getClientRects = function () {
+    return rendered(this) ? [{ x: 0, y: 0, width: 100, height: 100, top: 0, left: 0, right: 100, bottom: 100 }] : [];
+  };
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return this.textContent; },
+    set(value) { this.textContent = value; }
+  });
+}
+
+// Texto de um editor Lexical do WhatsApp: <p class="selectable-text"><span data-lexical-text>…</span></p>
+export function setEditorText(el, text) {
+  const doc = el.ownerDocument;
+  const p = doc.createElement('p');
+  p.className = 'selectable-text copyable-text x15bjb6t x1n2onr6';
+  if (text) {
+    const span = doc.createElement('span');
+    span.className = 'selectable-text copyable-text xkrh14z';
+    span.setAttribute('data-lexical-text', 'true');
+    span.textContent = text;
+    p.appendChild(span);
+  } else {
+    p.appendChild(doc.createElement('br'));
+  }
+  el.replaceChildren(p);
+}
+
+export function editorText(el) {
+  return el ? el.textContent : '';
+}
+
+/**
+ * execCommand no elemento editável com foco: selectAll / delete / insertText / paste / copy.
+ * Como no Chrome, cada edição dispara "input" no editor.
+ */
+function installExecCommand(window, clipboard) {
+  const { document } = window;
+  let selected = null;
+
+  const editable = () => {
+    const el = document.activeElement;
+    return el && el.getAttribute?.('contenteditable') === 'true' ? el : null;
+  };
+  const input = (el, inputType, data = null) => {
+    el.dispatchEvent(new window.InputEvent('input', { bubbles: true, inputType, data }));
+  };
+
+  document.execCommand = (command, _showUi, value) => {
+    const el = editable();
+    if (command === 'copy') return true;
+    if (!el) return false;
+    switch (command) {
+      case 'selectAll':
+        selected = el;
+        return true;
+      case 'delete': {
+        const text = editorText(el);
+        setEditorText(el, selected === el ? '' : text.slice(0, -1));
+        selected = null;
+        input(el, 'deleteContentBackward');
+        return true;
+      }
+      case 'insertText':
+      case 'paste': {
+        const data = command === 'paste' ? clipboard.text : String(value ?? '');
+        const base = selected === el ? '' : editorText(el);
+        selected = null;
+        setEditorText(el, base + data);
+        input(el, command === 'paste' ? 'insertFromPaste' : 'insertText', data);
+        return true;
+      }
+      default:
+        return false;
+    }
+  };
+  document.queryCommandSupported = (command) => ['selectAll', 'delete', 'insertText', 'paste', 'copy'].includes(command);
+}
+
+/**
+ * DataTransfer mínimo e input.files aceitando a lista dele (o jsdom só aceita FileList nativo).
+ */
+function installDataTransfer(window) {
+  const assigned = new WeakMap();
+  const native = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'files');
+  Object.defineProperty(window.HTMLInputElement.prototype, 'files', {
+    configurable: true,
+    get() { return assigned.get(this) || native.get.call(this); },
+    set(list) { assigned.set(this, list); }
+  });
+
+  window.DataTransfer = class DataTransfer {
+    constructor() {
+      const files = [];
+      files.item = (i) => files[i] || null;
+      this.files = files;
+      this.items = {
+        add: (file) => { files.push(file); return file; },
+        get length() { return files.length; }
+      };
+    }
+  };
+}
+
+/**
+ * setTimeout com os atrasos multiplicados por timeScale (0.01 = 100× mais rápido).
+ * setInterval fica no tempo real; window.close() limpa os dois.
+ */
+function installClock(window, timeScale) {
+  const original = window.setTimeout;
+  window.setTimeout = (fn, ms = 0, ...args) => original.call(window, fn, Math.round((Number(ms) || 0) * timeScale), ...args);
+}
+
+export function installBrowserShims(window, { timeScale = 0.01 } = {}) {
+  const clipboard = { text: '' };
+  installLayout(window);
+  installExecCommand(window, clipboard);
+  installDataTransfer(window);
+  installClock(window, timeScale);
+  return { clipboard };
+}
@@ -0,0 +1,82 @@
+// insertIntoComposer / clickSend contra o chat aberto de fixtures/open-chat.html
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openWhatsApp, waitFor } from './harness.mjs';
+import { editorText, setEditorText } from './browserShims.mjs';
+
+async function openChat(t) {
+  const page = await openWhatsApp({ snapshot: 'open-chat' });
+  t.after(() => page.close());
+  return page;
+}
+
+const footerButton = (page) => page.document.querySelector('#main footer ._ak1t button')?.getAttribute('aria-label');
+
+test('insertIntoComposer escreve no composer do chat, não na busca', async (t) => {
+  const page = await openChat(t);
+  await page.api.insertIntoComposer('Olá, Ana! Seu pedido saiu para entrega.');
+
+  assert.equal(editorText(page.app.composer), 'Olá, Ana! Seu pedido saiu para entrega.');
+  assert.equal(editorText(page.app.searchBox), '');
+  // O WhatsApp troca o microfone por "Enviar" quando o composer tem texto
+  await waitFor(() => footerButton(page) === 'Enviar');
+});
+
+test('insertIntoComposer substitui o rascunho que já estava no composer', async (t) => {
+  const page = await openChat(t);
+  setEditorText(page.app.composer, 'rascunho antigo');
+  await page.api.insertIntoComposer('Mensagem nova');
+  assert.equal(editorText(page.app.composer), 'Mensagem nova');
+});
+
+test('insertIntoComposer humanizado digita caractere a caractere', async (t) => {
+  const page = await openChat(t);
+  const inputs = [];
+  page.app.composer.addEventListener('input', (e) => inputs.push(e.data));
+  await page.api.insertIntoComposer('Oi!', true);
+  assert.equal(editorText(page.app.composer), 'Oi!');
+  assert.deepEqual(inputs.filter(Boolean), ['O', 'i', '!']);
+});
+
+test('insertIntoComposer rejeita mensagem vazia', async (t) => {
+  const page = await openChat(t);
+  await assert.rejects(page.api.insertIntoComposer(''), /Mensagem vazia/);
+});
+
+test('insertIntoComposer sem chat aberto falha em vez de escrever na busca', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'chat-list' });
+  t.after(() => page.close());
+  await assert.rejects(page.api.insertIntoComposer('Oi'), /caixa de mensagem/);
+  assert.equal(editorText(page.app.searchBox), '');
+});
+
+test('clickSend clica em Enviar e a mensagem vira bolha de saída', async (t) => {
+  const page = await openChat(t);
+  await page.api.insertIntoComposer('Seu pedido saiu para entrega');
+  await waitFor(() => footerButton(page) === 'Enviar');
+  await page.api.clickSend();
+
+  await waitFor(() => page.app.sent.length === 1);
+  assert.deepEqual(page.app.sent[0], { chat: 'Ana Souza', text: 'Seu pedido saiu para entrega' });
+  assert.deepEqual(page.app.bubbles().at(-1), { outgoing: true, text: 'Seu pedido saiu para entrega' });
+  assert.equal(editorText(page.app.composer), '');
+  await waitFor(() => footerButton(page) === 'Mensagem de voz');
+});
+
+test('clickSend sem botão Enviar cai para Enter no composer', async (t) => {
+  const page = await openChat(t);
+  // Texto sem evento de input: o rodapé continua com o microfone
+  setEditorText(page.app.composer, 'Enviado com Enter');
+  assert.equal(footerButton(page), 'Mensagem de voz');
+
+  await page.api.clickSend();
+  await waitFor(() => page.app.sent.length === 1);
+  assert.equal(page.app.sent[0].text, 'Enviado com Enter');
+});
+
+test('clickSend sem chat aberto falha', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'chat-list' });
+  t.after(() => page.close());
+  await assert.rejects(page.api.clickSend(), /botão ENVIAR nem o composer/);
+});
@@ -0,0 +1,110 @@
+// tests/dom/harness.mjs
+// Carrega os content scripts do manifest (mesma ordem) num jsdom montado a partir de um snapshot
+// de fixtures/, com o WhatsApp simulado (whatsappSim.mjs) e um chrome.* em memória.
+//
+//   const page = await openWhatsApp({ snapshot: 'open-chat' });
+//   await page.api.insertIntoComposer('Oi');   // funções internas do content.js (__WHL_TEST__)
+//   page.app.sent                              // o que o "WhatsApp" enviou
+//   page.close();
+
+import { readFileSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { EXTENSION_DIR, source } from '../extension.mjs';
+import { createChrome } from '../fakeChrome.mjs';
+import { installBrowserShims } from './browserShims.mjs';
+import { WhatsAppSim } from './whatsappSim.mjs';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const manifest = JSON.parse(readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+export const CONTENT_SCRIPTS = manifest.content_scripts.find(cs => cs.matches.includes('https://web.whatsapp.com/*')).js;
+
+/**
+ * Nomes dos snapshots (fixtures/<nome>.html)
+ */
+export function listSnapshots() {
+  return readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.html')).map(f => f.slice(0, -5)).sort();
+}
+
+export function readSnapshot(name) {
+  return readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * Chaves do registro de seletores que o snapshot precisa achar / não pode achar
+ * (<meta name="whl-expect"> / <meta name="whl-absent">)
+ */
+export function snapshotKeys(document) {
+  const read = (name) => (document.querySelector(`meta[name="${name}"]`)?.getAttribute('content') || '').split(/\s+/).filter(Boolean);
+  return { expect: read('whl-expect'), absent: read('whl-absent') };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.snapshot]   fixture inicial
+ * @param {object} [opts.settings]   resposta de GET_SETTINGS
+ * @param {object} [opts.storage]    chrome.storage.local inicial
+ * @param {object} [opts.handlers]   respostas do service worker por tipo de mensagem
+ * @param {number} [opts.timeScale]  fator dos setTimeout da página (sleep() do content.js)
+ * @param {number} [opts.latency]    atraso das reações do WhatsApp simulado
+ * @param {string[]} [opts.scripts]  content scripts a carregar (padrão: todos do manifest)
+ */
+export async function openWhatsApp({
+  snapshot = 'chat-list',
+  settings = {},
+  storage = {},
+  handlers = {},
+  timeScale = 0.01,
+  latency = 300,
+  scripts = CONTENT_SCRIPTS
+} = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', (err) => errors.push(err));
+  if (process.env.WHL_TEST_DEBUG) virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+  const dom = new JSDOM(readSnapshot(snapshot), {
+    url: 'https://web.whatsapp.com/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  const shims = installBrowserShims(window, { timeScale });
+  const fake = createChrome({ settings, storage, handlers });
+  window.chrome = fake.chrome;
+  window.__WHL_TEST__ = {};
+
+  const app = new WhatsAppSim(window, readSnapshot, { latency });
+  for (const file of scripts) {
+    window.eval(`${source(file)}\n//# sourceURL=${file}`);
+  }
+  await window.WHL_Workspace?.ready;
+
+  return {
+    dom,
+    window,
+    document: window.document,
+    chrome: fake,
+    clipboard: shims.clipboard,
+    app,
+    api: window.__WHL_TEST__.api,
+    errors,
+    close() { window.close(); }
+  };
+}
+
+/**
+ * Espera a condição ficar verdadeira (polling em tempo real)
+ */
+export async function waitFor(fn, { timeout = 2000, interval = 5 } = {}) {
+  const end = Date.now() + timeout;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > end) throw new Error('waitFor: tempo esgotado');
+    await new Promise(r => setTimeout(r, interval));
+  }
+}
@@ -0,0 +1,76 @@
+// attachMediaAndSend: Anexar -> input de arquivo -> preview -> legenda -> Enviar
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openWhatsApp } from './harness.mjs';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').toString('base64');
+
+test('attachMediaAndSend envia o arquivo com a legenda', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'open-chat' });
+  t.after(() => page.close());
+
+  await page.api.attachMediaAndSend({ base64: PNG, type: 'image/png', name: 'catalogo.png' }, 'Catálogo de janeiro');
+
+  assert.deepEqual(page.app.sent, [{
+    chat: 'Ana Souza',
+    text: 'Catálogo de janeiro',
+    media: { name: 'catalogo.png', type: 'image/png', size: 16 }
+  }]);
+  assert.equal(page.document.querySelector('[data-fixture-region="media-dialog"]'), null);
+  assert.equal(page.document.querySelector('[data-fixture-region="attach-menu"]'), null);
+  // A legenda vai no preview, não no composer do chat
+  assert.equal(page.app.composer.textContent, '');
+});
+
+test('attachMediaAndSend sem legenda', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'open-chat' });
+  t.after(() => page.close());
+
+  await page.api.attachMediaAndSend({ base64: PNG, type: 'image/png', name: 'foto.png' });
+  assert.equal(page.app.sent.length, 1);
+  assert.equal(page.app.sent[0].text, '');
+  assert.equal(page.app.sent[0].media.name, 'foto.png');
+});
+
+test('attachMediaAndSend usa o input de fotos e vídeos, não o de documentos', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'open-chat' });
+  t.after(() => page.close());
+  const accepts = [];
+  page.document.addEventListener('change', (e) => accepts.push(e.target.accept), true);
+
+  await page.api.attachMediaAndSend({ base64: PNG, type: 'image/png', name: 'foto.png' });
+  assert.deepEqual(accepts, ['image/*,video/mp4,video/3gpp,video/quicktime']);
+});
+
+test('attachMediaAndSend sem chat aberto falha antes de mexer na página', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'chat-list' });
+  t.after(() => page.close());
+  await assert.rejects(
+    page.api.attachMediaAndSend({ base64: PNG, type: 'image/png', name: 'foto.png' }),
+    /Botão de anexo não encontrado/
+  );
+  assert.deepEqual(page.app.sent, []);
+});
+
+test('attachMediaAndSend sem mídia carregada', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'open-chat' });
+  t.after(() => page.close());
+  await assert.rejects(page.api.attachMediaAndSend({}), /Mídia não carregada/);
+});
+
+test('mídia sem legenda é confirmada pela bolha de saída nova (resume de media_sending)', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'open-chat' });
+  t.after(() => page.close());
+
+  const before = page.api.outgoingMessageIds().pop();
+  assert.ok(before?.startsWith('true_'));
+  assert.equal(await page.api.verifyOutgoingSince(before, 0), false);
+
+  await page.api.attachMediaAndSend({ base64: PNG, type: 'image/png', name: 'foto.png' });
+  assert.equal(await page.api.verifyOutgoingSince(before, 0), true);
+  // Depois do envio a bolha nova é a última: nada mais novo que ela
+  assert.equal(await page.api.verifyOutgoingSince(page.api.outgoingMessageIds().pop(), 0), false);
+  // Bolha de referência fora da tela (histórico rolado/recarregado): não dá para afirmar que foi
+  assert.equal(await page.api.verifyOutgoingSince('true_5511912345678@c.us_NAOEXISTE', 0), false);
+});
@@ -0,0 +1,55 @@
+// openChatBySearch: digita o número na busca, clica no resultado e confere o chat aberto
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openWhatsApp } from './harness.mjs';
+import { editorText } from './browserShims.mjs';
+
+async function chatList(t) {
+  const page = await openWhatsApp({ snapshot: 'chat-list' });
+  t.after(() => page.close());
+  return page;
+}
+
+test('abre a conversa salva com o número e limpa a busca', async (t) => {
+  const page = await chatList(t);
+  assert.equal(await page.api.openChatBySearch('+55 11 98888-7777'), true);
+
+  assert.equal(page.app.chatTitle, '+55 11 98888-7777');
+  assert.equal(page.api.getChatTitle(), '+55 11 98888-7777');
+  assert.equal(editorText(page.app.searchBox), '');
+});
+
+test('abre contato salvo com nome pelo número (seção Contatos)', async (t) => {
+  const page = await chatList(t);
+  await page.api.openChatBySearch('5521977776666');
+  assert.equal(page.app.chatTitle, 'Bruno Lima');
+});
+
+test('não clica no cabeçalho da seção quando o número não tem resultado próprio', async (t) => {
+  const page = await chatList(t);
+  page.app.addContact('+55 31 99999-1234', 'Disponível');
+  await page.api.openChatBySearch('31999991234');
+  assert.equal(page.app.chatTitle, '+55 31 99999-1234');
+});
+
+test('número sem conversa nem contato: erro e nenhum chat aberto', async (t) => {
+  const page = await chatList(t);
+  await assert.rejects(page.api.openChatBySearch('+55 31 91234-0000'), /Nenhum resultado/);
+  assert.equal(page.app.chatTitle, null);
+});
+
+test('número curto demais é recusado antes da busca', async (t) => {
+  const page = await chatList(t);
+  await assert.rejects(page.api.openChatBySearch('1234'), /Número inválido/);
+  assert.equal(editorText(page.app.searchBox), '');
+});
+
+test('abre pela busca e envia no chat certo', async (t) => {
+  const page = await chatList(t);
+  await page.api.openChatBySearch('+55 11 98888-7777');
+  await page.api.insertIntoComposer('Seu pedido chegou?');
+  await page.api.clickSend();
+  await new Promise(r => setTimeout(r, 20));
+  assert.deepEqual(page.app.sent, [{ chat: '+55 11 98888-7777', text: 'Seu pedido chegou?' }]);
+});
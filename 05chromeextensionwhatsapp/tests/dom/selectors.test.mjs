@@ -0,0 +1,25 @@
+// Cada snapshot declara (meta whl-expect / whl-absent) quais chaves do registro de seletores
+// precisam ser achadas pela lista de seletores - sem heurística - e quais não podem existir.
+// Snapshot novo em fixtures/ entra aqui sem mudar o teste.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listSnapshots, openWhatsApp, snapshotKeys } from './harness.mjs';
+
+for (const snapshot of listSnapshots()) {
+  test(`seletores: ${snapshot}`, async (t) => {
+    const page = await openWhatsApp({ snapshot });
+    t.after(() => page.close());
+    const Selectors = page.window.WHL_Selectors;
+    const { expect, absent } = snapshotKeys(page.document);
+    assert.ok(expect.length, `${snapshot}.html sem <meta name="whl-expect">`);
+
+    for (const key of expect) {
+      assert.ok(Selectors.find(key), `${key} não encontrado`);
+      assert.equal(Selectors.getStats().keys[key]?.last?.how, 'selector', `${key} só achado por heurística`);
+    }
+    for (const key of absent) {
+      assert.equal(Selectors.find(key), null, `${key} não deveria existir em ${snapshot}`);
+    }
+  });
+}
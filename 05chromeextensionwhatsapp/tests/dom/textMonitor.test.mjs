@@ -0,0 +1,77 @@
+// WhatsAppTextMonitor: mensagens novas e troca de chat lidas do DOM do chat aberto
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openWhatsApp } from './harness.mjs';
+
+async function monitor(t, snapshot = 'open-chat') {
+  const page = await openWhatsApp({ snapshot });
+  const mon = new page.api.WhatsAppTextMonitor(page.api.waHelper);
+  const messages = [];
+  const chats = [];
+  mon.on('onNewMessage', (m) => messages.push(m));
+  mon.on('onNewChat', (c) => chats.push(c));
+  // Intervalo longo: o teste chama check*() na mão
+  mon.start({ interval: 60000 });
+  t.after(() => { mon.stop(); page.close(); });
+  return { page, mon, messages, chats };
+}
+
+test('mensagens já na tela ao iniciar não são reportadas', async (t) => {
+  const { mon, messages } = await monitor(t);
+  mon.checkNewMessages();
+  assert.deepEqual(messages, []);
+});
+
+test('mensagem recebida é reportada uma vez', async (t) => {
+  const { page, mon, messages } = await monitor(t);
+  page.app.receive('Quero um orçamento de 10 caixas');
+
+  mon.checkNewMessages();
+  mon.checkNewMessages();
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].text, 'Quero um orçamento de 10 caixas');
+  assert.equal(messages[0].isOutgoing, false);
+  assert.match(messages[0].id, /^false_.*@c\.us_/);
+});
+
+test('mensagem enviada é marcada como de saída', async (t) => {
+  const { page, mon, messages } = await monitor(t);
+  await page.api.insertIntoComposer('Posso ajudar?');
+  await page.api.clickSend();
+  await new Promise(r => setTimeout(r, 20));
+
+  mon.checkNewMessages();
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].isOutgoing, true);
+  assert.equal(messages[0].text, 'Posso ajudar?');
+});
+
+test('troca de chat dispara onNewChat com o nome do contato', async (t) => {
+  const { page, mon, chats, messages } = await monitor(t);
+  mon.checkCurrentChat();
+  assert.equal(chats.at(-1).chatTitle, 'Ana Souza');
+
+  // Status no cabeçalho muda sem trocar de chat
+  page.document.querySelector('#main header [title="online"]').textContent = 'digitando...';
+  mon.checkCurrentChat();
+  assert.equal(chats.length, 1);
+
+  page.app.openChat('Loja Centro - Equipe');
+  mon.checkCurrentChat();
+  assert.equal(chats.length, 2);
+  assert.equal(chats[1].chatTitle, 'Loja Centro - Equipe');
+  assert.equal(chats[1].previousChat, 'Ana Souza');
+
+  page.app.receive('Reposição chegou');
+  mon.checkNewMessages();
+  assert.deepEqual(messages.map(m => m.text), ['Reposição chegou']);
+});
+
+test('sem chat aberto não há o que ler', async (t) => {
+  const { mon, messages, chats } = await monitor(t, 'chat-list');
+  mon.checkCurrentChat();
+  mon.checkNewMessages();
+  assert.deepEqual(messages, []);
+  assert.deepEqual(chats, []);
+});
@@ -0,0 +1,275 @@
+// tests/dom/whatsappSim.mjs
+// Comportamento mínimo do WhatsApp Web sobre os snapshots de fixtures/: a busca filtra a lista,
+// clicar num resultado abre o chat, o rodapé troca microfone <-> "Enviar" conforme o composer,
+// Enviar/Enter vira bolha de saída, Anexar abre o menu, escolher arquivo abre o preview de mídia.
+// As reações são assíncronas (latency, em ms de relógio da página) como no app real.
+
+import { editorText, setEditorText } from './browserShims.mjs';
+
+const digitsOf = (s) => String(s || '').replace(/\D/g, '');
+
+export class WhatsAppSim {
+  /**
+   * @param {Window} window
+   * @param {(name: string) => string} readSnapshot  HTML de fixtures/<name>.html
+   * @param {object} [opts]
+   * @param {number} [opts.latency]  atraso das reações do app (escalado pelo relógio da página)
+   */
+  constructor(window, readSnapshot, { latency = 300 } = {}) {
+    this.window = window;
+    this.document = window.document;
+    this.latency = latency;
+    this.sent = [];
+    this.seq = 0;
+    this.pendingFile = null;
+
+    const parse = (name) => new window.DOMParser().parseFromString(readSnapshot(name), 'text/html');
+    const chatList = parse('chat-list');
+    const search = parse('search-results');
+    const openChat = parse('open-chat');
+    this.parts = {
+      chatPane: chatList.querySelector('#pane-side'),
+      searchPane: search.querySelector('#pane-side'),
+      chatPanel: openChat.querySelector('#main').parentElement,
+      incoming: openChat.querySelector('.message-in').closest('[role="row"]'),
+      outgoing: openChat.querySelector('.message-out').closest('[role="row"]'),
+      attachMenu: parse('attach-menu').querySelector('[data-fixture-region="attach-menu"]'),
+      mediaDialog: parse('media-dialog').querySelector('[data-fixture-region="media-dialog"]')
+    };
+    this.snapshotChat = this.parts.chatPanel.querySelector('[data-testid="conversation-header"] span[title]').getAttribute('title');
+
+    // Contatos pesquisáveis: conversas da lista + resultados da busca (sem repetir o título)
+    this.directory = [];
+    for (const pane of [this.parts.chatPane, this.parts.searchPane]) {
+      for (const item of pane.querySelectorAll('[role="listitem"]')) {
+        if (!item.querySelector('[role="row"]')) continue;
+        const title = item.querySelector('span[title]').getAttribute('title');
+        if (!this.directory.some(c => c.title === title)) this.directory.push({ title, item });
+      }
+    }
+
+    const doc = this.document;
+    doc.addEventListener('input', (e) => this.onInput(e), true);
+    doc.addEventListener('click', (e) => this.onClick(e), true);
+    doc.addEventListener('keydown', (e) => this.onKeydown(e), true);
+    doc.addEventListener('change', (e) => this.onChange(e), true);
+  }
+
+  later(fn) {
+    this.window.setTimeout(fn, this.latency);
+  }
+
+  import(node) {
+    return this.document.importNode(node, true);
+  }
+
+  // -------------------------
+  // Estado lido pelos testes
+  // -------------------------
+  get chatTitle() {
+    return this.document.querySelector('#main [data-testid="conversation-header"] span[title]')?.getAttribute('title') || null;
+  }
+
+  get composer() {
+    return this.document.querySelector('#main footer [contenteditable="true"]');
+  }
+
+  get searchBox() {
+    return this.document.querySelector('#side [contenteditable="true"]');
+  }
+
+  bubbles() {
+    return Array.from(this.document.querySelectorAll('#main [data-pre-plain-text]')).map(node => ({
+      outgoing: !!node.closest('.message-out'),
+      text: node.querySelector('.selectable-text')?.textContent || ''
+    }));
+  }
+
+  /**
+   * Contato extra para a busca (ex.: números de uma campanha)
+   */
+  addContact(title, subtitle = '') {
+    const item = this.import(this.directory[0].item);
+    item.querySelector('[role="row"]').setAttribute('aria-selected', 'false');
+    const spans = item.querySelectorAll('span[title]');
+    spans[0].setAttribute('title', title);
+    spans[0].textContent = title;
+    spans[1].setAttribute('title', subtitle);
+    spans[1].querySelector('span[dir]')?.replaceChildren(subtitle);
+    this.directory.push({ title, item });
+  }
+
+  // -------------------------
+  // Busca e abertura de chat
+  // -------------------------
+  search(query) {
+    const pane = this.document.querySelector('#pane-side');
+    const q = query.trim();
+    if (!q) {
+      pane.replaceWith(this.import(this.parts.chatPane));
+      return;
+    }
+    const next = this.import(this.parts.searchPane);
+    const grid = next.querySelector('[role="grid"]');
+    const header = Array.from(grid.querySelectorAll('[role="listitem"]')).find(item => !item.querySelector('[role="row"]'));
+    const qDigits = digitsOf(q);
+    const hits = this.directory.filter(({ title, item }) => (qDigits
+      ? digitsOf(item.textContent).includes(qDigits)
+      : title.toLowerCase().includes(q.toLowerCase())));
+
+    grid.replaceChildren();
+    if (hits.length) {
+      grid.appendChild(header);
+      for (const { item } of hits) grid.appendChild(this.import(item));
+    } else {
+      const empty = this.document.createElement('div');
+      empty.className = 'x1f6kntn x1fc57z9';
+      empty.textContent = 'Nenhuma conversa, contato ou mensagem encontrada';
+      grid.appendChild(empty);
+    }
+    grid.setAttribute('aria-rowcount', String(grid.children.length));
+    pane.replaceWith(next);
+  }
+
+  openChat(title) {
+    const current = this.document.querySelector('#main');
+    if (current && this.chatTitle === title) return;
+    const panel = this.import(this.parts.chatPanel);
+    const span = panel.querySelector('[data-testid="conversation-header"] span[title]');
+    span.setAttribute('title', title);
+    span.textContent = title;
+    if (title !== this.snapshotChat) {
+      for (const row of panel.querySelectorAll('[data-testid="conversation-panel-messages"] > [role="row"]')) row.remove();
+    }
+    const right = this.document.querySelector('#side').nextElementSibling;
+    right.replaceWith(panel);
+    for (const row of this.document.querySelectorAll('#pane-side [role="row"]')) {
+      row.setAttribute('aria-selected', String(row.querySelector('span[title]')?.getAttribute('title') === title));
+    }
+  }
+
+  // -------------------------
+  // Mensagens
+  // -------------------------
+  appendBubble(text, outgoing) {
+    const list = this.document.querySelector('#main [data-testid="conversation-panel-messages"]');
+    if (!list) throw new Error('Nenhum chat aberto');
+    const row = this.import(outgoing ? this.parts.outgoing : this.parts.incoming);
+    const who = outgoing ? 'Loja Centro' : this.chatTitle;
+    const id = `${outgoing ? 'true' : 'false'}_${digitsOf(this.chatTitle) || '5511900000000'}@c.us_SIM${++this.seq}`;
+    row.querySelector('[data-id]').setAttribute('data-id', id);
+    row.querySelector('[data-pre-plain-text]').setAttribute('data-pre-plain-text', `[10:40, 14/01/2025] ${who}: `);
+    row.querySelector('.selectable-text > span').textContent = text;
+    if (outgoing) row.querySelector('[data-icon^="msg-"]').setAttribute('data-icon', 'msg-check');
+    list.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Mensagem recebida no chat aberto
+   */
+  receive(text) {
+    return this.appendBubble(text, false);
+  }
+
+  send() {
+    const composer = this.composer;
+    const text = editorText(composer).trim();
+    if (!text) return;
+    this.sent.push({ chat: this.chatTitle, text });
+    this.appendBubble(text, true);
+    setEditorText(composer, '');
+    this.syncSendButton();
+  }
+
+  // Rodapé: microfone com o composer vazio, "Enviar" com texto
+  syncSendButton() {
+    const slot = this.document.querySelector('#main footer ._ak1t');
+    if (!slot) return;
+    const hasText = !!editorText(this.composer).trim();
+    const showingSend = !!slot.querySelector('[aria-label="Enviar"]');
+    if (hasText === showingSend) return;
+    if (!this.micButton) this.micButton = slot.firstElementChild;
+    const template = this.document.querySelector('#main template[data-fixture-region="send-button"]');
+    slot.replaceChildren(hasText ? this.import(template.content.firstElementChild) : this.micButton);
+  }
+
+  // -------------------------
+  // Mídia
+  // -------------------------
+  openAttachMenu() {
+    if (this.document.querySelector('[data-fixture-region="attach-menu"]')) return;
+    this.document.querySelector('#app > div').appendChild(this.import(this.parts.attachMenu));
+  }
+
+  showMediaPreview(file) {
+    this.pendingFile = file;
+    this.document.querySelector('[data-fixture-region="attach-menu"]')?.remove();
+    const dialog = this.import(this.parts.mediaDialog);
+    const caption = dialog.querySelector('[contenteditable="true"]');
+    setEditorText(caption, '');
+    dialog.querySelector('[aria-label="Fechar"]').nextElementSibling.textContent = file.name;
+    this.document.querySelector('#app > div').appendChild(dialog);
+  }
+
+  sendMedia() {
+    const dialog = this.document.querySelector('[data-fixture-region="media-dialog"]');
+    const caption = editorText(dialog.querySelector('[contenteditable="true"]')).trim();
+    const file = this.pendingFile;
+    this.sent.push({ chat: this.chatTitle, text: caption, media: { name: file.name, type: file.type, size: file.size } });
+    dialog.remove();
+    this.pendingFile = null;
+    this.appendBubble(caption || file.name, true);
+  }
+
+  // -------------------------
+  // Eventos da página
+  // -------------------------
+  onInput(e) {
+    const el = e.target;
+    if (el === this.searchBox) {
+      const query = editorText(el);
+      this.later(() => this.search(query));
+    } else if (el === this.composer) {
+      this.later(() => this.syncSendButton());
+    }
+  }
+
+  onClick(e) {
+    const target = e.target;
+    const row = target.closest?.('#pane-side [role="listitem"]');
+    if (row?.querySelector('[role="row"]')) {
+      const title = row.querySelector('span[title]').getAttribute('title');
+      this.later(() => this.openChat(title));
+      return;
+    }
+    if (target.closest?.('#main footer [aria-label="Enviar"]')) {
+      this.later(() => this.send());
+      return;
+    }
+    if (target.closest?.('#main footer [aria-label="Anexar"]')) {
+      this.later(() => this.openAttachMenu());
+      return;
+    }
+    const dialog = target.closest?.('[data-fixture-region="media-dialog"]');
+    if (dialog && target.closest('[aria-label="Enviar"]')) {
+      this.later(() => this.sendMedia());
+    } else if (dialog && target.closest('[aria-label="Fechar"]')) {
+      dialog.remove();
+      this.pendingFile = null;
+    }
+  }
+
+  onKeydown(e) {
+    if (e.key === 'Enter' && !e.shiftKey && e.target === this.composer) {
+      this.later(() => this.send());
+    }
+  }
+
+  onChange(e) {
+    const input = e.target;
+    if (input?.type !== 'file' || !input.files?.length) return;
+    const file = input.files[0];
+    this.later(() => this.showMediaPreview(file));
+  }
+}
@@ -0,0 +1,32 @@
+// tests/extension.mjs
+// Arquivos da extensão para os testes: ES modules importados sem package.json e content
+// scripts (IIFE) rodados fora de uma página.
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const EXTENSION_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const sources = new Map();
+export function source(file) {
+  if (!sources.has(file)) sources.set(file, readFileSync(path.join(EXTENSION_DIR, file), 'utf8'));
+  return sources.get(file);
+}
+
+/**
+ * ES module da extensão. Ela não tem package.json: o Node (20.19+) reconhece o .js como módulo
+ * pela sintaxe, e os imports relativos (./workspaces.js...) resolvem como no service worker.
+ */
+export function importExtensionModule(file) {
+  return import(pathToFileURL(path.join(EXTENSION_DIR, file)).href);
+}
+
+/**
+ * Content script (IIFE) sem página: roda com um globalThis próprio e devolve o que ele expôs
+ */
+export function loadScript(file, globals = {}) {
+  const scope = { ...globals };
+  new Function('globalThis', source(file))(scope);
+  return scope;
+}
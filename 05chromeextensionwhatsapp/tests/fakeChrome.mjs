@@ -0,0 +1,101 @@
+// tests/fakeChrome.mjs
+// chrome.* que os content scripts usam, em memória: storage.local (promise e callback),
+// storage.onChanged, runtime.sendMessage respondido por handlers do teste e notifications.
+
+function listeners() {
+  const fns = new Set();
+  return {
+    addListener: (fn) => fns.add(fn),
+    removeListener: (fn) => fns.delete(fn),
+    hasListener: (fn) => fns.has(fn),
+    emit: (...args) => { for (const fn of fns) fn(...args); }
+  };
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// API com promise quando chamada sem callback (como o chrome.* do MV3)
+function dual(fn) {
+  return (...args) => {
+    const cb = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const result = Promise.resolve().then(() => fn(...args));
+    if (!cb) return result;
+    result.then(cb, () => cb());
+    return undefined;
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} [opts.storage]   conteúdo inicial do chrome.storage.local
+ * @param {object} [opts.settings]  resposta de GET_SETTINGS
+ * @param {Object<string, Function>} [opts.handlers]  type -> (msg) => resposta (para o service worker)
+ */
+export function createChrome({ storage = {}, settings = {}, handlers = {} } = {}) {
+  const data = new Map(Object.entries(clone(storage)));
+  const onChanged = listeners();
+  const sent = [];
+
+  const get = (keys) => {
+    if (keys == null) return Object.fromEntries([...data].map(([k, v]) => [k, clone(v)]));
+    if (typeof keys === 'string') keys = [keys];
+    const defaults = Array.isArray(keys) ? {} : keys;
+    const names = Array.isArray(keys) ? keys : Object.keys(keys);
+    const out = {};
+    for (const k of names) {
+      if (data.has(k)) out[k] = clone(data.get(k));
+      else if (defaults[k] !== undefined) out[k] = clone(defaults[k]);
+    }
+    return out;
+  };
+  const set = (items) => {
+    const changes = {};
+    for (const [k, v] of Object.entries(items || {})) {
+      changes[k] = { oldValue: clone(data.get(k)), newValue: clone(v) };
+      data.set(k, clone(v));
+    }
+    if (Object.keys(changes).length) onChanged.emit(changes, 'local');
+  };
+  const remove = (keys) => {
+    const changes = {};
+    for (const k of [].concat(keys)) {
+      if (!data.has(k)) continue;
+      changes[k] = { oldValue: clone(data.get(k)) };
+      data.delete(k);
+    }
+    if (Object.keys(changes).length) onChanged.emit(changes, 'local');
+  };
+
+  const routes = {
+    GET_SETTINGS: () => ({ ok: true, settings: clone(settings) }),
+    ...handlers
+  };
+
+  const chrome = {
+    runtime: {
+      id: 'whl-test',
+      lastError: undefined,
+      getURL: (p) => `chrome-extension://whl-test/${String(p).replace(/^\//, '')}`,
+      onMessage: listeners(),
+      connect: () => ({ postMessage() {}, disconnect() {}, onMessage: listeners(), onDisconnect: listeners() }),
+      sendMessage: dual(async (msg) => {
+        sent.push(msg);
+        const route = routes[msg?.type];
+        return route ? route(msg) : { ok: false, error: `sem handler para ${msg?.type}` };
+      })
+    },
+    storage: {
+      local: { get: dual(get), set: dual(set), remove: dual(remove), clear: dual(() => remove([...data.keys()])) },
+      onChanged
+    },
+    notifications: { create: dual(() => 'whl-test') }
+  };
+
+  return {
+    chrome,
+    storage: data,
+    sent,
+    // Trocar/adicionar respostas do service worker durante o teste
+    handle(type, fn) { routes[type] = fn; }
+  };
+}
@@ -0,0 +1,88 @@
+// Spintax e variantes A/B das campanhas (spin / normalizeVariants / pickCampaignMessage do content.js)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { openWhatsApp } from '../dom/harness.mjs';
+
+let page;
+let api;
+before(async () => {
+  page = await openWhatsApp();
+  api = page.api;
+});
+after(() => page.close());
+
+// Objetos criados dentro da página são de outro realm: compara pelo JSON
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const fixed = (value) => () => value;
+
+// PRNG determinístico (mulberry32)
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+test('spin escolhe uma opção por grupo e preserva {{variáveis}}', () => {
+  assert.equal(api.spin('{Olá|Oi|E aí}, {{nome}}!', fixed(0)), 'Olá, {{nome}}!');
+  assert.equal(api.spin('{Olá|Oi|E aí}, {{nome}}!', fixed(0.99)), 'E aí, {{nome}}!');
+  assert.equal(api.spin('{{#if vip}}{Oferta|Promoção} VIP{{/if}}', fixed(0.5)), '{{#if vip}}Promoção VIP{{/if}}');
+  // Chaves de variável com "|" não são spintax
+  assert.equal(api.spin('{{nome|cliente}}', fixed(0)), '{{nome|cliente}}');
+});
+
+test('spin resolve grupos aninhados de dentro para fora', () => {
+  assert.equal(api.spin('{a|{b|c}}', fixed(0)), 'a');
+  assert.equal(api.spin('{a|{b|c}}', fixed(0.99)), 'c');
+  assert.equal(api.spin('{Bom {dia|tarde}|Olá}', fixed(0)), 'Bom dia');
+});
+
+test('spin deixa chaves sem opções e texto vazio como estão', () => {
+  assert.equal(api.spin('{sem opção} e {}', fixed(0)), '{sem opção} e {}');
+  assert.equal(api.spin('', fixed(0)), '');
+  assert.equal(api.spin(null, fixed(0)), '');
+});
+
+test('normalizeVariants: ids, pesos, duplicados e mensagem única', () => {
+  assert.deepEqual(plain(api.normalizeVariants([
+    { message: 'Oi', weight: 2 },
+    { id: 'A', message: 'Olá' },
+    { id: 'vazia', message: '   ' },
+    { id: 'zero', message: 'x', weight: 0 }
+  ], 'fallback')), [
+    { id: 'A', message: 'Oi', weight: 2 },
+    { id: "A'", message: 'Olá', weight: 1 }
+  ]);
+  assert.deepEqual(plain(api.normalizeVariants([], 'Mensagem única')), [{ id: 'A', message: 'Mensagem única', weight: 1 }]);
+});
+
+test('pickCampaignMessage: sorteio ponderado pelos limites do peso', () => {
+  const variants = api.normalizeVariants([{ id: 'A', message: 'a', weight: 70 }, { id: 'B', message: 'b', weight: 30 }]);
+  assert.equal(api.pickCampaignMessage(variants, fixed(0)).variant, 'A');
+  assert.equal(api.pickCampaignMessage(variants, fixed(0.699)).variant, 'A');
+  assert.equal(api.pickCampaignMessage(variants, fixed(0.7)).variant, 'B');
+  assert.equal(api.pickCampaignMessage(variants, fixed(0.9999)).variant, 'B');
+});
+
+test('pickCampaignMessage: distribuição próxima dos pesos e spintax resolvido', () => {
+  const variants = api.normalizeVariants([
+    { id: 'A', message: '{Oi|Olá} A', weight: 3 },
+    { id: 'B', message: '{Oi|Olá} B', weight: 1 }
+  ]);
+  const rand = seeded(42);
+  const counts = { A: 0, B: 0 };
+  for (let i = 0; i < 4000; i++) {
+    const { variant, message } = api.pickCampaignMessage(variants, rand);
+    counts[variant]++;
+    assert.match(message, new RegExp(`^(Oi|Olá) ${variant}$`));
+  }
+  assert.ok(Math.abs(counts.A / 4000 - 0.75) < 0.03, JSON.stringify(counts));
+});
+
+test('pickCampaignMessage com uma variante não marca variante', () => {
+  const picked = api.pickCampaignMessage(api.normalizeVariants(null, '{Oi|Olá}, {{nome}}'), fixed(0));
+  assert.deepEqual(plain(picked), { variant: null, message: 'Oi, {{nome}}' });
+});
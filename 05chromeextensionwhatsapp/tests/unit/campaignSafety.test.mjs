@@ -0,0 +1,105 @@
+// content/campaignSafety.js (WHL_CampaignSafety)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from '../extension.mjs';
+import { openWhatsApp } from '../dom/harness.mjs';
+
+const { WHL_CampaignSafety: Safety } = loadScript('content/campaignSafety.js');
+const recordAll = (monitor, signals) => signals.map(s => monitor.record(s));
+
+test('falhas seguidas: desacelera na 2ª, para na 4ª', () => {
+  const monitor = Safety.createMonitor();
+  const [first, second, third, fourth] = recordAll(monitor, Array(4).fill({ type: 'failed' }));
+  assert.equal(first.action, 'continue');
+  assert.equal(second.action, 'slow');
+  assert.equal(second.delayFactor, 1.5);
+  assert.equal(third.action, 'continue'); // cooldown entre desacelerações
+  assert.deepEqual(fourth, { action: 'stop', reason: '4 falhas seguidas', delayFactor: 1.5 });
+});
+
+test('envio com sucesso zera as falhas seguidas', () => {
+  // minSamples alto: só a regra de falhas seguidas vale aqui
+  const monitor = Safety.createMonitor(null, { minSamples: 99 });
+  const results = recordAll(monitor, [
+    { type: 'failed' }, { type: 'sent' }, { type: 'failed' }, { type: 'sent' }, { type: 'failed' }
+  ]);
+  assert.deepEqual(results.map(r => r.action), ['continue', 'continue', 'continue', 'continue', 'continue']);
+});
+
+test('taxa de falha na janela para a campanha', () => {
+  const monitor = Safety.createMonitor(null, { stopConsecutiveFailures: 99, slowConsecutiveFailures: 99 });
+  const results = recordAll(monitor, [
+    { type: 'sent' }, { type: 'sent' }, { type: 'failed' }, { type: 'sent' }, { type: 'failed' },
+    { type: 'failed' }, { type: 'failed' }, { type: 'failed' }
+  ]);
+  assert.deepEqual(results.slice(0, 4).map(r => r.action), ['continue', 'continue', 'continue', 'continue']);
+  assert.deepEqual(results[4], { action: 'slow', reason: '40% de falha nas últimas 5', delayFactor: 1.5 });
+  assert.deepEqual(results.slice(5, 7).map(r => r.action), ['continue', 'continue']);
+  assert.deepEqual(results[7], { action: 'stop', reason: '63% de falha nas últimas 8', delayFactor: 1.5 });
+});
+
+test('números fora do WhatsApp: desacelera com 3, para com 5', () => {
+  const monitor = Safety.createMonitor();
+  const results = recordAll(monitor, Array(5).fill({ type: 'invalid_number' }));
+  assert.equal(results[2].action, 'slow');
+  assert.equal(results[4].action, 'stop');
+  assert.match(results[4].reason, /5 das últimas 5 tentativas eram números fora do WhatsApp/);
+});
+
+test('chat demorando para abrir: picos seguidos desaceleram', () => {
+  const monitor = Safety.createMonitor();
+  const normal = recordAll(monitor, [3000, 3200, 2800].map(ms => ({ type: 'sent', ms })));
+  assert.ok(normal.every(r => r.action === 'continue'));
+  assert.equal(monitor.record({ type: 'sent', ms: 12000 }).action, 'continue');
+  const slow = monitor.record({ type: 'sent', ms: 15000 });
+  assert.equal(slow.action, 'slow');
+  assert.match(slow.reason, /chats demorando para abrir \(15s \(normal ~3s\)\)/);
+  // O pico não entra na mediana: 7s depois de 3s normais não é pico (< 8s)
+  assert.equal(monitor.record({ type: 'sent', ms: 7000 }).action, 'continue');
+});
+
+test('aviso do WhatsApp para na hora', () => {
+  const result = Safety.createMonitor().record({ type: 'warning', detail: 'Sua conta foi banida' });
+  assert.equal(result.action, 'stop');
+  assert.equal(result.reason, 'aviso do WhatsApp: "Sua conta foi banida"');
+});
+
+test('estado sobrevive ao JSON do journal (reload entre contatos)', () => {
+  const first = Safety.createMonitor();
+  recordAll(first, [{ type: 'failed' }, { type: 'failed' }, { type: 'failed' }]);
+  const saved = JSON.parse(JSON.stringify(first.snapshot()));
+
+  const resumed = Safety.createMonitor(saved);
+  assert.equal(resumed.delayFactor, 1.5);
+  assert.equal(resumed.record({ type: 'failed' }).action, 'stop');
+
+  resumed.acknowledge();
+  assert.equal(resumed.record({ type: 'failed' }).action, 'continue');
+  assert.equal(resumed.delayFactor, 1.5);
+});
+
+test('detectWarning / detectInvalidNumber leem só avisos visíveis da página', async (t) => {
+  const page = await openWhatsApp({ snapshot: 'chat-list' });
+  t.after(() => page.close());
+  const { document, window } = page;
+  const S = window.WHL_CampaignSafety;
+  assert.equal(S.detectWarning(), null);
+
+  const banner = document.createElement('div');
+  banner.setAttribute('role', 'alert');
+  banner.textContent = 'Esta conta não está mais autorizada a usar o WhatsApp: conta banida';
+  banner.style.display = 'none';
+  document.querySelector('#side').prepend(banner);
+  assert.equal(S.detectWarning(), null);
+  banner.style.display = '';
+  assert.match(S.detectWarning(), /conta banida/);
+
+  const dialog = document.createElement('div');
+  dialog.setAttribute('role', 'dialog');
+  dialog.textContent = 'O número de telefone compartilhado através de url é inválido.';
+  document.body.appendChild(dialog);
+  assert.match(S.detectInvalidNumber(), /é inválido/);
+  dialog.textContent = 'O número +55 31 91234-0000 não está no WhatsApp.';
+  assert.match(S.detectInvalidNumber(), /não está no WhatsApp/);
+});
@@ -0,0 +1,158 @@
+// content/contactIdentity.js (WHL_ContactIdentity): ID canônico do chat, apelidos e migração
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { loadScript } from '../extension.mjs';
+import { createChrome } from '../fakeChrome.mjs';
+import { readSnapshot } from '../dom/harness.mjs';
+
+const fake = createChrome();
+globalThis.chrome = fake.chrome;
+const WHL_Workspace = { key: async (key) => `${key}@loja-b` };
+const { WHL_ContactIdentity: CI } = loadScript('content/contactIdentity.js', { WHL_Workspace });
+
+const NOW = Date.UTC(2026, 9, 18, 12);
+const HOUR = 3600000;
+
+test('fromJid / fromPhone: contato, grupo, lid e nono dígito de JID antigo', () => {
+  assert.equal(CI.fromJid('5511912345678@c.us'), 'wa:5511912345678');
+  assert.equal(CI.fromJid('5511912345678@s.whatsapp.net'), 'wa:5511912345678');
+  assert.equal(CI.fromJid('551198765432@c.us'), 'wa:5511998765432');
+  assert.equal(CI.fromJid('120363041234567890@g.us'), 'group:120363041234567890');
+  assert.equal(CI.fromJid('88123456789012@lid'), 'lid:88123456789012');
+  assert.equal(CI.fromJid('status@broadcast'), null);
+  assert.equal(CI.fromJid('Leão'), null);
+
+  // Fixo (8 dígitos começando em 2-5) não ganha o 9
+  assert.equal(CI.fromPhone('+55 11 3333-4444'), 'wa:551133334444');
+  assert.equal(CI.fromPhone('+1 (415) 555-0100'), 'wa:14155550100');
+  assert.equal(CI.fromPhone('98888-7777'), null);
+  assert.equal(CI.fromTitle('  Leão   da  Silva '), 'title:leão da silva');
+  assert.equal(CI.fromTitle('   '), null);
+});
+
+test('isCanonical separa IDs novos de chaves antigas (título)', () => {
+  for (const id of ['wa:5511912345678', 'group:1203', 'lid:88', 'title:leão']) assert.equal(CI.isCanonical(id), true, id);
+  for (const key of ['Leão', '5511912345678', 'whatsapp:55119']) assert.equal(CI.isCanonical(key), false, key);
+});
+
+test('chatJids lê o JID do chat no data-id das bolhas (snapshot e grupo)', () => {
+  const { document } = new JSDOM(readSnapshot('open-chat')).window;
+  assert.deepEqual(CI.chatJids(document.querySelector('#main')), ['5511912345678@c.us']);
+
+  const group = new JSDOM(`<div>
+    <div data-id="false_120363041234567890@g.us_3EB0AA_5511912345678@c.us"></div>
+    <div data-id="true_120363041234567890@g.us_3EB0BB"></div>
+    <div data-id="lixo"></div>
+  </div>`).window.document.body;
+  assert.deepEqual(CI.chatJids(group), ['120363041234567890@g.us']);
+  assert.deepEqual(CI.chatJids(null), []);
+});
+
+test('resolve: grupo > JID > cabeçalho > URL > lid > apelido > título', () => {
+  const title = 'Ana Souza';
+  assert.deepEqual(CI.resolve({ jids: ['5511912345678@c.us', '120363041234567890@g.us'], title }), {
+    id: 'group:120363041234567890', kind: 'group', phone: null, title, source: 'jid'
+  });
+  assert.deepEqual(CI.resolve({ jids: ['88123@lid', '5511912345678@c.us'], title }), {
+    id: 'wa:5511912345678', kind: 'contact', phone: '5511912345678', title, source: 'jid'
+  });
+  assert.equal(CI.resolve({ jids: ['88123@lid'], phones: ['+55 21 97777-6666'] }).source, 'header');
+  // URL só para chat novo: com mensagens, o lid do chat vale mais que o phone= da navegação
+  assert.equal(CI.resolve({ urlPhone: '5521977776666', title }).id, 'wa:5521977776666');
+  assert.deepEqual(CI.resolve({ jids: ['88123@lid'], urlPhone: '5521977776666' }), {
+    id: 'lid:88123', kind: 'lid', phone: null, title: '', source: 'jid'
+  });
+
+  const aliases = { contacts: {}, titles: { 'ana souza': ['wa:5511912345678'] } };
+  assert.equal(CI.resolve({ title: ' ANA  Souza' }, aliases).source, 'alias');
+  assert.equal(CI.resolve({ title: ' ANA  Souza' }, aliases).id, 'wa:5511912345678');
+  assert.deepEqual(CI.resolve({ title: 'Bruno' }, aliases), { id: 'title:bruno', kind: 'title', phone: null, title: 'Bruno', source: 'title' });
+  assert.equal(CI.resolve({}), null);
+});
+
+test('rememberAlias: título ambíguo não resolve e ID de título não entra na tabela', () => {
+  const aliases = { contacts: {}, titles: {} };
+  const ana = CI.resolve({ jids: ['5511912345678@c.us'], title: 'Leão' });
+  const other = CI.resolve({ jids: ['5521977776666@c.us'], title: 'leão' });
+
+  assert.equal(CI.rememberAlias(aliases, ana, NOW), true);
+  assert.equal(CI.lookupTitle(aliases, 'LEÃO'), 'wa:5511912345678');
+  assert.equal(CI.rememberAlias(aliases, other, NOW), true);
+  assert.deepEqual(aliases.titles['leão'], ['wa:5511912345678', 'wa:5521977776666']);
+  assert.equal(CI.lookupTitle(aliases, 'Leão'), null);
+  assert.equal(CI.resolve({ title: 'Leão' }, aliases).id, 'title:leão');
+
+  assert.equal(CI.rememberAlias(aliases, CI.resolve({ title: 'Sem número' }), NOW), false);
+  assert.equal(aliases.titles['sem número'], undefined);
+  assert.equal(CI.rememberAlias(aliases, null, NOW), false);
+});
+
+test('rememberAlias: lastSeen de hora em hora e no máximo 10 títulos por contato', () => {
+  const aliases = { contacts: {}, titles: {} };
+  const identity = (title) => ({ id: 'wa:5511912345678', kind: 'contact', phone: '5511912345678', title });
+
+  CI.rememberAlias(aliases, identity('Ana'), NOW);
+  assert.equal(CI.rememberAlias(aliases, identity('ana'), NOW + HOUR - 1), false);
+  assert.equal(CI.rememberAlias(aliases, identity('Ana'), NOW + HOUR), true);
+  assert.equal(aliases.contacts['wa:5511912345678'].titles[0].lastSeen, NOW + HOUR);
+
+  for (let i = 1; i <= 10; i++) CI.rememberAlias(aliases, identity(`Ana ${i}`), NOW + HOUR + i);
+  const titles = aliases.contacts['wa:5511912345678'].titles.map(t => t.title);
+  assert.equal(titles.length, 10);
+  assert.equal(titles[0], 'Ana 10');
+  // O título mais antigo sai do contato e da tabela de títulos
+  assert.equal(titles.includes('Ana'), false);
+  assert.equal(aliases.titles.ana, undefined);
+  assert.deepEqual(aliases.titles['ana 1'], ['wa:5511912345678']);
+});
+
+test('loadAliases / saveAliases usam a chave do workspace', async () => {
+  assert.deepEqual(await CI.loadAliases(), { contacts: {}, titles: {} });
+  const aliases = { contacts: {}, titles: {} };
+  CI.rememberAlias(aliases, { id: 'wa:5511912345678', kind: 'contact', title: 'Ana' }, NOW);
+  await CI.saveAliases(aliases);
+  assert.ok(fake.storage.has('whl_contact_aliases@loja-b'));
+  assert.equal(fake.storage.has('whl_contact_aliases'), false);
+  assert.equal(CI.lookupTitle(await CI.loadAliases(), 'Ana'), 'wa:5511912345678');
+});
+
+test('migrateMemories: telefone, título único e chat aberto migram; ambíguo fica', () => {
+  const aliases = {
+    contacts: {},
+    titles: { ana: ['wa:5511912345678'], 'leão': ['wa:5511900000001', 'wa:5511900000002'] }
+  };
+  const mems = {
+    'Ana': { summary: 'antiga', updatedAt: '2026-01-01T00:00:00Z' },
+    'wa:5511912345678': { summary: 'nova', updatedAt: '2026-05-01T00:00:00Z' },
+    '+55 21 97777-6666': { summary: 'pelo número', updatedAt: '2026-02-01T00:00:00Z' },
+    'Leão': { summary: 'ambígua', updatedAt: '2026-03-01T00:00:00Z' },
+    'Bruno': { summary: 'do chat aberto', updatedAt: '2026-04-01T00:00:00Z' },
+    'Carla': { summary: 'desconhecida', updatedAt: '2026-04-01T00:00:00Z' }
+  };
+  const current = CI.resolve({ jids: ['5531988887777@c.us'], title: 'Bruno' });
+  const { mems: out, moved } = CI.migrateMemories(mems, aliases, current);
+
+  assert.deepEqual(moved, [
+    { from: 'Ana', to: 'wa:5511912345678' },
+    { from: '+55 21 97777-6666', to: 'wa:5521977776666' },
+    { from: 'Bruno', to: 'wa:5531988887777' }
+  ]);
+  // Colisão: a memória mais recente (já canônica) fica
+  assert.equal(out['wa:5511912345678'].summary, 'nova');
+  assert.deepEqual(out['wa:5521977776666'], { summary: 'pelo número', updatedAt: '2026-02-01T00:00:00Z', contactId: 'wa:5521977776666', title: '+55 21 97777-6666' });
+  assert.equal(out['wa:5531988887777'].title, 'Bruno');
+  assert.equal(out['Leão'].summary, 'ambígua');
+  assert.equal(out['Carla'].summary, 'desconhecida');
+  assert.equal(out.Ana, undefined);
+  // Entrada original não é mutada
+  assert.equal(mems.Ana.contactId, undefined);
+
+  // Chat aberto com título de outro contato conhecido: não migra para o aberto
+  const clash = CI.migrateMemories({ 'Ana': { updatedAt: 1 } }, { contacts: {}, titles: { ana: ['wa:5511912345678'] } },
+    CI.resolve({ jids: ['5531988887777@c.us'], title: 'Ana' }));
+  assert.deepEqual(clash.moved, [{ from: 'Ana', to: 'wa:5511912345678' }]);
+  const ambiguous = CI.migrateMemories({ 'Leão': { updatedAt: 1 } }, aliases, CI.resolve({ jids: ['5511900000001@c.us'], title: 'Leão' }));
+  assert.deepEqual(ambiguous.moved, []);
+});
@@ -0,0 +1,226 @@
+// content/contactImport.js (WHL_ContactImport): CSV, XLSX e vCard -> tabela -> entradas da campanha
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { JSDOM } from 'jsdom';
+import { loadScript } from '../extension.mjs';
+
+const { WHL_DocIngest } = loadScript('content/docIngest.js');
+const { WHL_ContactImport: CI } = loadScript('content/contactImport.js', { WHL_DocIngest });
+
+// Como o normalizePhoneNumber do content.js: sem "+" vira +55
+const normalize = (v) => {
+  const digits = String(v).replace(/\D/g, '');
+  return `+${String(v).trim().startsWith('+') ? digits : `55${digits}`}`;
+};
+
+before(() => {
+  // O leitor de XLSX usa o DOMParser da página
+  globalThis.DOMParser ??= new JSDOM('').window.DOMParser;
+});
+
+// Zip mínimo (deflate, sem CRC: o leitor não confere) com os arquivos de uma planilha
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    central.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const dir = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(dir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, eocd]);
+}
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const NS = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+
+test('detectKind pelo nome e pelo tipo do arquivo', () => {
+  assert.equal(CI.detectKind({ name: 'Clientes.CSV' }), 'csv');
+  assert.equal(CI.detectKind({ name: 'lista.txt' }), 'csv');
+  assert.equal(CI.detectKind({ name: 'planilha', type: XLSX_TYPE }), 'xlsx');
+  assert.equal(CI.detectKind({ name: 'contatos.vcf' }), 'vcf');
+  assert.equal(CI.detectKind({ name: 'x', type: 'text/x-vcard' }), 'vcf');
+  assert.equal(CI.detectKind({ name: 'foto.png', type: 'image/png' }), null);
+});
+
+test('CSV com cabeçalho, BOM, ; e aspas', async () => {
+  const csv = '﻿Nome;Telefone;Cidade;Data de Nascimento\r\n"Souza; Ana";(11) 98888-7777;São Paulo;01/02\r\n;;;\r\nBruno;21 97777-6666;Rio\r\n';
+  const table = await CI.readTable(new File([csv], 'clientes.csv', { type: 'text/csv' }));
+  assert.equal(table.kind, 'csv');
+  assert.equal(table.headerless, false);
+  assert.deepEqual(table.columns, ['Nome', 'Telefone', 'Cidade', 'Data de Nascimento']);
+  // Linha vazia some e linhas curtas são completadas
+  assert.deepEqual(table.rows, [
+    ['Souza; Ana', '(11) 98888-7777', 'São Paulo', '01/02'],
+    ['Bruno', '21 97777-6666', 'Rio', '']
+  ]);
+});
+
+test('CSV sem cabeçalho: primeira linha já é contato', async () => {
+  const table = await CI.readTable(new File(['11988887777,Ana\n21977776666,Bruno\n'], 'lista.txt'));
+  assert.equal(table.headerless, true);
+  assert.deepEqual(table.columns, ['coluna1', 'coluna2']);
+  assert.equal(table.rows.length, 2);
+
+  // Sem cabeçalho: telefone pelo conteúdo, nome = primeira outra coluna
+  assert.deepEqual(CI.guessMapping(table), { phone: 0, name: 1, vars: {} });
+});
+
+test('arquivo vazio e formato não suportado', async () => {
+  const empty = await CI.readTable(new File(['\n\n'], 'vazio.csv'));
+  assert.deepEqual(empty.rows, []);
+  assert.deepEqual(empty.warnings, ['Arquivo sem linhas']);
+  await assert.rejects(CI.readTable(new File(['x'], 'lista.pdf')), /Formato não suportado/);
+});
+
+test('XLSX: shared strings, inlineStr, telefone numérico/científico e colunas puladas', async () => {
+  const buffer = zip({
+    'xl/workbook.xml': `<workbook ${NS} xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Clientes" sheetId="1" r:id="rId7"/><sheet name="Outra" sheetId="2" r:id="rId8"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId7" Target="worksheets/clientes.xml"/><Relationship Id="rId8" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst ${NS}><si><t>Nome</t></si><si><t>Celular</t></si><si><r><t>Ana </t></r><r><t>Souza</t></r></si><si><t>Plano</t></si></sst>`,
+    'xl/worksheets/clientes.xml': `<worksheet ${NS}><sheetData>
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="s"><v>3</v></c></row>
+      <row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>5511988887777</v></c><c r="D2" t="inlineStr"><is><t>Ouro</t></is></c></row>
+      <row r="3"><c r="A3" t="str"><v>Bruno</v></c><c r="B3"><v>5.5219777766E+12</v></c></row>
+    </sheetData></worksheet>`,
+    'xl/worksheets/sheet1.xml': `<worksheet ${NS}><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>errada</t></is></c></row></sheetData></worksheet>`
+  });
+  const table = await CI.readTable(new File([buffer], 'clientes.xlsx'));
+  assert.equal(table.kind, 'xlsx');
+  assert.deepEqual(table.warnings, ['Planilha com 2 abas: usando a primeira']);
+  assert.deepEqual(table.columns, ['Nome', 'Celular', 'coluna3', 'Plano']);
+  assert.deepEqual(table.rows, [
+    ['Ana Souza', '5511988887777', '', 'Ouro'],
+    ['Bruno', '5521977776600', '', '']
+  ]);
+});
+
+test('XLSX sem planilha legível', async () => {
+  const buffer = zip({ 'docProps/app.xml': '<Properties/>' });
+  await assert.rejects(CI.readTable(new File([buffer], 'x.xlsx')), /XLSX sem planilha legível/);
+});
+
+test('vCard 2.1 e 3.0: dobras, quoted-printable, celular preferido e N sem FN', async () => {
+  const vcf = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Ana\\, Souza',
+    'TEL;TYPE=HOME:+55 11 3333-4444',
+    'item1.TEL;TYPE=CELL:+55 11 98888-',
+    ' 7777',
+    'EMAIL:ana@example.com',
+    'ORG:Loja Centro;Vendas',
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'VERSION:2.1',
+    'N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:Concei=C3=A7=C3=A3o;Jo=',
+    '=C3=A3o;;;',
+    'TEL:tel:+5521977776666',
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'FN:Sem telefone',
+    'END:VCARD'
+  ].join('\r\n');
+  const table = await CI.readTable(new File([vcf], 'contatos.vcf'));
+  assert.deepEqual(table.columns, ['nome', 'telefone', 'outros_telefones', 'email', 'empresa']);
+  assert.deepEqual(table.rows, [
+    ['Ana, Souza', '+55 11 98888-7777', '+55 11 3333-4444', 'ana@example.com', 'Loja Centro'],
+    ['João Conceição', '+5521977776666', '', '', ''],
+    ['Sem telefone', '', '', '', '']
+  ]);
+  assert.deepEqual(table.warnings, []);
+
+  const empty = await CI.readTable(new File(['nada aqui'], 'vazio.vcf'));
+  assert.deepEqual(empty.warnings, ['Nenhum contato (BEGIN:VCARD) encontrado']);
+});
+
+test('guessMapping: cabeçalhos conhecidos e variáveis sem acento, sem repetir nomes reservados', () => {
+  const table = {
+    columns: ['Código', 'Nome do Cliente', 'WhatsApp', 'Data de Nascimento', '2º Contato', 'numero', 'Código'],
+    rows: [],
+    headerless: false
+  };
+  assert.deepEqual(CI.guessMapping(table), {
+    phone: 2,
+    name: 1,
+    vars: { 0: 'codigo', 3: 'data_de_nascimento', 4: 'campo_2_contato', 5: 'numero_2', 6: 'codigo_2' }
+  });
+});
+
+test('guessMapping acha o telefone pelo conteúdo quando o cabeçalho não diz', () => {
+  const table = {
+    columns: ['Cliente', 'Contato principal', 'Obs'],
+    rows: [['Ana', '11 98888-7777', 'vip'], ['Bruno', '21 97777-6666', ''], ['Carla', 'sem número', '']],
+    headerless: false
+  };
+  const mapping = CI.guessMapping(table);
+  assert.equal(mapping.phone, 1);
+  assert.equal(mapping.name, 0);
+  assert.deepEqual(mapping.vars, { 2: 'obs' });
+});
+
+test('buildEntries: normaliza, valida, deduplica e numera as linhas como no arquivo', () => {
+  const table = {
+    columns: ['Nome', 'Telefone', 'Plano'],
+    rows: [
+      ['Ana', '(11) 98888-7777', 'Ouro'],
+      ['Ana de novo', '+55 11 98888-7777', 'Prata'],
+      ['Sem', '', ''],
+      ['Curto', '1234-567', ''],
+      ['BR errado', '+55 11 9888 87777 12', ''],
+      ['Exterior', '+1 415 555 0100', 'Bronze']
+    ],
+    headerless: false
+  };
+  const result = CI.buildEntries(table, { phone: 1, name: 0, vars: { 2: 'plano' } }, { normalize });
+  assert.deepEqual(result.entries, [
+    { number: '+5511988887777', name: 'Ana', vars: { plano: 'Ouro' }, row: 2 },
+    { number: '+14155550100', name: 'Exterior', vars: { plano: 'Bronze' }, row: 7 }
+  ]);
+  assert.equal(result.duplicates, 1);
+  assert.deepEqual(result.errors, [
+    { row: 4, value: '', error: 'sem telefone' },
+    { row: 5, value: '1234-567', error: 'número inválido (9 dígitos)' },
+    { row: 6, value: '+55 11 9888 87777 12', error: 'número brasileiro precisa de DDD + 8/9 dígitos' }
+  ]);
+});
+
+test('buildEntries sem coluna de telefone, sem nome e com firstRow do vCard', () => {
+  const table = { columns: ['a'], rows: [['11988887777']], headerless: true };
+  assert.deepEqual(CI.buildEntries(table, { phone: -1, name: -1, vars: {} }).errors, [
+    { row: 0, value: '', error: 'Escolha a coluna do telefone' }
+  ]);
+  assert.deepEqual(CI.buildEntries(table, { phone: 0, name: -1 }, { normalize }).entries, [
+    { number: '+5511988887777', name: '', vars: {}, row: 1 }
+  ]);
+  const cards = { columns: ['nome', 'telefone'], rows: [['Ana', '11988887777']], headerless: false, firstRow: 1 };
+  assert.equal(CI.buildEntries(cards, { phone: 1, name: 0, vars: {} }, { normalize }).entries[0].row, 1);
+});
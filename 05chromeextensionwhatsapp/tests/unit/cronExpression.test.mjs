@@ -0,0 +1,91 @@
+// js/smartbot/infrastructure/cron-expression.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importExtensionModule } from '../extension.mjs';
+
+const { parseCron, nextCronTime, nextCronTimes, isValidTimeZone } = await importExtensionModule('js/smartbot/infrastructure/cron-expression.js');
+
+const iso = (ts) => (ts === null ? null : new Date(ts).toISOString());
+const next = (expr, from, timeZone, count = 1) => nextCronTimes(expr, count, { from: Date.parse(from), timeZone }).map(iso);
+
+test('parseCron: listas, intervalos, passos, nomes e domingo = 7', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 JAN-MAR sun,7');
+  assert.deepEqual(cron.minute, [0, 15, 30, 45]);
+  assert.deepEqual(cron.hour, [9, 13, 17]);
+  assert.deepEqual(cron.dayOfMonth, [1, 15]);
+  assert.deepEqual(cron.month, [1, 2, 3]);
+  assert.deepEqual(cron.dayOfWeek, [0]);
+  assert.deepEqual(parseCron('5/20 * * * *').minute, [5, 25, 45]);
+  assert.deepEqual(parseCron('@weekly').dayOfWeek, [0]);
+});
+
+test('parseCron: expressões inválidas explicam a causa', () => {
+  assert.throws(() => parseCron('* * * *'), /5 campos/);
+  assert.throws(() => parseCron('60 * * * *'), /minute deve estar entre 0 e 59/);
+  assert.throws(() => parseCron('* * * * 1-8'), /dayOfWeek/);
+  assert.throws(() => parseCron('* 10-5 * * *'), /invertido/);
+  assert.throws(() => parseCron('*/0 * * * *'), /passo/);
+  assert.throws(() => parseCron('* * * FOO *'), /"FOO"/);
+});
+
+test('dia-do-mês e dia-da-semana restritos: vale qualquer um dos dois (OU)', () => {
+  // Toda sexta-feira E todo dia 13 (julho/2025: 13 é domingo)
+  assert.deepEqual(next('0 9 13 * FRI', '2025-07-01T00:00:00Z', 'UTC', 5), [
+    '2025-07-04T09:00:00.000Z',
+    '2025-07-11T09:00:00.000Z',
+    '2025-07-13T09:00:00.000Z',
+    '2025-07-18T09:00:00.000Z',
+    '2025-07-25T09:00:00.000Z'
+  ]);
+});
+
+test('só um dos campos de dia restrito: vale apenas ele', () => {
+  assert.deepEqual(next('0 9 13 * *', '2025-07-01T00:00:00Z', 'UTC', 2), ['2025-07-13T09:00:00.000Z', '2025-08-13T09:00:00.000Z']);
+  assert.deepEqual(next('0 9 * * FRI', '2025-07-12T00:00:00Z', 'UTC', 2), ['2025-07-18T09:00:00.000Z', '2025-07-25T09:00:00.000Z']);
+});
+
+test('horário de parede no fuso (São Paulo, sem horário de verão)', () => {
+  assert.deepEqual(next('0 8 * * 1-5', '2025-01-03T00:00:00Z', 'America/Sao_Paulo', 3), [
+    '2025-01-03T11:00:00.000Z',
+    '2025-01-06T11:00:00.000Z',
+    '2025-01-07T11:00:00.000Z'
+  ]);
+});
+
+test('horário de verão: hora pulada não executa, hora repetida executa uma vez', () => {
+  // Nova York adianta o relógio em 09/03/2025 às 02:00 -> 02:30 não existe nesse dia
+  assert.deepEqual(next('30 2 * * *', '2025-03-08T00:00:00Z', 'America/New_York', 3), [
+    '2025-03-08T07:30:00.000Z',
+    '2025-03-10T06:30:00.000Z',
+    '2025-03-11T06:30:00.000Z'
+  ]);
+  // Atrasa em 02/11/2025 às 02:00 -> 01:30 acontece duas vezes; vale a primeira (EDT)
+  assert.deepEqual(next('30 1 * * *', '2025-11-01T12:00:00Z', 'America/New_York', 2), [
+    '2025-11-02T05:30:00.000Z',
+    '2025-11-03T06:30:00.000Z'
+  ]);
+  // Meio-dia antes e depois da troca: o offset muda junto
+  assert.deepEqual(next('0 12 * * *', '2025-03-08T00:00:00Z', 'America/New_York', 2), [
+    '2025-03-08T17:00:00.000Z',
+    '2025-03-09T16:00:00.000Z'
+  ]);
+});
+
+test('próxima execução é estritamente depois de from', () => {
+  const from = Date.parse('2025-07-01T09:00:00Z');
+  assert.equal(iso(nextCronTime('0 9 * * *', { from, timeZone: 'UTC' })), '2025-07-02T09:00:00.000Z');
+  assert.equal(iso(nextCronTime('* * * * *', { from: from + 30000, timeZone: 'UTC' })), '2025-07-01T09:01:00.000Z');
+});
+
+test('data que nunca existe devolve null; 29/02 espera o ano bissexto', () => {
+  assert.equal(nextCronTime('0 0 30 2 *', { from: Date.parse('2025-01-01T00:00:00Z'), timeZone: 'UTC' }), null);
+  assert.deepEqual(next('0 0 29 2 *', '2025-01-01T00:00:00Z', 'UTC'), ['2028-02-29T00:00:00.000Z']);
+});
+
+test('fuso inválido', () => {
+  assert.equal(isValidTimeZone('America/Sao_Paulo'), true);
+  assert.equal(isValidTimeZone(''), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.throws(() => nextCronTime('* * * * *', { timeZone: 'Mars/Olympus' }), /Fuso horário inválido/);
+});
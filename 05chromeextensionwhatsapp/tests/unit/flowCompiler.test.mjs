@@ -0,0 +1,99 @@
+// js/smartbot/dialog/flow-compiler.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importExtensionModule } from '../extension.mjs';
+
+const { compileCondition, validateFlowGraph, compileFlow } = await importExtensionModule('js/smartbot/dialog/flow-compiler.js');
+
+const msg = (id, next, message = `msg ${id}`) => ({ id, type: 'mensagem', message, next });
+const cond = (id, condition, nextIf, nextElse) => ({ id, type: 'condicional', condition, next_if: nextIf, next_else: nextElse });
+
+test('grafo linear com condicional é válido', () => {
+  const result = validateFlowGraph({ steps: [
+    msg('inicio', 'tem_cep'),
+    cond('tem_cep', "ctx.resposta != ''", 'frete', 'pedir_cep'),
+    msg('pedir_cep', 'frete'),
+    msg('frete', 'end')
+  ] });
+  assert.equal(result.valid, true, result.errors.join('; '));
+  assert.deepEqual(result.unreachable, []);
+  assert.deepEqual(result.deadEnds, []);
+});
+
+test('step inalcançável a partir do primeiro', () => {
+  const result = validateFlowGraph({ steps: [msg('inicio', 'fim'), msg('fim', null), msg('orfao', 'fim')] });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.unreachable, ['orfao']);
+  assert.match(result.errors.join('\n'), /orfao: step inalcançável a partir de inicio/);
+});
+
+test('beco sem saída: ciclo sem caminho para o fim', () => {
+  const result = validateFlowGraph({ steps: [
+    msg('inicio', 'a'),
+    msg('a', 'b'),
+    msg('b', 'a')
+  ] });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.deadEnds, ['inicio', 'a', 'b']);
+  assert.match(result.errors.join('\n'), /a: beco sem saída/);
+});
+
+test('ciclo com uma saída não é beco sem saída', () => {
+  const result = validateFlowGraph({ steps: [
+    msg('pergunta', 'confere'),
+    cond('confere', "ctx.resposta == 'sim'", 'end', 'pergunta')
+  ] });
+  assert.equal(result.valid, true, result.errors.join('; '));
+});
+
+test('condicional sem os dois caminhos não chega ao fim pelo caminho vazio', () => {
+  const result = validateFlowGraph({ steps: [msg('inicio', 'c'), cond('c', 'ctx.x == 1', 'inicio', null)] });
+  assert.equal(result.valid, false);
+  assert.match(result.errors.join('\n'), /c: condicional sem os dois caminhos/);
+  assert.deepEqual(result.deadEnds, ['inicio', 'c']);
+});
+
+test('referência quebrada, condição inválida e início condicional', () => {
+  const result = validateFlowGraph({ steps: [
+    cond('c', 'ctx.x ==', 'a', 'b'),
+    msg('a', 'nao_existe'),
+    msg('b', 'end')
+  ] });
+  const errors = result.errors.join('\n');
+  assert.match(errors, /precisa começar por um step de mensagem/);
+  assert.match(errors, /c: /);
+  assert.match(errors, /a: aponta para step inexistente "nao_existe"/);
+  assert.deepEqual(validateFlowGraph({ steps: [] }).errors, ['Fluxo sem steps']);
+});
+
+test('step de mensagem vazio é só aviso', () => {
+  const result = validateFlowGraph({ steps: [{ id: 'inicio', type: 'mensagem', next: 'end' }] });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings, ['inicio: step sem mensagem nem template']);
+});
+
+test('compileCondition: comparações, lógica e erro de sintaxe', () => {
+  const fn = compileCondition("ctx.cidade == 'Centro' && (ctx.total > 100 || ctx.vip == true)");
+  assert.equal(fn({ cidade: 'Centro', total: 150 }), true);
+  assert.equal(fn({ cidade: 'Centro', total: 50, vip: true }), true);
+  assert.equal(fn({ cidade: 'Bairro', total: 500 }), false);
+  assert.throws(() => compileCondition('ctx.total > '), Error);
+  assert.throws(() => compileCondition('alert(1)'), /Condição inválida/);
+});
+
+test('compileFlow: condicionais resolvidas no handler do step anterior', async () => {
+  const { dialogId, config } = compileFlow({ id: 7, version: 3, nome: 'Frete', definition: { steps: [
+    msg('inicio', 'c', 'Qual o seu bairro?'),
+    cond('c', "ctx.resposta == 'Centro'", 'gratis', 'pago'),
+    msg('gratis', 'end', 'Frete grátis!'),
+    msg('pago', 'end', 'Frete R$ 10')
+  ] } });
+  assert.equal(dialogId, 'flow_7@3');
+  assert.equal(config.initialState, 'inicio');
+  assert.deepEqual(Object.keys(config.states), ['inicio', 'gratis', 'pago']);
+
+  assert.deepEqual(await config.states.inicio.handler('Centro', {}), { next: 'gratis', message: 'Frete grátis!' });
+  assert.deepEqual(await config.states.inicio.handler('Vila Nova', {}), { next: 'pago', message: 'Frete R$ 10' });
+  assert.deepEqual(await config.states.gratis.handler('ok', {}), { next: 'end' });
+});
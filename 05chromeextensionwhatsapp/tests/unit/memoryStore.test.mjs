@@ -0,0 +1,110 @@
+// content/memoryStore.js (WHL_MemoryStore): merge campo a campo, pendências, diff e mescla de sync
+// (as funções puras; a gravação em IndexedDB fica para o navegador)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from '../extension.mjs';
+
+const { WHL_MemoryStore: MS } = loadScript('content/memoryStore.js');
+
+const NOW = Date.UTC(2026, 9, 18, 12);
+const state = (fields, closed_loops = []) => ({
+  fields: { profile: '', tone: '', preferences: [], context: [], open_loops: [], next_actions: [], ...fields },
+  closed_loops
+});
+
+test('normalizeUpdate ignora "desconhecido", vazios e aceita item solto no lugar de lista', () => {
+  assert.deepEqual(MS.normalizeUpdate({
+    profile: '  Cliente   recorrente ',
+    tone: 'Desconhecido.',
+    preferences: 'entrega à tarde',
+    context: ['', 'N/A', ' comprou sofá '],
+    open_loops: null,
+    next_actions: [],
+    resolved_loops: 'enviar orçamento',
+    extra: 'ignorado'
+  }), {
+    fields: { profile: 'Cliente recorrente', preferences: ['entrega à tarde'], context: ['comprou sofá'] },
+    resolved: ['enviar orçamento']
+  });
+  assert.deepEqual(MS.normalizeUpdate(null), { fields: {}, resolved: [] });
+});
+
+test('mergeFields: profile só troca com valor de verdade e listas não duplicam', () => {
+  const current = state({ profile: 'Arquiteta', tone: 'formal', preferences: ['Entrega à tarde', 'pix'] });
+  const { fields } = MS.mergeFields(current, {
+    profile: 'unknown',
+    tone: 'informal',
+    preferences: ['entrega a tarde!', 'boleto']
+  }, NOW);
+  assert.equal(fields.profile, 'Arquiteta');
+  assert.equal(fields.tone, 'informal');
+  // Repetido (sem acento/pontuação) mantém o texto original e vai para o fim
+  assert.deepEqual(fields.preferences, ['pix', 'Entrega à tarde', 'boleto']);
+  // Não muta o estado atual
+  assert.deepEqual(current.fields.preferences, ['Entrega à tarde', 'pix']);
+});
+
+test('mergeFields guarda só os itens mais novos de cada lista', () => {
+  const many = Array.from({ length: 12 }, (_, i) => `ação ${i + 1}`);
+  const { fields } = MS.mergeFields(null, { next_actions: many }, NOW);
+  assert.equal(fields.next_actions.length, 10);
+  assert.equal(fields.next_actions[0], 'ação 3');
+  assert.equal(fields.next_actions[9], 'ação 12');
+});
+
+test('resolved_loops fecha a pendência (inclusive por trecho) e repetir reabre', () => {
+  const current = state({ open_loops: ['Enviar orçamento do sofá', 'ligar amanhã', 'trocar peça'] });
+  const closed = MS.mergeFields(current, { resolved_loops: ['enviar orçamento', 'ligar'] }, NOW);
+  // "ligar" tem menos de 8 letras: não fecha "ligar amanhã" por trecho
+  assert.deepEqual(closed.fields.open_loops, ['ligar amanhã', 'trocar peça']);
+  assert.deepEqual(closed.closed_loops, [{ text: 'Enviar orçamento do sofá', at: NOW }]);
+
+  const reopened = MS.mergeFields(closed, { open_loops: ['enviar orçamento do sofa'] }, NOW + 1);
+  assert.deepEqual(reopened.fields.open_loops, ['ligar amanhã', 'trocar peça', 'enviar orçamento do sofa']);
+  assert.deepEqual(reopened.closed_loops, []);
+});
+
+test('diffFields: set, add, remove e close', () => {
+  const before = state({ profile: 'Arquiteta', preferences: ['pix'], open_loops: ['enviar orçamento', 'trocar peça'] });
+  const after = MS.mergeFields(before, { profile: 'Designer', preferences: ['boleto'], resolved_loops: ['enviar orçamento'] }, NOW);
+  after.fields.preferences = after.fields.preferences.filter(p => p !== 'pix');
+  assert.deepEqual(MS.diffFields(before, after), [
+    { field: 'profile', op: 'set', value: 'Designer', previous: 'Arquiteta' },
+    { field: 'preferences', op: 'add', value: 'boleto' },
+    { field: 'preferences', op: 'remove', value: 'pix' },
+    { field: 'open_loops', op: 'close', value: 'enviar orçamento' }
+  ]);
+  assert.deepEqual(MS.diffFields(after, after), []);
+  assert.deepEqual(MS.diffFields(null, state({ tone: 'direto' })), [{ field: 'tone', op: 'set', value: 'direto', previous: '' }]);
+});
+
+test('summaryOf monta o texto do prompt na ordem dos campos', () => {
+  const memory = state({ profile: 'Arquiteta', preferences: ['pix', 'entrega à tarde'], open_loops: ['enviar orçamento'] });
+  assert.equal(MS.summaryOf(memory), 'Perfil: Arquiteta\nPreferências: pix; entrega à tarde\nPendências: enviar orçamento');
+  assert.equal(MS.summaryOf(null), '');
+});
+
+test('mergeConcurrent: listas unidas, texto do lado mais novo e fechamento vence', () => {
+  const local = state(
+    { profile: 'Arquiteta', tone: '', preferences: ['pix'], open_loops: ['enviar orçamento', 'trocar peça'] },
+    []
+  );
+  const remote = state(
+    { profile: 'Designer de interiores', tone: 'formal', preferences: ['boleto', 'PIX'], open_loops: ['trocar peça', 'agendar visita'] },
+    [{ text: 'enviar orçamento', at: NOW }]
+  );
+
+  const localWins = MS.mergeConcurrent(local, remote, true);
+  assert.equal(localWins.fields.profile, 'Arquiteta');
+  // O mais novo não tem tom: o outro lado preenche
+  assert.equal(localWins.fields.tone, 'formal');
+  assert.deepEqual(localWins.fields.preferences, ['boleto', 'pix']);
+  assert.deepEqual(localWins.fields.open_loops, ['agendar visita', 'trocar peça']);
+  assert.deepEqual(localWins.closed_loops, [{ text: 'enviar orçamento', at: NOW }]);
+
+  const remoteWins = MS.mergeConcurrent(local, remote, false);
+  assert.equal(remoteWins.fields.profile, 'Designer de interiores');
+  // Item repetido fica com o texto e a posição do lado mais novo
+  assert.deepEqual(remoteWins.fields.preferences, ['boleto', 'PIX']);
+});
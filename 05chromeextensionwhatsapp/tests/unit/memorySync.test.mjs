@@ -0,0 +1,271 @@
+// background/memorySync.js: outbox com ack por evento, dedup no servidor e pull por cursor,
+// entre dois navegadores e o memory server do dev/mockServer.mjs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { importExtensionModule } from '../extension.mjs';
+import { createChrome } from '../fakeChrome.mjs';
+
+const machines = { a: createChrome(), b: createChrome() };
+globalThis.chrome = machines.a.chrome;
+
+const sync = await importExtensionModule('background/memorySync.js');
+const { createMockServer } = await importExtensionModule('dev/mockServer.mjs');
+
+const realFetch = globalThis.fetch;
+const stateDir = mkdtempSync(path.join(os.tmpdir(), 'whl-memory-sync-'));
+const log = console.log;
+let mock;
+let settings;
+// Troca a resposta do servidor num teste: (url, init, send) => Response
+let intercept = null;
+
+async function on(machine, fn) {
+  globalThis.chrome = machines[machine].chrome;
+  return fn();
+}
+
+const outbox = (machine) => machines[machine].storage.get('whl_sync_outbox') || [];
+const memory = (contactId, summary, updatedAt) => ({
+  type: 'chat_memory',
+  contactId,
+  chatTitle: contactId,
+  memory: { fields: { profile: summary }, updatedAt }
+});
+
+// Tira o backoff das entradas que ficaram para depois
+function dueNow(machine) {
+  const box = outbox(machine).map(e => ({ ...e, nextAttemptAt: 0 }));
+  machines[machine].storage.set('whl_sync_outbox', box);
+}
+
+before(async () => {
+  console.log = () => {};
+  mock = createMockServer({ state: path.join(stateDir, 'state.json'), reset: true });
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  settings = {
+    memoryServerUrl: `http://127.0.0.1:${mock.server.address().port}/api/memory`,
+    memoryWorkspaceKey: 'loja-centro',
+    workspaceId: 'default'
+  };
+  globalThis.fetch = (url, init) => (intercept ? intercept(url, init, realFetch) : realFetch(url, init));
+});
+
+after(async () => {
+  console.log = log;
+  globalThis.fetch = realFetch;
+  await new Promise(resolve => mock.server.close(resolve));
+  rmSync(stateDir, { recursive: true, force: true });
+});
+
+test('enqueue: id + origin em cada evento e só o chat_memory mais novo por contato', async () => {
+  await on('a', async () => {
+    await sync.enqueueMemoryEvent(memory('wa:5511912345678', 'v1', '2026-10-18T10:00:00Z'));
+    await sync.enqueueMemoryEvent({ type: 'example', example: { user: 'oi', assistant: 'olá' } });
+    assert.equal(await sync.enqueueMemoryEvent(memory('wa:5511912345678', 'v2', '2026-10-18T10:05:00Z')), 2);
+  });
+  const box = outbox('a');
+  const deviceId = machines.a.storage.get('whl_sync_state').deviceId;
+  assert.deepEqual(box.map(e => e.event.type), ['example', 'chat_memory']);
+  assert.equal(box[1].event.memory.fields.profile, 'v2');
+  for (const e of box) {
+    assert.equal(e.event.id, e.id);
+    assert.equal(e.event.origin, deviceId);
+    assert.equal(e.status, 'pending');
+  }
+});
+
+test('resposta perdida: o evento fica na outbox e o reenvio recebe "duplicate" sem duplicar no servidor', async () => {
+  // O servidor grava, mas a resposta não chega
+  intercept = async (url, init, send) => {
+    await send(url, init);
+    throw new TypeError('Failed to fetch');
+  };
+  try {
+    await assert.rejects(on('a', () => sync.flushMemoryOutbox(settings)), /Failed to fetch/);
+  } finally {
+    intercept = null;
+  }
+  assert.equal(outbox('a').length, 2);
+  assert.ok(outbox('a').every(e => e.attempts === 1 && e.nextAttemptAt > Date.now() && e.lastError === 'Failed to fetch'));
+  assert.equal((await on('a', () => sync.getMemorySyncStatus())).lastError, 'Failed to fetch');
+
+  // Ainda no backoff: nada sai
+  assert.deepEqual(await on('a', () => sync.flushMemoryOutbox(settings)), { flushed: 0, failed: 0, pending: 2 });
+
+  dueNow('a');
+  const acks = [];
+  intercept = async (url, init, send) => {
+    const resp = await send(url, init);
+    acks.push(...(await resp.clone().json()).acks);
+    return resp;
+  };
+  try {
+    assert.deepEqual(await on('a', () => sync.flushMemoryOutbox(settings)), { flushed: 2, failed: 0, pending: 0 });
+  } finally {
+    intercept = null;
+  }
+  assert.deepEqual(acks.map(a => a.status), ['duplicate', 'duplicate']);
+  assert.equal(outbox('a').length, 0);
+  const status = await on('a', () => sync.getMemorySyncStatus());
+  assert.equal(status.lastError, null);
+  assert.ok(status.lastPushAt);
+
+  // B vê a memória uma vez só
+  const pulled = await on('b', () => sync.pullMemoryChanges(settings));
+  assert.equal(pulled.changes.length, 1);
+  assert.equal(pulled.changes[0].memory.fields.profile, 'v2');
+  await on('b', () => sync.ackMemoryPull(pulled.cursor));
+});
+
+test('evento recusado vira failed e "Tentar de novo" devolve para a fila', async () => {
+  await on('a', async () => {
+    await sync.enqueueMemoryEvent({ type: 'chat_memory', contactId: 'wa:5521977776666' }); // sem memory
+    await sync.enqueueMemoryEvent(memory('wa:5531988887777', 'ok', '2026-10-18T11:00:00Z'));
+  });
+  const result = await on('a', () => sync.flushMemoryOutbox(settings));
+  assert.deepEqual(result, { flushed: 1, failed: 1, pending: 0 });
+
+  const status = await on('a', () => sync.getMemorySyncStatus());
+  assert.equal(status.failed, 1);
+  assert.deepEqual(status.failures.map(f => [f.contactId, f.lastError]), [['wa:5521977776666', 'Evento sem type ou memory']]);
+
+  assert.equal(await on('a', () => sync.retryFailedMemoryEvents()), 1);
+  assert.deepEqual(outbox('a').map(e => [e.status, e.attempts, e.nextAttemptAt]), [['pending', 0, 0]]);
+  // Continua recusado: volta a failed
+  assert.equal((await on('a', () => sync.flushMemoryOutbox(settings))).failed, 1);
+  machines.a.storage.set('whl_sync_outbox', []);
+});
+
+test('sem resposta do servidor desiste depois de 8 tentativas', async () => {
+  await on('a', () => sync.enqueueMemoryEvent(memory('wa:5541999990000', 'x', '2026-10-18T11:30:00Z')));
+  machines.a.storage.set('whl_sync_outbox', outbox('a').map(e => ({ ...e, attempts: 7 })));
+  intercept = async () => new Response('{"error":"indisponível"}', { status: 503 });
+  try {
+    await assert.rejects(on('a', () => sync.flushMemoryOutbox(settings)), /Memory server: indisponível/);
+  } finally {
+    intercept = null;
+  }
+  assert.deepEqual(outbox('a').map(e => [e.status, e.attempts]), [['failed', 8]]);
+  machines.a.storage.set('whl_sync_outbox', []);
+});
+
+test('servidor sem acks por evento: accepted do tamanho do lote confirma tudo, menos que isso não', async () => {
+  await on('a', async () => {
+    await sync.enqueueMemoryEvent({ type: 'example', example: { user: 'a', assistant: 'b' } });
+    await sync.enqueueMemoryEvent({ type: 'example', example: { user: 'c', assistant: 'd' } });
+  });
+  intercept = async () => Response.json({ ok: true, accepted: 1 });
+  try {
+    assert.equal((await on('a', () => sync.flushMemoryOutbox(settings))).flushed, 0);
+    assert.equal(outbox('a').length, 2);
+    dueNow('a');
+    intercept = async () => Response.json({ ok: true, accepted: 2 });
+    assert.equal((await on('a', () => sync.flushMemoryOutbox(settings))).flushed, 2);
+  } finally {
+    intercept = null;
+  }
+  assert.equal(outbox('a').length, 0);
+});
+
+test('flushes simultâneos compartilham a mesma execução', async () => {
+  await on('a', () => sync.enqueueMemoryEvent({ type: 'example', example: { user: 'e', assistant: 'f' } }));
+  let posts = 0;
+  intercept = (url, init, send) => {
+    posts++;
+    return send(url, init);
+  };
+  try {
+    const [first, second] = await on('a', () => Promise.all([sync.flushMemoryOutbox(settings), sync.flushMemoryOutbox(settings)]));
+    assert.equal(first, second);
+  } finally {
+    intercept = null;
+  }
+  assert.equal(posts, 1);
+});
+
+test('pull: não devolve o que o próprio navegador enviou e o cursor só anda com o ack', async () => {
+  await on('b', async () => {
+    await sync.enqueueMemoryEvent(memory('wa:5551988881111', 'de B', '2026-10-18T12:00:00Z'));
+    await sync.flushMemoryOutbox(settings);
+  });
+  // B não recebe o próprio evento (só os de A desde o último ack)
+  const own = await on('b', () => sync.pullMemoryChanges(settings));
+  assert.ok(own.changes.length > 0);
+  assert.ok(own.changes.every(c => c.contactId !== 'wa:5551988881111'));
+  await on('b', () => sync.ackMemoryPull(own.cursor));
+
+  const first = await on('a', () => sync.pullMemoryChanges(settings));
+  assert.ok(first.changes.some(c => c.contactId === 'wa:5551988881111'));
+  assert.ok(!first.changes.some(c => c.origin === machines.a.storage.get('whl_sync_state').deviceId));
+  // Sem ack (content script não aplicou): o mesmo pull de novo
+  const again = await on('a', () => sync.pullMemoryChanges(settings));
+  assert.deepEqual(again.changes, first.changes);
+
+  assert.equal(await on('a', () => sync.ackMemoryPull(first.cursor)), first.cursor);
+  assert.deepEqual((await on('a', () => sync.pullMemoryChanges(settings))).changes, []);
+  // Ack atrasado de um cursor antigo não volta o cursor
+  assert.equal(await on('a', () => sync.ackMemoryPull(1)), first.cursor);
+  assert.ok((await on('a', () => sync.getMemorySyncStatus())).lastPullAt);
+});
+
+test('pull por páginas (limit/more) e contatos com alteração local pendente', async () => {
+  await on('b', async () => {
+    for (const n of ['1', '2', '3']) await sync.enqueueMemoryEvent(memory(`wa:556199990000${n}`, `c${n}`, '2026-10-18T13:00:00Z'));
+    await sync.flushMemoryOutbox(settings);
+  });
+  await on('a', () => sync.enqueueMemoryEvent(memory('wa:5561999900002', 'local', '2026-10-18T13:01:00Z')));
+  intercept = async () => { throw new TypeError('offline'); };
+  try {
+    await assert.rejects(on('a', () => sync.flushMemoryOutbox(settings)));
+  } finally {
+    intercept = null;
+  }
+
+  const seen = [];
+  for (let page = 0; page < 5; page++) {
+    const r = await on('a', () => sync.pullMemoryChanges(settings, { limit: 2 }));
+    seen.push(...r.changes.map(c => c.contactId));
+    assert.deepEqual(r.pendingContacts, ['wa:5561999900002']);
+    await on('a', () => sync.ackMemoryPull(r.cursor));
+    if (!r.more) break;
+  }
+  assert.deepEqual(seen, ['wa:5561999900001', 'wa:5561999900002', 'wa:5561999900003']);
+});
+
+test('pull com o servidor fora grava lastError', async () => {
+  intercept = async () => new Response('nada', { status: 502 });
+  try {
+    await assert.rejects(on('a', () => sync.pullMemoryChanges(settings)), /Memory server: HTTP 502/);
+  } finally {
+    intercept = null;
+  }
+  assert.equal((await on('a', () => sync.getMemorySyncStatus())).lastError, 'Memory server: HTTP 502');
+  await assert.rejects(on('a', () => sync.pullMemoryChanges({})), /Memory server não configurado/);
+});
+
+test('fila antiga (whl_sync_queue) entra na outbox com id e some', async () => {
+  const c = machines.c = createChrome({
+    storage: { whl_sync_queue: [{ type: 'example', example: { user: 'x', assistant: 'y' }, at: 1700000000000 }] }
+  });
+  const status = await on('c', () => sync.getMemorySyncStatus());
+  assert.equal(status.pending, 1);
+  assert.equal(status.oldestPendingAt, 1700000000000);
+  assert.equal(c.storage.has('whl_sync_queue'), false);
+  const [entry] = c.storage.get('whl_sync_outbox');
+  assert.equal(entry.event.id, entry.id);
+  assert.equal(entry.event.origin, c.storage.get('whl_sync_state').deviceId);
+  assert.equal(entry.event.at, undefined);
+});
+
+test('outbox e estado por workspace', async () => {
+  const d = machines.d = createChrome();
+  await on('d', () => sync.enqueueMemoryEvent({ type: 'example', example: { user: 'g', assistant: 'h' } }, 'loja-b'));
+  assert.equal(d.storage.get('whl_sync_outbox@loja-b').length, 1);
+  assert.equal(d.storage.has('whl_sync_outbox'), false);
+  assert.equal((await on('d', () => sync.getMemorySyncStatus())).pending, 0);
+  assert.equal((await on('d', () => sync.getMemorySyncStatus('loja-b'))).pending, 1);
+});
@@ -0,0 +1,91 @@
+// content/sendWindow.js (WHL_SendWindow)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from '../extension.mjs';
+
+const { WHL_SendWindow: SW } = loadScript('content/sendWindow.js');
+const policy = SW.fromSettings({ sendWindowEnabled: true });
+const holiday = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return SW.holidayName(policy, y, m, d);
+};
+
+test('feriados móveis a partir da Páscoa (Carnaval, Sexta-feira Santa, Corpus Christi)', () => {
+  // Páscoa: 31/03/2024, 20/04/2025, 05/04/2026, 25/04/2038 (a mais tardia do século)
+  const expected = {
+    2024: ['02-12', '02-13', '03-29', '05-30'],
+    2025: ['03-03', '03-04', '04-18', '06-19'],
+    2026: ['02-16', '02-17', '04-03', '06-04'],
+    2038: ['03-08', '03-09', '04-23', '06-24']
+  };
+  for (const [year, [carnaval1, carnaval2, sexta, corpus]] of Object.entries(expected)) {
+    assert.equal(holiday(`${year}-${carnaval1}`), 'Carnaval', `${year} carnaval`);
+    assert.equal(holiday(`${year}-${carnaval2}`), 'Carnaval', `${year} carnaval`);
+    assert.equal(holiday(`${year}-${sexta}`), 'Sexta-feira Santa', `${year} sexta-feira santa`);
+    assert.equal(holiday(`${year}-${corpus}`), 'Corpus Christi', `${year} corpus christi`);
+  }
+  // Quarta-feira de cinzas e o domingo de Páscoa não são feriado nacional
+  assert.equal(holiday('2025-03-05'), null);
+  assert.equal(holiday('2025-04-20'), null);
+});
+
+test('feriados fixos, personalizados e feriados desligados', () => {
+  assert.equal(holiday('2025-11-20'), 'Consciência Negra');
+  assert.equal(holiday('2025-12-25'), 'Natal');
+  const custom = SW.fromSettings({ sendWindowCustomHolidays: '12-24, 2026-01-02, lixo', sendWindowHolidays: false });
+  assert.deepEqual(custom.customHolidays, ['12-24', '2026-01-02']);
+  assert.equal(SW.holidayName(custom, 2030, 12, 24), 'Feriado personalizado');
+  assert.equal(SW.holidayName(custom, 2026, 1, 2), 'Feriado personalizado');
+  assert.equal(SW.holidayName(custom, 2027, 1, 2), null);
+  assert.equal(SW.holidayName(custom, 2025, 12, 25), null);
+});
+
+test('fechado na Sexta-feira Santa, abre no sábado às 09:00', () => {
+  const at = Date.parse('2026-04-03T13:00:00Z'); // 10:00 em São Paulo
+  const state = SW.check(policy, { number: '+5511988887777', at });
+  assert.equal(state.open, false);
+  assert.equal(state.reason, 'feriado: Sexta-feira Santa');
+  assert.equal(new Date(state.nextOpenAt).toISOString(), '2026-04-04T12:00:00.000Z');
+});
+
+test('janela no relógio do destinatário (DDD 68 = Rio Branco, UTC-5)', () => {
+  const at = Date.parse('2026-04-06T12:30:00Z'); // segunda, 09:30 em SP, 07:30 em Rio Branco
+  assert.equal(SW.check(policy, { number: '+5511988887777', at }).open, true);
+
+  const acre = SW.check(policy, { number: '+5568999990000', at });
+  assert.equal(acre.timezone, 'America/Rio_Branco');
+  assert.equal(acre.open, false);
+  assert.equal(new Date(acre.nextOpenAt).toISOString(), '2026-04-06T13:00:00.000Z');
+
+  const noTz = SW.fromSettings({ sendWindowEnabled: true, sendWindowRecipientTz: false });
+  assert.equal(SW.check(noTz, { number: '+5568999990000', at }).open, true);
+});
+
+test('fuso pelo DDI e número sem DDI', () => {
+  assert.equal(SW.timezoneFor('+351 912 345 678', policy), 'Europe/Lisbon');
+  assert.equal(SW.timezoneFor('+1 212 555 0100', policy), 'America/New_York');
+  assert.equal(SW.timezoneFor('(92) 99999-0000', policy), 'America/Manaus');
+  assert.equal(SW.timezoneFor('', policy), 'America/Sao_Paulo');
+});
+
+test('parseRanges e janela inválida nas configurações', () => {
+  assert.deepEqual(SW.parseRanges('13:30-18:00, 08:00-12:00'), [[480, 720], [810, 1080]]);
+  assert.deepEqual(SW.parseRanges(''), []);
+  assert.throws(() => SW.parseRanges('18:00-08:00'), /Janela inválida/);
+  assert.throws(() => SW.parseRanges('8h às 18h'), /Janela inválida/);
+  const p = SW.fromSettings({ sendWindows: { 1: 'lixo', 0: '10:00-12:00' } });
+  assert.deepEqual(p.windows[1], [[480, 1200]]);
+  assert.deepEqual(p.windows[0], [[600, 720]]);
+});
+
+test('estimateCompletion pula a noite e conta contatos sem janela', () => {
+  const at = Date.parse('2026-04-06T22:55:00Z'); // segunda, 19:55 em SP
+  const entries = [{ number: '+5511900000001' }, { number: '+5511900000002' }];
+  const estimate = SW.estimateCompletion(policy, entries, { from: at, perMessageMs: 10 * 60000 });
+  assert.equal(estimate.pauses, 1);
+  assert.equal(new Date(estimate.finishAt).toISOString(), '2026-04-07T11:10:00.000Z');
+
+  const never = { ...policy, windows: { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] } };
+  assert.equal(SW.estimateCompletion(never, entries, { from: at }).blocked, 2);
+});
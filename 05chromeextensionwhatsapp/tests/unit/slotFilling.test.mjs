@@ -0,0 +1,40 @@
+// js/smartbot/dialog/slot-filling.js - validadores
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importExtensionModule } from '../extension.mjs';
+
+const { isValidCPF, isValidCEP, validateSlot } = await importExtensionModule('js/smartbot/dialog/slot-filling.js');
+
+test('CPF: dígitos verificadores (módulo 11)', () => {
+  assert.equal(isValidCPF('529.982.247-25'), true);
+  assert.equal(isValidCPF('52998224725'), true);
+  // Primeiro dígito verificador com resto 10 -> 0
+  assert.equal(isValidCPF('111.444.777-35'), true);
+  assert.equal(isValidCPF('529.982.247-24'), false); // segundo dígito errado
+  assert.equal(isValidCPF('529.982.247-15'), false); // primeiro dígito errado
+  assert.equal(isValidCPF('123.456.789-00'), false);
+});
+
+test('CPF: sequências repetidas e tamanho errado', () => {
+  for (let d = 0; d <= 9; d++) assert.equal(isValidCPF(String(d).repeat(11)), false, String(d).repeat(11));
+  assert.equal(isValidCPF('5299822472'), false);
+  assert.equal(isValidCPF('529982247250'), false);
+  assert.equal(isValidCPF(''), false);
+  assert.equal(isValidCPF(null), false);
+});
+
+test('slot cpf normaliza para 000.000.000-00', () => {
+  assert.deepEqual(validateSlot({ type: 'cpf' }, 'meu cpf é 52998224725'), { valid: true, value: '529.982.247-25' });
+  assert.equal(validateSlot({ type: 'cpf' }, '529.982.247-24').valid, false);
+  assert.equal(validateSlot({ type: 'cpf', invalidMessage: 'CPF não confere' }, '000').error, 'CPF não confere');
+});
+
+test('CEP, telefone e e-mail', () => {
+  assert.equal(isValidCEP('01310-100'), true);
+  assert.equal(isValidCEP('00000-000'), false);
+  assert.deepEqual(validateSlot({ type: 'cep' }, '01310100'), { valid: true, value: '01310-100' });
+  assert.deepEqual(validateSlot({ type: 'phone' }, '+55 (11) 98888-7777'), { valid: true, value: '5511988887777' });
+  assert.equal(validateSlot({ type: 'phone' }, '98888-7777').valid, false);
+  assert.deepEqual(validateSlot({ type: 'email' }, ' Ana@Loja.com.BR '), { valid: true, value: 'ana@loja.com.br' });
+});
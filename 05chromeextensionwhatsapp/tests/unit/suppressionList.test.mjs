@@ -0,0 +1,218 @@
+// background/suppressionList.js: sincronização entre duas máquinas pelo dev/mockServer.mjs
+// (mesmo contrato de /api/suppression.php)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { importExtensionModule } from '../extension.mjs';
+import { createChrome } from '../fakeChrome.mjs';
+
+const machines = { a: createChrome(), b: createChrome() };
+globalThis.chrome = machines.a.chrome;
+
+const list = await importExtensionModule('background/suppressionList.js');
+const { createMockServer } = await importExtensionModule('dev/mockServer.mjs');
+
+const DAY = 24 * 60 * 60 * 1000;
+const realFetch = globalThis.fetch;
+const stateDir = mkdtempSync(path.join(os.tmpdir(), 'whl-suppression-'));
+let mock;
+let settings;
+let pageSize = null;
+let onPull = null;
+const pulls = [];
+const log = console.log;
+
+// O módulo lê o chrome global a cada chamada: troca de "máquina" antes de cada operação
+async function on(machine, fn) {
+  globalThis.chrome = machines[machine].chrome;
+  return fn();
+}
+
+const sync = (machine) => on(machine, () => list.syncSuppressionList(settings));
+const isSuppressed = async (machine, number) => (await on(machine, () => list.checkSuppressed([number]))).suppressed.length === 1;
+
+before(async () => {
+  console.log = () => {}; // log de requisições do mock
+  mock = createMockServer({ state: path.join(stateDir, 'state.json'), reset: true });
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  settings = { backendUrl: `http://127.0.0.1:${mock.server.address().port}`, workspaceId: 'default' };
+
+  // Página pequena para exercitar o more=true sem milhares de entradas
+  globalThis.fetch = async (url, init) => {
+    let u = String(url);
+    if ((init?.method || 'GET') === 'GET') {
+      if (pageSize) u = u.replace('?after=', `?limit=${pageSize}&after=`);
+      pulls.push(new URL(u).searchParams.get('after'));
+      if (onPull) await onPull();
+    }
+    return realFetch(u, init);
+  };
+});
+
+after(async () => {
+  console.log = log;
+  globalThis.fetch = realFetch;
+  await new Promise(resolve => mock.server.close(resolve));
+  rmSync(stateDir, { recursive: true, force: true });
+});
+
+test('opt-out enviado com atraso (updatedAt antigo) chega à outra máquina', async () => {
+  await on('a', () => list.addSuppressed([{ number: '+55 11 98888-7777', source: 'reply' }]));
+  await sync('a');
+
+  // B registrou um opt-out dois dias atrás, offline, e só agora sincroniza
+  await on('b', () => list.addSuppressed([{ number: '+55 21 97777-6666', source: 'auto' }]));
+  const stored = machines.b.storage.get('whl_suppression');
+  const entry = stored.entries[list.suppressionKey('+55 21 97777-6666')];
+  entry.addedAt = entry.updatedAt = Date.now() - 2 * DAY;
+  await sync('b');
+  assert.equal(await isSuppressed('b', '+55 11 98888-7777'), true);
+
+  // O cursor de A já passou do updatedAt do opt-out de B, mas não do seq que o servidor deu a ele
+  const result = await sync('a');
+  assert.equal(result.pulled, 1);
+  assert.equal(await isSuppressed('a', '+55 21 97777-6666'), true);
+  assert.equal(await isSuppressed('a', '+5521977776666'), true);
+});
+
+test('pull pagina pelo seq até more=false, sem perder entradas com o mesmo updatedAt', async () => {
+  const sameMs = Date.now() - DAY;
+  const numbers = ['+55 31 90000-0001', '+55 31 90000-0002', '+55 31 90000-0003', '+55 31 90000-0004', '+55 31 90000-0005'];
+  await on('b', () => list.addSuppressed(numbers.map(number => ({ number, source: 'import' }))));
+  const stored = machines.b.storage.get('whl_suppression');
+  for (const n of numbers) stored.entries[list.suppressionKey(n)].updatedAt = sameMs;
+  await sync('b');
+
+  pageSize = 2;
+  pulls.length = 0;
+  try {
+    const result = await sync('a');
+    assert.equal(result.pulled, numbers.length);
+    // 5 entradas em páginas de 2: três pedidos, cada um a partir do cursor do anterior
+    assert.equal(pulls.length, 3);
+    assert.ok(pulls.every((seq, i) => i === 0 || Number(seq) > Number(pulls[i - 1])), pulls.join(','));
+  } finally {
+    pageSize = null;
+  }
+  for (const n of numbers) assert.equal(await isSuppressed('a', n), true, n);
+});
+
+test('cursor antigo (updatedAt em ms) é descartado e o pull recomeça do zero', async () => {
+  const c = createChrome({ storage: { whl_suppression: { entries: {}, cursor: Date.now() } } });
+  machines.c = c;
+  const result = await sync('c');
+  assert.ok(result.pulled >= 7);
+  assert.equal(await isSuppressed('c', '+55 21 97777-6666'), true);
+  assert.equal(c.storage.get('whl_suppression').cursor, undefined);
+});
+
+test('suppressionKey junta o número com e sem o 9º dígito e assume Brasil sem DDI', () => {
+  const key = list.suppressionKey('+55 11 98888-7777');
+  assert.equal(key, '551188887777');
+  assert.equal(list.suppressionKey('+55 11 8888-7777'), key);
+  assert.equal(list.suppressionKey('(11) 98888-7777'), key);
+  assert.equal(list.suppressionKey('11 8888-7777'), key);
+  // Com "+" o DDI é o que veio; fixo brasileiro e números curtos
+  assert.equal(list.suppressionKey('+1 415 555 0100'), '14155550100');
+  assert.equal(list.suppressionKey('+55 11 3333-4444'), '551133334444');
+  assert.equal(list.suppressionKey('1234'), '');
+});
+
+test('add/remove locais: reativação, tombstone e números inválidos', async () => {
+  const m = machines.d = createChrome();
+  const first = await on('d', () => list.addSuppressed([{ number: '+55 41 99999-0000', source: 'reply' }, { number: 'abc' }]));
+  assert.equal(first.added.length, 1);
+  assert.deepEqual(first.invalid, ['abc']);
+  const addedAt = first.added[0].addedAt;
+
+  // Já suprimido (mesmo sem o 9º dígito): nada muda
+  assert.equal((await on('d', () => list.addSuppressed([{ number: '+55 41 9999-0000' }]))).added.length, 0);
+
+  assert.deepEqual(await on('d', () => list.removeSuppressed(['41 99999-0000', '+55 41 97777-0000'])), { removed: 1 });
+  const key = list.suppressionKey('+5541999990000');
+  assert.equal(m.storage.get('whl_suppression').entries[key].removed, true);
+  assert.equal(await isSuppressed('d', '+5541999990000'), false);
+  const listed = await on('d', () => list.getSuppressionList());
+  assert.equal(listed.count, 0);
+  assert.equal((await on('d', () => list.getSuppressionList({ includeRemoved: true }))).entries.length, 1);
+
+  // Reativar depois de liberar conta como opt-out novo
+  await new Promise(r => setTimeout(r, 2));
+  const again = await on('d', () => list.addSuppressed([{ number: '+5541999990000', source: 'manual' }]));
+  assert.equal(again.added.length, 1);
+  assert.ok(again.added[0].addedAt > addedAt);
+  assert.equal(await isSuppressed('d', '41999990000'), true);
+});
+
+test('lista de outro workspace não bloqueia o default', async () => {
+  const m = machines.e = createChrome();
+  await on('e', () => list.addSuppressed([{ number: '+55 51 98888-1111' }], 'loja-b'));
+  assert.ok(m.storage.get('whl_suppression@loja-b'));
+  assert.equal((await on('e', () => list.checkSuppressed(['+55 51 98888-1111']))).suppressed.length, 0);
+  assert.equal((await on('e', () => list.checkSuppressed(['+55 51 98888-1111'], 'loja-b'))).suppressed.length, 1);
+});
+
+test('liberação (tombstone) sincroniza e o pull não ressuscita o número', async () => {
+  await on('b', () => list.removeSuppressed(['+55 11 98888-7777']));
+  const pushed = await sync('b');
+  assert.equal(pushed.pushed, 1);
+  const key = list.suppressionKey('+55 11 98888-7777');
+  assert.equal(machines.b.storage.get('whl_suppression').entries[key].synced, true);
+
+  await sync('a');
+  assert.equal(await isSuppressed('a', '+55 11 98888-7777'), false);
+  await sync('b');
+  assert.equal(await isSuppressed('b', '+55 11 98888-7777'), false);
+});
+
+test('reativação local mais nova que a liberação remota vale nas duas máquinas', async () => {
+  // A e B mexem no mesmo número; B sincroniza primeiro
+  await on('a', () => list.addSuppressed([{ number: '+55 61 98888-2222', source: 'manual' }]));
+  await sync('a');
+  await sync('b');
+  await on('b', () => list.removeSuppressed(['+55 61 98888-2222']));
+  await sync('b');
+
+  // A reativou (via tombstone local + novo opt-out) antes de ver a liberação de B
+  await on('a', () => list.removeSuppressed(['+55 61 98888-2222']));
+  await on('a', () => list.addSuppressed([{ number: '+55 61 98888-2222', source: 'reply' }]));
+  await sync('a');
+  assert.equal(await isSuppressed('a', '+55 61 98888-2222'), true);
+  await sync('b');
+  assert.equal(await isSuppressed('b', '+55 61 98888-2222'), true);
+});
+
+test('opt-out registrado durante o pull não se perde', async () => {
+  let added = null;
+  onPull = async () => {
+    onPull = null;
+    added = await on('a', () => list.addSuppressed([{ number: '+55 71 98888-3333', source: 'auto' }]));
+  };
+  try {
+    await sync('a');
+  } finally {
+    onPull = null;
+  }
+  assert.equal(added.added.length, 1);
+  assert.equal(await isSuppressed('a', '+55 71 98888-3333'), true);
+  // Fica pendente e sobe no próximo sync
+  const key = list.suppressionKey('+55 71 98888-3333');
+  assert.equal(machines.a.storage.get('whl_suppression').entries[key].synced, false);
+  assert.equal((await sync('a')).pushed, 1);
+});
+
+test('falha no backend fica em lastSyncError e mantém o pendente', async () => {
+  await on('a', () => list.addSuppressed([{ number: '+55 81 98888-4444' }]));
+  await assert.rejects(on('a', () => list.syncSuppressionList({ backendUrl: '' })), /Backend URL não configurado/);
+  const state = await on('a', () => list.getSuppressionList());
+  assert.match(state.lastSyncError, /Backend URL/);
+  assert.equal(state.pending, 1);
+
+  await sync('a');
+  const after = await on('a', () => list.getSuppressionList());
+  assert.equal(after.lastSyncError, null);
+  assert.equal(after.pending, 0);
+});